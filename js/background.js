@@ -2,10 +2,24 @@
  * Background Service Worker
  * 
  * 职责：
- * 1. Google Drive 云同步（OAuth2 认证 + 文件读写）
- * 2. 处理需要绕过 CORS 限制的请求（图片获取等）
+ * 1. 云同步（可插拔 Provider：Google Drive / WebDAV / S3 兼容存储）
+ * 2. 自动同步（数据变更 + 定时触发，三方合并 + 冲突报告）
+ * 3. 端到端加密（开启后所有 Provider 上传前加密、下载后解密）
+ * 4. 备份快照（每次上传在云端和本地各保留最近 N 个，覆盖导入前自动创建本地快照）
+ * 5. 跨对话搜索索引（收藏、闪记、高亮，保存在扩展 origin）
+ * 6. 处理需要绕过 CORS 限制的请求（图片获取等）
  */
 
+// 合并规则、加密、搜索索引与内容脚本共用（Firefox 由 build-firefox.js 写入 background.scripts）
+if (typeof SyncMerge === 'undefined' && typeof importScripts === 'function') {
+    importScripts(
+        '/js/global/constants.js',
+        '/js/global/sync-merge/index.js',
+        '/js/global/sync-crypto/index.js',
+        '/js/global/search-index/index.js'
+    );
+}
+
 // ============================================
 // Google Drive 同步服务
 // ============================================
@@ -118,15 +132,16 @@ async function ensureFolder(token) {
 /**
  * 上传数据到 Google Drive
  * 使用 multipart upload（元数据 + 内容一起上传）
+ * @param {string} fileName - 备份目录下的文件名（默认主备份文件）
  */
-async function uploadToDrive(token, data) {
+async function uploadToDrive(token, data, fileName = GDRIVE_DATA_FILE) {
     const folderId = await ensureFolder(token);
-    const fileId = await findFile(token, GDRIVE_DATA_FILE, null, folderId);
+    const fileId = await findFile(token, fileName, null, folderId);
     
     // 构建 multipart body
     const boundary = 'ait_boundary_' + Date.now();
     const metadata = {
-        name: GDRIVE_DATA_FILE,
+        name: fileName,
         mimeType: 'application/json',
         ...(!fileId && { parents: [folderId] }) // 新建时指定父文件夹
     };
@@ -167,12 +182,13 @@ async function uploadToDrive(token, data) {
 
 /**
  * 从 Google Drive 下载数据
+ * @param {string} fileName - 备份目录下的文件名（默认主备份文件）
  */
-async function downloadFromDrive(token) {
+async function downloadFromDrive(token, fileName = GDRIVE_DATA_FILE) {
     const folderId = await findFile(token, GDRIVE_FOLDER_NAME, 'application/vnd.google-apps.folder');
     if (!folderId) return null; // 文件夹不存在，说明从未上传过
     
-    const fileId = await findFile(token, GDRIVE_DATA_FILE, null, folderId);
+    const fileId = await findFile(token, fileName, null, folderId);
     if (!fileId) return null; // 文件不存在
     
     const resp = await fetch(`${GDRIVE_API}/drive/v3/files/${fileId}?alt=media`, {
@@ -184,6 +200,921 @@ async function downloadFromDrive(token) {
     return await resp.json();
 }
 
+/**
+ * 删除 Google Drive 备份目录下的文件（不存在时忽略）
+ */
+async function deleteFromDrive(token, fileName) {
+    const folderId = await findFile(token, GDRIVE_FOLDER_NAME, 'application/vnd.google-apps.folder');
+    if (!folderId) return;
+    
+    const fileId = await findFile(token, fileName, null, folderId);
+    if (!fileId) return;
+    
+    const resp = await fetch(`${GDRIVE_API}/drive/v3/files/${fileId}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+    
+    if (!resp.ok && resp.status !== 404) throw new Error(`Delete failed: ${resp.status}`);
+}
+
+// ============================================
+// WebDAV 同步服务（Nextcloud / ownCloud / 坚果云等）
+// ============================================
+
+/**
+ * 生成 Basic 认证头（支持非 ASCII 用户名/密码）
+ */
+function basicAuthHeader(username, password) {
+    const bytes = new TextEncoder().encode(`${username || ''}:${password || ''}`);
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return `Basic ${btoa(binary)}`;
+}
+
+/**
+ * 规范化 WebDAV 根地址（必须以 / 结尾）
+ */
+function normalizeWebDAVUrl(url) {
+    const parsed = new URL(url);
+    if (!/^https?:$/.test(parsed.protocol)) throw new Error('WebDAV URL must start with http:// or https://');
+    return parsed.href.endsWith('/') ? parsed.href : parsed.href + '/';
+}
+
+// ============================================
+// S3 兼容存储同步服务（AWS S3 / MinIO / R2 等）
+// ============================================
+
+const S3_DEFAULT_REGION = 'us-east-1';
+
+function toHex(buffer) {
+    return Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function sha256Hex(content) {
+    const bytes = typeof content === 'string' ? new TextEncoder().encode(content) : content;
+    return toHex(await crypto.subtle.digest('SHA-256', bytes));
+}
+
+async function hmacSha256(key, message) {
+    const keyBytes = typeof key === 'string' ? new TextEncoder().encode(key) : key;
+    const cryptoKey = await crypto.subtle.importKey('raw', keyBytes, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    return crypto.subtle.sign('HMAC', cryptoKey, new TextEncoder().encode(message));
+}
+
+/**
+ * RFC 3986 编码（AWS SigV4 要求）
+ */
+function s3Encode(str) {
+    return encodeURIComponent(str).replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+}
+
+/**
+ * 构建对象 URL（path-style：endpoint/bucket/key；virtual-hosted：bucket.endpoint/key）
+ */
+function buildS3Url(config, key = '') {
+    const endpoint = new URL(config.endpoint);
+    if (!/^https?:$/.test(endpoint.protocol)) throw new Error('S3 endpoint must start with http:// or https://');
+    const encodedKey = key.split('/').map(s3Encode).join('/');
+    const basePath = endpoint.pathname.replace(/\/+$/, '');
+    if (config.pathStyle !== false) {
+        return new URL(`${endpoint.origin}${basePath}/${s3Encode(config.bucket)}${key ? '/' + encodedKey : ''}`);
+    }
+    return new URL(`${endpoint.protocol}//${config.bucket}.${endpoint.host}${basePath}/${encodedKey}`);
+}
+
+/**
+ * 发送 AWS Signature V4 签名请求
+ * @param {Object} config - { endpoint, region, bucket, accessKeyId, secretAccessKey, pathStyle }
+ * @param {string} method - HTTP 方法
+ * @param {string} key - 对象 key（空字符串表示 bucket 本身）
+ * @param {string|null} body - 请求体
+ */
+async function s3Request(config, method, key, body = null) {
+    const url = buildS3Url(config, key);
+    const region = config.region || S3_DEFAULT_REGION;
+    const now = new Date();
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const payloadHash = await sha256Hex(body || '');
+
+    const headers = {
+        'host': url.host,
+        'x-amz-content-sha256': payloadHash,
+        'x-amz-date': amzDate
+    };
+    if (body) headers['content-type'] = 'application/json';
+
+    const signedHeaders = Object.keys(headers).sort().join(';');
+    const canonicalHeaders = Object.keys(headers).sort().map(h => `${h}:${headers[h]}\n`).join('');
+    const canonicalRequest = [method, url.pathname, '', canonicalHeaders, signedHeaders, payloadHash].join('\n');
+
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, await sha256Hex(canonicalRequest)].join('\n');
+
+    let signingKey = await hmacSha256('AWS4' + config.secretAccessKey, dateStamp);
+    signingKey = await hmacSha256(signingKey, region);
+    signingKey = await hmacSha256(signingKey, 's3');
+    signingKey = await hmacSha256(signingKey, 'aws4_request');
+    const signature = toHex(await hmacSha256(signingKey, stringToSign));
+
+    delete headers.host; // 由浏览器自动设置
+    headers['Authorization'] = `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+
+    return fetch(url.href, { method, headers, body: body || undefined });
+}
+
+/**
+ * 读取 S3 错误响应中的 Code/Message
+ */
+async function readS3Error(resp) {
+    const text = await resp.text().catch(() => '');
+    const code = text.match(/<Code>([^<]*)<\/Code>/)?.[1];
+    const message = text.match(/<Message>([^<]*)<\/Message>/)?.[1];
+    return [resp.status, code, message].filter(Boolean).join(' ');
+}
+
+// ============================================
+// 云同步 Provider 注册表
+// ============================================
+
+const SYNC_BACKUP_FOLDER = GDRIVE_FOLDER_NAME;
+const SYNC_BACKUP_FILE = GDRIVE_DATA_FILE;
+const SYNC_CONFIG_KEY = 'syncProviderConfig';
+// 加密密码只保存在本机（自动同步需要无人值守解密），云端只存密文
+const SYNC_PASSPHRASE_KEY = 'syncPassphrase';
+
+/**
+ * 同步 Provider 接口
+ * - id: 唯一标识
+ * - getOrigins(config): 需要的 host 权限（无需额外授权返回 []）
+ * - test(config): 校验配置与连通性，失败时抛错
+ * - putFile(config, name, data, options): 写入备份目录下的 JSON 文件
+ * - getFile(config, name, options): 读取 JSON 文件，不存在时返回 null
+ * - deleteFile(config, name, options): 删除文件，不存在时忽略
+ *   options.interactive === false 时不得弹出登录等交互（自动同步）
+ */
+const SYNC_PROVIDERS = {
+    gdrive: {
+        id: 'gdrive',
+        getOrigins() { return []; },
+        async test() {
+            await getAuthToken(true);
+        },
+        async putFile(config, name, data, options = {}) {
+            const token = await getAuthToken(options.interactive !== false);
+            return uploadToDrive(token, data, name);
+        },
+        async getFile(config, name, options = {}) {
+            const token = await getAuthToken(options.interactive !== false);
+            return downloadFromDrive(token, name);
+        },
+        async deleteFile(config, name, options = {}) {
+            const token = await getAuthToken(options.interactive !== false);
+            return deleteFromDrive(token, name);
+        }
+    },
+
+    webdav: {
+        id: 'webdav',
+        getOrigins(config) {
+            return [`${new URL(normalizeWebDAVUrl(config.url)).origin}/*`];
+        },
+        _headers(config, extra = {}) {
+            return { 'Authorization': basicAuthHeader(config.username, config.password), ...extra };
+        },
+        async test(config) {
+            const resp = await fetch(normalizeWebDAVUrl(config.url), {
+                method: 'PROPFIND',
+                headers: this._headers(config, { 'Depth': '0' })
+            });
+            if (resp.status === 401) throw new Error('Authentication failed (401)');
+            if (!resp.ok) throw new Error(`WebDAV error: ${resp.status}`);
+        },
+        _folderUrl(config) {
+            return `${normalizeWebDAVUrl(config.url)}${encodeURIComponent(SYNC_BACKUP_FOLDER)}/`;
+        },
+        async putFile(config, name, data) {
+            const folderUrl = this._folderUrl(config);
+
+            // 创建备份目录（已存在时服务器返回 405）
+            const mkcol = await fetch(folderUrl, { method: 'MKCOL', headers: this._headers(config) });
+            if (!mkcol.ok && mkcol.status !== 405) {
+                throw new Error(`Create folder failed: ${mkcol.status}`);
+            }
+
+            const resp = await fetch(`${folderUrl}${encodeURIComponent(name)}`, {
+                method: 'PUT',
+                headers: this._headers(config, { 'Content-Type': 'application/json' }),
+                body: JSON.stringify(data)
+            });
+            if (!resp.ok) throw new Error(`Upload failed: ${resp.status}`);
+        },
+        async getFile(config, name) {
+            const resp = await fetch(`${this._folderUrl(config)}${encodeURIComponent(name)}`, {
+                headers: this._headers(config)
+            });
+            if (resp.status === 404) return null; // 从未上传过
+            if (!resp.ok) throw new Error(`Download failed: ${resp.status}`);
+            return await resp.json();
+        },
+        async deleteFile(config, name) {
+            const resp = await fetch(`${this._folderUrl(config)}${encodeURIComponent(name)}`, {
+                method: 'DELETE',
+                headers: this._headers(config)
+            });
+            if (!resp.ok && resp.status !== 404) throw new Error(`Delete failed: ${resp.status}`);
+        }
+    },
+
+    s3: {
+        id: 's3',
+        getOrigins(config) {
+            return [`${buildS3Url(config).origin}/*`];
+        },
+        _key(config, name) {
+            const prefix = (config.prefix || SYNC_BACKUP_FOLDER).replace(/^\/+|\/+$/g, '');
+            return prefix ? `${prefix}/${name}` : name;
+        },
+        _validate(config) {
+            if (!config.endpoint || !config.bucket || !config.accessKeyId || !config.secretAccessKey) {
+                throw new Error('Endpoint, bucket and access keys are required');
+            }
+        },
+        async test(config) {
+            this._validate(config);
+            const resp = await s3Request(config, 'HEAD', '');
+            if (!resp.ok) throw new Error(`S3 error: ${resp.status}`);
+        },
+        async putFile(config, name, data) {
+            this._validate(config);
+            const resp = await s3Request(config, 'PUT', this._key(config, name), JSON.stringify(data));
+            if (!resp.ok) throw new Error(`Upload failed: ${await readS3Error(resp)}`);
+        },
+        async getFile(config, name) {
+            this._validate(config);
+            const resp = await s3Request(config, 'GET', this._key(config, name));
+            if (resp.status === 404) return null; // NoSuchKey：从未上传过
+            if (!resp.ok) throw new Error(`Download failed: ${await readS3Error(resp)}`);
+            return await resp.json();
+        },
+        async deleteFile(config, name) {
+            this._validate(config);
+            const resp = await s3Request(config, 'DELETE', this._key(config, name));
+            if (!resp.ok && resp.status !== 404) throw new Error(`Delete failed: ${await readS3Error(resp)}`);
+        }
+    }
+};
+
+/**
+ * 读取已保存的同步配置
+ * @returns {Promise<Object>} { provider, autoSync, encryption, categories, webdav: {...}, s3: {...} }
+ * categories: 参与同步的数据类别（见 SyncMerge.DATA_CATEGORIES），未设置表示全部
+ */
+async function getSyncConfig() {
+    const stored = await browserAPI.storage.local.get(SYNC_CONFIG_KEY);
+    return { provider: 'gdrive', ...(stored[SYNC_CONFIG_KEY] || {}) };
+}
+
+/**
+ * 检查自定义服务器的 host 权限（可选权限，需用户在扩展页面中授权）
+ */
+async function ensureHostPermission(origins) {
+    if (!origins.length) return;
+    const granted = await browserAPI.permissions.contains({ origins });
+    if (!granted) {
+        const error = new Error('Permission required to access the sync server');
+        error.code = 'PERMISSION_REQUIRED';
+        error.origins = origins;
+        throw error;
+    }
+}
+
+/**
+ * 上传前加密（配置开启加密时）
+ */
+async function sealBackup(config, payload) {
+    if (!config.encryption) return payload;
+    return SyncCrypto.encrypt(payload, await getSyncPassphrase());
+}
+
+/**
+ * 下载后解密（检测到加密信封时）
+ */
+async function openBackup(payload) {
+    if (!SyncCrypto.isEncrypted(payload)) return payload;
+    return SyncCrypto.decrypt(payload, await getSyncPassphrase());
+}
+
+async function getSyncPassphrase() {
+    const stored = await browserAPI.storage.local.get(SYNC_PASSPHRASE_KEY);
+    if (!stored[SYNC_PASSPHRASE_KEY]) {
+        const error = new Error('Passphrase required for encrypted backup');
+        error.code = 'PASSPHRASE_REQUIRED';
+        throw error;
+    }
+    return stored[SYNC_PASSPHRASE_KEY];
+}
+
+/**
+ * 解析本次使用的 Provider 及其配置，并检查 host 权限
+ * @param {Object} request - { provider?, config? }，未指定时使用已保存的配置
+ * @returns {Promise<{ syncConfig, provider, config }>}
+ */
+async function resolveSyncProvider(request = {}) {
+    const syncConfig = await getSyncConfig();
+    const providerId = request.provider || syncConfig.provider;
+    const provider = SYNC_PROVIDERS[providerId];
+    if (!provider) throw new Error(`Unknown sync provider: ${providerId}`);
+
+    const config = request.config || syncConfig[providerId] || {};
+    await ensureHostPermission(provider.getOrigins(config));
+    return { syncConfig, provider, config };
+}
+
+/**
+ * 执行同步操作
+ * @param {'upload'|'download'|'test'} action
+ * @param {Object} request - { provider?, config?, data? }，未指定时使用已保存的配置
+ */
+async function runSyncAction(action, request) {
+    const { syncConfig, provider, config } = await resolveSyncProvider(request);
+
+    if (action === 'upload') {
+        let payload = request.data;
+        // 只同步部分类别时，保留云端其他类别的数据
+        if (SyncMerge.isPartialSelection(syncConfig.categories)) {
+            const remote = await openBackup(await provider.getFile(config, SYNC_BACKUP_FILE));
+            payload = {
+                ...payload,
+                data: {
+                    ...SyncMerge.filterByCategories(remote?.data, syncConfig.categories, true),
+                    ...SyncMerge.filterByCategories(payload.data, syncConfig.categories)
+                }
+            };
+        }
+        await provider.putFile(config, SYNC_BACKUP_FILE, await sealBackup(syncConfig, payload));
+        await recordSnapshot({ syncConfig, provider, config }, payload, 'upload');
+        return;
+    }
+    if (action === 'download') return openBackup(await provider.getFile(config, SYNC_BACKUP_FILE));
+    return provider.test(config);
+}
+
+// ============================================
+// 备份快照（云端 + 本地）
+// ============================================
+
+const SNAPSHOT_LIMIT = 10;
+const SNAPSHOT_AUTO_INTERVAL = 60 * 60 * 1000;    // 自动同步最多每小时保留一个快照
+const SNAPSHOT_INDEX_FILE = 'ait-snapshots.json'; // 云端快照索引，与快照一样按加密设置封装
+const SNAPSHOT_FILE_PATTERN = /^ait-snapshot-[\w-]+\.json$/;
+const SNAPSHOT_DB_NAME = 'ait-snapshots';
+const SNAPSHOT_STORE = 'snapshots';
+
+let snapshotDBPromise = null;
+
+/**
+ * 快照元信息
+ * { id, createdAt, reason, size, counts: { stars, prompts, notes, highlights }, deviceId }
+ * reason: 'upload' | 'auto-sync' | 'before-import' | 'manual'
+ * id 同时作为云端文件名
+ */
+async function buildSnapshotMeta(payload, reason) {
+    const createdAt = Date.now();
+    return {
+        id: `ait-snapshot-${new Date(createdAt).toISOString().replace(/[:.]/g, '-')}.json`,
+        createdAt,
+        reason,
+        size: new TextEncoder().encode(JSON.stringify(payload)).length,
+        counts: SyncMerge.summarize(payload.data || {}),
+        deviceId: (await getSyncMeta()).deviceId
+    };
+}
+
+/**
+ * 上传后保留快照：写入云端备份目录并同时保存到本地
+ * 快照失败不影响主备份上传，失败原因记录在同步状态（lastSnapshotError）中由 DataSyncTab 展示
+ * 云端索引无法解密或已损坏时按空索引重建，避免之后的快照全部被跳过
+ */
+async function recordSnapshot({ syncConfig, provider, config }, payload, reason, options = {}) {
+    try {
+        const indexFile = await provider.getFile(config, SNAPSHOT_INDEX_FILE, options);
+        let snapshots;
+        try {
+            snapshots = parseSnapshotIndex(await openBackup(indexFile));
+        } catch (error) {
+            console.warn('[AI Chat Timeline Background] Snapshot index unreadable, rebuilding:', error);
+            snapshots = [];
+        }
+        if (reason === 'auto-sync' && snapshots[0] && Date.now() - snapshots[0].createdAt < SNAPSHOT_AUTO_INTERVAL) {
+            return;
+        }
+
+        const meta = await buildSnapshotMeta(payload, reason);
+        await provider.putFile(config, meta.id, await sealBackup(syncConfig, payload), options);
+
+        snapshots.unshift(meta);
+        const expired = snapshots.splice(SNAPSHOT_LIMIT);
+        await provider.putFile(config, SNAPSHOT_INDEX_FILE, await sealBackup(syncConfig, { version: 1, snapshots }), options);
+        for (const old of expired) {
+            await provider.deleteFile(config, old.id, options).catch(() => {});
+        }
+
+        await putLocalSnapshot(meta, payload);
+        await setSyncState({ lastSnapshotError: null });
+    } catch (error) {
+        console.error('[AI Chat Timeline Background] Snapshot failed:', error);
+        await setSyncState({ lastSnapshotError: error.message || String(error) }).catch(() => {});
+    }
+}
+
+async function readCloudSnapshotIndex(provider, config, options = {}) {
+    return parseSnapshotIndex(await openBackup(await provider.getFile(config, SNAPSHOT_INDEX_FILE, options)));
+}
+
+/**
+ * 校验快照索引结构（文件不存在时为空索引）
+ */
+function parseSnapshotIndex(index) {
+    if (!index) return [];
+    if (!Array.isArray(index.snapshots)) throw new Error('Invalid snapshot index');
+    return index.snapshots;
+}
+
+/**
+ * 以当前本地数据创建本地快照（覆盖导入前 / 手动）
+ */
+async function createLocalSnapshot(reason) {
+    const stored = await browserAPI.storage.local.get(null);
+    const data = {};
+    Object.keys(stored).forEach(key => {
+        if (SyncMerge.isSyncableKey(key)) data[key] = stored[key];
+    });
+    const payload = {
+        _meta: { version: '1.0', exportTime: new Date().toISOString(), source: 'AIChatTimeline' },
+        data
+    };
+    const meta = await buildSnapshotMeta(payload, reason);
+    await putLocalSnapshot(meta, payload);
+    return meta;
+}
+
+/**
+ * 本地快照存放在扩展自身 origin 的 IndexedDB（不随 storage.get(null) 读取，所有站点共用）
+ */
+function openSnapshotDB() {
+    if (!snapshotDBPromise) {
+        snapshotDBPromise = new Promise((resolve, reject) => {
+            const req = indexedDB.open(SNAPSHOT_DB_NAME, 1);
+            req.onupgradeneeded = () => {
+                req.result.createObjectStore(SNAPSHOT_STORE, { keyPath: 'id' });
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        }).catch(error => {
+            snapshotDBPromise = null;
+            throw error;
+        });
+    }
+    return snapshotDBPromise;
+}
+
+function idbRequest(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+async function putLocalSnapshot(meta, payload) {
+    const db = await openSnapshotDB();
+    const store = db.transaction(SNAPSHOT_STORE, 'readwrite').objectStore(SNAPSHOT_STORE);
+    await idbRequest(store.put({ ...meta, payload }));
+
+    // 只保留最近 SNAPSHOT_LIMIT 个
+    const expired = (await listLocalSnapshots()).slice(SNAPSHOT_LIMIT);
+    if (expired.length) {
+        const tx = db.transaction(SNAPSHOT_STORE, 'readwrite');
+        expired.forEach(item => tx.objectStore(SNAPSHOT_STORE).delete(item.id));
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+}
+
+async function listLocalSnapshots() {
+    const db = await openSnapshotDB();
+    const items = await idbRequest(db.transaction(SNAPSHOT_STORE, 'readonly').objectStore(SNAPSHOT_STORE).getAll());
+    return items
+        .map(({ payload, ...meta }) => meta)
+        .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+async function getLocalSnapshot(id) {
+    const db = await openSnapshotDB();
+    const item = await idbRequest(db.transaction(SNAPSHOT_STORE, 'readonly').objectStore(SNAPSHOT_STORE).get(id));
+    return item?.payload || null;
+}
+
+/**
+ * 列出快照
+ * @param {'local'|'cloud'} source
+ */
+async function listSnapshots(source) {
+    if (source === 'local') return listLocalSnapshots();
+    const { provider, config } = await resolveSyncProvider();
+    return readCloudSnapshotIndex(provider, config);
+}
+
+/**
+ * 读取快照内容（云端快照自动解密）
+ */
+async function getSnapshot(source, id) {
+    if (!SNAPSHOT_FILE_PATTERN.test(id || '')) throw new Error('Invalid snapshot id');
+    if (source === 'local') return getLocalSnapshot(id);
+    const { provider, config } = await resolveSyncProvider();
+    return openBackup(await provider.getFile(config, id));
+}
+
+/**
+ * 更换加密密码 / 开关加密：云端文件按新设置重新封装，保持与本机密码一致
+ * 1. 用当前密码读取主备份、快照索引和快照文件
+ * 2. 主备份重新封装上传成功后，才保存新密码和加密设置（失败时保持原密码，自动同步不受影响）
+ * 3. 快照索引和快照文件逐个重新封装（失败只记录日志，索引无法读取时下次上传会重建）
+ * @param {string|null} passphrase - 新密码，null 表示关闭加密
+ */
+async function rekeyCloudBackup(passphrase) {
+    if (syncRunning) await syncRunning.catch(() => {});
+    const { provider, config } = await resolveSyncProvider();
+    const seal = (payload) => passphrase ? SyncCrypto.encrypt(payload, passphrase) : payload;
+
+    const backup = await openBackup(await provider.getFile(config, SYNC_BACKUP_FILE));
+    const snapshots = await readCloudSnapshotIndex(provider, config).catch((error) => {
+        console.error('[AI Chat Timeline Background] Snapshot index unreadable, skipped re-encryption:', error);
+        return null;
+    });
+    const snapshotFiles = [];
+    for (const meta of snapshots || []) {
+        try {
+            const payload = await openBackup(await provider.getFile(config, meta.id));
+            if (payload) snapshotFiles.push({ id: meta.id, payload });
+        } catch (error) {
+            console.error('[AI Chat Timeline Background] Snapshot unreadable, skipped re-encryption:', meta.id, error);
+        }
+    }
+
+    if (backup) {
+        await provider.putFile(config, SYNC_BACKUP_FILE, await seal(backup));
+    }
+
+    const stored = await browserAPI.storage.local.get(SYNC_CONFIG_KEY);
+    await browserAPI.storage.local.set({ [SYNC_CONFIG_KEY]: { ...(stored[SYNC_CONFIG_KEY] || {}), encryption: !!passphrase } });
+    if (passphrase) {
+        await browserAPI.storage.local.set({ [SYNC_PASSPHRASE_KEY]: passphrase });
+    } else {
+        await browserAPI.storage.local.remove(SYNC_PASSPHRASE_KEY);
+    }
+
+    try {
+        for (const file of snapshotFiles) {
+            await provider.putFile(config, file.id, await seal(file.payload));
+        }
+        if (snapshots) {
+            await provider.putFile(config, SNAPSHOT_INDEX_FILE, await seal({ version: 1, snapshots }));
+        }
+    } catch (error) {
+        console.error('[AI Chat Timeline Background] Snapshot re-encryption failed:', error);
+    }
+}
+
+// ============================================
+// Runner SQL 持久化数据库
+// ============================================
+
+// SQL 运行器的命名数据库（SQLite 导出字节的 base64），放在扩展 origin 的 IndexedDB 中，
+// 所有站点的 Runner 共用；不参与云同步
+const RUNNER_SQL_DB_NAME = 'ait-runner-sql';
+const RUNNER_SQL_STORE = 'databases';
+const RUNNER_SQL_NAME_PATTERN = /^[^\/\\]{1,64}$/;
+
+let runnerSqlDBPromise = null;
+
+function openRunnerSqlDB() {
+    if (!runnerSqlDBPromise) {
+        runnerSqlDBPromise = new Promise((resolve, reject) => {
+            const req = indexedDB.open(RUNNER_SQL_DB_NAME, 1);
+            req.onupgradeneeded = () => {
+                req.result.createObjectStore(RUNNER_SQL_STORE, { keyPath: 'name' });
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        }).catch(error => {
+            runnerSqlDBPromise = null;
+            throw error;
+        });
+    }
+    return runnerSqlDBPromise;
+}
+
+function assertRunnerSqlName(name) {
+    if (typeof name !== 'string' || !RUNNER_SQL_NAME_PATTERN.test(name.trim())) {
+        throw new Error('Invalid database name');
+    }
+    return name.trim();
+}
+
+/**
+ * 数据库列表（不含数据）
+ * @returns {Promise<Array<{ name, size, createdAt, updatedAt }>>}
+ */
+async function listRunnerSqlDatabases() {
+    const db = await openRunnerSqlDB();
+    const items = await idbRequest(db.transaction(RUNNER_SQL_STORE, 'readonly').objectStore(RUNNER_SQL_STORE).getAll());
+    return items
+        .map(({ data, ...meta }) => meta)
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * 读取数据库数据
+ * @returns {Promise<string|null>} base64，不存在时为 null
+ */
+async function getRunnerSqlDatabase(name) {
+    const db = await openRunnerSqlDB();
+    const item = await idbRequest(db.transaction(RUNNER_SQL_STORE, 'readonly').objectStore(RUNNER_SQL_STORE).get(assertRunnerSqlName(name)));
+    return item ? item.data : null;
+}
+
+/**
+ * 保存数据库（不存在时创建）
+ * @param {string} data - base64，空字符串表示空数据库
+ */
+async function putRunnerSqlDatabase(name, data) {
+    name = assertRunnerSqlName(name);
+    data = data || '';
+    const db = await openRunnerSqlDB();
+    const existing = await idbRequest(db.transaction(RUNNER_SQL_STORE, 'readonly').objectStore(RUNNER_SQL_STORE).get(name));
+    const now = Date.now();
+    const meta = {
+        name,
+        size: Math.floor(data.length * 3 / 4) - (data.match(/=*$/)[0].length),
+        createdAt: existing?.createdAt || now,
+        updatedAt: now
+    };
+    await idbRequest(db.transaction(RUNNER_SQL_STORE, 'readwrite').objectStore(RUNNER_SQL_STORE).put({ ...meta, data }));
+    return meta;
+}
+
+async function deleteRunnerSqlDatabase(name) {
+    const db = await openRunnerSqlDB();
+    await idbRequest(db.transaction(RUNNER_SQL_STORE, 'readwrite').objectStore(RUNNER_SQL_STORE).delete(assertRunnerSqlName(name)));
+}
+
+// ============================================
+// 跨对话搜索索引
+// ============================================
+
+// 收藏、闪记、高亮的搜索索引放在扩展 origin 的 IndexedDB 中（宿主页面无法读取），
+// 首次查询时初始化并与 storage 对账；内容脚本通过 SEARCH_INDEX_* 消息查询
+const searchIndexManager = new SearchIndexManager();
+
+// ============================================
+// 自动同步
+// ============================================
+
+const AUTO_SYNC_ALARM = 'ait-auto-sync';
+const AUTO_SYNC_DEBOUNCE_ALARM = 'ait-auto-sync-debounce';
+const AUTO_SYNC_INTERVAL_MINUTES = 30;
+const AUTO_SYNC_DEBOUNCE_MINUTES = 1;
+const SYNC_META_KEY = '_syncMeta';           // { deviceId, revisions: { [key]: { rev, updatedAt } } }
+const SYNC_BASE_KEY = '_syncBase';           // 上次成功同步后的数据快照（三方合并的共同祖先）
+const SYNC_STATE_KEY = '_syncState';         // { running, lastSyncAt, lastError, lastErrorCode, lastSnapshotError }
+const SYNC_CONFLICTS_KEY = '_syncConflicts'; // 冲突报告，由 DataSyncTab 展示
+const SYNC_CONFLICTS_LIMIT = 50;
+
+// 同步写回本地时的值，用于在 storage.onChanged 中跳过自己的写入
+const syncApplyingKeys = new Map();
+let syncRunning = null;
+let syncMetaQueue = Promise.resolve();
+
+/**
+ * 根据配置启用/停用定时同步
+ */
+async function updateAutoSyncSchedule() {
+    const config = await getSyncConfig();
+    if (config.autoSync) {
+        const existing = await browserAPI.alarms.get(AUTO_SYNC_ALARM);
+        if (!existing) {
+            browserAPI.alarms.create(AUTO_SYNC_ALARM, { periodInMinutes: AUTO_SYNC_INTERVAL_MINUTES });
+        }
+    } else {
+        await browserAPI.alarms.clear(AUTO_SYNC_ALARM);
+        await browserAPI.alarms.clear(AUTO_SYNC_DEBOUNCE_ALARM);
+    }
+}
+
+/**
+ * 数据变更后延迟同步（连续修改只触发一次）
+ */
+async function scheduleAutoSync() {
+    const config = await getSyncConfig();
+    if (!config.autoSync) return;
+    browserAPI.alarms.create(AUTO_SYNC_DEBOUNCE_ALARM, { delayInMinutes: AUTO_SYNC_DEBOUNCE_MINUTES });
+}
+
+/**
+ * 记录本地修改：每个 key 的修订号 + 修改时间
+ */
+function recordLocalRevisions(keys) {
+    syncMetaQueue = syncMetaQueue.then(async () => {
+        const meta = await getSyncMeta();
+        const now = Date.now();
+        keys.forEach(key => {
+            const prev = meta.revisions[key] || { rev: 0 };
+            meta.revisions[key] = { rev: prev.rev + 1, updatedAt: now };
+        });
+        await browserAPI.storage.local.set({ [SYNC_META_KEY]: meta });
+    }).catch(() => {});
+    return syncMetaQueue;
+}
+
+async function getSyncMeta() {
+    const stored = await browserAPI.storage.local.get(SYNC_META_KEY);
+    const meta = stored[SYNC_META_KEY] || {};
+    return {
+        deviceId: meta.deviceId || crypto.randomUUID(),
+        revisions: meta.revisions || {}
+    };
+}
+
+async function setSyncState(patch) {
+    const stored = await browserAPI.storage.local.get(SYNC_STATE_KEY);
+    await browserAPI.storage.local.set({ [SYNC_STATE_KEY]: { ...(stored[SYNC_STATE_KEY] || {}), ...patch } });
+}
+
+/**
+ * 执行一次三方合并同步（同一时间只运行一个）
+ * @param {Object} options - { interactive }：手动触发时允许 Google Drive 弹出登录
+ */
+function runAutoSync(options = {}) {
+    if (!syncRunning) {
+        syncRunning = doAutoSync(options).finally(() => { syncRunning = null; });
+    }
+    return syncRunning;
+}
+
+async function doAutoSync({ interactive = false } = {}) {
+    await setSyncState({ running: true });
+    try {
+        const resolved = await resolveSyncProvider();
+        const { syncConfig: config, provider, config: providerConfig } = resolved;
+        await syncMetaQueue;
+
+        // 只合并选中类别的 key，其余类别原样保留云端数据
+        const categories = config.categories;
+        const stored = await browserAPI.storage.local.get(null);
+        const local = {};
+        Object.keys(stored).forEach(key => {
+            if (SyncMerge.isSyncableKey(key) && SyncMerge.isKeyInCategories(key, categories)) local[key] = stored[key];
+        });
+        const base = stored[SYNC_BASE_KEY] || {};
+        const meta = await getSyncMeta();
+
+        const remotePayload = await openBackup(await provider.getFile(providerConfig, SYNC_BACKUP_FILE, { interactive }));
+        const remoteAll = remotePayload?.data || {};
+        const remote = SyncMerge.filterByCategories(remoteAll, categories);
+        const untouched = SyncMerge.filterByCategories(remoteAll, categories, true);
+        const remoteRevisions = remotePayload?._meta?.revisions || {};
+
+        // 逐 key 三方合并
+        const merged = {};
+        const revisions = {};
+        const conflicts = [];
+        const keys = new Set([...Object.keys(local), ...Object.keys(remote)]);
+        for (const key of keys) {
+            if (!SyncMerge.isSyncableKey(key)) continue;
+            const localRev = meta.revisions[key] || { rev: 0, updatedAt: 0 };
+            const remoteRev = remoteRevisions[key] || { rev: 0, updatedAt: 0 };
+            const result = SyncMerge.merge3(key, base[key], local[key], remote[key], {
+                local: localRev.updatedAt,
+                remote: remoteRev.updatedAt
+            });
+
+            if (result.value !== undefined) merged[key] = result.value;
+            // 合并结果与云端不同即产生新修订
+            revisions[key] = {
+                rev: Math.max(localRev.rev, remoteRev.rev) + (SyncMerge.isEqual(result.value, remote[key]) ? 0 : 1),
+                updatedAt: Math.max(localRev.updatedAt, remoteRev.updatedAt)
+            };
+
+            result.conflicts.forEach(conflict => {
+                conflicts.push({
+                    id: `${key}:${conflict.itemId}:${Date.now()}`,
+                    key,
+                    kind: SyncMerge.getRecordRule(key)?.kind,
+                    itemId: conflict.itemId,
+                    group: conflict.group,
+                    title: SyncMerge.getItemTitle(conflict.local || conflict.remote),
+                    local: conflict.local,
+                    remote: conflict.remote,
+                    resolution: conflict.resolution,
+                    detectedAt: Date.now()
+                });
+            });
+        }
+
+        // 写回本地（只写有变化的 key；云端删除的 key 同步删除）
+        const toWrite = {};
+        Object.keys(merged).forEach(key => {
+            if (!SyncMerge.isEqual(merged[key], local[key])) toWrite[key] = merged[key];
+        });
+        const toRemove = Object.keys(local).filter(key => merged[key] === undefined);
+        Object.entries(toWrite).forEach(([key, value]) => syncApplyingKeys.set(key, JSON.stringify(value)));
+        toRemove.forEach(key => syncApplyingKeys.set(key, undefined));
+        if (Object.keys(toWrite).length) await browserAPI.storage.local.set(toWrite);
+        if (toRemove.length) await browserAPI.storage.local.remove(toRemove);
+
+        // 上传（云端已是最新时跳过）
+        const remoteChanged = !remotePayload || Object.keys(merged).length !== Object.keys(remote).length
+            || Object.keys(merged).some(key => !SyncMerge.isEqual(merged[key], remote[key]));
+        if (remoteChanged) {
+            const untouchedRevisions = {};
+            Object.keys(untouched).forEach(key => {
+                if (remoteRevisions[key]) untouchedRevisions[key] = remoteRevisions[key];
+            });
+            const payload = {
+                _meta: {
+                    version: '1.0',
+                    exportTime: new Date().toISOString(),
+                    source: 'AIChatTimeline',
+                    deviceId: meta.deviceId,
+                    revisions: { ...untouchedRevisions, ...revisions }
+                },
+                data: { ...untouched, ...merged }
+            };
+            await provider.putFile(providerConfig, SYNC_BACKUP_FILE, await sealBackup(config, payload), { interactive });
+            await recordSnapshot(resolved, payload, 'auto-sync', { interactive });
+        }
+
+        const prevConflicts = (await browserAPI.storage.local.get(SYNC_CONFLICTS_KEY))[SYNC_CONFLICTS_KEY] || [];
+        await browserAPI.storage.local.set({
+            [SYNC_BASE_KEY]: merged,
+            [SYNC_META_KEY]: { deviceId: meta.deviceId, revisions: { ...meta.revisions, ...revisions } },
+            [SYNC_CONFLICTS_KEY]: [...conflicts, ...prevConflicts].slice(0, SYNC_CONFLICTS_LIMIT)
+        });
+        await setSyncState({ running: false, lastSyncAt: Date.now(), lastError: null, lastErrorCode: null });
+
+        return {
+            pulled: Object.keys(toWrite).length + toRemove.length,
+            pushed: remoteChanged,
+            conflicts: conflicts.length
+        };
+    } catch (e) {
+        await setSyncState({ running: false, lastError: e.message, lastErrorCode: e.code || null });
+        throw e;
+    }
+}
+
+browserAPI.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+
+    if (changes[SYNC_CONFIG_KEY]) {
+        updateAutoSyncSchedule().catch(() => {});
+    }
+
+    const keys = Object.keys(changes).filter(key => {
+        if (!SyncMerge.isSyncableKey(key)) return false;
+        // 跳过同步自身写回的值
+        if (syncApplyingKeys.has(key)) {
+            const applied = syncApplyingKeys.get(key);
+            syncApplyingKeys.delete(key);
+            const newValue = changes[key].newValue;
+            if (applied === (newValue === undefined ? undefined : JSON.stringify(newValue))) return false;
+        }
+        return true;
+    });
+    if (!keys.length) return;
+
+    // 只有簿记字段（如 chatTimes 的 lastVisit）变化时不触发同步
+    const shouldSync = keys.some(key => !SyncMerge.isBookkeepingChange(key, changes[key].oldValue, changes[key].newValue));
+    recordLocalRevisions(keys).then(() => shouldSync && scheduleAutoSync()).catch(() => {});
+});
+
+browserAPI.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name !== AUTO_SYNC_ALARM && alarm.name !== AUTO_SYNC_DEBOUNCE_ALARM) return;
+    runAutoSync().catch(() => {});
+});
+
+browserAPI.runtime.onStartup.addListener(() => {
+    updateAutoSyncSchedule().catch(() => {});
+});
+
+browserAPI.runtime.onInstalled.addListener(() => {
+    updateAutoSyncSchedule().catch(() => {});
+});
+
 // ============================================
 // 扩展图标点击
 // ============================================
@@ -220,36 +1151,97 @@ chrome.action.onClicked.addListener(async (tab) => {
 
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     
-    // --- Google Drive 同步 ---
+    // --- 云同步 ---
     
-    // 上传到 Google Drive（未登录时自动触发登录）
-    if (request.type === 'GDRIVE_UPLOAD') {
+    // 上传 / 下载 / 测试连接（Google Drive 未登录时自动触发登录）
+    // GDRIVE_UPLOAD / GDRIVE_DOWNLOAD 保留兼容，固定使用 Google Drive
+    const SYNC_ACTIONS = {
+        SYNC_UPLOAD: ['upload'],
+        SYNC_DOWNLOAD: ['download'],
+        SYNC_TEST: ['test'],
+        GDRIVE_UPLOAD: ['upload', 'gdrive'],
+        GDRIVE_DOWNLOAD: ['download', 'gdrive']
+    };
+    if (SYNC_ACTIONS[request.type]) {
+        const [action, forcedProvider] = SYNC_ACTIONS[request.type];
         (async () => {
             try {
-                const token = await getAuthToken(true);
-                await uploadToDrive(token, request.data);
-                sendResponse({ success: true });
+                const result = await runSyncAction(action, forcedProvider ? { ...request, provider: forcedProvider, config: undefined } : request);
+                sendResponse({ success: true, data: action === 'download' ? result : undefined });
             } catch (e) {
-                sendResponse({ success: false, error: e.message });
+                sendResponse({ success: false, error: e.message, code: e.code, origins: e.origins });
             }
         })();
         return true;
     }
     
-    // 从 Google Drive 下载（未登录时自动触发登录）
-    if (request.type === 'GDRIVE_DOWNLOAD') {
-        (async () => {
-            try {
-                const token = await getAuthToken(true);
-                const data = await downloadFromDrive(token);
-                sendResponse({ success: true, data });
-            } catch (e) {
-                sendResponse({ success: false, error: e.message });
-            }
-        })();
+    // 立即执行一次三方合并同步（手动触发，允许登录交互）
+    if (request.type === 'SYNC_NOW') {
+        runAutoSync({ interactive: true })
+            .then(result => sendResponse({ success: true, data: result }))
+            .catch(e => sendResponse({ success: false, error: e.message, code: e.code, origins: e.origins }));
         return true;
     }
     
+    // 更换加密密码 / 开关加密（云端备份按新设置重新封装后才保存新密码）
+    if (request.type === 'SYNC_REKEY') {
+        rekeyCloudBackup(request.passphrase || null)
+            .then(() => sendResponse({ success: true }))
+            .catch(e => sendResponse({ success: false, error: e.message, code: e.code, origins: e.origins }));
+        return true;
+    }
+    
+    // --- 备份快照 ---
+    
+    const SNAPSHOT_ACTIONS = {
+        SNAPSHOT_LIST: () => listSnapshots(request.source),
+        SNAPSHOT_GET: () => getSnapshot(request.source, request.id),
+        SNAPSHOT_CREATE: () => createLocalSnapshot(request.reason || 'manual')
+    };
+    if (SNAPSHOT_ACTIONS[request.type]) {
+        SNAPSHOT_ACTIONS[request.type]()
+            .then(data => sendResponse({ success: true, data }))
+            .catch(e => sendResponse({ success: false, error: e.message, code: e.code, origins: e.origins }));
+        return true;
+    }
+    
+    // --- Runner SQL 数据库 ---
+    
+    const RUNNER_SQL_ACTIONS = {
+        RUNNER_SQL_LIST: () => listRunnerSqlDatabases(),
+        RUNNER_SQL_GET: () => getRunnerSqlDatabase(request.name),
+        RUNNER_SQL_SAVE: () => putRunnerSqlDatabase(request.name, request.data),
+        RUNNER_SQL_DELETE: () => deleteRunnerSqlDatabase(request.name)
+    };
+    if (RUNNER_SQL_ACTIONS[request.type]) {
+        RUNNER_SQL_ACTIONS[request.type]()
+            .then(data => sendResponse({ success: true, data }))
+            .catch(e => sendResponse({ success: false, error: e.message }));
+        return true;
+    }
+    
+    // --- 搜索索引 ---
+    
+    const SEARCH_INDEX_ACTIONS = {
+        SEARCH_INDEX_QUERY: () => searchIndexManager.search(request.query, request.options || {}),
+        SEARCH_INDEX_STATS: () => searchIndexManager.getStats(),
+        SEARCH_INDEX_IDLE: () => searchIndexManager.whenIdle()
+    };
+    if (SEARCH_INDEX_ACTIONS[request.type]) {
+        SEARCH_INDEX_ACTIONS[request.type]()
+            .then(data => sendResponse({ success: true, data }))
+            .catch(e => sendResponse({ success: false, error: e.message }));
+        return true;
+    }
+    
+    // 打开授权页面（内容脚本无法调用 permissions.request）
+    if (request.type === 'SYNC_REQUEST_PERMISSION') {
+        const origins = encodeURIComponent(JSON.stringify(request.origins || []));
+        chrome.tabs.create({ url: chrome.runtime.getURL(`popup/sync-permission.html?origins=${origins}`) });
+        sendResponse({ success: true });
+        return;
+    }
+    
     // --- 旧功能：图片获取（CORS 绕过）---
     
     if (request.type === 'FETCH_IMAGE') {
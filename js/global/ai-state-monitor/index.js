@@ -58,6 +58,14 @@ class AIStateMonitor {
         return this._generating;
     }
 
+    /**
+     * 是否正在监控（当前页面的适配器支持检测生成状态）
+     * @returns {boolean}
+     */
+    get isRunning() {
+        return !!this._adapter;
+    }
+
     /**
      * 启动监控
      * @param {Object} adapter - 平台适配器（需实现 isAIGenerating 方法）
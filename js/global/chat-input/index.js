@@ -0,0 +1,272 @@
+/**
+ * Global Chat Input Manager - AI 平台输入框操作
+ *
+ * 向当前平台的输入框追加文字，并可模拟 Enter 发送。输入框选择器来自智能输入框的平台适配器
+ * （smartEnterAdapterRegistry），兼容 textarea、contenteditable 和 Slate 编辑器。
+ *
+ * 使用场景：
+ * - 引用回复（QuickAsk）
+ * - 代码运行器的「让 AI 修复」
+ */
+
+class GlobalChatInputManager {
+    /**
+     * 查找当前平台的输入框（选择器来自智能输入框的平台适配器）
+     * @returns {HTMLElement|null}
+     */
+    findInput() {
+        try {
+            const adapter = window.smartEnterAdapterRegistry?.getAdapter?.();
+            const selector = adapter?.getInputSelector?.();
+            if (!selector) return null;
+            const elements = document.querySelectorAll(selector);
+            for (const el of elements) {
+                if (el && this._isVisible(el)) {
+                    return el;
+                }
+            }
+        } catch (e) {
+            console.debug('[ChatInput] adapter selector failed', e);
+        }
+        return null;
+    }
+    
+    /**
+     * 检查元素是否可见
+     */
+    _isVisible(el) {
+        if (!el) return false;
+        const style = window.getComputedStyle(el);
+        return style.display !== 'none' && 
+               style.visibility !== 'hidden' && 
+               style.opacity !== '0';
+    }
+    
+    /**
+     * 插入文字到输入框（追加到已有内容之后，新旧内容间隔一个空行）
+     * @param {string} text
+     * @returns {HTMLElement|null} 输入框，未找到时为 null
+     */
+    insert(text) {
+        // 尝试获取输入框
+        const inputElement = this.findInput();
+        
+        if (!inputElement) {
+            console.warn('[ChatInput] 未找到输入框');
+            return null;
+        }
+        
+        // 滚动到输入框位置
+        inputElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        
+        // 聚焦输入框
+        inputElement.focus();
+        
+        if (inputElement.isContentEditable) {
+            // contenteditable 处理：使用 insertText 追加，避免替换整个内容导致框架重新格式化
+            inputElement.focus();
+            
+            // 移动光标到末尾 - 需要定位到最深层的文本节点
+            const selection = window.getSelection();
+            const range = document.createRange();
+            
+            // 查找最后一个可编辑位置
+            let targetNode = inputElement;
+            let targetOffset = 0;
+            
+            // 递归查找最后一个叶子节点
+            const findLastLeaf = (node) => {
+                if (node.nodeType === Node.TEXT_NODE) {
+                    return { node, offset: node.textContent.length };
+                }
+                if (node.childNodes.length > 0) {
+                    // 从后向前找非空节点
+                    for (let i = node.childNodes.length - 1; i >= 0; i--) {
+                        const child = node.childNodes[i];
+                        // 跳过空文本节点
+                        if (child.nodeType === Node.TEXT_NODE && child.textContent === '') continue;
+                        const result = findLastLeaf(child);
+                        if (result) return result;
+                    }
+                }
+                // 如果没有子节点或都是空的，返回当前节点
+                return { node, offset: node.childNodes.length };
+            };
+            
+            const lastLeaf = findLastLeaf(inputElement);
+            targetNode = lastLeaf.node;
+            targetOffset = lastLeaf.offset;
+            
+            try {
+                range.setStart(targetNode, targetOffset);
+                range.setEnd(targetNode, targetOffset);
+                selection.removeAllRanges();
+                selection.addRange(range);
+            } catch (e) {
+                // 回退到原来的方式
+                range.selectNodeContents(inputElement);
+                range.collapse(false);
+                selection.removeAllRanges();
+                selection.addRange(range);
+            }
+            
+            // 配置：空行数（1个空行 = 2个换行符）
+            const separatorBlankLines = 1;  // 新旧内容之间的空行数
+            const trailingBlankLines = 1;   // 追加内容末尾的空行数
+            
+            const existingText = inputElement.innerText || '';
+            const hasContent = existingText.trim().length > 0;
+            
+            let separator = '';
+            if (hasContent) {
+                // 检查末尾已有的空行数（换行符数 - 1 = 空行数）
+                const trailingMatch = existingText.match(/\n+$/);
+                const existingNewlines = trailingMatch ? trailingMatch[0].length : 0;
+                const existingBlankLines = Math.max(0, existingNewlines - 1);
+                
+                // 计算需要补充多少空行才能达到目标
+                const needBlankLines = Math.max(0, separatorBlankLines - existingBlankLines);
+                // 空行数 + 1 = 换行符数（至少需要 1 个换行符来换行）
+                separator = existingNewlines === 0 
+                    ? '\n'.repeat(separatorBlankLines + 1)  // 没有换行，加完整的
+                    : '\n'.repeat(needBlankLines);          // 有换行，补差值
+            }
+            
+            const trailing = '\n'.repeat(trailingBlankLines + 1);
+            const appendText = separator + text + trailing;
+            
+            // Slate.js 编辑器：使用粘贴模拟（execCommand 和 DOM 操作都无法同步 Slate 内部状态）
+            const isSlateEditor = inputElement.hasAttribute('data-slate-editor');
+
+            if (isSlateEditor) {
+                const slateText = hasContent ? ('\n' + text + '\n') : text + '\n';
+
+                const slateRange = document.createRange();
+                slateRange.selectNodeContents(inputElement);
+                if (hasContent) {
+                    slateRange.collapse(false);
+                }
+                const slateSel = window.getSelection();
+                slateSel.removeAllRanges();
+                slateSel.addRange(slateRange);
+
+                const dt = new DataTransfer();
+                dt.setData('text/plain', slateText);
+                inputElement.dispatchEvent(new ClipboardEvent('paste', {
+                    clipboardData: dt, bubbles: true, cancelable: true
+                }));
+            } else {
+                // 非 Slate 编辑器：尝试 execCommand，失败则 DOM 操作
+                let insertSuccess = false;
+                const beforeLength = inputElement.innerText?.length || 0;
+
+                const execResult = document.execCommand('insertText', false, appendText);
+                const afterExecLength = inputElement.innerText?.length || 0;
+
+                if (execResult && afterExecLength > beforeLength) {
+                    insertSuccess = true;
+                }
+
+                if (!insertSuccess) {
+                    try {
+                        if (targetNode.nodeType === Node.TEXT_NODE) {
+                            const originalText = targetNode.textContent;
+                            targetNode.textContent = originalText + appendText;
+                            insertSuccess = true;
+                        } else {
+                            const textNode = document.createTextNode(appendText);
+                            if (targetNode === inputElement) {
+                                inputElement.appendChild(textNode);
+                            } else {
+                                targetNode.parentNode.insertBefore(textNode, targetNode.nextSibling);
+                            }
+                            insertSuccess = true;
+                        }
+
+                        inputElement.dispatchEvent(new Event('input', { bubbles: true, cancelable: true }));
+                        inputElement.dispatchEvent(new Event('change', { bubbles: true, cancelable: true }));
+                    } catch (domError) {
+                        console.error('[ChatInput] DOM manipulation failed:', domError);
+                    }
+                }
+            }
+            
+            // 延迟设置焦点、光标和滚动
+            setTimeout(() => {
+                inputElement.focus();
+                
+                // 设置光标到末尾（contenteditable 需要 selection 才能显示光标）
+                const selection = window.getSelection();
+                const range = document.createRange();
+                range.selectNodeContents(inputElement);
+                range.collapse(false);
+                selection.removeAllRanges();
+                selection.addRange(range);
+                
+                inputElement.scrollTop = inputElement.scrollHeight;
+            }, 100);
+        } else {
+            // textarea 或 input 处理：内联文本追加逻辑
+            const existingText = inputElement.value || '';
+            let finalText;
+            if (!existingText.trim()) {
+                finalText = text + '\n\n';
+            } else {
+                // 清理末尾换行符，添加1个空行（2个换行符）作为分隔
+                const cleanedText = existingText.replace(/\n+$/, '');
+                finalText = cleanedText + '\n\n' + text + '\n\n';
+            }
+            inputElement.value = finalText;
+            inputElement.selectionStart = inputElement.selectionEnd = inputElement.value.length;
+            
+            // 触发 input 事件
+            inputElement.dispatchEvent(new Event('input', { bubbles: true }));
+            
+            // 延迟设置焦点和滚动
+            setTimeout(() => {
+                inputElement.focus();
+                inputElement.selectionStart = inputElement.selectionEnd = inputElement.value.length;
+                inputElement.scrollTop = inputElement.scrollHeight;
+            }, 50);
+        }
+        
+        return inputElement;
+    }
+    
+    /**
+     * 发送输入框中的内容
+     * 模拟 Enter 键由平台原生处理；开启了智能 Enter 时交给它放行，避免被当作换行
+     * @param {HTMLElement} inputElement
+     * @returns {boolean} 是否已触发发送
+     */
+    send(inputElement = this.findInput()) {
+        if (!inputElement) return false;
+        
+        const smartEnter = window.smartEnterManager;
+        if (smartEnter?.send) {
+            return smartEnter.send(inputElement);
+        }
+        
+        const adapter = window.smartEnterAdapterRegistry?.getAdapter?.();
+        if (adapter && !adapter.canSend(inputElement)) {
+            return false;
+        }
+        
+        inputElement.focus();
+        inputElement.dispatchEvent(new KeyboardEvent('keydown', {
+            key: 'Enter',
+            code: 'Enter',
+            keyCode: 13,
+            which: 13,
+            bubbles: true,
+            cancelable: true
+        }));
+        return true;
+    }
+}
+
+// ==================== 全局单例初始化 ====================
+
+if (typeof window.globalChatInputManager === 'undefined') {
+    window.globalChatInputManager = new GlobalChatInputManager();
+}
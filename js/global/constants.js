@@ -344,14 +344,18 @@ function platformSupportsFeature(platformId, feature) {
  * @property {string} name - 显示名称
  * @property {string} mode - CodeMirror 语法模式
  * @property {string} storageKey - 存储开关状态的 key
+ * @property {boolean} [stdin] - 支持标准输入（预填输入 / 交互输入）
+ * @property {boolean} [test] - 支持测试模式（运行 test_* 函数 / describe-it 测试并显示测试报告）
  */
 const RUNNER_LANGUAGES = [
-    { id: 'javascript', name: 'JavaScript', mode: 'javascript', storageKey: 'runnerJsEnabled', runnerClass: 'JavaScriptRunner', hljsLang: 'javascript' },
-    { id: 'typescript', name: 'TypeScript', mode: 'javascript', storageKey: 'runnerTypeScriptEnabled', runnerClass: 'TypeScriptRunner', hljsLang: 'typescript' },
-    { id: 'python', name: 'Python', mode: 'python', storageKey: 'runnerPythonEnabled', runnerClass: 'PythonRunner', hljsLang: 'python' },
+    { id: 'javascript', name: 'JavaScript', mode: 'javascript', storageKey: 'runnerJsEnabled', runnerClass: 'JavaScriptRunner', hljsLang: 'javascript', test: true },
+    { id: 'typescript', name: 'TypeScript', mode: 'javascript', storageKey: 'runnerTypeScriptEnabled', runnerClass: 'TypeScriptRunner', hljsLang: 'typescript', test: true },
+    { id: 'python', name: 'Python', mode: 'python', storageKey: 'runnerPythonEnabled', runnerClass: 'PythonRunner', hljsLang: 'python', stdin: true, test: true },
     { id: 'sql', name: 'SQL', mode: 'sql', storageKey: 'runnerSQLEnabled', runnerClass: 'SQLRunner', hljsLang: 'sql' },
-    { id: 'lua', name: 'Lua', mode: 'lua', storageKey: 'runnerLuaEnabled', runnerClass: 'LuaRunner', hljsLang: 'lua' },
-    { id: 'ruby', name: 'Ruby', mode: 'ruby', storageKey: 'runnerRubyEnabled', runnerClass: 'RubyRunner', hljsLang: 'ruby' },
+    { id: 'lua', name: 'Lua', mode: 'lua', storageKey: 'runnerLuaEnabled', runnerClass: 'LuaRunner', hljsLang: 'lua', stdin: true },
+    { id: 'ruby', name: 'Ruby', mode: 'ruby', storageKey: 'runnerRubyEnabled', runnerClass: 'RubyRunner', hljsLang: 'ruby', stdin: true },
+    { id: 'go', name: 'Go', mode: 'go', storageKey: 'runnerGoEnabled', runnerClass: 'GoRunner', hljsLang: 'go', stdin: true },
+    { id: 'cpp', name: 'C/C++', mode: 'text/x-c++src', storageKey: 'runnerCppEnabled', runnerClass: 'CppRunner', hljsLang: 'cpp', stdin: true },
     { id: 'html', name: 'HTML', mode: 'htmlmixed', storageKey: 'runnerHtmlEnabled', runnerClass: 'HtmlRunner', hljsLang: 'xml' },
     { id: 'json', name: 'JSON', mode: 'javascript', storageKey: 'runnerJsonEnabled', runnerClass: 'JsonRunner', hljsLang: 'json' },
     { id: 'markdown', name: 'Markdown', mode: 'markdown', storageKey: 'runnerMarkdownEnabled', runnerClass: 'MarkdownRunner', hljsLang: 'markdown' },
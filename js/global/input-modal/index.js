@@ -60,6 +60,7 @@ class GlobalInputModal {
      * @param {string} options.title - 对话框标题（必填）
      * @param {string} options.defaultValue - 默认输入值
      * @param {string} options.placeholder - 输入框占位符
+     * @param {string} options.inputType - 输入框类型：'text'(默认) | 'password'
      * @param {boolean} options.required - 是否必填（默认 false）
      * @param {string} options.requiredMessage - 必填验证失败消息
      * @param {number} options.maxLength - 最大长度（默认 100）
@@ -87,6 +88,7 @@ class GlobalInputModal {
                 title: options.title,
                 defaultValue: options.defaultValue || '',
                 placeholder: options.placeholder || chrome.i18n.getMessage('zmxvkp'),
+                inputType: options.inputType === 'password' ? 'password' : 'text',
                 required: options.required !== undefined ? options.required : false,
                 requiredMessage: options.requiredMessage || chrome.i18n.getMessage('pzmkvx'),
                 maxLength: options.maxLength || this.config.defaultMaxLength,
@@ -151,7 +153,7 @@ class GlobalInputModal {
                 </div>
                 <div class="global-input-modal-body">
                     <input 
-                        type="text" 
+                        type="${config.inputType}" 
                         class="global-input-modal-input" 
                         placeholder="${escapeHTML(config.placeholder)}" 
                         value="${escapeHTML(config.defaultValue)}" 
@@ -0,0 +1,86 @@
+/**
+ * Search Index Client - 内容脚本中的搜索索引查询入口
+ *
+ * 索引由 background service worker 中的 SearchIndexManager 维护（扩展 origin 的 IndexedDB），
+ * 内容脚本通过 SEARCH_INDEX_* 消息查询，索引内容不会落到宿主页面的 origin。
+ * 查询失败时返回空结果（与索引不可用时的行为一致）。
+ *
+ * 使用方式：
+ * const { results, terms } = await window.searchIndexClient.search('关键词', { types: ['star'] });
+ */
+
+const SearchIndexClient = {
+    SOURCES: SearchIndexManager.SOURCES,
+
+    async _send(message) {
+        const resp = await chrome.runtime.sendMessage(message);
+        if (!resp?.success) {
+            throw new Error(resp?.error || 'Search index unavailable');
+        }
+        return resp.data;
+    },
+
+    /**
+     * 搜索索引
+     * @param {string} query - 关键词（空格分隔多个词，需全部命中）
+     * @param {Object} options - { types, limit }，同 SearchIndexManager.search
+     * @returns {Promise<{results: Array, terms: Array<string>}>}
+     */
+    async search(query, options = {}) {
+        const terms = SearchIndexManager.splitTerms(query);
+        try {
+            const results = await this._send({ type: 'SEARCH_INDEX_QUERY', query, options });
+            return { results: results || [], terms };
+        } catch (e) {
+            console.error('[SearchIndexClient] Search failed:', e);
+            return { results: [], terms };
+        }
+    },
+
+    /**
+     * 各类型文档数量
+     * @returns {Promise<Object>} { star, note, highlight, total }
+     */
+    async getStats() {
+        try {
+            return await this._send({ type: 'SEARCH_INDEX_STATS' });
+        } catch (e) {
+            console.error('[SearchIndexClient] Stats failed:', e);
+            return { star: 0, note: 0, highlight: 0, total: 0 };
+        }
+    },
+
+    /**
+     * 等待 background 中排队的索引更新完成
+     * @returns {Promise<void>}
+     */
+    async whenIdle() {
+        try {
+            await this._send({ type: 'SEARCH_INDEX_IDLE' });
+        } catch (e) {
+            // 索引不可用时由后续查询返回空结果
+        }
+    },
+
+    /**
+     * 删除旧版本在宿主页面 origin 中创建的索引库
+     */
+    removeLegacyDatabase() {
+        try {
+            indexedDB.deleteDatabase(SearchIndexManager.DB_NAME);
+        } catch (e) {
+            // 页面禁用 IndexedDB 时忽略
+        }
+    }
+};
+
+// ✅ 组件自治：脚本加载时创建单例，空闲时清理旧版本的站点内索引
+if (typeof window.searchIndexClient === 'undefined') {
+    window.searchIndexClient = SearchIndexClient;
+    const cleanUp = () => SearchIndexClient.removeLegacyDatabase();
+    if (typeof requestIdleCallback === 'function') {
+        requestIdleCallback(cleanUp, { timeout: 5000 });
+    } else {
+        setTimeout(cleanUp, 2000);
+    }
+}
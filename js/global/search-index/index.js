@@ -0,0 +1,485 @@
+/**
+ * Search Index Manager - 跨对话本地搜索索引
+ *
+ * 将分散在各功能中的本地数据统一建立索引，支持混合搜索：
+ * - 收藏（StarStorageManager，chatTimelineStars）
+ * - 闪记（NotepadManager，aitNotepadNotes）
+ * - 高亮（HighlightManager，highlightData，按页面 URL 分组）
+ *
+ * 存储：IndexedDB（ait-search-index / docs），每条文档带 tokens 多值索引（倒排）
+ * - 拉丁单词按每个位置起的后缀（最长 INDEX_TOKEN_LENGTH 个字符）建索引，词中间的片段也能前缀命中
+ * - 每条文档最多 MAX_DOC_TOKENS 个 token，超出的长文档标记 partial，查询时始终作为候选在内存中校验
+ * 更新：
+ * - 初始化时与 chrome.storage 对账（sig 不同才重写），补齐 service worker 休眠期间的变化
+ * - 运行期间通过 chrome.storage.onChanged 增量更新
+ *
+ * ⚠️ 只在 background service worker 中运行（IndexedDB 属于扩展 origin）。
+ *    内容脚本的 IndexedDB 属于宿主页面 origin，页面脚本可以读取，不能存放跨站点的收藏、闪记和高亮；
+ *    内容脚本通过 client.js（SEARCH_INDEX_* 消息）查询。
+ *
+ * 使用方式（background）：
+ * await searchIndexManager.search('关键词', { types: ['star'] });
+ */
+
+// CJK 字符集（按字切分，不依赖空格分词）
+const SEARCH_INDEX_CJK = '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Hangul}';
+
+class SearchIndexManager {
+    static DB_NAME = 'ait-search-index';
+
+    // 数据源：storage key → 文档类型
+    static SOURCES = {
+        chatTimelineStars: 'star',
+        aitNotepadNotes: 'note',
+        highlightData: 'highlight'
+    };
+
+    /**
+     * 拆分关键词（小写，空格分隔）
+     * @param {string} query
+     * @returns {Array<string>}
+     */
+    static splitTerms(query) {
+        return (query || '').toLowerCase().split(/\s+/).map(t => t.trim()).filter(Boolean);
+    }
+
+    constructor() {
+        this.DB_VERSION = 1;
+        this.STORE_NAME = 'docs';
+
+        this.MAX_RESULTS = 100;
+        this.INDEX_TOKEN_LENGTH = 16;  // 后缀 token 的最大长度，查询时截取同样长度做前缀匹配
+        this.MAX_DOC_TOKENS = 256;     // 每条文档的 token 上限，避免长闪记的后缀成倍放大索引
+
+        this._db = null;
+        this._readyPromise = null;
+        this._queue = Promise.resolve();  // 写操作串行化，避免增量更新互相覆盖
+        this._listening = false;
+        this._boundOnStorageChange = this._onStorageChange.bind(this);
+    }
+
+    /**
+     * 初始化（幂等）：打开数据库、全量对账、开始监听变化
+     * @returns {Promise<boolean>} 是否可用
+     */
+    ensureReady() {
+        if (!this._readyPromise) {
+            this._readyPromise = (async () => {
+                try {
+                    this._db = await this._openDB();
+                    if (!this._listening) {
+                        chrome.storage.onChanged.addListener(this._boundOnStorageChange);
+                        this._listening = true;
+                    }
+                    await this._enqueue(() => this._reconcileAll());
+                    return true;
+                } catch (e) {
+                    console.error('[SearchIndex] Init failed:', e);
+                    this._readyPromise = null;
+                    return false;
+                }
+            })();
+        }
+        return this._readyPromise;
+    }
+
+    // ==================== 查询 ====================
+
+    /**
+     * 搜索索引
+     * @param {string} query - 关键词（空格分隔多个词，需全部命中）
+     * @param {Object} options
+     * @param {Array<string>} options.types - 限定类型（'star' | 'note' | 'highlight'），默认全部
+     * @param {number} options.limit - 最大结果数
+     * @returns {Promise<Array>} 按相关度 + 时间排序的文档（不含 tokens）
+     */
+    async search(query, { types = null, limit = this.MAX_RESULTS } = {}) {
+        if (!(await this.ensureReady())) return [];
+        await this.whenIdle();
+
+        const terms = SearchIndexManager.splitTerms(query);
+        if (terms.length === 0) return [];
+
+        const candidates = await this._getCandidates(terms);
+        const results = [];
+        for (const doc of candidates) {
+            if (types && !types.includes(doc.type)) continue;
+            if (!terms.every(t => doc.text.includes(t))) continue;
+            const { tokens, ...result } = doc;
+            results.push({ ...result, score: this._score(doc, terms) });
+        }
+
+        results.sort((a, b) => (b.score - a.score) || ((b.timestamp || 0) - (a.timestamp || 0)));
+        return results.slice(0, limit);
+    }
+
+    /**
+     * 候选集：所有词的每个 token 前缀命中的文档取交集（超集），再加上 partial 文档，是否包含关键词在内存中校验
+     * 关键词中没有可索引的字符（如纯符号）时取全部文档
+     * @returns {Promise<Array>}
+     */
+    async _getCandidates(terms) {
+        const keys = new Set();
+        terms.forEach(term => {
+            this._tokenize(term).forEach(token => keys.add(token.slice(0, this.INDEX_TOKEN_LENGTH)));
+        });
+        if (keys.size === 0) return this._getAll();
+
+        // 长 token 命中的文档少，先查以尽早缩小交集
+        let candidates = null;
+        for (const key of Array.from(keys).sort((a, b) => b.length - a.length)) {
+            const docs = await this._getByTokenPrefix(key);
+            candidates = new Map(docs
+                .filter(doc => !candidates || candidates.has(doc.id))
+                .map(doc => [doc.id, doc]));
+            if (candidates.size === 0) break;
+        }
+        (await this._getPartial()).forEach(doc => candidates.set(doc.id, doc));
+        return Array.from(candidates.values());
+    }
+
+    /**
+     * 各类型文档数量
+     * @returns {Promise<Object>} { star, note, highlight, total }
+     */
+    async getStats() {
+        const stats = { star: 0, note: 0, highlight: 0, total: 0 };
+        if (!(await this.ensureReady())) return stats;
+        await this.whenIdle();
+
+        const store = this._db.transaction(this.STORE_NAME, 'readonly').objectStore(this.STORE_NAME);
+        const index = store.index('type');
+        await Promise.all(Object.keys(stats).filter(k => k !== 'total').map(async (type) => {
+            stats[type] = await this._request(index.count(type));
+        }));
+        stats.total = stats.star + stats.note + stats.highlight;
+        return stats;
+    }
+
+    /**
+     * 等待排队中的索引更新完成
+     * @returns {Promise<void>}
+     */
+    whenIdle() {
+        return this._queue;
+    }
+
+    /**
+     * 清空并重建索引
+     */
+    async rebuild() {
+        if (!(await this.ensureReady())) return;
+        await this._enqueue(async () => {
+            const tx = this._db.transaction(this.STORE_NAME, 'readwrite');
+            tx.objectStore(this.STORE_NAME).clear();
+            await this._txDone(tx);
+            await this._reconcileAll();
+        });
+    }
+
+    // ==================== 索引更新 ====================
+
+    _onStorageChange(changes, areaName) {
+        if (areaName && areaName !== 'local') return;
+        for (const [key, type] of Object.entries(SearchIndexManager.SOURCES)) {
+            if (!changes[key]) continue;
+            const docs = this._buildDocs(type, changes[key].newValue);
+            this._enqueue(() => this._syncType(type, docs));
+        }
+    }
+
+    async _reconcileAll() {
+        const keys = Object.keys(SearchIndexManager.SOURCES);
+        const data = await new Promise((resolve) => {
+            chrome.storage.local.get(keys, (result) => resolve(result || {}));
+        });
+        for (const key of keys) {
+            const type = SearchIndexManager.SOURCES[key];
+            await this._syncType(type, this._buildDocs(type, data[key]));
+        }
+    }
+
+    /**
+     * 将某一类型的文档集与索引对齐：新增/变更的写入，已删除的移除
+     */
+    async _syncType(type, docs) {
+        const existing = await this._getSigsByType(type);
+        const nextIds = new Set();
+
+        const tx = this._db.transaction(this.STORE_NAME, 'readwrite');
+        const store = tx.objectStore(this.STORE_NAME);
+        for (const doc of docs) {
+            nextIds.add(doc.id);
+            if (existing.get(doc.id) !== doc.sig) store.put(doc);
+        }
+        for (const id of existing.keys()) {
+            if (!nextIds.has(id)) store.delete(id);
+        }
+        await this._txDone(tx);
+    }
+
+    // ==================== 文档构建 ====================
+
+    /**
+     * 将存储数据转换为索引文档
+     * @param {string} type - 文档类型
+     * @param {*} value - 对应 storage key 的值
+     * @returns {Array<Object>}
+     */
+    _buildDocs(type, value) {
+        const docs = [];
+
+        if (type === 'star' && Array.isArray(value)) {
+            value.forEach(item => {
+                if (!item?.key) return;
+                const url = item.url || `https://${item.urlWithoutProtocol}`;
+                const nodeKey = item.nodeId !== undefined ? item.nodeId : item.index;
+                docs.push(this._makeDoc({
+                    id: `star:${item.key}`,
+                    type,
+                    title: item.question || chrome.i18n.getMessage('searchEverythingWholeChat') || '整个对话',
+                    body: '',
+                    url,
+                    timestamp: item.timestamp || 0,
+                    ref: { key: item.key, nodeKey: nodeKey === undefined ? -1 : nodeKey }
+                }));
+            });
+        } else if (type === 'note' && Array.isArray(value)) {
+            value.forEach(note => {
+                const content = (note?.content || '').trim();
+                if (!note?.id || !content) return;
+                const lines = content.split('\n').filter(l => l.trim());
+                docs.push(this._makeDoc({
+                    id: `note:${note.id}`,
+                    type,
+                    title: lines[0].trim(),
+                    body: lines.slice(1).join('\n'),
+                    url: '',
+                    timestamp: note.updatedAt || 0,
+                    ref: { noteId: note.id }
+                }));
+            });
+        } else if (type === 'highlight' && value && typeof value === 'object') {
+            Object.entries(value).forEach(([pageUrl, list]) => {
+                if (!Array.isArray(list)) return;
+                list.forEach(hl => {
+                    if (!hl?.id || !hl.text) return;
+                    docs.push(this._makeDoc({
+                        id: `highlight:${hl.id}`,
+                        type,
+                        title: hl.text,
+                        body: hl.annotation || '',
+                        url: pageUrl,
+                        timestamp: hl.createdAt || 0,
+                        ref: { highlightId: hl.id, color: hl.color || null }
+                    }));
+                });
+            });
+        }
+
+        return docs;
+    }
+
+    _makeDoc({ id, type, title, body, url, timestamp, ref }) {
+        const platform = url ? getPlatformByUrl(url) : null;
+        const text = `${title}\n${body}`.toLowerCase();
+        const { tokens, partial } = this._indexTokens(text);
+        const doc = {
+            id,
+            type,
+            title,
+            body,
+            url,
+            platformId: platform?.id || null,
+            timestamp,
+            ref,
+            text,
+            tokens
+        };
+        if (partial) doc.partial = 1;
+        doc.sig = this._hash(JSON.stringify([title, body, url, timestamp, ref]));
+        return doc;
+    }
+
+    // ==================== 分词与打分 ====================
+
+    /**
+     * 分词：拉丁字母/数字按单词切分，CJK 按单字 + 双字切分
+     * @param {string} text - 小写文本
+     * @returns {Array<string>}
+     */
+    _tokenize(text) {
+        const tokens = [];
+        const re = new RegExp(`[${SEARCH_INDEX_CJK}]+|(?:(?![${SEARCH_INDEX_CJK}])[\\p{L}\\p{N}_])+`, 'gu');
+        const cjkRe = new RegExp(`^[${SEARCH_INDEX_CJK}]`, 'u');
+        let m;
+        while ((m = re.exec(text))) {
+            const word = m[0];
+            if (!cjkRe.test(word)) {
+                tokens.push(word);
+                continue;
+            }
+            const chars = Array.from(word);
+            for (let i = 0; i < chars.length; i++) {
+                tokens.push(chars[i]);
+                if (i + 1 < chars.length) tokens.push(chars[i] + chars[i + 1]);
+            }
+        }
+        return tokens;
+    }
+
+    /**
+     * 索引 token：拉丁单词取每个位置起的后缀（截断到 INDEX_TOKEN_LENGTH），
+     * 查询词只要是单词的任意片段，就是某个后缀的前缀；CJK 的单字 + 双字已覆盖任意位置
+     * 超出 MAX_DOC_TOKENS 时停止添加并标记 partial（整词优先加入，保证前缀查询尽量命中）
+     * @param {string} text - 小写文本
+     * @returns {{tokens: Array<string>, partial: boolean}}
+     */
+    _indexTokens(text) {
+        const words = this._tokenize(text);
+        const cjkRe = new RegExp(`^[${SEARCH_INDEX_CJK}]`, 'u');
+        const tokens = new Set();
+        const add = (token) => {
+            if (tokens.has(token)) return true;
+            if (tokens.size >= this.MAX_DOC_TOKENS) return false;
+            tokens.add(token);
+            return true;
+        };
+
+        let partial = !words.every(word => add(word.slice(0, this.INDEX_TOKEN_LENGTH)));
+        for (const word of words) {
+            if (partial) break;
+            if (cjkRe.test(word)) continue;
+            const chars = Array.from(word);
+            for (let i = 1; i < chars.length; i++) {
+                if (!add(chars.slice(i, i + this.INDEX_TOKEN_LENGTH).join(''))) {
+                    partial = true;
+                    break;
+                }
+            }
+        }
+        return { tokens: Array.from(tokens), partial };
+    }
+
+    _score(doc, terms) {
+        const title = doc.title.toLowerCase();
+        let score = 0;
+        for (const term of terms) {
+            if (title.startsWith(term)) score += 3;
+            else if (title.includes(term)) score += 2;
+            else score += 1;
+        }
+        return score;
+    }
+
+    _hash(str) {
+        let h = 0;
+        for (let i = 0; i < str.length; i++) {
+            h = ((h << 5) - h + str.charCodeAt(i)) | 0;
+        }
+        return h.toString(36);
+    }
+
+    // ==================== IndexedDB ====================
+
+    _openDB() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB not available'));
+                return;
+            }
+            const req = indexedDB.open(SearchIndexManager.DB_NAME, this.DB_VERSION);
+            req.onupgradeneeded = () => {
+                const db = req.result;
+                if (!db.objectStoreNames.contains(this.STORE_NAME)) {
+                    const store = db.createObjectStore(this.STORE_NAME, { keyPath: 'id' });
+                    store.createIndex('type', 'type', { unique: false });
+                    store.createIndex('tokens', 'tokens', { unique: false, multiEntry: true });
+                    store.createIndex('partial', 'partial', { unique: false });
+                }
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    async _getSigsByType(type) {
+        const sigs = new Map();
+        const store = this._db.transaction(this.STORE_NAME, 'readonly').objectStore(this.STORE_NAME);
+        await new Promise((resolve, reject) => {
+            const req = store.index('type').openCursor(IDBKeyRange.only(type));
+            req.onsuccess = () => {
+                const cursor = req.result;
+                if (!cursor) { resolve(); return; }
+                sigs.set(cursor.value.id, cursor.value.sig);
+                cursor.continue();
+            };
+            req.onerror = () => reject(req.error);
+        });
+        return sigs;
+    }
+
+    async _getByTokenPrefix(token) {
+        const store = this._db.transaction(this.STORE_NAME, 'readonly').objectStore(this.STORE_NAME);
+        const range = IDBKeyRange.bound(token, token + '\uffff');
+        const docs = new Map();
+        await new Promise((resolve, reject) => {
+            const req = store.index('tokens').openCursor(range);
+            req.onsuccess = () => {
+                const cursor = req.result;
+                if (!cursor) { resolve(); return; }
+                docs.set(cursor.value.id, cursor.value);
+                cursor.continue();
+            };
+            req.onerror = () => reject(req.error);
+        });
+        return Array.from(docs.values());
+    }
+
+    async _getPartial() {
+        const store = this._db.transaction(this.STORE_NAME, 'readonly').objectStore(this.STORE_NAME);
+        return this._request(store.index('partial').getAll(1));
+    }
+
+    async _getAll() {
+        const store = this._db.transaction(this.STORE_NAME, 'readonly').objectStore(this.STORE_NAME);
+        return this._request(store.getAll());
+    }
+
+    _request(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    _txDone(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    _enqueue(task) {
+        const run = this._queue.then(task, task);
+        this._queue = run.catch((e) => console.error('[SearchIndex] Update failed:', e));
+        return run;
+    }
+
+    destroy() {
+        if (this._listening) {
+            chrome.storage.onChanged.removeListener(this._boundOnStorageChange);
+            this._listening = false;
+        }
+        if (this._db) {
+            this._db.close();
+            this._db = null;
+        }
+        this._readyPromise = null;
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.SearchIndexManager = SearchIndexManager;
+}
@@ -0,0 +1,116 @@
+/**
+ * Sync Crypto - 云备份端到端加密
+ *
+ * 同时被内容脚本（DataSyncTab 导入加密文件）和 background（同步上传/下载）加载，
+ * 只依赖 WebCrypto，不访问 window / chrome。
+ *
+ * 算法：PBKDF2-SHA256 由密码派生 256 位密钥，AES-GCM 加密整个备份 JSON。
+ * 每次加密使用新的随机 salt 和 iv，与参数一起写入信封。
+ *
+ * 信封格式（version 1）：
+ * {
+ *   format: 'ait-encrypted',
+ *   version: 1,
+ *   kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt },  // salt: base64
+ *   cipher: { name: 'AES-GCM', iv },                             // iv: base64
+ *   ciphertext: '...'                                            // base64
+ * }
+ */
+
+const SyncCrypto = {
+    FORMAT: 'ait-encrypted',
+    VERSION: 1,
+    PBKDF2_ITERATIONS: 310000,
+    SALT_BYTES: 16,
+    IV_BYTES: 12,
+
+    /**
+     * 是否为加密信封
+     */
+    isEncrypted(payload) {
+        return !!payload && typeof payload === 'object' && payload.format === this.FORMAT;
+    },
+
+    /**
+     * 加密任意可 JSON 序列化的数据
+     * @param {*} payload
+     * @param {string} passphrase
+     * @returns {Promise<Object>} 加密信封
+     */
+    async encrypt(payload, passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(this.SALT_BYTES));
+        const iv = crypto.getRandomValues(new Uint8Array(this.IV_BYTES));
+        const key = await this._deriveKey(passphrase, salt, this.PBKDF2_ITERATIONS);
+        const plaintext = new TextEncoder().encode(JSON.stringify(payload));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+
+        return {
+            format: this.FORMAT,
+            version: this.VERSION,
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: this.PBKDF2_ITERATIONS, salt: this._toBase64(salt) },
+            cipher: { name: 'AES-GCM', iv: this._toBase64(iv) },
+            ciphertext: this._toBase64(new Uint8Array(ciphertext))
+        };
+    },
+
+    /**
+     * 解密信封
+     * 密码错误或数据被篡改时抛出 code = 'BAD_PASSPHRASE' 的错误
+     * @param {Object} envelope
+     * @param {string} passphrase
+     * @returns {Promise<*>} 原始数据
+     */
+    async decrypt(envelope, passphrase) {
+        if (!this.isEncrypted(envelope)) {
+            throw new Error('Not an encrypted backup');
+        }
+        if (envelope.version > this.VERSION) {
+            throw new Error(`Unsupported encrypted backup version: ${envelope.version}`);
+        }
+
+        const salt = this._fromBase64(envelope.kdf.salt);
+        const iv = this._fromBase64(envelope.cipher.iv);
+        const key = await this._deriveKey(passphrase, salt, envelope.kdf.iterations);
+
+        let plaintext;
+        try {
+            plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, this._fromBase64(envelope.ciphertext));
+        } catch {
+            const error = new Error('Incorrect passphrase');
+            error.code = 'BAD_PASSPHRASE';
+            throw error;
+        }
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    },
+
+    async _deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    },
+
+    _toBase64(bytes) {
+        let binary = '';
+        const chunk = 0x8000;
+        for (let i = 0; i < bytes.length; i += chunk) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+        }
+        return btoa(binary);
+    },
+
+    _fromBase64(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+};
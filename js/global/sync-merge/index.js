@@ -0,0 +1,464 @@
+/**
+ * Sync Merge - 同步数据合并规则
+ *
+ * 同时被内容脚本（DataSyncTab 手动导入/下载合并）和 background（自动同步）加载，
+ * 因此只依赖纯 JS，不访问 window / chrome。
+ *
+ * 提供两类合并：
+ * - 两方合并 mergeByKey：导入数据覆盖现有数据（手动导入、从云端下载）
+ * - 三方合并 merge3：以上次同步的快照为共同祖先，只在双方都修改同一条目时产生冲突
+ *
+ * 以及备份快照用的统计 summarize / 差异 diff、按数据类别筛选 filterByCategories
+ */
+
+const SyncMerge = {
+    /**
+     * 仅本地使用的 key：不导出、不上传；导入时丢弃文件中的值，覆盖导入时保留本地的值
+     */
+    LOCAL_ONLY_KEYS: ['gdriveToken', 'syncProviderConfig', 'syncPassphrase', 'runnerSQLDatabase', 'runnerHistory'],
+
+    /**
+     * 按条目合并的数组型数据
+     * - field: 唯一标识字段
+     * - kind: 冲突报告中展示的类型
+     */
+    RECORD_KEYS: {
+        chatTimelineStars: { field: 'key', kind: 'star' },
+        chatTimelinePins: { field: 'key', kind: 'pin' },
+        prompts: { field: 'id', kind: 'prompt' },
+        folders: { field: 'id', kind: 'folder' },
+        promptFolders: { field: 'id', kind: 'folder' },
+        aitNotepadNotes: { field: 'id', kind: 'note' },
+        runnerSnippets: { field: 'id', kind: 'snippet' },
+        promptChains: { field: 'id', kind: 'promptChain' }
+    },
+
+    /**
+     * 按分组存放条目的对象型数据：{ [分组]: 条目数组 }，每个分组内按条目合并
+     * （如 highlightData 按页面 URL 分组）
+     */
+    GROUPED_RECORD_KEYS: {
+        highlightData: { field: 'id', kind: 'highlight' }
+    },
+
+    /**
+     * 快照统计 / 差异的数据类别
+     * - grouped: 值为 { [分组]: 条目数组 }（如 highlightData 按页面分组）
+     */
+    SUMMARY_CATEGORIES: {
+        stars: { key: 'chatTimelineStars', field: 'key' },
+        prompts: { key: 'prompts', field: 'id' },
+        notes: { key: 'aitNotepadNotes', field: 'id' },
+        highlights: { key: 'highlightData', field: 'id', grouped: true }
+    },
+
+    /**
+     * 数据类别 → storage key（导出 / 导入 / 云同步按类别选择）
+     *
+     * 新增数据类 key 时在此登记；未登记的 key 一律归入 settings，
+     * 因此不会在按类别导出或同步时被遗漏。
+     */
+    DATA_CATEGORIES: {
+        stars: ['chatTimelineStars', 'folders', 'sidebarStarredFolderStates'],
+        pins: ['chatTimelinePins'],
+        prompts: ['prompts', 'promptFolders', 'promptChains', 'promptTemplateValues', 'promptUsage', 'promptSortMode'],
+        notes: ['aitNotepadNotes', 'aitNotepadContent', 'aitNotepadState'],
+        highlights: ['highlightData', 'highlightCustomColors', 'highlightColor', 'highlightStyle'],
+        chatTimes: ['chatTimes'],
+        snippets: ['runnerSnippets'],
+        settings: []
+    },
+
+    /**
+     * 只在这些簿记字段变化时不触发自动同步（修改照常记录，随下次定时同步上传）
+     * - chatTimes：{ [对话]: { createTime, lastVisit, nodes } }，每次进入对话都会更新 lastVisit
+     */
+    SYNC_TRIGGER_IGNORED_FIELDS: {
+        chatTimes: ['lastVisit']
+    },
+
+    /**
+     * 未登记 key 的归属类别
+     */
+    FALLBACK_CATEGORY: 'settings',
+
+    /**
+     * 是否参与导出 / 同步（`_` 前缀为内部数据）
+     */
+    isSyncableKey(key) {
+        return !key.startsWith('_') && !this.LOCAL_ONLY_KEYS.includes(key);
+    },
+
+    /**
+     * 只保留参与导出 / 同步的 key（导入时丢弃文件中的同步凭据、内部状态等）
+     * @param {Object} data - { key: value }
+     */
+    filterSyncable(data) {
+        const result = {};
+        for (const [key, value] of Object.entries(data || {})) {
+            if (this.isSyncableKey(key)) result[key] = value;
+        }
+        return result;
+    },
+
+    /**
+     * 是否只有簿记字段变化（见 SYNC_TRIGGER_IGNORED_FIELDS）
+     */
+    isBookkeepingChange(key, oldValue, newValue) {
+        const fields = this.SYNC_TRIGGER_IGNORED_FIELDS[key];
+        if (!fields || !this._isPlainObject(oldValue) || !this._isPlainObject(newValue)) return false;
+        const strip = (value) => {
+            const result = {};
+            for (const [prop, record] of Object.entries(value)) {
+                if (!this._isPlainObject(record)) {
+                    result[prop] = record;
+                    continue;
+                }
+                const rest = { ...record };
+                fields.forEach(field => delete rest[field]);
+                result[prop] = rest;
+            }
+            return result;
+        };
+        return this.isEqual(strip(oldValue), strip(newValue));
+    },
+
+    /**
+     * key 所属的数据类别
+     */
+    getKeyCategory(key) {
+        for (const [name, keys] of Object.entries(this.DATA_CATEGORIES)) {
+            if (keys.includes(key)) return name;
+        }
+        return this.FALLBACK_CATEGORY;
+    },
+
+    /**
+     * key 是否在选中的类别内
+     * @param {string[]|undefined} categories - 选中的类别，未设置表示全部
+     */
+    isKeyInCategories(key, categories) {
+        return !Array.isArray(categories) || categories.includes(this.getKeyCategory(key));
+    },
+
+    /**
+     * 是否只选中了部分类别
+     */
+    isPartialSelection(categories) {
+        return Array.isArray(categories)
+            && Object.keys(this.DATA_CATEGORIES).some(name => !categories.includes(name));
+    },
+
+    /**
+     * 只保留选中类别的数据
+     * @param {Object} data - { key: value }
+     * @param {string[]|undefined} categories - 未设置表示全部
+     * @param {boolean} [exclude=false] - 反选：只保留未选中类别的数据
+     */
+    filterByCategories(data, categories, exclude = false) {
+        const result = {};
+        for (const [key, value] of Object.entries(data || {})) {
+            if (this.isKeyInCategories(key, categories) !== exclude) {
+                result[key] = value;
+            }
+        }
+        return result;
+    },
+
+    /**
+     * 数据中包含的类别（按 DATA_CATEGORIES 顺序）
+     */
+    getCategories(data) {
+        const present = new Set(Object.keys(data || {}).map(key => this.getKeyCategory(key)));
+        return Object.keys(this.DATA_CATEGORIES).filter(name => present.has(name));
+    },
+
+    /**
+     * 根据 key 类型选择合并策略（两方合并，newValue 优先）
+     *
+     * - RECORD_KEYS → 按唯一字段合并，导入覆盖
+     * - *PlatformSettings → 对象按 key 合并
+     * - 其他类型 → 新值覆盖
+     */
+    mergeByKey(key, existing, newValue) {
+        const rule = this.RECORD_KEYS[key];
+        if (rule) {
+            return this.mergeArrayByField(existing, newValue, rule.field);
+        }
+
+        // *PlatformSettings - 对象按 key 合并
+        if (key.endsWith('PlatformSettings')) {
+            return { ...existing, ...newValue };
+        }
+
+        // 其他类型 - 新值覆盖
+        return newValue;
+    },
+
+    /**
+     * 按指定字段合并数组（导入数据覆盖现有数据）
+     * @param {Array} existing - 现有数据
+     * @param {Array} newArr - 导入数据
+     * @param {string} field - 唯一标识字段名
+     * @returns {Array} 合并后的数组
+     */
+    mergeArrayByField(existing, newArr, field) {
+        if (!Array.isArray(existing) || !Array.isArray(newArr)) {
+            return newArr;
+        }
+
+        const map = new Map();
+
+        // 先添加现有数据
+        for (const item of existing) {
+            const key = item[field];
+            if (key !== undefined) {
+                map.set(key, item);
+            }
+        }
+
+        // 导入数据覆盖（相同 key 的会被覆盖）
+        for (const item of newArr) {
+            const key = item[field];
+            if (key !== undefined) {
+                map.set(key, item);
+            }
+        }
+
+        return Array.from(map.values());
+    },
+
+    /**
+     * key 的条目合并规则（冲突报告、改用另一版本时使用）
+     * @returns {{ field, kind, grouped: boolean }|null}
+     */
+    getRecordRule(key) {
+        if (this.RECORD_KEYS[key]) return { ...this.RECORD_KEYS[key], grouped: false };
+        if (this.GROUPED_RECORD_KEYS[key]) return { ...this.GROUPED_RECORD_KEYS[key], grouped: true };
+        return null;
+    },
+
+    /**
+     * 三方合并单个 key
+     * @param {string} key - storage key
+     * @param {*} base - 上次同步时的值（undefined 表示从未同步）
+     * @param {*} local - 本地当前值
+     * @param {*} remote - 云端当前值
+     * @param {Object} times - { local, remote } 该 key 最后修改时间，双方都修改非条目数据时较新的一方胜出
+     * @returns {{ value: *, conflicts: Array<{ itemId, group?, local, remote, resolution: 'local'|'remote' }> }}
+     *   分组数据（GROUPED_RECORD_KEYS）的冲突带 group：条目所在的分组
+     */
+    merge3(key, base, local, remote, times = {}) {
+        if (this.isEqual(local, remote)) return { value: local, conflicts: [] };
+        if (this.isEqual(remote, base)) return { value: local, conflicts: [] };
+        if (this.isEqual(local, base)) return { value: remote, conflicts: [] };
+
+        // 双方都修改过
+        const rule = this.RECORD_KEYS[key];
+        const isArrayOrEmpty = v => v === undefined || Array.isArray(v);
+        if (rule && isArrayOrEmpty(base) && isArrayOrEmpty(local) && isArrayOrEmpty(remote)) {
+            return this._merge3Records(rule.field, base || [], local || [], remote || []);
+        }
+
+        const groupedRule = this.GROUPED_RECORD_KEYS[key];
+        const isObjectOrEmpty = v => v === undefined || this._isPlainObject(v);
+        if (groupedRule && isObjectOrEmpty(base) && isObjectOrEmpty(local) && isObjectOrEmpty(remote)) {
+            return this._merge3Groups(groupedRule.field, base || {}, local || {}, remote || {});
+        }
+
+        const remoteWins = (times.remote || 0) > (times.local || 0);
+        if (this._isPlainObject(local) && this._isPlainObject(remote)) {
+            return {
+                value: this._merge3Object(this._isPlainObject(base) ? base : {}, local, remote, remoteWins),
+                conflicts: []
+            };
+        }
+
+        // 标量：保留较新的一方
+        return { value: remoteWins ? remote : local, conflicts: [] };
+    },
+
+    /**
+     * 条目级三方合并
+     * - 只有一方修改：采用修改方
+     * - 一方删除、另一方未改：删除
+     * - 一方删除、另一方修改：保留修改（记为冲突）
+     * - 双方修改同一条目：保留较新的版本（记为冲突）
+     */
+    _merge3Records(field, base, local, remote) {
+        const index = arr => new Map(arr.filter(item => item && item[field] !== undefined).map(item => [item[field], item]));
+        const b = index(base);
+        const l = index(local);
+        const r = index(remote);
+
+        const kept = [];        // 保留的本地条目（维持本地顺序）
+        const fromRemote = [];  // 采用云端版本的条目
+        const conflicts = [];
+
+        for (const [id, localItem] of l) {
+            const remoteItem = r.get(id);
+            const baseItem = b.get(id);
+
+            if (remoteItem === undefined) {
+                // 云端已删除：本地未修改则跟随删除
+                if (baseItem !== undefined && this.isEqual(localItem, baseItem)) continue;
+                if (baseItem !== undefined) {
+                    conflicts.push({ itemId: id, local: localItem, remote: null, resolution: 'local' });
+                }
+                kept.push(localItem);
+                continue;
+            }
+
+            kept.push(localItem);
+            if (this.isEqual(localItem, remoteItem) || this.isEqual(remoteItem, baseItem)) continue;
+            if (this.isEqual(localItem, baseItem)) {
+                fromRemote.push(remoteItem);
+                continue;
+            }
+
+            const remoteWins = this.getItemTime(remoteItem) > this.getItemTime(localItem);
+            if (remoteWins) fromRemote.push(remoteItem);
+            conflicts.push({ itemId: id, local: localItem, remote: remoteItem, resolution: remoteWins ? 'remote' : 'local' });
+        }
+
+        for (const [id, remoteItem] of r) {
+            if (l.has(id)) continue;
+            const baseItem = b.get(id);
+
+            // 云端新增
+            if (baseItem === undefined) {
+                fromRemote.push(remoteItem);
+                continue;
+            }
+            // 本地已删除且云端未修改
+            if (this.isEqual(remoteItem, baseItem)) continue;
+
+            fromRemote.push(remoteItem);
+            conflicts.push({ itemId: id, local: null, remote: remoteItem, resolution: 'remote' });
+        }
+
+        return { value: this.mergeArrayByField(kept, fromRemote, field), conflicts };
+    },
+
+    /**
+     * 分组数据三方合并：每个分组的条目数组按条目合并，合并后为空的分组移除
+     */
+    _merge3Groups(field, base, local, remote) {
+        const value = {};
+        const conflicts = [];
+        const groups = new Set([...Object.keys(local), ...Object.keys(remote)]);
+
+        for (const group of groups) {
+            const list = arr => (Array.isArray(arr) ? arr : []);
+            const result = this._merge3Records(field, list(base[group]), list(local[group]), list(remote[group]));
+            if (result.value.length > 0) value[group] = result.value;
+            result.conflicts.forEach(conflict => conflicts.push({ ...conflict, group }));
+        }
+        return { value, conflicts };
+    },
+
+    /**
+     * 对象按属性三方合并（如 *PlatformSettings）
+     */
+    _merge3Object(base, local, remote, remoteWins) {
+        const result = {};
+        const keys = new Set([...Object.keys(local), ...Object.keys(remote)]);
+
+        for (const prop of keys) {
+            const l = local[prop];
+            const r = remote[prop];
+            const b = base[prop];
+
+            let value;
+            if (this.isEqual(l, r) || this.isEqual(r, b)) value = l;
+            else if (this.isEqual(l, b)) value = r;
+            else value = remoteWins ? r : l;
+
+            if (value !== undefined) result[prop] = value;
+        }
+        return result;
+    },
+
+    /**
+     * 各类别条目数量
+     * @param {Object} data - 备份中的 data 部分
+     * @returns {Object} { stars, prompts, notes, highlights }
+     */
+    summarize(data) {
+        const counts = {};
+        for (const [name, def] of Object.entries(this.SUMMARY_CATEGORIES)) {
+            counts[name] = this._collectItems(data, def).size;
+        }
+        return counts;
+    },
+
+    /**
+     * 各类别差异：to 相对 from 新增 / 删除 / 修改的条目数
+     * @returns {Object} { stars: { added, removed, changed }, ... }
+     */
+    diff(from, to) {
+        const result = {};
+        for (const [name, def] of Object.entries(this.SUMMARY_CATEGORIES)) {
+            const a = this._collectItems(from, def);
+            const b = this._collectItems(to, def);
+            let added = 0, removed = 0, changed = 0;
+            for (const [id, item] of b) {
+                if (!a.has(id)) added++;
+                else if (!this.isEqual(a.get(id), item)) changed++;
+            }
+            for (const id of a.keys()) {
+                if (!b.has(id)) removed++;
+            }
+            result[name] = { added, removed, changed };
+        }
+        return result;
+    },
+
+    _collectItems(data, def) {
+        const items = new Map();
+        const value = data?.[def.key];
+        const add = (list, group) => {
+            if (!Array.isArray(list)) return;
+            list.forEach(item => {
+                if (item && item[def.field] !== undefined) {
+                    items.set(group ? `${group}#${item[def.field]}` : item[def.field], item);
+                }
+            });
+        };
+        if (def.grouped) {
+            if (this._isPlainObject(value)) {
+                Object.entries(value).forEach(([group, list]) => add(list, group));
+            }
+        } else {
+            add(value);
+        }
+        return items;
+    },
+
+    /**
+     * 条目的最后修改时间
+     */
+    getItemTime(item) {
+        if (!item) return 0;
+        return item.updatedAt || item.timestamp || item.createdAt || 0;
+    },
+
+    /**
+     * 条目的展示标题（冲突报告用）
+     */
+    getItemTitle(item) {
+        if (!item) return '';
+        const text = item.question || item.title || item.name || item.text || String(item.content || '').split('\n')[0];
+        return String(text || '').trim().slice(0, 80);
+    },
+
+    isEqual(a, b) {
+        if (a === b) return true;
+        if (a === undefined || b === undefined) return false;
+        return JSON.stringify(a) === JSON.stringify(b);
+    },
+
+    _isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+};
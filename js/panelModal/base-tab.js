@@ -166,8 +166,9 @@ class BaseTab {
      * });
      */
     addStorageListener(handler) {
-        if (window.StorageAdapter) {
-            window.StorageAdapter.addChangeListener(handler);
+        // StorageAdapter 是顶层 const，不挂在 window 上
+        if (typeof StorageAdapter !== 'undefined') {
+            StorageAdapter.addChangeListener(handler);
             this._listeners.push({ type: 'storage', handler });
         }
     }
@@ -208,8 +209,10 @@ class BaseTab {
     unmounted() {
         // 1. 自动清理所有事件监听器
         this._listeners.forEach(listener => {
-            if (listener.type === 'storage' && window.StorageAdapter) {
-                window.StorageAdapter.removeChangeListener(listener.handler);
+            if (listener.type === 'storage') {
+                if (typeof StorageAdapter !== 'undefined') {
+                    StorageAdapter.removeChangeListener(listener.handler);
+                }
             } else if (listener.element) {
                 listener.element.removeEventListener(
                     listener.event, 
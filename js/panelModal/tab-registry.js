@@ -10,6 +10,7 @@
 function getTabClass(name) {
     switch (name) {
         case 'StarredTab': return typeof StarredTab !== 'undefined' ? StarredTab : null;
+        case 'SearchTab': return typeof SearchTab !== 'undefined' ? SearchTab : null;
         case 'TimelineSettingsTab': return typeof TimelineSettingsTab !== 'undefined' ? TimelineSettingsTab : null;
         case 'PromptTab': return typeof PromptTab !== 'undefined' ? PromptTab : null;
         case 'SmartInputBoxTab': return typeof SmartInputBoxTab !== 'undefined' ? SmartInputBoxTab : null;
@@ -32,6 +33,7 @@ const TAB_CONFIG = [
     { id: 'about', className: 'AboutTab' },
     { id: 'timeline-settings', className: 'TimelineSettingsTab' },
     { id: 'starred', className: 'StarredTab' },
+    { id: 'search', className: 'SearchTab' },
     { id: 'prompt', className: 'PromptTab' },
     { id: 'smart-input-box', className: 'SmartInputBoxTab' },
     { id: 'formula', className: 'FormulaTab' },
@@ -2,8 +2,14 @@
  * DataSync Tab - 数据导入导出
  * 
  * 功能：
+ * - 云同步：选择 Provider（Google Drive / WebDAV / S3 兼容存储），上传/下载备份
+ * - 自动同步：由 background 在数据变更后及定时执行三方合并，本 Tab 展示状态与冲突报告
+ * - 端到端加密：开启后云端备份使用密码加密（SyncCrypto），导入时自动识别加密文件
+ * - 备份历史：列出云端 / 本地快照（大小、条目数、与当前数据的差异），支持恢复、合并和导出
  * - 导出：将 Storage 数据导出为 JSON 文件
  * - 导入：从 JSON 文件导入数据（支持覆盖/合并）
+ * - 数据类别：导出、导入、云同步均可按类别选择（类别与 key 的对应见 SyncMerge.DATA_CATEGORIES）
+ * - 平台导入：从 ChatGPT / Claude 官方导出数据生成收藏、文件夹和提问时间（见 PlatformImporter），导入前预览
  */
 
 class DataSyncTab extends BaseTab {
@@ -31,6 +37,77 @@ class DataSyncTab extends BaseTab {
                 borderColor: '#404040'
             }
         };
+        
+        // 同步配置（Provider 选择 + 凭据 + 自动同步开关），只保存在本地
+        this.syncConfigKey = 'syncProviderConfig';
+        
+        // 加密密码，只保存在本机（background 自动同步时使用）
+        this.passphraseKey = 'syncPassphrase';
+        
+        // 自动同步状态与冲突报告（由 background 写入）
+        this.syncStateKey = '_syncState';
+        this.syncConflictsKey = '_syncConflicts';
+        
+        this.snapshotReasonNames = {
+            upload: chrome.i18n.getMessage('snapshotReasonUpload') || '上传',
+            'auto-sync': chrome.i18n.getMessage('snapshotReasonAutoSync') || '自动同步',
+            'before-import': chrome.i18n.getMessage('snapshotReasonBeforeImport') || '覆盖导入前',
+            manual: chrome.i18n.getMessage('snapshotReasonManual') || '手动'
+        };
+        
+        this.snapshotCategoryNames = {
+            stars: chrome.i18n.getMessage('snapshotCountStars') || '收藏',
+            prompts: chrome.i18n.getMessage('snapshotCountPrompts') || '提示词',
+            notes: chrome.i18n.getMessage('snapshotCountNotes') || '笔记',
+            highlights: chrome.i18n.getMessage('snapshotCountHighlights') || '高亮'
+        };
+        
+        // 数据类别名称（与 SyncMerge.DATA_CATEGORIES 一一对应）
+        this.categoryNames = {
+            stars: chrome.i18n.getMessage('dataCategoryStars') || '收藏与文件夹',
+            pins: chrome.i18n.getMessage('dataCategoryPins') || '置顶',
+            prompts: chrome.i18n.getMessage('dataCategoryPrompts') || '提示词',
+            notes: chrome.i18n.getMessage('dataCategoryNotes') || '笔记',
+            highlights: chrome.i18n.getMessage('dataCategoryHighlights') || '高亮',
+            chatTimes: chrome.i18n.getMessage('dataCategoryChatTimes') || '提问时间',
+            snippets: chrome.i18n.getMessage('dataCategorySnippets') || '代码片段',
+            settings: chrome.i18n.getMessage('dataCategorySettings') || '设置'
+        };
+        
+        this.conflictKindNames = {
+            star: chrome.i18n.getMessage('syncConflictKindStar') || '收藏',
+            pin: chrome.i18n.getMessage('syncConflictKindPin') || '置顶',
+            prompt: chrome.i18n.getMessage('syncConflictKindPrompt') || '提示词',
+            folder: chrome.i18n.getMessage('syncConflictKindFolder') || '文件夹',
+            note: chrome.i18n.getMessage('syncConflictKindNote') || '笔记',
+            snippet: chrome.i18n.getMessage('syncConflictKindSnippet') || '代码片段',
+            promptChain: chrome.i18n.getMessage('syncConflictKindPromptChain') || '提示词链',
+            highlight: chrome.i18n.getMessage('syncConflictKindHighlight') || '高亮'
+        };
+        
+        this.providerNames = {
+            gdrive: 'Google Drive',
+            webdav: 'WebDAV',
+            s3: 'S3'
+        };
+        
+        // 各 Provider 的配置字段（Google Drive 使用 OAuth，无需配置）
+        this.providerFields = {
+            webdav: [
+                { name: 'url', label: chrome.i18n.getMessage('webdavUrlLabel') || '服务器地址', placeholder: 'https://cloud.example.com/remote.php/dav/files/me/' },
+                { name: 'username', label: chrome.i18n.getMessage('webdavUsernameLabel') || '用户名' },
+                { name: 'password', label: chrome.i18n.getMessage('webdavPasswordLabel') || '密码（应用密码）', type: 'password' }
+            ],
+            s3: [
+                { name: 'endpoint', label: 'Endpoint', placeholder: 'http://localhost:9000' },
+                { name: 'region', label: chrome.i18n.getMessage('s3RegionLabel') || '区域', placeholder: 'us-east-1' },
+                { name: 'bucket', label: 'Bucket' },
+                { name: 'accessKeyId', label: 'Access Key ID' },
+                { name: 'secretAccessKey', label: 'Secret Access Key', type: 'password' },
+                { name: 'prefix', label: chrome.i18n.getMessage('s3PrefixLabel') || '路径前缀', placeholder: 'AITimeline_Backup' },
+                { name: 'pathStyle', label: chrome.i18n.getMessage('s3PathStyleLabel') || '使用 Path-style 访问（MinIO 需开启）', type: 'checkbox', defaultValue: true }
+            ]
+        };
     }
     
     /**
@@ -41,21 +118,30 @@ class DataSyncTab extends BaseTab {
         container.className = 'data-sync-tab';
         
         container.innerHTML = `
-            <div class="sync-section gdrive-section">
+            <div class="sync-section cloud-section">
                 <div class="sync-title">
-                    <svg viewBox="0 0 87.3 78" width="18" height="16" style="margin-right: 6px; flex-shrink: 0;">
-                        <path d="M6.6 66.85l3.85 6.65c.8 1.4 1.95 2.5 3.3 3.3l13.75-23.8H0c0 1.55.4 3.1 1.2 4.5z" fill="#0066DA"/>
-                        <path d="M43.65 25L29.9 1.2C28.55 2 27.4 3.1 26.6 4.5L6.2 39.8C5.4 41.2 5 42.75 5 44.3h27.5z" fill="#00AC47"/>
-                        <path d="M73.55 76.8c1.35-.8 2.5-1.9 3.3-3.3l1.6-2.75 7.65-13.25c.8-1.4 1.2-2.95 1.2-4.5H59.8l5.85 13.95z" fill="#EA4335"/>
-                        <path d="M43.65 25l13.75-23.8C56.05.4 54.5 0 52.9 0H34.4c-1.6 0-3.15.45-4.5 1.2z" fill="#00832D"/>
-                        <path d="M59.8 53H27.5L13.75 76.8c1.35.8 2.9 1.2 4.5 1.2h50.8c1.6 0 3.15-.45 4.5-1.2z" fill="#2684FC"/>
-                        <path d="M73.4 26.5l-10.6-18.3c-.8-1.4-1.95-2.5-3.3-3.3L45.75 28.7 59.8 53h27.45c0-1.55-.4-3.1-1.2-4.5z" fill="#FFBA00"/>
+                    <svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="#4b5563" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" style="margin-right: 6px; flex-shrink: 0;">
+                        <path d="M18 10h-1.26A8 8 0 109 20h9a5 5 0 000-10z"/>
                     </svg>
-                    ${chrome.i18n.getMessage('gdriveTitle') || 'Google Drive 云同步'}
+                    ${chrome.i18n.getMessage('cloudSyncTitle') || '云同步'}
+                </div>
+                <div class="sync-hint">${chrome.i18n.getMessage('cloudSyncHint') || '将数据备份到云端存储，实现多设备同步。'}</div>
+                <div class="cloud-provider-tabs" id="cloud-provider-tabs">
+                    ${Object.entries(this.providerNames).map(([id, name]) => `
+                        <button class="cloud-provider-tab" data-provider="${id}">${name}</button>
+                    `).join('')}
                 </div>
-                <div class="sync-hint">${chrome.i18n.getMessage('gdriveHint') || '将数据备份到你的 Google Drive 中，实现多设备同步。'}</div>
-                <div class="gdrive-actions">
-                    <button class="sync-btn" id="gdrive-upload-btn">
+                ${Object.entries(this.providerFields).map(([id, fields]) => `
+                    <div class="cloud-provider-form" data-provider="${id}" style="display: none;">
+                        ${fields.map(field => this.renderProviderField(field)).join('')}
+                        <div class="cloud-form-footer">
+                            <span class="cloud-form-hint">${chrome.i18n.getMessage('cloudCredentialsHint') || '凭据仅保存在本地，不会包含在导出文件和云端备份中。'}</span>
+                            <button class="cloud-test-btn" data-provider="${id}">${chrome.i18n.getMessage('cloudTestBtn') || '测试连接'}</button>
+                        </div>
+                    </div>
+                `).join('')}
+                <div class="cloud-actions">
+                    <button class="sync-btn" id="cloud-upload-btn">
                         <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="16" height="16">
                             <polyline points="16,16 12,12 8,16"/>
                             <line x1="12" y1="12" x2="12" y2="21"/>
@@ -63,7 +149,7 @@ class DataSyncTab extends BaseTab {
                         </svg>
                         ${chrome.i18n.getMessage('gdriveUploadBtn') || '上传到云端'}
                     </button>
-                    <button class="sync-btn gdrive-download-btn" id="gdrive-download-btn">
+                    <button class="sync-btn cloud-download-btn" id="cloud-download-btn">
                         <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="16" height="16">
                             <polyline points="8,17 12,21 16,17"/>
                             <line x1="12" y1="12" x2="12" y2="21"/>
@@ -72,9 +158,47 @@ class DataSyncTab extends BaseTab {
                         ${chrome.i18n.getMessage('gdriveDownloadBtn') || '从云端下载'}
                     </button>
                 </div>
+                <div class="cloud-option-row">
+                    <label class="cloud-field cloud-field-checkbox">
+                        <input type="checkbox" id="cloud-encryption-toggle">
+                        <span>${chrome.i18n.getMessage('cloudEncryptionLabel') || '端到端加密（上传前使用密码加密）'}</span>
+                    </label>
+                    <button class="cloud-test-btn" id="cloud-passphrase-btn" style="display: none;">${chrome.i18n.getMessage('cloudChangePassphrase') || '修改密码'}</button>
+                </div>
+                <div class="cloud-option-row">
+                    <label class="cloud-field cloud-field-checkbox">
+                        <input type="checkbox" id="cloud-auto-sync-toggle">
+                        <span>${chrome.i18n.getMessage('cloudAutoSyncLabel') || '自动同步（数据变更后及每 30 分钟）'}</span>
+                    </label>
+                    <button class="cloud-test-btn" id="cloud-sync-now-btn">${chrome.i18n.getMessage('cloudSyncNowBtn') || '立即同步'}</button>
+                </div>
+                <div class="data-category-row">
+                    <span class="data-category-label">${chrome.i18n.getMessage('cloudSyncCategoriesLabel') || '同步范围'}</span>
+                    ${this.renderCategoryPicker('cloud')}
+                </div>
+                <div class="cloud-sync-state" id="cloud-sync-state"></div>
+                <div class="cloud-conflicts" id="cloud-conflicts" style="display: none;"></div>
 
             </div>
             
+            <div class="sync-section snapshot-section">
+                <div class="sync-title">
+                    <svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="#4b5563" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" style="margin-right: 6px; flex-shrink: 0;">
+                        <path d="M3 12a9 9 0 109-9 9.75 9.75 0 00-6.74 2.74L3 8"/>
+                        <polyline points="3,3 3,8 8,8"/>
+                        <polyline points="12,7 12,12 16,14"/>
+                    </svg>
+                    ${chrome.i18n.getMessage('snapshotTitle') || '备份历史'}
+                </div>
+                <div class="sync-hint">${chrome.i18n.getMessage('snapshotHint') || '每次上传都会在云端和本地保留最近 10 个快照，覆盖导入前会自动创建本地快照。'}</div>
+                <div class="cloud-provider-tabs" id="snapshot-source-tabs">
+                    <button class="cloud-provider-tab" data-source="local">${chrome.i18n.getMessage('snapshotSourceLocal') || '本地'}</button>
+                    <button class="cloud-provider-tab" data-source="cloud">${chrome.i18n.getMessage('snapshotSourceCloud') || '云端'}</button>
+                </div>
+                <div class="snapshot-list" id="snapshot-list"></div>
+                <button class="cloud-test-btn snapshot-create-btn" id="snapshot-create-btn">${chrome.i18n.getMessage('snapshotCreateBtn') || '创建本地快照'}</button>
+            </div>
+            
             <div class="sync-divider"></div>
             
             <div class="sync-section">
@@ -91,6 +215,7 @@ class DataSyncTab extends BaseTab {
                     <div class="local-sync-item">
                         <div class="local-sync-label">${chrome.i18n.getMessage('exportLabel') || '导出'}</div>
                         <div class="local-sync-body">
+                            ${this.renderCategoryPicker('export')}
                             <button class="sync-btn export-btn" id="export-btn">
                                 <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                     <path d="M14 2H6a2 2 0 00-2 2v16a2 2 0 002 2h12a2 2 0 002-2V8z"/>
@@ -123,6 +248,7 @@ class DataSyncTab extends BaseTab {
                                     </span>
                                 </label>
                             </div>
+                            ${this.renderCategoryPicker('import')}
                             <button class="sync-btn import-btn" id="import-btn">
                                 <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                     <path d="M14 2H6a2 2 0 00-2 2v16a2 2 0 002 2h12a2 2 0 002-2V8z"/>
@@ -134,8 +260,24 @@ class DataSyncTab extends BaseTab {
                             </button>
                         </div>
                     </div>
+                    <div class="local-sync-item">
+                        <div class="local-sync-label">${chrome.i18n.getMessage('platformImportLabel') || '平台'}</div>
+                        <div class="local-sync-body">
+                            <div class="sync-hint">${chrome.i18n.getMessage('platformImportHint') || '选择 ChatGPT 或 Claude 官方导出的 zip 文件（或其中的 conversations.json），将历史对话导入为收藏。'}</div>
+                            <button class="sync-btn import-btn" id="platform-import-btn">
+                                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                    <path d="M21 15v4a2 2 0 01-2 2H5a2 2 0 01-2-2v-4"/>
+                                    <polyline points="7,10 12,15 17,10"/>
+                                    <line x1="12" y1="15" x2="12" y2="3"/>
+                                </svg>
+                                ${chrome.i18n.getMessage('platformImportBtn') || '选择导出文件'}
+                            </button>
+                            <div class="platform-import-preview" id="platform-import-preview" style="display: none;"></div>
+                        </div>
+                    </div>
                 </div>
                 <input type="file" id="import-file-input" accept=".json" style="display: none;">
+                <input type="file" id="platform-import-input" accept=".json,.zip" style="display: none;">
             </div>
             
             <div class="sync-status" id="sync-status" style="display: none;"></div>
@@ -150,17 +292,96 @@ class DataSyncTab extends BaseTab {
     async mounted() {
         super.mounted();
         
-        // --- Google Drive 云同步 ---
-        const uploadBtn = document.getElementById('gdrive-upload-btn');
-        const downloadBtn = document.getElementById('gdrive-download-btn');
+        // --- 云同步 ---
+        const uploadBtn = document.getElementById('cloud-upload-btn');
+        const downloadBtn = document.getElementById('cloud-download-btn');
+        const providerTabs = document.getElementById('cloud-provider-tabs');
         
+        await this.loadProviderConfig();
+        
+        if (providerTabs) {
+            this.addEventListener(providerTabs, 'click', (e) => {
+                const tab = e.target.closest('.cloud-provider-tab');
+                if (tab) this.selectProvider(tab.dataset.provider);
+            });
+        }
+        document.querySelectorAll('.cloud-provider-form').forEach(form => {
+            this.addEventListener(form, 'change', () => this.saveProviderConfig());
+        });
+        document.querySelectorAll('.cloud-test-btn[data-provider]').forEach(btn => {
+            this.addEventListener(btn, 'click', () => this.handleCloudTest(btn));
+        });
         if (uploadBtn) {
-            this.addEventListener(uploadBtn, 'click', () => this.handleGDriveUpload());
+            this.addEventListener(uploadBtn, 'click', () => this.handleCloudUpload());
         }
         if (downloadBtn) {
-            this.addEventListener(downloadBtn, 'click', () => this.handleGDriveDownload());
+            this.addEventListener(downloadBtn, 'click', () => this.handleCloudDownload());
+        }
+        
+        // --- 自动同步 ---
+        const autoSyncToggle = document.getElementById('cloud-auto-sync-toggle');
+        const syncNowBtn = document.getElementById('cloud-sync-now-btn');
+        const conflictsEl = document.getElementById('cloud-conflicts');
+        
+        if (autoSyncToggle) {
+            this.addEventListener(autoSyncToggle, 'change', () => this.saveProviderConfig());
+        }
+        
+        // --- 端到端加密 ---
+        const encryptionToggle = document.getElementById('cloud-encryption-toggle');
+        const passphraseBtn = document.getElementById('cloud-passphrase-btn');
+        
+        if (encryptionToggle) {
+            this.addEventListener(encryptionToggle, 'change', () => this.handleEncryptionToggle(encryptionToggle));
+        }
+        if (passphraseBtn) {
+            this.addEventListener(passphraseBtn, 'click', () => this.handleChangePassphrase());
+        }
+        if (syncNowBtn) {
+            this.addEventListener(syncNowBtn, 'click', () => this.handleSyncNow());
+        }
+        if (conflictsEl) {
+            this.addEventListener(conflictsEl, 'click', (e) => {
+                const btn = e.target.closest('[data-action]');
+                if (btn) this.handleConflictAction(btn.dataset.action, btn.dataset.id);
+            });
         }
         
+        await this.renderSyncState();
+        this.addStorageListener((changes, areaName) => {
+            if (areaName !== 'local') return;
+            if (changes[this.syncStateKey] || changes[this.syncConflictsKey]) {
+                this.renderSyncState();
+            }
+        });
+        
+        // --- 备份历史 ---
+        const snapshotTabs = document.getElementById('snapshot-source-tabs');
+        const snapshotList = document.getElementById('snapshot-list');
+        const snapshotCreateBtn = document.getElementById('snapshot-create-btn');
+        
+        if (snapshotTabs) {
+            this.addEventListener(snapshotTabs, 'click', (e) => {
+                const tab = e.target.closest('[data-source]');
+                if (tab) this.loadSnapshots(tab.dataset.source);
+            });
+        }
+        if (snapshotList) {
+            this.addEventListener(snapshotList, 'click', (e) => {
+                const btn = e.target.closest('[data-action]');
+                if (btn) this.handleSnapshotAction(btn.dataset.action, btn.dataset.id);
+            });
+        }
+        if (snapshotCreateBtn) {
+            this.addEventListener(snapshotCreateBtn, 'click', () => this.handleCreateSnapshot());
+        }
+        this.loadSnapshots('local');
+        
+        // --- 数据类别 ---
+        document.querySelectorAll('.data-category-picker').forEach(picker => {
+            this.addEventListener(picker, 'change', (e) => this.handleCategoryChange(picker, e.target));
+        });
+        
         // --- 本地导入导出 ---
         const exportBtn = document.getElementById('export-btn');
         const importBtn = document.getElementById('import-btn');
@@ -175,23 +396,235 @@ class DataSyncTab extends BaseTab {
         if (fileInput) {
             this.addEventListener(fileInput, 'change', (e) => this.handleImport(e));
         }
+        
+        // --- 平台导入 ---
+        const platformImportBtn = document.getElementById('platform-import-btn');
+        const platformImportInput = document.getElementById('platform-import-input');
+        const platformImportPreview = document.getElementById('platform-import-preview');
+        
+        if (platformImportBtn) {
+            this.addEventListener(platformImportBtn, 'click', () => platformImportInput?.click());
+        }
+        if (platformImportInput) {
+            this.addEventListener(platformImportInput, 'change', (e) => this.handlePlatformImportFile(e));
+        }
+        if (platformImportPreview) {
+            this.addEventListener(platformImportPreview, 'click', (e) => {
+                const btn = e.target.closest('[data-action]');
+                if (!btn) return;
+                if (btn.dataset.action === 'confirm') this.handlePlatformImportConfirm(btn);
+                else this.clearPlatformImport();
+            });
+        }
     }
     
     // ============================================
-    // Google Drive 云同步方法
+    // 云同步方法
     // ============================================
     
     /**
-     * 上传到 Google Drive（未登录或 token 失效时自动触发登录）
+     * 渲染 Provider 配置字段
      */
-    async handleGDriveUpload() {
-        const uploadBtn = document.getElementById('gdrive-upload-btn');
+    renderProviderField(field) {
+        if (field.type === 'checkbox') {
+            return `
+                <label class="cloud-field cloud-field-checkbox">
+                    <input type="checkbox" name="${field.name}">
+                    <span>${field.label}</span>
+                </label>`;
+        }
+        return `
+            <label class="cloud-field">
+                <span class="cloud-field-label">${field.label}</span>
+                <input class="cloud-field-input" type="${field.type || 'text'}" name="${field.name}"
+                    placeholder="${field.placeholder || ''}" autocomplete="off" spellcheck="false">
+            </label>`;
+    }
+    
+    /**
+     * 读取同步配置并回填表单
+     */
+    async loadProviderConfig() {
+        const result = await chrome.storage.local.get(this.syncConfigKey);
+        const config = { provider: 'gdrive', ...(result[this.syncConfigKey] || {}) };
+        
+        for (const [id, fields] of Object.entries(this.providerFields)) {
+            const form = document.querySelector(`.cloud-provider-form[data-provider="${id}"]`);
+            if (!form) continue;
+            const values = config[id] || {};
+            fields.forEach(field => {
+                const input = form.querySelector(`[name="${field.name}"]`);
+                if (!input) return;
+                const value = values[field.name] !== undefined ? values[field.name] : field.defaultValue;
+                if (field.type === 'checkbox') {
+                    input.checked = value !== false;
+                } else {
+                    input.value = value || '';
+                }
+            });
+        }
+        
+        const autoSyncToggle = document.getElementById('cloud-auto-sync-toggle');
+        if (autoSyncToggle) autoSyncToggle.checked = !!config.autoSync;
+        const encryptionToggle = document.getElementById('cloud-encryption-toggle');
+        if (encryptionToggle) encryptionToggle.checked = !!config.encryption;
+        this.updateEncryptionView();
+        this.setSelectedCategories('cloud', config.categories);
+        
+        this.setState('provider', this.providerNames[config.provider] ? config.provider : 'gdrive');
+        this.updateProviderView();
+    }
+    
+    /**
+     * 从表单收集某个 Provider 的配置
+     */
+    collectProviderConfig(providerId) {
+        const form = document.querySelector(`.cloud-provider-form[data-provider="${providerId}"]`);
+        const fields = this.providerFields[providerId];
+        if (!form || !fields) return {};
+        
+        const config = {};
+        fields.forEach(field => {
+            const input = form.querySelector(`[name="${field.name}"]`);
+            if (!input) return;
+            config[field.name] = field.type === 'checkbox' ? input.checked : input.value.trim();
+        });
+        return config;
+    }
+    
+    /**
+     * 保存 Provider 选择和所有表单配置
+     */
+    async saveProviderConfig() {
+        const config = {
+            provider: this.getState('provider') || 'gdrive',
+            autoSync: !!document.getElementById('cloud-auto-sync-toggle')?.checked,
+            encryption: !!document.getElementById('cloud-encryption-toggle')?.checked,
+            categories: this.getSelectedCategories('cloud')
+        };
+        Object.keys(this.providerFields).forEach(id => {
+            config[id] = this.collectProviderConfig(id);
+        });
+        await chrome.storage.local.set({ [this.syncConfigKey]: config });
+    }
+    
+    async selectProvider(providerId) {
+        if (!this.providerNames[providerId]) return;
+        this.setState('provider', providerId);
+        this.updateProviderView();
+        await this.saveProviderConfig();
+    }
+    
+    updateProviderView() {
+        const provider = this.getState('provider') || 'gdrive';
+        document.querySelectorAll('#cloud-provider-tabs .cloud-provider-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.provider === provider);
+        });
+        document.querySelectorAll('.cloud-provider-form').forEach(form => {
+            form.style.display = form.dataset.provider === provider ? '' : 'none';
+        });
+    }
+    
+    /**
+     * 发送同步消息到 background，处理授权请求和加密密码
+     * 用户取消输入密码时返回 { success: false, code: 'CANCELLED' }
+     * @returns {Promise<Object>} background 响应
+     */
+    async sendSyncMessage(message) {
+        let resp = await chrome.runtime.sendMessage(message);
+        
+        for (let attempt = 0; attempt < 3 && this.isPassphraseError(resp?.code); attempt++) {
+            const passphrase = await this.promptPassphrase(resp.code === 'BAD_PASSPHRASE');
+            if (!passphrase) return { success: false, code: 'CANCELLED' };
+            
+            // 云端备份已加密：本设备同样开启加密，避免之后以明文上传覆盖
+            const encryptionToggle = document.getElementById('cloud-encryption-toggle');
+            if (encryptionToggle) encryptionToggle.checked = true;
+            await chrome.storage.local.set({ [this.passphraseKey]: passphrase });
+            await this.saveProviderConfig();
+            this.updateEncryptionView();
+            
+            resp = await chrome.runtime.sendMessage(message);
+        }
+        
+        if (resp?.code === 'PERMISSION_REQUIRED') {
+            await this.requestHostPermission(resp.origins || []);
+        }
+        return resp;
+    }
+    
+    /**
+     * 已在交互中处理、无需再提示错误的响应
+     */
+    isHandledSyncCode(code) {
+        return code === 'PERMISSION_REQUIRED' || code === 'CANCELLED';
+    }
+    
+    isPassphraseError(code) {
+        return code === 'PASSPHRASE_REQUIRED' || code === 'BAD_PASSPHRASE';
+    }
+    
+    /**
+     * 自定义服务器需要 host 权限：确认后打开授权页面
+     */
+    async requestHostPermission(origins) {
+        if (!window.globalPopconfirmManager) return;
+        const origin = origins.map(o => o.replace(/\/\*$/, '')).join(', ');
+        const confirmed = await window.globalPopconfirmManager.show({
+            title: chrome.i18n.getMessage('cloudPermissionTitle') || '需要授权',
+            content: (chrome.i18n.getMessage('cloudPermissionContent') || '需要授权扩展访问同步服务器 {origin}，授权后请重试。').replace('{origin}', origin),
+            confirmText: chrome.i18n.getMessage('cloudPermissionOpen') || '去授权',
+            cancelText: chrome.i18n.getMessage('pxvkmz') || '取消',
+            confirmTextType: 'default'
+        });
+        if (confirmed) {
+            await chrome.runtime.sendMessage({ type: 'SYNC_REQUEST_PERMISSION', origins });
+        }
+    }
+    
+    /**
+     * 测试连接（使用表单当前值）
+     */
+    async handleCloudTest(btn) {
+        const provider = btn.dataset.provider;
+        const original = btn.textContent;
+        btn.disabled = true;
+        btn.textContent = chrome.i18n.getMessage('cloudTesting') || '测试中...';
+        
+        try {
+            await this.saveProviderConfig();
+            const resp = await this.sendSyncMessage({
+                type: 'SYNC_TEST',
+                provider,
+                config: this.collectProviderConfig(provider)
+            });
+            if (resp?.success) {
+                window.globalToastManager?.success(chrome.i18n.getMessage('cloudTestSuccess') || '连接成功', null, { color: this.toastColors });
+            } else if (!this.isHandledSyncCode(resp?.code)) {
+                throw new Error(resp?.error || '');
+            }
+        } catch (e) {
+            window.globalToastManager?.error((chrome.i18n.getMessage('cloudTestFailed') || '连接失败') + (e.message ? ': ' + e.message : ''), null, { color: this.toastColors });
+        } finally {
+            btn.disabled = false;
+            btn.textContent = original;
+        }
+    }
+    
+    /**
+     * 上传到云端（Google Drive 未登录或 token 失效时自动触发登录）
+     */
+    async handleCloudUpload() {
+        const uploadBtn = document.getElementById('cloud-upload-btn');
+        const originalHtml = uploadBtn?.innerHTML;
         if (uploadBtn) {
             uploadBtn.disabled = true;
             uploadBtn.textContent = chrome.i18n.getMessage('gdriveUploading') || '上传中...';
         }
         
         try {
+            await this.saveProviderConfig();
+            const providerName = this.providerNames[this.getState('provider')] || '';
             const data = await this.getAllStorageData();
             const exportData = {
                 _meta: {
@@ -202,12 +635,12 @@ class DataSyncTab extends BaseTab {
                 data: data
             };
             
-            const resp = await chrome.runtime.sendMessage({ type: 'GDRIVE_UPLOAD', data: exportData });
+            const resp = await this.sendSyncMessage({ type: 'SYNC_UPLOAD', data: exportData });
             if (resp?.success) {
                 if (window.globalToastManager) {
-                    window.globalToastManager.success(chrome.i18n.getMessage('gdriveUploadSuccess') || '已上传到 Google Drive', null, { color: this.toastColors });
+                    window.globalToastManager.success((chrome.i18n.getMessage('cloudUploadSuccess') || '已上传到 {provider}').replace('{provider}', providerName), null, { color: this.toastColors });
                 }
-            } else {
+            } else if (!this.isHandledSyncCode(resp?.code)) {
                 throw new Error(resp?.error || (chrome.i18n.getMessage('gdriveUploadFailed') || '上传失败'));
             }
         } catch (e) {
@@ -217,29 +650,27 @@ class DataSyncTab extends BaseTab {
         } finally {
             if (uploadBtn) {
                 uploadBtn.disabled = false;
-                uploadBtn.innerHTML = `
-                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="16" height="16">
-                        <polyline points="16,16 12,12 8,16"/>
-                        <line x1="12" y1="12" x2="12" y2="21"/>
-                        <path d="M20.39 18.39A5 5 0 0018 9h-1.26A8 8 0 103 16.3"/>
-                    </svg>
-                    ${chrome.i18n.getMessage('gdriveUploadBtn') || '上传到云端'}`;
+                uploadBtn.innerHTML = originalHtml;
             }
         }
     }
     
     /**
-     * 从 Google Drive 下载
+     * 从云端下载
      */
-    async handleGDriveDownload() {
-        const downloadBtn = document.getElementById('gdrive-download-btn');
+    async handleCloudDownload() {
+        const downloadBtn = document.getElementById('cloud-download-btn');
+        const originalHtml = downloadBtn?.innerHTML;
         if (downloadBtn) {
             downloadBtn.disabled = true;
             downloadBtn.textContent = chrome.i18n.getMessage('gdriveDownloading') || '下载中...';
         }
         
         try {
-            const resp = await chrome.runtime.sendMessage({ type: 'GDRIVE_DOWNLOAD' });
+            await this.saveProviderConfig();
+            const providerName = this.providerNames[this.getState('provider')] || '';
+            const resp = await this.sendSyncMessage({ type: 'SYNC_DOWNLOAD' });
+            if (this.isHandledSyncCode(resp?.code)) return;
             if (!resp?.success) {
                 throw new Error(resp?.error || (chrome.i18n.getMessage('gdriveDownloadFailed') || '下载失败'));
             }
@@ -257,14 +688,14 @@ class DataSyncTab extends BaseTab {
                 throw new Error(chrome.i18n.getMessage('gdriveDataInvalid') || '云端数据格式无效');
             }
             
-            // 使用合并模式导入
-            await this.mergeData(importData.data);
+            // 使用合并模式导入（只合并同步范围内的类别）
+            await this.mergeData(SyncMerge.filterByCategories(importData.data, this.getSelectedCategories('cloud')));
             
             // 提醒用户刷新
             if (window.globalPopconfirmManager) {
                 const confirmed = await window.globalPopconfirmManager.show({
                     title: chrome.i18n.getMessage('gdriveMergeSuccess') || '云端数据已合并',
-                    content: chrome.i18n.getMessage('gdriveMergeHint') || '数据已成功从 Google Drive 下载并合并，需要刷新页面后生效',
+                    content: (chrome.i18n.getMessage('cloudMergeHint') || '数据已成功从 {provider} 下载并合并，需要刷新页面后生效').replace('{provider}', providerName),
                     confirmText: chrome.i18n.getMessage('refreshPage') || '刷新页面',
                     cancelText: chrome.i18n.getMessage('refreshLater') || '稍后刷新',
                     confirmTextType: 'default'
@@ -278,17 +709,581 @@ class DataSyncTab extends BaseTab {
         } finally {
             if (downloadBtn) {
                 downloadBtn.disabled = false;
-                downloadBtn.innerHTML = `
-                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="16" height="16">
-                        <polyline points="8,17 12,21 16,17"/>
-                        <line x1="12" y1="12" x2="12" y2="21"/>
-                        <path d="M20.88 18.09A5 5 0 0018 9h-1.26A8 8 0 103 16.29"/>
-                    </svg>
-                    ${chrome.i18n.getMessage('gdriveDownloadBtn') || '从云端下载'}`;
+                downloadBtn.innerHTML = originalHtml;
             }
         }
     }
     
+    // ============================================
+    // 数据类别
+    // ============================================
+    
+    /**
+     * 渲染类别多选（scope: 'cloud' | 'export' | 'import'）
+     */
+    renderCategoryPicker(scope) {
+        return `
+            <div class="data-category-picker" data-scope="${scope}">
+                ${Object.keys(SyncMerge.DATA_CATEGORIES).map(name => `
+                    <label class="data-category-chip">
+                        <input type="checkbox" value="${name}" checked>
+                        <span>${this.categoryNames[name]}</span>
+                    </label>
+                `).join('')}
+            </div>`;
+    }
+    
+    /**
+     * 选中的类别
+     * @returns {string[]}
+     */
+    getSelectedCategories(scope) {
+        const picker = document.querySelector(`.data-category-picker[data-scope="${scope}"]`);
+        if (!picker) return Object.keys(SyncMerge.DATA_CATEGORIES);
+        return Array.from(picker.querySelectorAll('input:checked')).map(input => input.value);
+    }
+    
+    /**
+     * 回填选中的类别（未设置表示全部）
+     */
+    setSelectedCategories(scope, categories) {
+        const picker = document.querySelector(`.data-category-picker[data-scope="${scope}"]`);
+        if (!picker) return;
+        picker.querySelectorAll('input[type="checkbox"]').forEach(input => {
+            input.checked = !Array.isArray(categories) || categories.includes(input.value);
+        });
+    }
+    
+    /**
+     * 至少保留一个类别；云同步范围变更后保存配置
+     */
+    async handleCategoryChange(picker, input) {
+        if (!this.getSelectedCategories(picker.dataset.scope).length) {
+            input.checked = true;
+            window.globalToastManager?.info(chrome.i18n.getMessage('dataCategoryRequired') || '至少选择一个类别', null, { color: this.toastColors });
+            return;
+        }
+        if (picker.dataset.scope === 'cloud') {
+            await this.saveProviderConfig();
+        }
+    }
+    
+    // ============================================
+    // 端到端加密
+    // ============================================
+    
+    updateEncryptionView() {
+        const enabled = !!document.getElementById('cloud-encryption-toggle')?.checked;
+        const passphraseBtn = document.getElementById('cloud-passphrase-btn');
+        if (passphraseBtn) passphraseBtn.style.display = enabled ? '' : 'none';
+    }
+    
+    /**
+     * 开启：设置密码；关闭：确认后删除本机保存的密码
+     * 云端备份按新设置重新封装成功后，background 才保存新密码和加密设置
+     */
+    async handleEncryptionToggle(toggle) {
+        if (toggle.checked) {
+            const passphrase = await this.promptNewPassphrase();
+            if (!passphrase) {
+                toggle.checked = false;
+                return;
+            }
+            if (await this.applyPassphrase(passphrase)) {
+                window.globalToastManager?.success(chrome.i18n.getMessage('cloudEncryptionEnabled') || '已开启加密，云端备份已加密，请牢记密码，忘记后无法恢复', null, { color: this.toastColors });
+            }
+        } else {
+            const confirmed = window.globalPopconfirmManager ? await window.globalPopconfirmManager.show({
+                title: chrome.i18n.getMessage('cloudEncryptionDisableTitle') || '关闭加密？',
+                content: chrome.i18n.getMessage('cloudEncryptionDisableContent') || '之后上传的备份将以明文保存在云端',
+                confirmText: chrome.i18n.getMessage('cloudEncryptionDisableConfirm') || '关闭加密',
+                cancelText: chrome.i18n.getMessage('pxvkmz') || '取消'
+            }) : true;
+            if (!confirmed) {
+                toggle.checked = true;
+                return;
+            }
+            if (await this.applyPassphrase(null)) {
+                window.globalToastManager?.success(chrome.i18n.getMessage('cloudEncryptionDisabled') || '已关闭加密，云端备份已改为明文保存', null, { color: this.toastColors });
+            }
+        }
+    }
+    
+    async handleChangePassphrase() {
+        const passphrase = await this.promptNewPassphrase();
+        if (!passphrase) return;
+        if (await this.applyPassphrase(passphrase)) {
+            window.globalToastManager?.success(chrome.i18n.getMessage('cloudPassphraseChanged') || '密码已修改，云端备份已用新密码重新加密', null, { color: this.toastColors });
+        }
+    }
+    
+    /**
+     * 按新密码重新封装云端备份（null = 关闭加密），成功后 background 保存新密码和加密设置
+     * 失败时保持原密码和加密设置，开关恢复为实际状态
+     * @param {string|null} passphrase
+     * @returns {Promise<boolean>} 是否成功
+     */
+    async applyPassphrase(passphrase) {
+        const toggle = document.getElementById('cloud-encryption-toggle');
+        const passphraseBtn = document.getElementById('cloud-passphrase-btn');
+        if (toggle) toggle.disabled = true;
+        if (passphraseBtn) passphraseBtn.disabled = true;
+        
+        let success = false;
+        try {
+            const resp = await this.sendSyncMessage({ type: 'SYNC_REKEY', passphrase });
+            success = !!resp?.success;
+            if (!success && !this.isHandledSyncCode(resp?.code)) {
+                throw new Error(resp?.error || '');
+            }
+        } catch (e) {
+            window.globalToastManager?.error((chrome.i18n.getMessage('cloudRekeyFailed') || '云端备份重新加密失败，密码未修改') + (e.message ? ': ' + e.message : ''), null, { color: this.toastColors });
+        } finally {
+            const stored = await chrome.storage.local.get(this.syncConfigKey);
+            if (toggle) {
+                toggle.checked = !!stored[this.syncConfigKey]?.encryption;
+                toggle.disabled = false;
+            }
+            if (passphraseBtn) passphraseBtn.disabled = false;
+            this.updateEncryptionView();
+        }
+        return success;
+    }
+    
+    /**
+     * 设置新密码（输入两次）
+     * @returns {Promise<string|null>}
+     */
+    async promptNewPassphrase() {
+        if (!window.globalInputModal) return null;
+        
+        const passphrase = await window.globalInputModal.show({
+            title: chrome.i18n.getMessage('cloudPassphraseSetTitle') || '设置加密密码',
+            placeholder: chrome.i18n.getMessage('cloudPassphrasePlaceholder') || '至少 8 个字符',
+            inputType: 'password',
+            required: true,
+            maxLength: 256,
+            validator: (value) => value.length >= 8
+                ? { valid: true }
+                : { valid: false, message: chrome.i18n.getMessage('cloudPassphraseTooShort') || '密码至少 8 个字符' }
+        });
+        if (!passphrase) return null;
+        
+        const repeated = await window.globalInputModal.show({
+            title: chrome.i18n.getMessage('cloudPassphraseRepeatTitle') || '再次输入密码',
+            inputType: 'password',
+            required: true,
+            maxLength: 256
+        });
+        if (!repeated) return null;
+        
+        if (repeated !== passphrase) {
+            window.globalToastManager?.error(chrome.i18n.getMessage('cloudPassphraseMismatch') || '两次输入的密码不一致', null, { color: this.toastColors });
+            return null;
+        }
+        return passphrase;
+    }
+    
+    /**
+     * 输入已有密码（解密云端备份或导入文件）
+     * @param {boolean} retry - 上一次密码错误
+     * @returns {Promise<string|null>}
+     */
+    async promptPassphrase(retry = false) {
+        if (!window.globalInputModal) return null;
+        return window.globalInputModal.show({
+            title: retry
+                ? (chrome.i18n.getMessage('cloudPassphraseWrongTitle') || '密码错误，请重新输入')
+                : (chrome.i18n.getMessage('cloudPassphraseEnterTitle') || '备份已加密，请输入密码'),
+            inputType: 'password',
+            required: true,
+            maxLength: 256
+        });
+    }
+    
+    /**
+     * 解密导入文件：先尝试本机保存的密码，失败后提示输入
+     * @returns {Promise<Object|null>} 用户取消时返回 null
+     */
+    async decryptImport(envelope) {
+        const stored = await chrome.storage.local.get(this.passphraseKey);
+        let passphrase = stored[this.passphraseKey];
+        let retry = false;
+        
+        for (let attempt = 0; attempt < 4; attempt++) {
+            if (!passphrase) {
+                passphrase = await this.promptPassphrase(retry);
+                if (!passphrase) return null;
+            }
+            try {
+                return await SyncCrypto.decrypt(envelope, passphrase);
+            } catch (e) {
+                if (e.code !== 'BAD_PASSPHRASE') throw e;
+                // 本机密码不匹配不算输错
+                retry = attempt > 0 || !stored[this.passphraseKey];
+                passphrase = null;
+            }
+        }
+        throw new Error(chrome.i18n.getMessage('cloudPassphraseWrongTitle') || '密码错误');
+    }
+    
+    // ============================================
+    // 自动同步 & 冲突报告
+    // ============================================
+    
+    /**
+     * 立即执行一次三方合并同步
+     */
+    async handleSyncNow() {
+        const btn = document.getElementById('cloud-sync-now-btn');
+        const original = btn?.textContent;
+        if (btn) {
+            btn.disabled = true;
+            btn.textContent = chrome.i18n.getMessage('cloudSyncing') || '同步中...';
+        }
+        
+        try {
+            await this.saveProviderConfig();
+            const resp = await this.sendSyncMessage({ type: 'SYNC_NOW' });
+            if (resp?.success) {
+                const message = resp.data?.conflicts
+                    ? (chrome.i18n.getMessage('cloudSyncConflictToast') || '同步完成，发现 {count} 处冲突').replace('{count}', resp.data.conflicts)
+                    : (chrome.i18n.getMessage('cloudSyncDone') || '同步完成');
+                window.globalToastManager?.success(message, null, { color: this.toastColors });
+            } else if (!this.isHandledSyncCode(resp?.code)) {
+                throw new Error(resp?.error || '');
+            }
+        } catch (e) {
+            window.globalToastManager?.error((chrome.i18n.getMessage('cloudSyncFailed') || '同步失败') + (e.message ? ': ' + e.message : ''), null, { color: this.toastColors });
+        } finally {
+            if (btn) {
+                btn.disabled = false;
+                btn.textContent = original;
+            }
+        }
+    }
+    
+    /**
+     * 渲染同步状态与冲突列表
+     */
+    async renderSyncState() {
+        const stateEl = document.getElementById('cloud-sync-state');
+        const conflictsEl = document.getElementById('cloud-conflicts');
+        if (!stateEl || !conflictsEl) return;
+        
+        const result = await chrome.storage.local.get([this.syncStateKey, this.syncConflictsKey]);
+        const state = result[this.syncStateKey] || {};
+        const conflicts = result[this.syncConflictsKey] || [];
+        
+        let text = '';
+        if (state.running) {
+            text = chrome.i18n.getMessage('cloudSyncing') || '同步中...';
+        } else if (state.lastError) {
+            const reason = this.isPassphraseError(state.lastErrorCode)
+                ? (chrome.i18n.getMessage('cloudPassphraseNeeded') || '需要加密密码，请点击“立即同步”输入')
+                : state.lastError;
+            text = (chrome.i18n.getMessage('cloudSyncFailed') || '同步失败') + ': ' + reason;
+        } else if (state.lastSyncAt) {
+            text = (chrome.i18n.getMessage('cloudLastSync') || '上次同步：{time}').replace('{time}', new Date(state.lastSyncAt).toLocaleString());
+        }
+        // 快照保存失败不影响同步，但需要提示（否则保留快照会无声地停止）
+        const snapshotError = !state.running && !state.lastError && state.lastSnapshotError;
+        if (snapshotError) {
+            text = [text, (chrome.i18n.getMessage('cloudSnapshotFailed') || '备份快照保存失败') + ': ' + state.lastSnapshotError].filter(Boolean).join(' · ');
+        }
+        stateEl.textContent = text;
+        stateEl.classList.toggle('error', !state.running && (!!state.lastError || !!snapshotError));
+        
+        if (!conflicts.length) {
+            conflictsEl.style.display = 'none';
+            conflictsEl.innerHTML = '';
+            return;
+        }
+        
+        conflictsEl.style.display = '';
+        conflictsEl.innerHTML = `
+            <div class="cloud-conflicts-header">
+                <span>${(chrome.i18n.getMessage('syncConflictTitle') || '同步冲突（{count}）').replace('{count}', conflicts.length)}</span>
+                <button class="cloud-conflict-btn" data-action="dismiss-all">${chrome.i18n.getMessage('syncConflictDismissAll') || '全部忽略'}</button>
+            </div>
+            ${conflicts.map(conflict => this.renderConflictItem(conflict)).join('')}
+        `;
+    }
+    
+    renderConflictItem(conflict) {
+        const { summary, swapLabel } = this.describeConflict(conflict);
+        const title = this.escapeHtml(conflict.title || String(conflict.itemId));
+        const kind = this.conflictKindNames[conflict.kind] || conflict.key;
+        const id = this.escapeHtml(conflict.id);
+        return `
+            <div class="cloud-conflict-item">
+                <div class="cloud-conflict-main">
+                    <span class="cloud-conflict-kind">${this.escapeHtml(kind)}</span>
+                    <span class="cloud-conflict-title" title="${title}">${title}</span>
+                </div>
+                <div class="cloud-conflict-summary">${summary} · ${new Date(conflict.detectedAt).toLocaleString()}</div>
+                <div class="cloud-conflict-actions">
+                    <button class="cloud-conflict-btn" data-action="swap" data-id="${id}">${swapLabel}</button>
+                    <button class="cloud-conflict-btn" data-action="dismiss" data-id="${id}">${chrome.i18n.getMessage('syncConflictDismiss') || '忽略'}</button>
+                </div>
+            </div>`;
+    }
+    
+    /**
+     * 冲突说明：自动保留了哪一方 + 撤销按钮文案
+     */
+    describeConflict(conflict) {
+        if (!conflict.remote) {
+            return {
+                summary: chrome.i18n.getMessage('syncConflictRemoteDeleted') || '另一台设备已删除，已保留本设备的修改',
+                swapLabel: chrome.i18n.getMessage('syncConflictDelete') || '删除'
+            };
+        }
+        if (!conflict.local) {
+            return {
+                summary: chrome.i18n.getMessage('syncConflictLocalDeleted') || '本设备已删除，已保留另一台设备的修改',
+                swapLabel: chrome.i18n.getMessage('syncConflictDelete') || '删除'
+            };
+        }
+        if (conflict.resolution === 'remote') {
+            return {
+                summary: chrome.i18n.getMessage('syncConflictKeptRemote') || '两台设备都修改过，已保留另一台设备的较新版本',
+                swapLabel: chrome.i18n.getMessage('syncConflictUseLocal') || '改用本设备版本'
+            };
+        }
+        return {
+            summary: chrome.i18n.getMessage('syncConflictKeptLocal') || '两台设备都修改过，已保留本设备的较新版本',
+            swapLabel: chrome.i18n.getMessage('syncConflictUseRemote') || '改用另一台设备版本'
+        };
+    }
+    
+    /**
+     * 处理冲突操作
+     * - swap：改用被舍弃的版本（写入本地，随下次同步上传）
+     * - dismiss / dismiss-all：从报告中移除
+     */
+    async handleConflictAction(action, conflictId) {
+        const result = await chrome.storage.local.get(this.syncConflictsKey);
+        const conflicts = result[this.syncConflictsKey] || [];
+        
+        if (action === 'dismiss-all') {
+            await chrome.storage.local.set({ [this.syncConflictsKey]: [] });
+            return;
+        }
+        
+        const conflict = conflicts.find(c => c.id === conflictId);
+        if (!conflict) return;
+        
+        if (action === 'swap') {
+            const rule = SyncMerge.getRecordRule(conflict.key);
+            if (!rule) return;
+            const discarded = conflict.resolution === 'local' ? conflict.remote : conflict.local;
+            const stored = await chrome.storage.local.get(conflict.key);
+            // 分组数据（如 highlightData）只替换冲突条目所在分组的数组
+            const container = rule.grouped ? { ...(stored[conflict.key] || {}) } : null;
+            const current = (rule.grouped ? container[conflict.group] : stored[conflict.key]) || [];
+            const next = discarded
+                ? SyncMerge.mergeArrayByField(current, [discarded], rule.field)
+                : current.filter(item => item[rule.field] !== conflict.itemId);
+            if (rule.grouped) {
+                if (next.length > 0) container[conflict.group] = next;
+                else delete container[conflict.group];
+            }
+            await chrome.storage.local.set({ [conflict.key]: rule.grouped ? container : next });
+        }
+        
+        await chrome.storage.local.set({
+            [this.syncConflictsKey]: conflicts.filter(c => c.id !== conflictId)
+        });
+    }
+    
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+    
+    // ============================================
+    // 备份历史
+    // ============================================
+    
+    /**
+     * 加载快照列表
+     * @param {'local'|'cloud'} source
+     */
+    async loadSnapshots(source) {
+        const listEl = document.getElementById('snapshot-list');
+        if (!listEl) return;
+        
+        this.setState('snapshotSource', source);
+        this.setState('snapshotPayloads', {});
+        document.querySelectorAll('#snapshot-source-tabs [data-source]').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.source === source);
+        });
+        listEl.innerHTML = `<div class="snapshot-empty">${chrome.i18n.getMessage('snapshotLoading') || '加载中...'}</div>`;
+        
+        const resp = source === 'cloud'
+            ? await this.sendSyncMessage({ type: 'SNAPSHOT_LIST', source })
+            : await chrome.runtime.sendMessage({ type: 'SNAPSHOT_LIST', source });
+        
+        // 切换过来源则丢弃旧结果
+        if (this.getState('snapshotSource') !== source) return;
+        
+        if (!resp?.success) {
+            const message = this.isHandledSyncCode(resp?.code) ? '' : (resp?.error || '');
+            listEl.innerHTML = `<div class="snapshot-empty">${this.escapeHtml((chrome.i18n.getMessage('snapshotLoadFailed') || '加载失败') + (message ? ': ' + message : ''))}</div>`;
+            return;
+        }
+        
+        const snapshots = resp.data || [];
+        this.setState('snapshots', snapshots);
+        listEl.innerHTML = snapshots.length
+            ? snapshots.map(snapshot => this.renderSnapshotItem(snapshot)).join('')
+            : `<div class="snapshot-empty">${chrome.i18n.getMessage('snapshotEmpty') || '暂无快照'}</div>`;
+    }
+    
+    renderSnapshotItem(snapshot) {
+        const id = this.escapeHtml(snapshot.id);
+        const counts = Object.entries(this.snapshotCategoryNames)
+            .map(([name, label]) => `${label} ${snapshot.counts?.[name] || 0}`)
+            .join(' · ');
+        return `
+            <div class="snapshot-item" data-id="${id}">
+                <div class="snapshot-item-main">
+                    <span class="snapshot-time">${new Date(snapshot.createdAt).toLocaleString()}</span>
+                    <span class="snapshot-reason">${this.snapshotReasonNames[snapshot.reason] || this.escapeHtml(snapshot.reason || '')}</span>
+                    <span class="snapshot-size">${this.formatSize(snapshot.size || 0)}</span>
+                </div>
+                <div class="snapshot-counts">${counts}</div>
+                <div class="snapshot-diff" style="display: none;"></div>
+                <div class="snapshot-actions">
+                    <button class="cloud-conflict-btn" data-action="diff" data-id="${id}">${chrome.i18n.getMessage('snapshotDiffBtn') || '对比当前'}</button>
+                    <button class="cloud-conflict-btn" data-action="merge" data-id="${id}">${chrome.i18n.getMessage('importModeMerge') || '合并'}</button>
+                    <button class="cloud-conflict-btn" data-action="restore" data-id="${id}">${chrome.i18n.getMessage('snapshotRestoreBtn') || '恢复'}</button>
+                    <button class="cloud-conflict-btn" data-action="export" data-id="${id}">${chrome.i18n.getMessage('exportLabel') || '导出'}</button>
+                </div>
+            </div>`;
+    }
+    
+    /**
+     * 读取快照内容（按来源缓存）
+     * @returns {Promise<Object|null>} { _meta, data }
+     */
+    async loadSnapshotPayload(id) {
+        const cache = this.getState('snapshotPayloads') || {};
+        if (cache[id]) return cache[id];
+        
+        const source = this.getState('snapshotSource');
+        const message = { type: 'SNAPSHOT_GET', source, id };
+        const resp = source === 'cloud' ? await this.sendSyncMessage(message) : await chrome.runtime.sendMessage(message);
+        if (!resp?.success) {
+            if (this.isHandledSyncCode(resp?.code)) return null;
+            throw new Error(resp?.error || (chrome.i18n.getMessage('snapshotLoadFailed') || '加载失败'));
+        }
+        if (!resp.data?.data || typeof resp.data.data !== 'object') {
+            throw new Error(chrome.i18n.getMessage('gdriveDataInvalid') || '云端数据格式无效');
+        }
+        
+        cache[id] = resp.data;
+        this.setState('snapshotPayloads', cache);
+        return resp.data;
+    }
+    
+    async handleSnapshotAction(action, id) {
+        const snapshot = (this.getState('snapshots') || []).find(item => item.id === id);
+        if (!snapshot) return;
+        
+        try {
+            const payload = await this.loadSnapshotPayload(id);
+            if (!payload) return;
+            
+            if (action === 'diff') {
+                this.showSnapshotDiff(id, payload.data);
+            } else if (action === 'export') {
+                this.downloadJson(payload, `ai-timeline-snapshot-${this.formatDate(new Date(snapshot.createdAt))}.json`);
+            } else if (action === 'merge' || action === 'restore') {
+                await this.applySnapshot(action, snapshot, payload.data);
+            }
+        } catch (e) {
+            window.globalToastManager?.error((chrome.i18n.getMessage('snapshotLoadFailed') || '加载失败') + ': ' + e.message, null, { color: this.toastColors });
+        }
+    }
+    
+    /**
+     * 展示快照与当前数据的差异（恢复后会发生的变化）
+     */
+    async showSnapshotDiff(id, snapshotData) {
+        const itemEl = Array.from(document.querySelectorAll('.snapshot-item')).find(el => el.dataset.id === id);
+        const diffEl = itemEl?.querySelector('.snapshot-diff');
+        if (!diffEl) return;
+        
+        const diff = SyncMerge.diff(await this.getAllStorageData(), snapshotData);
+        const parts = Object.entries(diff)
+            .filter(([, d]) => d.added || d.removed || d.changed)
+            .map(([name, d]) => `${this.snapshotCategoryNames[name]} +${d.added} −${d.removed} ~${d.changed}`);
+        
+        diffEl.textContent = parts.length
+            ? (chrome.i18n.getMessage('snapshotDiffPrefix') || '恢复后：') + parts.join(' · ')
+            : (chrome.i18n.getMessage('snapshotDiffSame') || '与当前数据相同');
+        diffEl.style.display = '';
+    }
+    
+    /**
+     * 恢复（覆盖）或合并快照
+     */
+    async applySnapshot(action, snapshot, data) {
+        const time = new Date(snapshot.createdAt).toLocaleString();
+        if (window.globalPopconfirmManager) {
+            const confirmed = await window.globalPopconfirmManager.show({
+                title: action === 'restore'
+                    ? (chrome.i18n.getMessage('snapshotRestoreTitle') || '恢复到此快照？')
+                    : (chrome.i18n.getMessage('snapshotMergeTitle') || '合并此快照？'),
+                content: (action === 'restore'
+                    ? (chrome.i18n.getMessage('snapshotRestoreContent') || '将用 {time} 的快照替换当前数据，当前数据会先自动保存为本地快照')
+                    : (chrome.i18n.getMessage('snapshotMergeContent') || '将 {time} 的快照合并到当前数据')).replace('{time}', time),
+                confirmText: action === 'restore'
+                    ? (chrome.i18n.getMessage('snapshotRestoreBtn') || '恢复')
+                    : (chrome.i18n.getMessage('importModeMerge') || '合并'),
+                cancelText: chrome.i18n.getMessage('pxvkmz') || '取消',
+                confirmTextType: action === 'restore' ? 'danger' : 'default'
+            });
+            if (!confirmed) return;
+        }
+        
+        if (action === 'restore') {
+            await this.overwriteData(data);
+        } else {
+            await this.mergeData(data);
+        }
+        
+        if (window.globalPopconfirmManager) {
+            const confirmed = await window.globalPopconfirmManager.show({
+                title: chrome.i18n.getMessage('importSuccess') || '导入成功',
+                content: chrome.i18n.getMessage('importSuccessHint') || '数据已成功导入，需要刷新页面后生效',
+                confirmText: chrome.i18n.getMessage('refreshPage') || '刷新页面',
+                cancelText: chrome.i18n.getMessage('refreshLater') || '稍后刷新',
+                confirmTextType: 'default'
+            });
+            if (confirmed) location.reload();
+        }
+    }
+    
+    async handleCreateSnapshot() {
+        const resp = await chrome.runtime.sendMessage({ type: 'SNAPSHOT_CREATE', reason: 'manual' });
+        if (resp?.success) {
+            window.globalToastManager?.success(chrome.i18n.getMessage('snapshotCreated') || '已创建本地快照', null, { color: this.toastColors });
+            if (this.getState('snapshotSource') === 'local') this.loadSnapshots('local');
+        } else {
+            window.globalToastManager?.error((chrome.i18n.getMessage('snapshotCreateFailed') || '创建快照失败') + ': ' + (resp?.error || ''), null, { color: this.toastColors });
+        }
+    }
+    
+    formatSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+    
     /**
      * 导出数据
      */
@@ -296,29 +1291,23 @@ class DataSyncTab extends BaseTab {
         try {
             this.showStatus('loading', chrome.i18n.getMessage('exportingData') || '正在导出...');
             
-            // 获取所有存储数据
-            const data = await this.getAllStorageData();
+            // 获取选中类别的存储数据
+            const categories = this.getSelectedCategories('export');
+            const data = SyncMerge.filterByCategories(await this.getAllStorageData(), categories);
             
-            // 添加元数据
+            // 添加元数据（categories 用于导入时确定覆盖范围）
             const exportData = {
                 _meta: {
                     version: '1.0',
                     exportTime: new Date().toISOString(),
-                    source: 'AIChatTimeline'
+                    source: 'AIChatTimeline',
+                    categories
                 },
                 data: data
             };
             
             // 创建并下载文件
-            const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `ai-timeline-backup-${this.formatDate(new Date())}.json`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
+            this.downloadJson(exportData, `ai-timeline-backup-${this.formatDate(new Date())}.json`);
             
             // 使用全局 toast 提示（颜色跟随主题）
             if (window.globalToastManager) {
@@ -356,23 +1345,42 @@ class DataSyncTab extends BaseTab {
             
             // 读取文件
             const text = await file.text();
-            const importData = JSON.parse(text);
+            let importData = JSON.parse(text);
+            
+            // 加密备份：解密后再导入
+            if (SyncCrypto.isEncrypted(importData)) {
+                importData = await this.decryptImport(importData);
+                if (!importData) {
+                    this.hideStatus();
+                    return;
+                }
+            }
             
             // 验证数据格式
             if (!importData.data || typeof importData.data !== 'object') {
                 throw new Error('Invalid data format');
             }
             
+            // 导入范围：选中的类别 ∩ 文件包含的类别（旧版导出文件视为包含全部类别）
+            const fileCategories = Array.isArray(importData._meta?.categories)
+                ? importData._meta.categories
+                : Object.keys(SyncMerge.DATA_CATEGORIES);
+            const categories = this.getSelectedCategories('import').filter(name => fileCategories.includes(name));
+            if (!categories.length) {
+                throw new Error(chrome.i18n.getMessage('importNoCategoryData') || '文件中没有所选类别的数据');
+            }
+            const data = SyncMerge.filterByCategories(importData.data, categories);
+            
             // 获取导入模式
             const modeRadio = document.querySelector('input[name="import-mode"]:checked');
             const mode = modeRadio?.value || 'merge';
             
             if (mode === 'overwrite') {
-                // 覆盖模式：直接替换
-                await this.overwriteData(importData.data);
+                // 覆盖模式：替换所选类别的数据
+                await this.overwriteData(data, categories);
             } else {
                 // 合并模式：智能合并
-                await this.mergeData(importData.data);
+                await this.mergeData(data);
             }
             
             // 使用 popConfirm 展示导入成功，提醒用户刷新
@@ -395,6 +1403,116 @@ class DataSyncTab extends BaseTab {
         }
     }
     
+    // ============================================
+    // 平台导入（ChatGPT / Claude 官方导出）
+    // ============================================
+    
+    /**
+     * 解析导出文件并展示预览（此时不写入任何数据）
+     */
+    async handlePlatformImportFile(e) {
+        const file = e.target.files?.[0];
+        if (!file) return;
+        e.target.value = '';
+        
+        this.clearPlatformImport();
+        this.showStatus('loading', chrome.i18n.getMessage('platformImportParsing') || '正在解析导出文件...');
+        
+        try {
+            const parsed = PlatformImporter.parse(await PlatformImporter.readFile(file));
+            const folderManager = new FolderManager(StorageAdapter);
+            const plan = PlatformImporter.buildPlan(parsed, await StarStorageManager.getAll(), await folderManager.getFolders());
+            this.setState('platformImportPlan', plan);
+            this.hideStatus();
+            this.renderPlatformImportPreview(plan);
+        } catch (error) {
+            console.error('[DataSyncTab] Platform import parse failed:', error);
+            const message = error.code === 'UNSUPPORTED_FORMAT'
+                ? (chrome.i18n.getMessage('platformImportUnsupported') || '无法识别的导出文件，请选择 ChatGPT 或 Claude 的官方导出数据')
+                : error.message;
+            this.showStatus('error', (chrome.i18n.getMessage('importFailed') || '导入失败') + ': ' + message);
+        }
+    }
+    
+    /**
+     * 预览：将要创建的收藏、文件夹和提问时间
+     */
+    renderPlatformImportPreview(plan) {
+        const previewEl = document.getElementById('platform-import-preview');
+        if (!previewEl) return;
+        
+        const formatDay = (time) => new Date(time).toLocaleDateString();
+        const summary = (chrome.i18n.getMessage('platformImportSummary') || '{platform}：{count} 个对话将被收藏，{nodes} 个提问时间')
+            .replace('{platform}', plan.platformName)
+            .replace('{count}', plan.conversations.length)
+            .replace('{nodes}', plan.nodeCount);
+        const range = plan.range ? `${formatDay(plan.range.from)} – ${formatDay(plan.range.to)}` : '';
+        const skipped = plan.skipped
+            ? (chrome.i18n.getMessage('platformImportSkipped') || '{count} 个已收藏的对话将跳过').replace('{count}', plan.skipped)
+            : '';
+        const newLabel = chrome.i18n.getMessage('platformImportNewFolder') || '新建';
+        const folders = plan.years.map(year => `
+            <li>📁 ${this.escapeHtml(plan.rootFolder.name)} / ${this.escapeHtml(year.name)}
+                <span class="platform-import-count">${year.count}</span>
+                ${!plan.rootFolder.exists || !year.exists ? `<span class="platform-import-new">${newLabel}</span>` : ''}
+            </li>
+        `).join('');
+        const sample = plan.sample.map(conversation => `
+            <li><span class="platform-import-date">${formatDay(conversation.createTime)}</span>${this.escapeHtml(conversation.title || plan.platformName)}</li>
+        `).join('');
+        
+        previewEl.innerHTML = `
+            <div class="platform-import-summary">${summary}</div>
+            ${range ? `<div class="platform-import-meta">${range}</div>` : ''}
+            ${skipped ? `<div class="platform-import-meta">${skipped}</div>` : ''}
+            ${folders ? `<ul class="platform-import-list">${folders}</ul>` : ''}
+            ${sample ? `
+                <div class="platform-import-meta">${chrome.i18n.getMessage('platformImportRecent') || '最近的对话'}</div>
+                <ul class="platform-import-list platform-import-sample">${sample}</ul>
+            ` : ''}
+            <div class="platform-import-actions">
+                <button class="cloud-test-btn" data-action="cancel">${chrome.i18n.getMessage('pxvkmz') || '取消'}</button>
+                <button class="cloud-test-btn platform-import-confirm" data-action="confirm" ${plan.conversations.length ? '' : 'disabled'}>
+                    ${chrome.i18n.getMessage('platformImportConfirm') || '导入'}
+                </button>
+            </div>
+        `;
+        previewEl.style.display = '';
+    }
+    
+    /**
+     * 确认导入
+     */
+    async handlePlatformImportConfirm(btn) {
+        const plan = this.getState('platformImportPlan');
+        if (!plan) return;
+        
+        btn.disabled = true;
+        try {
+            const result = await PlatformImporter.apply(plan, new FolderManager(StorageAdapter));
+            this.clearPlatformImport();
+            window.globalToastManager?.success(
+                (chrome.i18n.getMessage('platformImportSuccess') || '已导入 {count} 个对话')
+                    .replace('{count}', result.stars),
+                null,
+                { color: this.toastColors }
+            );
+        } catch (error) {
+            console.error('[DataSyncTab] Platform import failed:', error);
+            btn.disabled = false;
+            window.globalToastManager?.error((chrome.i18n.getMessage('importFailed') || '导入失败') + ': ' + error.message, null, { color: this.toastColors });
+        }
+    }
+    
+    clearPlatformImport() {
+        this.setState('platformImportPlan', null);
+        const previewEl = document.getElementById('platform-import-preview');
+        if (previewEl) {
+            previewEl.style.display = 'none';
+            previewEl.innerHTML = '';
+        }
+    }
+    
     /**
      * 获取所有存储数据（过滤掉 _ 开头的内部数据）
      */
@@ -403,7 +1521,7 @@ class DataSyncTab extends BaseTab {
             chrome.storage.local.get(null, (items) => {
                 const filtered = {};
                 for (const [key, value] of Object.entries(items)) {
-                    if (!key.startsWith('_') && key !== 'gdriveToken') {
+                    if (SyncMerge.isSyncableKey(key)) {
                         filtered[key] = value;
                     }
                 }
@@ -413,36 +1531,31 @@ class DataSyncTab extends BaseTab {
     }
     
     /**
-     * 覆盖模式：清空并写入新数据
+     * 覆盖模式：移除现有数据后写入新数据
+     * 只替换参与同步的 key：仅本地使用的 key（同步凭据、口令等）和 _ 开头的同步状态保持不变，
+     * 导入数据中的这些 key 被丢弃
+     * 指定 categories 时只替换这些类别的数据，其他类别保持不变
+     * 覆盖前自动创建本地快照，快照失败则不覆盖
      */
-    async overwriteData(newData) {
-        return new Promise((resolve, reject) => {
-            // 先清空
-            chrome.storage.local.clear(() => {
-                if (chrome.runtime.lastError) {
-                    reject(chrome.runtime.lastError);
-                    return;
-                }
-                // 再写入
-                chrome.storage.local.set(newData, () => {
-                    if (chrome.runtime.lastError) {
-                        reject(chrome.runtime.lastError);
-                    } else {
-                        resolve();
-                    }
-                });
-            });
-        });
+    async overwriteData(newData, categories) {
+        const snapshot = await chrome.runtime.sendMessage({ type: 'SNAPSHOT_CREATE', reason: 'before-import' });
+        if (!snapshot?.success) {
+            throw new Error((chrome.i18n.getMessage('snapshotCreateFailed') || '创建快照失败') + (snapshot?.error ? ': ' + snapshot.error : ''));
+        }
+        
+        const dataToWrite = SyncMerge.filterSyncable(newData);
+        const existingKeys = Object.keys(await this.getAllStorageData());
+        const toRemove = existingKeys.filter(key => !(key in dataToWrite) && SyncMerge.isKeyInCategories(key, categories));
+        await chrome.storage.local.remove(toRemove);
+        await chrome.storage.local.set(dataToWrite);
     }
     
     /**
-     * 合并模式：智能合并数据
+     * 合并模式：智能合并数据（规则见 SyncMerge.mergeByKey）
      * 
      * 合并规则：
-     * - chatTimelineStars → 按 key 字段合并，导入覆盖
-     * - chatTimelinePins → 按 key 字段合并，导入覆盖
-     * - prompts（提示词）→ 按 id 字段合并，导入覆盖
-     * - folders（文件夹）→ 按 id 字段合并，导入覆盖
+     * - chatTimelineStars / chatTimelinePins → 按 key 字段合并，导入覆盖
+     * - prompts / folders / aitNotepadNotes → 按 id 字段合并，导入覆盖
      * - *PlatformSettings → 对象按 key 合并
      * - 其他类型 → 新值覆盖
      */
@@ -450,7 +1563,8 @@ class DataSyncTab extends BaseTab {
         const existingData = await this.getAllStorageData();
         const mergedData = { ...existingData };
         
-        for (const [key, newValue] of Object.entries(newData)) {
+        // 导入数据中的同步凭据、内部状态等不参与合并
+        for (const [key, newValue] of Object.entries(SyncMerge.filterSyncable(newData))) {
             const existingValue = existingData[key];
             
             // 本地不存在，直接使用新值
@@ -460,7 +1574,7 @@ class DataSyncTab extends BaseTab {
             }
             
             // 根据 key 类型选择合并策略
-            mergedData[key] = this.mergeByKey(key, existingValue, newValue);
+            mergedData[key] = SyncMerge.mergeByKey(key, existingValue, newValue);
         }
         
         return new Promise((resolve, reject) => {
@@ -475,69 +1589,18 @@ class DataSyncTab extends BaseTab {
     }
     
     /**
-     * 根据 key 类型选择合并策略
+     * 下载 JSON 文件
      */
-    mergeByKey(key, existing, newValue) {
-        // chatTimelineStars - 按 key 字段合并
-        if (key === 'chatTimelineStars') {
-            return this.mergeArrayByField(existing, newValue, 'key');
-        }
-        
-        // chatTimelinePins - 按 key 字段合并
-        if (key === 'chatTimelinePins') {
-            return this.mergeArrayByField(existing, newValue, 'key');
-        }
-        
-        // prompts（提示词）- 按 id 字段合并
-        if (key === 'prompts') {
-            return this.mergeArrayByField(existing, newValue, 'id');
-        }
-        
-        // folders（文件夹）- 按 id 字段合并
-        if (key === 'folders') {
-            return this.mergeArrayByField(existing, newValue, 'id');
-        }
-        
-        // *PlatformSettings - 对象按 key 合并
-        if (key.endsWith('PlatformSettings')) {
-            return { ...existing, ...newValue };
-        }
-        
-        // 其他类型 - 新值覆盖
-        return newValue;
-    }
-    
-    /**
-     * 按指定字段合并数组（导入数据覆盖现有数据）
-     * @param {Array} existing - 现有数据
-     * @param {Array} newArr - 导入数据
-     * @param {string} field - 唯一标识字段名
-     * @returns {Array} 合并后的数组
-     */
-    mergeArrayByField(existing, newArr, field) {
-        if (!Array.isArray(existing) || !Array.isArray(newArr)) {
-            return newArr;
-        }
-        
-        const map = new Map();
-        
-        // 先添加现有数据
-        for (const item of existing) {
-            const key = item[field];
-            if (key !== undefined) {
-                map.set(key, item);
-            }
-        }
-        
-        // 导入数据覆盖（相同 key 的会被覆盖）
-        for (const item of newArr) {
-            const key = item[field];
-            if (key !== undefined) {
-                map.set(key, item);
-            }
-        }
-        
-        return Array.from(map.values());
+    downloadJson(payload, fileName) {
+        const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
     }
     
     /**
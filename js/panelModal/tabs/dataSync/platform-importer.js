@@ -0,0 +1,331 @@
+/**
+ * Platform Importer - 从平台官方导出数据导入收藏
+ *
+ * 支持：
+ * - ChatGPT：设置 → 数据控制 → 导出数据（zip 或其中的 conversations.json）
+ * - Claude：Settings → Privacy → Export data（zip 或其中的 conversations.json）
+ *
+ * 流程：readFile → parse → buildPlan（预览）→ apply（写入）
+ * - 每个对话生成一条整段对话收藏（index = -1），与侧边栏「收藏到文件夹」的数据结构一致
+ * - 按平台创建根文件夹，按年份创建子文件夹（已存在同名文件夹时复用）
+ * - 提问节点时间写入 chatTimes，节点 ID 与各平台 Adapter 的 generateTurnId 一致
+ * - 已收藏的对话跳过，不覆盖用户已有的文件夹归类
+ */
+
+const PlatformImporter = {
+    PLATFORMS: {
+        chatgpt: { name: 'ChatGPT', origin: 'https://chatgpt.com', path: '/c/' },
+        claude: { name: 'Claude', origin: 'https://claude.ai', path: '/chat/' }
+    },
+
+    // 收藏标题最大长度（与 TimelineManager.truncateText 一致）
+    TITLE_MAX_LENGTH: 100,
+
+    // 预览中展示的对话数量
+    PREVIEW_SAMPLE_SIZE: 5,
+
+    /**
+     * 读取导出文件（.json 或 .zip）
+     * @param {File} file
+     * @returns {Promise<*>} conversations.json 的内容
+     */
+    async readFile(file) {
+        const head = new Uint8Array(await file.slice(0, 4).arrayBuffer());
+        const isZip = head[0] === 0x50 && head[1] === 0x4b && head[2] === 0x03 && head[3] === 0x04;
+        const text = isZip ? await this._readZipEntry(file, 'conversations.json') : await file.text();
+        return JSON.parse(text);
+    },
+
+    /**
+     * 识别导出格式
+     * @returns {'chatgpt'|'claude'|null}
+     */
+    detect(json) {
+        if (!Array.isArray(json) || json.length === 0) return null;
+        const sample = json.find(item => item && typeof item === 'object');
+        if (!sample) return null;
+        if (sample.mapping && typeof sample.mapping === 'object') return 'chatgpt';
+        if (Array.isArray(sample.chat_messages) && sample.uuid) return 'claude';
+        return null;
+    },
+
+    /**
+     * 解析为统一的对话结构
+     * @returns {{ platform: string, conversations: Array<{ id, title, url, createTime, turns: Array<{ nodeId, timestamp }> }> }}
+     */
+    parse(json) {
+        const platform = this.detect(json);
+        if (!platform) {
+            const error = new Error('Unsupported export format');
+            error.code = 'UNSUPPORTED_FORMAT';
+            throw error;
+        }
+        const parser = platform === 'chatgpt' ? this._parseChatGPTConversation : this._parseClaudeConversation;
+        const conversations = json
+            .map(item => parser.call(this, item))
+            .filter(Boolean)
+            .sort((a, b) => a.createTime - b.createTime);
+        return { platform, conversations };
+    },
+
+    /**
+     * ChatGPT：沿 current_node 回溯得到当前分支，节点 ID 为 chatgpt-{message.id}
+     */
+    _parseChatGPTConversation(item) {
+        const id = item?.conversation_id || item?.id;
+        if (!id || !item.mapping) return null;
+
+        const branch = [];
+        const visited = new Set();
+        let nodeId = item.current_node;
+        while (nodeId && item.mapping[nodeId] && !visited.has(nodeId)) {
+            visited.add(nodeId);
+            branch.unshift(item.mapping[nodeId]);
+            nodeId = item.mapping[nodeId].parent;
+        }
+
+        const turns = [];
+        let firstText = '';
+        for (const node of branch) {
+            const message = node.message;
+            if (!message || message.author?.role !== 'user') continue;
+            if (message.metadata?.is_visually_hidden_from_conversation || message.metadata?.is_user_system_message) continue;
+            const contentType = message.content?.content_type;
+            if (contentType !== 'text' && contentType !== 'multimodal_text') continue;
+
+            if (!firstText) {
+                firstText = (message.content.parts || []).filter(part => typeof part === 'string').join(' ');
+            }
+            turns.push({
+                nodeId: `chatgpt-${message.id}`,
+                timestamp: message.create_time ? Math.round(message.create_time * 1000) : null
+            });
+        }
+
+        const createTime = item.create_time ? Math.round(item.create_time * 1000) : (turns[0]?.timestamp || Date.now());
+        return {
+            id,
+            title: this._normalizeTitle(item.title || firstText),
+            url: `${this.PLATFORMS.chatgpt.origin}${this.PLATFORMS.chatgpt.path}${id}`,
+            createTime,
+            turns: turns.map(turn => ({ ...turn, timestamp: turn.timestamp || createTime }))
+        };
+    },
+
+    /**
+     * Claude：按顺序取 human 消息，节点 ID 为 claude-{index}
+     */
+    _parseClaudeConversation(item) {
+        if (!item?.uuid || !Array.isArray(item.chat_messages)) return null;
+
+        const humanMessages = item.chat_messages.filter(message => message?.sender === 'human');
+        const createTime = Date.parse(item.created_at) || Date.parse(humanMessages[0]?.created_at) || Date.now();
+        const firstText = humanMessages[0]?.text
+            || (humanMessages[0]?.content || []).map(part => part?.text || '').join(' ');
+
+        return {
+            id: item.uuid,
+            title: this._normalizeTitle(item.name || firstText),
+            url: `${this.PLATFORMS.claude.origin}${this.PLATFORMS.claude.path}${item.uuid}`,
+            createTime,
+            turns: humanMessages.map((message, index) => ({
+                nodeId: `claude-${index}`,
+                timestamp: Date.parse(message.created_at) || createTime
+            }))
+        };
+    },
+
+    _normalizeTitle(text) {
+        const title = String(text || '').replace(/\s+/g, ' ').trim();
+        if (!title) return '';
+        return title.length > this.TITLE_MAX_LENGTH ? title.substring(0, this.TITLE_MAX_LENGTH) + '...' : title;
+    },
+
+    /**
+     * 生成导入计划（用于预览，不写入任何数据）
+     * @param {{ platform, conversations }} parsed
+     * @param {Array} existingStars - 当前收藏
+     * @param {Array} existingFolders - 当前文件夹
+     * @returns {Object} { platform, rootFolder, years, conversations, skipped, nodeCount, range, sample }
+     */
+    buildPlan(parsed, existingStars, existingFolders) {
+        const platformName = this.PLATFORMS[parsed.platform].name;
+        const starredKeys = new Set(existingStars.map(star => star.key));
+        const rootFolder = existingFolders.find(folder => !folder.parentId && folder.name === platformName) || null;
+
+        const conversations = [];
+        let skipped = 0;
+        for (const conversation of parsed.conversations) {
+            if (starredKeys.has(this._getStarKey(conversation.url))) {
+                skipped++;
+                continue;
+            }
+            conversations.push(conversation);
+        }
+
+        // 年份子文件夹：{ name, count, exists }
+        const yearCounts = new Map();
+        conversations.forEach(conversation => {
+            const year = String(new Date(conversation.createTime).getFullYear());
+            yearCounts.set(year, (yearCounts.get(year) || 0) + 1);
+        });
+        const years = Array.from(yearCounts.entries()).map(([name, count]) => ({
+            name,
+            count,
+            exists: !!rootFolder && existingFolders.some(folder => folder.parentId === rootFolder.id && folder.name === name)
+        }));
+
+        return {
+            platform: parsed.platform,
+            platformName,
+            rootFolder: { name: platformName, exists: !!rootFolder },
+            years,
+            conversations,
+            skipped,
+            nodeCount: conversations.reduce((sum, conversation) => sum + conversation.turns.length, 0),
+            range: conversations.length
+                ? { from: conversations[0].createTime, to: conversations[conversations.length - 1].createTime }
+                : null,
+            sample: conversations.slice(-this.PREVIEW_SAMPLE_SIZE).reverse()
+        };
+    },
+
+    /**
+     * 执行导入计划
+     * @param {Object} plan - buildPlan 的返回值
+     * @param {FolderManager} folderManager
+     * @returns {Promise<{ stars: number, folders: number, nodes: number }>}
+     */
+    async apply(plan, folderManager) {
+        if (!plan.conversations.length) return { stars: 0, folders: 0, nodes: 0 };
+
+        // 1. 文件夹：平台根文件夹 + 年份子文件夹
+        let createdFolders = 0;
+        const folders = await folderManager.getFolders();
+        let root = folders.find(folder => !folder.parentId && folder.name === plan.rootFolder.name);
+        if (!root) {
+            root = await folderManager.createFolder(plan.rootFolder.name, null);
+            createdFolders++;
+        }
+        const yearFolderIds = {};
+        for (const year of plan.years) {
+            const current = await folderManager.getFolders();
+            let folder = current.find(item => item.parentId === root.id && item.name === year.name);
+            if (!folder) {
+                folder = await folderManager.createFolder(year.name, root.id);
+                createdFolders++;
+            }
+            yearFolderIds[year.name] = folder.id;
+        }
+
+        // 2. 收藏：一次写入（逐条 add 在数千条对话时会产生大量存储写入）
+        const newStars = plan.conversations.map(conversation => {
+            const urlWithoutProtocol = conversation.url.replace(/^https?:\/\//, '');
+            return {
+                key: this._getStarKey(conversation.url),
+                url: conversation.url,
+                urlWithoutProtocol,
+                index: -1,
+                question: conversation.title || plan.platformName,
+                timestamp: conversation.createTime,
+                folderId: yearFolderIds[String(new Date(conversation.createTime).getFullYear())] || root.id
+            };
+        });
+        let addedStars = 0;
+        await StarStorageManager.batchUpdate(items => {
+            const keys = new Set(items.map(item => item.key));
+            const toAdd = newStars.filter(star => !keys.has(star.key));
+            addedStars = toAdd.length;
+            return [...items, ...toAdd];
+        });
+
+        // 3. 提问节点时间
+        const nodes = await ChatTimeStorageManager.batchImport(plan.conversations.map(conversation => ({
+            conversationKey: conversation.url.replace(/^https?:\/\//, ''),
+            createTime: conversation.createTime,
+            nodes: conversation.turns
+        })));
+
+        return { stars: addedStars, folders: createdFolders, nodes };
+    },
+
+    _getStarKey(url) {
+        return `chatTimelineStar:${url.replace(/^https?:\/\//, '')}:-1`;
+    },
+
+    // ============================================
+    // ZIP 读取（只读取需要的文件，不把整个导出包载入内存）
+    // ============================================
+
+    /**
+     * 读取 zip 中指定文件名的条目（多个同名时取路径最短的）
+     * @returns {Promise<string>}
+     */
+    async _readZipEntry(file, fileName) {
+        const entries = await this._readZipDirectory(file);
+        const matches = entries
+            .filter(entry => entry.name === fileName || entry.name.endsWith('/' + fileName))
+            .sort((a, b) => a.name.length - b.name.length);
+        const entry = matches[0];
+        if (!entry) {
+            const error = new Error(`${fileName} not found in archive`);
+            error.code = 'UNSUPPORTED_FORMAT';
+            throw error;
+        }
+
+        const header = new DataView(await file.slice(entry.offset, entry.offset + 30).arrayBuffer());
+        if (header.getUint32(0, true) !== 0x04034b50) throw new Error('Invalid zip file');
+        const dataStart = entry.offset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+        const data = file.slice(dataStart, dataStart + entry.compressedSize);
+
+        if (entry.method === 0) return data.text();
+        if (entry.method === 8) {
+            return new Response(data.stream().pipeThrough(new DecompressionStream('deflate-raw'))).text();
+        }
+        throw new Error(`Unsupported zip compression method: ${entry.method}`);
+    },
+
+    /**
+     * 读取 zip 中央目录
+     * @returns {Promise<Array<{ name, method, compressedSize, offset }>>}
+     */
+    async _readZipDirectory(file) {
+        // End of central directory 位于文件末尾（最多 64KB 注释）
+        const tailSize = Math.min(file.size, 22 + 0xffff);
+        const tail = new DataView(await file.slice(file.size - tailSize).arrayBuffer());
+        let eocd = -1;
+        for (let i = tailSize - 22; i >= 0; i--) {
+            if (tail.getUint32(i, true) === 0x06054b50) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd < 0) throw new Error('Invalid zip file');
+
+        const count = tail.getUint16(eocd + 10, true);
+        const size = tail.getUint32(eocd + 12, true);
+        const offset = tail.getUint32(eocd + 16, true);
+        if (offset === 0xffffffff || size === 0xffffffff) {
+            throw new Error('ZIP64 archives are not supported, please extract conversations.json and select it instead');
+        }
+
+        const directory = new DataView(await file.slice(offset, offset + size).arrayBuffer());
+        const decoder = new TextDecoder();
+        const entries = [];
+        let pos = 0;
+        for (let i = 0; i < count && pos + 46 <= size; i++) {
+            if (directory.getUint32(pos, true) !== 0x02014b50) break;
+            const nameLength = directory.getUint16(pos + 28, true);
+            const extraLength = directory.getUint16(pos + 30, true);
+            const commentLength = directory.getUint16(pos + 32, true);
+            entries.push({
+                name: decoder.decode(new Uint8Array(directory.buffer, directory.byteOffset + pos + 46, nameLength)),
+                method: directory.getUint16(pos + 10, true),
+                compressedSize: directory.getUint32(pos + 20, true),
+                offset: directory.getUint32(pos + 42, true)
+            });
+            pos += 46 + nameLength + extraLength + commentLength;
+        }
+        return entries;
+    }
+};
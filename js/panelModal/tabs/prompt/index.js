@@ -3,7 +3,12 @@
  * 
  * 功能：
  * - 提示词列表管理（添加、编辑、删除）
+ * - 文件夹（最多2级，见 prompt-folder-manager.js）和标签
+ * - 提示词包导入/导出（见 prompt-pack.js）
+ * - 排序方式和使用统计（见 js/smartInputBox/prompt-usage.js）
+ * - 提示词链管理：按顺序发送的多步提示词（执行见 js/smartInputBox/prompt-chain-runner.js）
  * - 提示词按钮显示开关
+ * - 斜杠命令开关和触发字符（见 js/smartInputBox/prompt-slash-picker.js）
  */
 
 class PromptTab extends BaseTab {
@@ -14,6 +19,11 @@ class PromptTab extends BaseTab {
         this.icon = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
             <polygon points="13 2 3 14 12 14 11 22 21 10 12 10 13 2"/>
         </svg>`;
+        
+        this._promptWriteQueue = Promise.resolve();
+        this.folderManager = new PromptFolderManager(StorageAdapter, {
+            batchUpdate: (updateFn) => this.batchUpdatePrompts(updateFn)
+        });
     }
     
     /**
@@ -23,9 +33,15 @@ class PromptTab extends BaseTab {
         return {
             transient: {
                 prompts: [],      // 提示词列表
+                folders: [],      // 提示词文件夹
+                chains: [],       // 提示词链列表
+                usage: {},        // 使用记录 { promptId: { count, lastUsedAt, platforms } }
+                sortMode: 'manual', // 排序方式（与提示词菜单共用）
                 editingId: null   // 正在编辑的提示词 ID
             },
-            persistent: {}
+            persistent: {
+                folderStates: {}  // 文件夹折叠状态 { folderId: false }
+            }
         };
     }
     
@@ -43,7 +59,58 @@ class PromptTab extends BaseTab {
             <div class="prompt-list-section">
                 <div class="prompt-list-header">
                     <div class="prompt-list-title">${chrome.i18n.getMessage('biwhckdj')}</div>
-                    <button class="prompt-add-btn" id="prompt-add-btn">
+                    <div class="prompt-list-toolbar">
+                        <button class="prompt-item-btn prompt-toolbar-btn" id="prompt-sort-btn">
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <path d="M3 6h13M3 12h9M3 18h5"/>
+                                <polyline points="17 15 20 18 23 15"/>
+                                <line x1="20" y1="6" x2="20" y2="18"/>
+                            </svg>
+                        </button>
+                        <button class="prompt-item-btn prompt-toolbar-btn" id="prompt-stats-btn">
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <line x1="18" y1="20" x2="18" y2="10"/>
+                                <line x1="12" y1="20" x2="12" y2="4"/>
+                                <line x1="6" y1="20" x2="6" y2="14"/>
+                            </svg>
+                        </button>
+                        <button class="prompt-item-btn prompt-toolbar-btn" id="prompt-folder-add-btn">
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"/>
+                                <line x1="12" y1="11" x2="12" y2="17"/>
+                                <line x1="9" y1="14" x2="15" y2="14"/>
+                            </svg>
+                        </button>
+                        <button class="prompt-item-btn prompt-toolbar-btn" id="prompt-pack-import-btn">
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
+                                <polyline points="7 10 12 15 17 10"/>
+                                <line x1="12" y1="15" x2="12" y2="3"/>
+                            </svg>
+                        </button>
+                        <button class="prompt-item-btn prompt-toolbar-btn" id="prompt-pack-export-btn">
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
+                                <polyline points="17 8 12 3 7 8"/>
+                                <line x1="12" y1="3" x2="12" y2="15"/>
+                            </svg>
+                        </button>
+                        <input type="file" id="prompt-pack-file-input" accept=".json" style="display: none;">
+                        <button class="prompt-add-btn" id="prompt-add-btn">
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <line x1="12" y1="5" x2="12" y2="19"/>
+                                <line x1="5" y1="12" x2="19" y2="12"/>
+                            </svg>
+                            <span>${chrome.i18n.getMessage('addkbt')}</span>
+                        </button>
+                    </div>
+                </div>
+                <div class="prompt-list-container" id="prompt-list-container"></div>
+            </div>
+            <div class="prompt-list-section prompt-chain-section">
+                <div class="prompt-list-header">
+                    <div class="prompt-list-title">${chrome.i18n.getMessage('promptChains') || '提示词链'}</div>
+                    <button class="prompt-add-btn" id="prompt-chain-add-btn">
                         <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <line x1="12" y1="5" x2="12" y2="19"/>
                             <line x1="5" y1="12" x2="19" y2="12"/>
@@ -51,7 +118,8 @@ class PromptTab extends BaseTab {
                         <span>${chrome.i18n.getMessage('addkbt')}</span>
                     </button>
                 </div>
-                <div class="prompt-list-container" id="prompt-list-container"></div>
+                <div class="prompt-list-hint">${chrome.i18n.getMessage('promptChainHint') || '按顺序发送多条提示词，每条等上一条回复结束后自动发送'}</div>
+                <div class="prompt-list-container" id="prompt-chain-list-container"></div>
             </div>
         `;
         container.appendChild(scrollArea);
@@ -71,6 +139,17 @@ class PromptTab extends BaseTab {
                 </div>
                 <button class="starred-manage-btn">${chrome.i18n.getMessage('promptBtnSwitch') || '开关'}</button>
             </div>
+            <div class="setting-item">
+                <div class="setting-info">
+                    <div class="setting-label">${chrome.i18n.getMessage('promptSlashTitle') || '斜杠命令'}</div>
+                    <div class="setting-hint">${chrome.i18n.getMessage('promptSlashHint') || '在输入框开头输入触发字符，用键盘搜索并插入提示词'}</div>
+                </div>
+                <input type="text" class="prompt-slash-trigger-input" id="prompt-slash-trigger" maxlength="3" autocomplete="off">
+                <label class="ait-toggle-switch">
+                    <input type="checkbox" id="prompt-slash-toggle">
+                    <span class="ait-toggle-slider"></span>
+                </label>
+            </div>
         `;
         container.appendChild(bottomSection);
 
@@ -93,8 +172,15 @@ class PromptTab extends BaseTab {
         // 渲染提示词列表
         this.renderPromptList();
         
+        // 加载并渲染提示词链
+        await this.loadChains();
+        this.renderChainList();
+        
         // 绑定添加按钮事件
         this.bindAddButtonEvent();
+        
+        // 斜杠命令设置
+        await this.loadSlashSettings();
     }
     
     /**
@@ -102,14 +188,66 @@ class PromptTab extends BaseTab {
      */
     async loadPrompts() {
         try {
-            const result = await chrome.storage.local.get('prompts');
+            const result = await chrome.storage.local.get(['prompts', 'promptFolders', PromptUsage.STORAGE_KEY, PromptUsage.SORT_KEY]);
             this.setState('prompts', result.prompts || []);
+            this.setState('folders', result.promptFolders || []);
+            this.setState('usage', result[PromptUsage.STORAGE_KEY] || {});
+            this.setState('sortMode', PromptUsage.normalizeSortMode(result[PromptUsage.SORT_KEY]));
         } catch (e) {
             console.error('[PromptTab] Failed to load prompts:', e);
             this.setState('prompts', []);
+            this.setState('folders', []);
+            this.setState('usage', {});
         }
     }
     
+    /**
+     * 加载斜杠命令设置（开关 + 触发字符）
+     */
+    async loadSlashSettings() {
+        const toggle = document.getElementById('prompt-slash-toggle');
+        const triggerInput = document.getElementById('prompt-slash-trigger');
+        if (!toggle || !triggerInput) return;
+        
+        try {
+            const result = await chrome.storage.local.get(['promptSlashEnabled', 'promptSlashTrigger']);
+            toggle.checked = result.promptSlashEnabled !== false;
+            triggerInput.value = PromptSlashPicker.normalizeTrigger(result.promptSlashTrigger);
+        } catch (e) {
+            toggle.checked = true;
+            triggerInput.value = '/';
+        }
+        triggerInput.disabled = !toggle.checked;
+        
+        this.addEventListener(toggle, 'change', async (e) => {
+            const enabled = e.target.checked;
+            triggerInput.disabled = !enabled;
+            try {
+                await chrome.storage.local.set({ promptSlashEnabled: enabled });
+            } catch (error) {
+                console.error('[PromptTab] Failed to save slash command setting:', error);
+                toggle.checked = !enabled;
+                triggerInput.disabled = enabled;
+            }
+        });
+        
+        this.addEventListener(triggerInput, 'change', async () => {
+            const trigger = PromptSlashPicker.normalizeTrigger(triggerInput.value);
+            triggerInput.value = trigger;
+            try {
+                await chrome.storage.local.set({ promptSlashTrigger: trigger });
+            } catch (error) {
+                console.error('[PromptTab] Failed to save slash command trigger:', error);
+            }
+        });
+        this.addEventListener(triggerInput, 'mouseenter', () => {
+            window.globalTooltipManager?.show('prompt-slash-trigger', 'button', triggerInput, chrome.i18n.getMessage('promptSlashTrigger') || '触发字符');
+        });
+        this.addEventListener(triggerInput, 'mouseleave', () => {
+            window.globalTooltipManager?.hide();
+        });
+    }
+    
     /**
      * 保存提示词列表
      */
@@ -122,6 +260,25 @@ class PromptTab extends BaseTab {
         }
     }
     
+    /**
+     * 批量更新提示词（读取最新列表 → updateFn → 保存）
+     * 写入按调用顺序排队执行，提示词增删改和文件夹删除共用，避免并发的读-改-写互相覆盖
+     * @param {Function} updateFn - 更新函数，接收 prompts 数组，返回更新后的数组（返回非数组时不保存）
+     * @returns {Promise<Array|null>} 更新后的数组
+     */
+    batchUpdatePrompts(updateFn) {
+        const run = async () => {
+            const updated = updateFn(await this._getFreshPrompts());
+            if (!Array.isArray(updated)) return null;
+            this.setState('prompts', updated);
+            await this.savePrompts();
+            return updated;
+        };
+        const result = this._promptWriteQueue.then(run, run);
+        this._promptWriteQueue = result.catch(() => {});
+        return result;
+    }
+    
     /**
      * 从 storage 中获取最新的提示词列表（防止内存状态过期导致数据丢失）
      */
@@ -150,8 +307,9 @@ class PromptTab extends BaseTab {
         if (!container) return;
         
         const prompts = this.getState('prompts') || [];
+        const folders = this.getState('folders') || [];
         
-        if (prompts.length === 0) {
+        if (prompts.length === 0 && folders.length === 0) {
             container.innerHTML = `
                 <div class="prompt-empty">
                     <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
@@ -166,26 +324,84 @@ class PromptTab extends BaseTab {
             return;
         }
         
-        // 排序：置顶的在前面
-        const sortedPrompts = [...prompts].sort((a, b) => {
-            if (a.pinned && !b.pinned) return -1;
-            if (!a.pinned && b.pinned) return 1;
-            return 0;
-        });
+        // 非手动排序时隐藏上移/下移按钮
+        const sortMode = this.getState('sortMode');
+        container.classList.toggle('sorted-by-usage', sortMode !== 'manual');
+        
+        // 按排序方式排列后按文件夹分组（文件夹内置顶的在前面），未分类的放在最后
+        const sortedPrompts = PromptUsage.sort(prompts, this.getState('usage') || {}, sortMode);
+        const tree = PromptFolderManager.buildTree(folders, sortedPrompts);
         
+        container.innerHTML = [
+            ...tree.folders.map(folder => this._renderFolder(folder, 0)),
+            ...tree.uncategorized.map(prompt => this._renderPromptItem(prompt))
+        ].join('');
+        
+        // 绑定按钮事件
+        this.bindPromptItemEvents();
+    }
+    
+    /**
+     * 渲染文件夹（根文件夹包含子文件夹）
+     */
+    _renderFolder(folder, level) {
+        const children = folder.children || [];
+        const count = folder.items.length + children.reduce((sum, child) => sum + child.items.length, 0);
+        const collapsed = (this.getPersistentState('folderStates') || {})[folder.id] === false;
+        const icon = folder.icon
+            ? this._escapeHtml(folder.icon)
+            : '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"/></svg>';
+        const content = children.length + folder.items.length > 0
+            ? [
+                ...children.map(child => this._renderFolder(child, level + 1)),
+                ...folder.items.map(prompt => this._renderPromptItem(prompt))
+            ].join('')
+            : `<div class="prompt-folder-empty">${chrome.i18n.getMessage('promptFolderEmpty') || '文件夹为空'}</div>`;
+        
+        return `
+            <div class="prompt-folder ${collapsed ? '' : 'expanded'}" data-folder-id="${folder.id}" data-level="${level}">
+                <div class="prompt-folder-header" data-folder-id="${folder.id}">
+                    <svg class="prompt-folder-toggle" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <polyline points="9 18 15 12 9 6"/>
+                    </svg>
+                    <span class="prompt-folder-icon">${icon}</span>
+                    <span class="prompt-folder-name">${this._escapeHtml(folder.name)}</span>
+                    <span class="prompt-folder-count">${count}</span>
+                    <button class="prompt-item-btn prompt-folder-more-btn" data-folder-id="${folder.id}">
+                        <svg viewBox="0 0 24 24" fill="currentColor">
+                            <circle cx="5" cy="12" r="2"/>
+                            <circle cx="12" cy="12" r="2"/>
+                            <circle cx="19" cy="12" r="2"/>
+                        </svg>
+                    </button>
+                </div>
+                <div class="prompt-folder-content">${content}</div>
+            </div>`;
+    }
+    
+    /**
+     * 渲染单个提示词
+     */
+    _renderPromptItem(prompt) {
         const pinIcon = '<span class="prompt-pin-badge"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5"><line x1="5" y1="3" x2="19" y2="3"/><line x1="12" y1="7" x2="12" y2="21"/><polyline points="8 11 12 7 16 11"/></svg></span>';
         
-        container.innerHTML = sortedPrompts.map((prompt) => {
-            // 获取平台 logo
-            const platform = this._getPlatformInfo(prompt.platformId);
-            const platformLogo = platform ? `<img class="prompt-platform-logo" src="${chrome.runtime.getURL(platform.logoPath)}" alt="${platform.name}" title="${platform.name}">` : '';
-            const promptName = this._escapeHtml(prompt.name || '');
-            
-            return `
+        // 获取平台 logo
+        const platform = this._getPlatformInfo(prompt.platformId);
+        const platformLogo = platform ? `<img class="prompt-platform-logo" src="${chrome.runtime.getURL(platform.logoPath)}" alt="${platform.name}" title="${platform.name}">` : '';
+        const promptName = this._escapeHtml(prompt.name || '');
+        const tags = prompt.tags?.length
+            ? `<div class="prompt-item-tags">${prompt.tags.map(tag => `<span class="prompt-tag">${this._escapeHtml(tag)}</span>`).join('')}</div>`
+            : '';
+        const useCount = (this.getState('usage') || {})[prompt.id]?.count || 0;
+        const usageBadge = useCount > 0
+            ? `<span class="prompt-item-usage" title="${(chrome.i18n.getMessage('promptUsageCount') || '已使用 {count} 次').replace('{count}', useCount)}">${useCount}</span>`
+            : '';
+        
+        return `
             <div class="prompt-item ${prompt.pinned ? 'pinned' : ''}" data-id="${prompt.id}">
                 <div class="prompt-item-content">
                     <div class="prompt-item-header">
-                        <div class="prompt-item-name">${prompt.pinned ? pinIcon : ''}${platformLogo}<span class="prompt-item-name-text">${promptName}</span></div>
+                        <div class="prompt-item-name">${prompt.pinned ? pinIcon : ''}${platformLogo}<span class="prompt-item-name-text">${promptName}</span>${usageBadge}</div>
                         <div class="prompt-item-actions">
                             <button class="prompt-item-btn prompt-pin-btn ${prompt.pinned ? 'active' : ''}" data-id="${prompt.id}">
                                 <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5">
@@ -219,12 +435,9 @@ class PromptTab extends BaseTab {
                         </div>
                     </div>
                     <div class="prompt-item-text"><span class="prompt-item-text-content">${this._escapeHtml(prompt.content)}</span></div>
+                    ${tags}
                 </div>
             </div>`;
-        }).join('');
-        
-        // 绑定按钮事件
-        this.bindPromptItemEvents();
     }
     
     /**
@@ -237,14 +450,67 @@ class PromptTab extends BaseTab {
                 this.showPromptModal();
             });
         }
+        
+        const chainAddBtn = document.getElementById('prompt-chain-add-btn');
+        if (chainAddBtn) {
+            this.addEventListener(chainAddBtn, 'click', () => {
+                this.showChainModal();
+            });
+        }
+        
+        // 工具栏：排序方式、使用统计、新建文件夹、导入/导出提示词包
+        const toolbarActions = [
+            { id: 'prompt-sort-btn', tooltip: chrome.i18n.getMessage('promptSort') || '排序方式', onClick: () => this._showSortMenu(document.getElementById('prompt-sort-btn')) },
+            { id: 'prompt-stats-btn', tooltip: chrome.i18n.getMessage('promptStats') || '使用统计', onClick: () => this._showStatsModal() },
+            { id: 'prompt-folder-add-btn', tooltip: chrome.i18n.getMessage('kxvpmz') || '新建文件夹', onClick: () => this.handleCreateFolder() },
+            { id: 'prompt-pack-import-btn', tooltip: chrome.i18n.getMessage('promptPackImport') || '导入提示词包', onClick: () => document.getElementById('prompt-pack-file-input')?.click() },
+            { id: 'prompt-pack-export-btn', tooltip: chrome.i18n.getMessage('promptPackExport') || '导出提示词包', onClick: () => this.exportPack() }
+        ];
+        toolbarActions.forEach(({ id, tooltip, onClick }) => {
+            const btn = document.getElementById(id);
+            if (!btn) return;
+            this.addEventListener(btn, 'click', onClick);
+            this.addEventListener(btn, 'mouseenter', () => {
+                window.globalTooltipManager?.show(id, 'button', btn, tooltip);
+            });
+            this.addEventListener(btn, 'mouseleave', () => {
+                window.globalTooltipManager?.hide();
+            });
+        });
+        
+        const fileInput = document.getElementById('prompt-pack-file-input');
+        if (fileInput) {
+            this.addEventListener(fileInput, 'change', async (e) => {
+                const file = e.target.files[0];
+                e.target.value = '';
+                if (file) await this.importPack(file);
+            });
+        }
     }
     
     /**
      * 绑定提示词项的按钮事件
      */
     bindPromptItemEvents() {
+        const container = document.getElementById('prompt-list-container');
+        if (!container) return;
+        
+        // 文件夹：点击标题折叠/展开，更多按钮打开菜单
+        container.querySelectorAll('.prompt-folder-header').forEach(header => {
+            this.addEventListener(header, 'click', (e) => {
+                const folderId = header.getAttribute('data-folder-id');
+                const moreBtn = e.target.closest('.prompt-folder-more-btn');
+                if (moreBtn) {
+                    e.stopPropagation();
+                    this._showFolderMenu(moreBtn, folderId);
+                    return;
+                }
+                this.toggleFolder(folderId);
+            });
+        });
+        
         // 置顶按钮
-        const pinBtns = document.querySelectorAll('.prompt-pin-btn');
+        const pinBtns = container.querySelectorAll('.prompt-pin-btn');
         pinBtns.forEach(btn => {
             this.addEventListener(btn, 'click', (e) => {
                 const id = btn.getAttribute('data-id');
@@ -259,7 +525,7 @@ class PromptTab extends BaseTab {
         });
         
         // 编辑按钮
-        const editBtns = document.querySelectorAll('.prompt-edit-btn');
+        const editBtns = container.querySelectorAll('.prompt-edit-btn');
         editBtns.forEach(btn => {
             this.addEventListener(btn, 'click', (e) => {
                 const id = btn.getAttribute('data-id');
@@ -274,7 +540,7 @@ class PromptTab extends BaseTab {
         });
         
         // 删除按钮
-        const deleteBtns = document.querySelectorAll('.prompt-delete-btn');
+        const deleteBtns = container.querySelectorAll('.prompt-delete-btn');
         deleteBtns.forEach(btn => {
             this.addEventListener(btn, 'click', (e) => {
                 const id = btn.getAttribute('data-id');
@@ -289,7 +555,7 @@ class PromptTab extends BaseTab {
         });
         
         // 上移按钮
-        const moveUpBtns = document.querySelectorAll('.prompt-move-up-btn');
+        const moveUpBtns = container.querySelectorAll('.prompt-move-up-btn');
         moveUpBtns.forEach(btn => {
             this.addEventListener(btn, 'click', (e) => {
                 const id = btn.getAttribute('data-id');
@@ -304,7 +570,7 @@ class PromptTab extends BaseTab {
         });
         
         // 下移按钮
-        const moveDownBtns = document.querySelectorAll('.prompt-move-down-btn');
+        const moveDownBtns = container.querySelectorAll('.prompt-move-down-btn');
         moveDownBtns.forEach(btn => {
             this.addEventListener(btn, 'click', (e) => {
                 const id = btn.getAttribute('data-id');
@@ -323,20 +589,20 @@ class PromptTab extends BaseTab {
      * 切换置顶状态
      */
     async togglePin(id) {
-        const prompts = await this._getFreshPrompts();
-        const index = prompts.findIndex(p => p.id === id);
+        let prompt = null;
+        await this.batchUpdatePrompts(prompts => {
+            prompt = prompts.find(p => p.id === id);
+            if (!prompt) return null;
+            prompt.pinned = !prompt.pinned;
+            return prompts;
+        });
         
-        if (index !== -1) {
-            const isPinned = prompts[index].pinned;
-            prompts[index].pinned = !isPinned;
-            
-            this.setState('prompts', prompts);
-            await this.savePrompts();
+        if (prompt) {
             this.renderPromptList();
             
             // 显示提示
             if (window.globalToastManager) {
-                const message = prompts[index].pinned 
+                const message = prompt.pinned 
                     ? (chrome.i18n.getMessage('pmpknd'))
                     : (chrome.i18n.getMessage('pmuknp'));
                 window.globalToastManager.show('success', message);
@@ -350,26 +616,219 @@ class PromptTab extends BaseTab {
      * @param {string} direction - 移动方向：'up' 或 'down'
      */
     async movePrompt(id, direction) {
-        const prompts = await this._getFreshPrompts();
-        const index = prompts.findIndex(p => p.id === id);
+        const updated = await this.batchUpdatePrompts(prompts => {
+            const index = prompts.findIndex(p => p.id === id);
+            if (index === -1) return null;
+            
+            // 只与同一文件夹（或同为未分类）的相邻提示词交换
+            const tree = PromptFolderManager.buildTree(this.getState('folders') || [], prompts);
+            const groupOf = new Map();
+            tree.uncategorized.forEach(p => groupOf.set(p.id, null));
+            tree.folders.forEach(folder => {
+                folder.items.forEach(p => groupOf.set(p.id, folder.id));
+                folder.children.forEach(child => child.items.forEach(p => groupOf.set(p.id, child.id)));
+            });
+            const group = groupOf.get(id);
+            
+            const step = direction === 'up' ? -1 : 1;
+            let targetIndex = index + step;
+            while (targetIndex >= 0 && targetIndex < prompts.length && groupOf.get(prompts[targetIndex].id) !== group) {
+                targetIndex += step;
+            }
+            
+            // 边界检查
+            if (targetIndex < 0 || targetIndex >= prompts.length) {
+                return null;
+            }
+            
+            // 交换位置
+            [prompts[index], prompts[targetIndex]] = [prompts[targetIndex], prompts[index]];
+            return prompts;
+        });
         
-        if (index === -1) return;
+        if (updated) this.renderPromptList();
+    }
+    
+    // ==================== 文件夹 ====================
+    
+    /**
+     * 折叠/展开文件夹
+     */
+    toggleFolder(folderId) {
+        const states = { ...(this.getPersistentState('folderStates') || {}) };
+        const expanded = states[folderId] === false;
+        if (expanded) {
+            delete states[folderId];
+        } else {
+            states[folderId] = false;
+        }
+        this.setPersistentState('folderStates', states);
         
-        const targetIndex = direction === 'up' ? index - 1 : index + 1;
+        document.querySelector(`.prompt-folder[data-folder-id="${folderId}"]`)?.classList.toggle('expanded', expanded);
+    }
+    
+    /**
+     * 文件夹操作菜单
+     */
+    _showFolderMenu(trigger, folderId) {
+        const folder = (this.getState('folders') || []).find(f => f.id === folderId);
+        if (!folder || !window.globalDropdownManager) return;
         
-        // 边界检查
-        if (targetIndex < 0 || targetIndex >= prompts.length) {
-            return;
+        const items = [];
+        
+        if (!folder.parentId) {
+            items.push({
+                label: chrome.i18n.getMessage('vpmzkx') || 'New Subfolder',
+                icon: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"/><line x1="12" y1="11" x2="12" y2="17"/><line x1="9" y1="14" x2="15" y2="14"/></svg>',
+                onClick: () => this.handleCreateFolder(folder.id)
+            });
         }
         
-        // 交换位置
-        [prompts[index], prompts[targetIndex]] = [prompts[targetIndex], prompts[index]];
+        items.push({
+            label: folder.pinned ? (chrome.i18n.getMessage('unpinItem') || 'Unpin') : (chrome.i18n.getMessage('pinItem') || 'Pin to top'),
+            icon: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="5" y1="3" x2="19" y2="3"/><line x1="12" y1="7" x2="12" y2="21"/><polyline points="8 11 12 7 16 11"/></svg>',
+            onClick: () => this._runFolderAction(() => this.folderManager.togglePinFolder(folder.id))
+        });
         
-        this.setState('prompts', prompts);
-        await this.savePrompts();
+        items.push({
+            label: chrome.i18n.getMessage('xvkpmz') || 'Edit',
+            icon: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/><path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/></svg>',
+            onClick: () => this.handleEditFolder(folder)
+        });
+        
+        items.push({
+            label: chrome.i18n.getMessage('promptPackExportFolder') || '导出为提示词包',
+            icon: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="17 8 12 3 7 8"/><line x1="12" y1="3" x2="12" y2="15"/></svg>',
+            onClick: () => this.exportPack(folder.id)
+        });
+        
+        items.push({ type: 'divider' });
+        
+        items.push({
+            label: chrome.i18n.getMessage('mzxvkp') || 'Delete',
+            icon: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="3 6 5 6 21 6"/><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/><line x1="10" y1="11" x2="10" y2="17"/><line x1="14" y1="11" x2="14" y2="17"/></svg>',
+            className: 'danger',
+            onClick: () => this.handleDeleteFolder(folder)
+        });
+        
+        window.globalDropdownManager.show({ trigger, items, position: 'bottom-right', width: 160 });
+    }
+    
+    /**
+     * 执行文件夹操作后重新加载列表
+     */
+    async _runFolderAction(action) {
+        try {
+            await action();
+        } catch (error) {
+            console.error('[PromptTab] Folder action failed:', error);
+            if (error.message) window.globalToastManager?.show('error', error.message);
+        }
+        await this.loadPrompts();
         this.renderPromptList();
     }
     
+    /**
+     * 新建文件夹
+     * @param {string|null} parentId - 父文件夹 ID（null = 根文件夹）
+     */
+    async handleCreateFolder(parentId = null) {
+        if (!window.folderEditModal) return;
+        
+        const parentPath = parentId ? await this.folderManager.getFolderPath(parentId) : '';
+        const title = parentId
+            ? (chrome.i18n.getMessage('xmkvpz') || 'New subfolder in {folderName}').replace('{folderName}', parentPath)
+            : chrome.i18n.getMessage('kxvpmz') || 'New Folder';
+        
+        const result = await window.folderEditModal.show({
+            mode: 'create', title,
+            placeholder: chrome.i18n.getMessage('vzkpmx') || 'Folder name',
+            requiredMessage: chrome.i18n.getMessage('kmxpvz') || 'Name is required',
+            maxLength: 15
+        });
+        if (!result) return;
+        
+        if (await this.folderManager.isFolderNameExists(result.name, parentId)) {
+            window.globalToastManager?.show('error', chrome.i18n.getMessage('kpvzmx') || 'Name already exists');
+            return;
+        }
+        
+        await this._runFolderAction(async () => {
+            await this.folderManager.createFolder(result.name, parentId, result.icon);
+            window.globalToastManager?.show('success', chrome.i18n.getMessage('xzvkpm') || 'Created');
+        });
+    }
+    
+    /**
+     * 编辑文件夹（名称 + 图标）
+     */
+    async handleEditFolder(folder) {
+        if (!window.folderEditModal) return;
+        
+        const result = await window.folderEditModal.show({
+            mode: 'edit',
+            title: chrome.i18n.getMessage('pxmzvk') || 'Edit Folder',
+            name: folder.name,
+            icon: folder.icon || '',
+            placeholder: chrome.i18n.getMessage('mvzxkp') || 'Folder name',
+            maxLength: 15
+        });
+        if (!result) return;
+        if (result.name === folder.name && result.icon === (folder.icon || '')) return;
+        
+        if (result.name !== folder.name && await this.folderManager.isFolderNameExists(result.name, folder.parentId || null, folder.id)) {
+            window.globalToastManager?.show('error', chrome.i18n.getMessage('kpvzmx') || 'Name already exists');
+            return;
+        }
+        
+        await this._runFolderAction(async () => {
+            await this.folderManager.updateFolder(folder.id, result.name, result.icon);
+            window.globalToastManager?.show('success', chrome.i18n.getMessage('folderUpdated') || 'Updated');
+        });
+    }
+    
+    /**
+     * 删除文件夹（含子文件夹），其中的提示词移到未分类
+     */
+    async handleDeleteFolder(folder) {
+        if (!window.globalPopconfirmManager) return;
+        
+        const folders = this.getState('folders') || [];
+        const folderIds = [folder.id, ...folders.filter(f => f.parentId === folder.id).map(f => f.id)];
+        const count = (this.getState('prompts') || []).filter(p => folderIds.includes(p.folderId)).length;
+        
+        const confirmed = await window.globalPopconfirmManager.show({
+            title: (chrome.i18n.getMessage('qzmvkx') || 'Delete folder "{folderName}"?').replace('{folderName}', folder.name),
+            content: count > 0
+                ? (chrome.i18n.getMessage('promptFolderDeleteHint') || '其中的 {count} 条提示词将移到未分类').replace('{count}', count)
+                : '',
+            confirmText: chrome.i18n.getMessage('mzxvkp'),
+            cancelText: chrome.i18n.getMessage('pxvkmz'),
+            confirmTextType: 'danger'
+        });
+        if (!confirmed) return;
+        
+        await this._runFolderAction(async () => {
+            await this.folderManager.deleteFolder(folder.id, { deleteItems: false });
+            window.globalToastManager?.show('success', chrome.i18n.getMessage('kvpzmx') || 'Deleted');
+        });
+    }
+    
+    /**
+     * 文件夹选项（编辑弹窗的文件夹选择器）：未分类 + 按树顺序的文件夹路径
+     */
+    _getFolderOptions() {
+        const tree = PromptFolderManager.buildTree(this.getState('folders') || [], []);
+        const options = [{ id: null, name: chrome.i18n.getMessage('promptUncategorized') || '未分类' }];
+        tree.folders.forEach(folder => {
+            options.push({ id: folder.id, name: folder.name });
+            folder.children.forEach(child => {
+                options.push({ id: child.id, name: `${folder.name} / ${child.name}` });
+            });
+        });
+        return options;
+    }
+    
     /**
      * 获取支持智能输入的平台列表
      */
@@ -400,6 +859,10 @@ class PromptTab extends BaseTab {
         const currentPlatformId = prompt?.platformId || '';
         const currentPlatform = platforms.find(p => p.id === currentPlatformId) || platforms[0];
         
+        // 文件夹列表（已删除的文件夹视为未分类）
+        const folderOptions = this._getFolderOptions();
+        const currentFolder = folderOptions.find(f => f.id === (prompt?.folderId || null)) || folderOptions[0];
+        
         // 创建自定义弹窗
         const overlay = document.createElement('div');
         overlay.className = 'prompt-modal-overlay';
@@ -439,6 +902,24 @@ class PromptTab extends BaseTab {
                         </div>
                         <span><span id="prompt-char-count">${prompt?.content?.length || 0}</span>/10000</span>
                     </div>
+                    <div class="prompt-variable-hint">${chrome.i18n.getMessage('promptVariableHint') || '支持变量：<code>{{名称}}</code> 插入前填写，<code>{{名称:选项1|选项2}}</code> 下拉选择，内置 <code>{{selection}}</code> <code>{{clipboard}}</code> <code>{{date}}</code> <code>{{time}}</code>'}</div>
+                </div>
+                <div class="prompt-modal-field-row">
+                    <div class="prompt-modal-field">
+                        <label>${chrome.i18n.getMessage('promptFolderLabel') || '文件夹'}</label>
+                        <div class="prompt-modal-input prompt-folder-select" id="prompt-folder-select">
+                            <span class="prompt-folder-select-text">${this._escapeHtml(currentFolder.name)}</span>
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <polyline points="6 9 12 15 18 9"/>
+                            </svg>
+                        </div>
+                    </div>
+                    <div class="prompt-modal-field">
+                        <label>${chrome.i18n.getMessage('promptTagsLabel') || '标签'}</label>
+                        <input type="text" class="prompt-modal-input" id="prompt-tags-input"
+                            placeholder="${chrome.i18n.getMessage('promptTagsPlaceholder') || '多个标签用逗号分隔'}"
+                            value="${this._escapeHtml((prompt?.tags || []).join(', '))}">
+                    </div>
                 </div>
             </div>
             <div class="prompt-modal-footer">
@@ -459,10 +940,16 @@ class PromptTab extends BaseTab {
         const confirmBtn = modal.querySelector('.prompt-modal-confirm');
         const platformSelect = modal.querySelector('#prompt-platform-select');
         const platformText = platformSelect.querySelector('.prompt-platform-select-text');
+        const folderSelect = modal.querySelector('#prompt-folder-select');
+        const folderText = folderSelect.querySelector('.prompt-folder-select-text');
+        const tagsInput = modal.querySelector('#prompt-tags-input');
         
         // 当前选中的平台 ID
         let selectedPlatformId = currentPlatformId;
         
+        // 当前选中的文件夹 ID
+        let selectedFolderId = currentFolder.id;
+        
         // 自动调整高度函数
         const autoResize = () => {
             contentInput.style.height = 'auto';
@@ -500,6 +987,23 @@ class PromptTab extends BaseTab {
             }
         });
         
+        // 文件夹选择器点击
+        folderSelect.addEventListener('click', (e) => {
+            e.stopPropagation();
+            window.globalDropdownManager?.show({
+                trigger: folderSelect,
+                items: folderOptions.map(f => ({
+                    label: f.name,
+                    onClick: () => {
+                        selectedFolderId = f.id;
+                        folderText.textContent = f.name;
+                    }
+                })),
+                position: 'bottom-left',
+                width: Math.max(150, folderSelect.offsetWidth)
+            });
+        });
+        
         // 显示动画
         requestAnimationFrame(() => {
             overlay.classList.add('visible');
@@ -539,10 +1043,17 @@ class PromptTab extends BaseTab {
             }
             
             // 保存
+            const values = {
+                name,
+                content,
+                platformId: selectedPlatformId,
+                folderId: selectedFolderId,
+                tags: PromptPack.normalizeTags(tagsInput.value)
+            };
             if (isEdit) {
-                await this.updatePrompt(prompt.id, { name, content, platformId: selectedPlatformId });
+                await this.updatePrompt(prompt.id, values);
             } else {
-                await this.byaskjndg({ name, content, platformId: selectedPlatformId });
+                await this.byaskjndg(values);
             }
             
             closeModal();
@@ -558,19 +1069,17 @@ class PromptTab extends BaseTab {
      * 添加提示词
      */
     async byaskjndg(values) {
-        const prompts = await this._getFreshPrompts();
         const newPrompt = {
             id: Date.now().toString(),
             name: values.name?.trim() || '',
             content: values.content.trim(),
             platformId: values.platformId || '',
+            folderId: values.folderId || null,
+            tags: values.tags || [],
             createdAt: Date.now()
         };
         
-        prompts.push(newPrompt);
-        this.setState('prompts', prompts);
-        
-        await this.savePrompts();
+        await this.batchUpdatePrompts(prompts => [...prompts, newPrompt]);
         this.renderPromptList();
         
         // 显示成功提示
@@ -594,20 +1103,23 @@ class PromptTab extends BaseTab {
      * 更新提示词
      */
     async updatePrompt(id, values) {
-        const prompts = await this._getFreshPrompts();
-        const index = prompts.findIndex(p => p.id === id);
-        
-        if (index !== -1) {
+        const updated = await this.batchUpdatePrompts(prompts => {
+            const index = prompts.findIndex(p => p.id === id);
+            if (index === -1) return null;
+            
             prompts[index] = {
                 ...prompts[index],
                 name: values.name !== undefined ? values.name.trim() : (prompts[index].name || ''),
                 content: values.content.trim(),
                 platformId: values.platformId !== undefined ? values.platformId : (prompts[index].platformId || ''),
+                folderId: values.folderId !== undefined ? values.folderId : (prompts[index].folderId || null),
+                tags: values.tags !== undefined ? values.tags : (prompts[index].tags || []),
                 updatedAt: Date.now()
             };
-            
-            this.setState('prompts', prompts);
-            await this.savePrompts();
+            return prompts;
+        });
+        
+        if (updated) {
             this.renderPromptList();
             
             // 显示成功提示
@@ -621,9 +1133,6 @@ class PromptTab extends BaseTab {
      * 删除提示词
      */
     async deletePrompt(id) {
-        const prompts = await this._getFreshPrompts();
-        const prompt = prompts.find(p => p.id === id);
-        
         // 使用确认弹窗
         if (window.globalPopconfirmManager) {
             const confirmed = await window.globalPopconfirmManager.show({
@@ -634,9 +1143,8 @@ class PromptTab extends BaseTab {
             });
             
             if (confirmed) {
-                const newPrompts = prompts.filter(p => p.id !== id);
-                this.setState('prompts', newPrompts);
-                await this.savePrompts();
+                await this.batchUpdatePrompts(prompts => prompts.filter(p => p.id !== id));
+                await PromptUsage.remove([id]);
                 this.renderPromptList();
                 
                 // 显示成功提示
@@ -647,6 +1155,606 @@ class PromptTab extends BaseTab {
         }
     }
     
+    // ==================== 排序与使用统计 ====================
+    
+    /**
+     * 排序方式菜单
+     */
+    _showSortMenu(trigger) {
+        if (!trigger || !window.globalDropdownManager) return;
+        
+        const current = this.getState('sortMode');
+        const checkIcon = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"/></svg>';
+        const items = PromptUsage.SORT_MODES.map(mode => ({
+            label: PromptUsage.getSortModeLabel(mode),
+            icon: mode === current ? checkIcon : '<svg viewBox="0 0 24 24"></svg>',
+            onClick: async () => {
+                if (mode === current) return;
+                this.setState('sortMode', mode);
+                this.renderPromptList();
+                await PromptUsage.setSortMode(mode);
+            }
+        }));
+        
+        window.globalDropdownManager.show({ trigger, items, position: 'bottom-right', width: 140 });
+    }
+    
+    /**
+     * 使用统计弹窗：总次数、各平台使用次数、使用排行、未使用的提示词
+     */
+    async _showStatsModal() {
+        const prompts = await this._getFreshPrompts();
+        const usage = await PromptUsage.load();
+        const stats = PromptUsage.getStats(prompts, usage);
+        
+        const overlay = document.createElement('div');
+        overlay.className = 'prompt-modal-overlay';
+        
+        const modal = document.createElement('div');
+        modal.className = 'prompt-modal prompt-stats-modal';
+        
+        const maxPlatformCount = stats.platforms[0]?.count || 1;
+        const platformHtml = stats.platforms.map(({ id, count }) => `
+            <div class="prompt-stats-bar-row">
+                <span class="prompt-stats-bar-label">${this._escapeHtml(this._getPlatformInfo(id)?.name || id)}</span>
+                <span class="prompt-stats-bar"><span class="prompt-stats-bar-fill" style="width: ${Math.round(count / maxPlatformCount * 100)}%"></span></span>
+                <span class="prompt-stats-bar-value">${count}</span>
+            </div>
+        `).join('');
+        const rankingHtml = stats.ranking.map(({ prompt, count, lastUsedAt }, index) => `
+            <div class="prompt-stats-rank">
+                <span class="prompt-stats-rank-index">${index + 1}</span>
+                <span class="prompt-stats-rank-name">${this._escapeHtml(prompt.name || this._truncate(prompt.content, 40))}</span>
+                <span class="prompt-stats-rank-time">${lastUsedAt ? new Date(lastUsedAt).toLocaleString() : ''}</span>
+                <span class="prompt-stats-rank-count">${count}</span>
+            </div>
+        `).join('');
+        const unusedHtml = stats.unused.map(prompt => `
+            <span class="prompt-stats-unused">${this._escapeHtml(prompt.name || this._truncate(prompt.content, 20))}</span>
+        `).join('');
+        
+        modal.innerHTML = `
+            <div class="prompt-modal-header">
+                <h3>${chrome.i18n.getMessage('promptStats') || '使用统计'}</h3>
+                <button class="prompt-modal-close">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="18" y1="6" x2="6" y2="18"/>
+                        <line x1="6" y1="6" x2="18" y2="18"/>
+                    </svg>
+                </button>
+            </div>
+            <div class="prompt-modal-body">
+                <div class="prompt-stats-summary">
+                    <div class="prompt-stats-card">
+                        <span class="prompt-stats-card-value">${stats.total}</span>
+                        <span class="prompt-stats-card-label">${chrome.i18n.getMessage('promptStatsTotal') || '总使用次数'}</span>
+                    </div>
+                    <div class="prompt-stats-card">
+                        <span class="prompt-stats-card-value">${stats.usedCount} / ${prompts.length}</span>
+                        <span class="prompt-stats-card-label">${chrome.i18n.getMessage('promptStatsUsed') || '已使用的提示词'}</span>
+                    </div>
+                </div>
+                ${stats.total === 0 ? `<div class="prompt-stats-empty">${chrome.i18n.getMessage('promptStatsEmpty') || '还没有使用记录，从输入框的提示词菜单插入提示词后会在这里统计'}</div>` : `
+                    <div class="prompt-modal-field">
+                        <label>${chrome.i18n.getMessage('promptStatsPlatforms') || '各平台使用次数'}</label>
+                        ${platformHtml || `<div class="prompt-stats-empty">-</div>`}
+                    </div>
+                    <div class="prompt-modal-field">
+                        <label>${chrome.i18n.getMessage('promptStatsRanking') || '使用排行'}</label>
+                        <div class="prompt-stats-list">${rankingHtml}</div>
+                    </div>
+                `}
+                ${stats.unused.length > 0 ? `
+                    <div class="prompt-modal-field">
+                        <label>${(chrome.i18n.getMessage('promptStatsUnused') || '未使用过（{count}）').replace('{count}', stats.unused.length)}</label>
+                        <div class="prompt-stats-list prompt-stats-unused-list">${unusedHtml}</div>
+                    </div>
+                ` : ''}
+            </div>
+            <div class="prompt-modal-footer">
+                ${stats.total > 0 ? `<button class="prompt-modal-btn prompt-stats-reset">${chrome.i18n.getMessage('promptStatsReset') || '清空统计'}</button>` : ''}
+                <button class="prompt-modal-btn prompt-modal-confirm">${chrome.i18n.getMessage('promptStatsClose') || '关闭'}</button>
+            </div>
+        `;
+        
+        overlay.appendChild(modal);
+        document.body.appendChild(overlay);
+        
+        requestAnimationFrame(() => {
+            overlay.classList.add('visible');
+        });
+        
+        const close = () => {
+            overlay.classList.remove('visible');
+            setTimeout(() => {
+                if (overlay.parentNode) {
+                    overlay.parentNode.removeChild(overlay);
+                }
+            }, 200);
+        };
+        
+        modal.querySelector('.prompt-modal-close').addEventListener('click', close);
+        modal.querySelector('.prompt-modal-confirm').addEventListener('click', close);
+        
+        const resetBtn = modal.querySelector('.prompt-stats-reset');
+        resetBtn?.addEventListener('click', async () => {
+            const confirmed = await window.globalPopconfirmManager?.show({
+                title: chrome.i18n.getMessage('promptStatsResetConfirm') || '清空所有提示词的使用记录？',
+                confirmText: chrome.i18n.getMessage('promptStatsReset') || '清空统计',
+                cancelText: chrome.i18n.getMessage('pxvkmz'),
+                confirmTextType: 'danger'
+            });
+            if (!confirmed) return;
+            
+            await PromptUsage.remove(null);
+            close();
+            this.setState('usage', {});
+            this.renderPromptList();
+            window.globalToastManager?.show('success', chrome.i18n.getMessage('promptStatsResetDone') || '已清空使用统计');
+        });
+    }
+    
+    // ==================== 提示词包 ====================
+    
+    /**
+     * 导出提示词包
+     * @param {string|null} folderId - 只导出该文件夹（含子文件夹），null = 导出全部
+     */
+    async exportPack(folderId = null) {
+        const prompts = await this._getFreshPrompts();
+        const allFolders = await this.folderManager.getFolders();
+        
+        let folders = allFolders;
+        let name = chrome.i18n.getMessage('biwhckdj') || '提示词库';
+        if (folderId) {
+            const folder = allFolders.find(f => f.id === folderId);
+            if (!folder) return;
+            folders = allFolders.filter(f => f.id === folderId || f.parentId === folderId);
+            name = folder.name;
+        }
+        
+        const folderIds = new Set(folders.map(f => f.id));
+        const packPrompts = folderId ? prompts.filter(p => folderIds.has(p.folderId)) : prompts;
+        if (packPrompts.length === 0) {
+            window.globalToastManager?.show('info', chrome.i18n.getMessage('promptPackEmpty') || '没有可导出的提示词');
+            return;
+        }
+        
+        const pack = PromptPack.create({ name, folders, prompts: packPrompts });
+        const suffix = folderId ? `-${name.replace(/[\\/:*?"<>|\s]+/g, '_')}` : '';
+        this._downloadJson(pack, `aitimeline-prompts${suffix}-${this._formatDate(new Date())}.json`);
+        
+        window.globalToastManager?.show('success', (chrome.i18n.getMessage('promptPackExported') || '已导出 {count} 条提示词').replace('{count}', packPrompts.length));
+    }
+    
+    /**
+     * 导入提示词包：对比现有数据，有新增或冲突时弹窗确认
+     * @param {File} file
+     */
+    async importPack(file) {
+        let pack;
+        try {
+            pack = PromptPack.parse(await file.text());
+        } catch (e) {
+            window.globalToastManager?.show('error', e.message);
+            return;
+        }
+        
+        const prompts = await this._getFreshPrompts();
+        const folders = await this.folderManager.getFolders();
+        const analysis = PromptPack.analyze(pack, prompts, folders);
+        
+        if (analysis.counts.new === 0 && analysis.counts.conflict === 0) {
+            window.globalToastManager?.show('info', chrome.i18n.getMessage('promptPackNothing') || '提示词包中的提示词都已存在');
+            return;
+        }
+        
+        const strategy = await this._showPackImportModal(analysis);
+        if (!strategy) return;
+        
+        // 确认期间数据可能已变化，按最新数据重新对比
+        const freshPrompts = await this._getFreshPrompts();
+        const freshFolders = await this.folderManager.getFolders();
+        const result = PromptPack.apply(PromptPack.analyze(pack, freshPrompts, freshFolders), strategy, freshPrompts, freshFolders);
+        
+        try {
+            await chrome.storage.local.set({ prompts: result.prompts, promptFolders: result.folders });
+        } catch (e) {
+            console.error('[PromptTab] Failed to import prompt pack:', e);
+            window.globalToastManager?.show('error', chrome.i18n.getMessage('promptPackImportFailed') || '导入失败');
+            return;
+        }
+        
+        await this.loadPrompts();
+        this.renderPromptList();
+        
+        window.globalToastManager?.show('success', (chrome.i18n.getMessage('promptPackImported') || '导入完成：新增 {added} 条，更新 {updated} 条，跳过 {skipped} 条')
+            .replace('{added}', result.added)
+            .replace('{updated}', result.updated)
+            .replace('{skipped}', result.skipped));
+    }
+    
+    /**
+     * 提示词包导入确认弹窗
+     * @returns {Promise<'overwrite'|'keepBoth'|'skip'|null>} 冲突处理策略，取消为 null
+     */
+    _showPackImportModal(analysis) {
+        return new Promise((resolve) => {
+            const { pack, items, counts } = analysis;
+            const conflicts = items.filter(item => item.status === 'conflict');
+            
+            const overlay = document.createElement('div');
+            overlay.className = 'prompt-modal-overlay';
+            
+            const modal = document.createElement('div');
+            modal.className = 'prompt-modal prompt-pack-modal';
+            
+            const strategies = [
+                { value: 'overwrite', label: chrome.i18n.getMessage('promptPackOverwrite') || '覆盖现有提示词' },
+                { value: 'keepBoth', label: chrome.i18n.getMessage('promptPackKeepBoth') || '保留两者' },
+                { value: 'skip', label: chrome.i18n.getMessage('promptPackSkip') || '跳过' }
+            ];
+            const conflictHtml = conflicts.length > 0 ? `
+                <div class="prompt-modal-field">
+                    <label>${chrome.i18n.getMessage('promptPackConflictLabel') || '以下提示词与现有提示词同名或 ID 相同，但内容不同'}</label>
+                    <div class="prompt-pack-conflicts">
+                        ${conflicts.map(item => `<div class="prompt-pack-conflict">${this._escapeHtml(item.prompt.name || item.prompt.content)}</div>`).join('')}
+                    </div>
+                    <div class="prompt-pack-strategies">
+                        ${strategies.map((strategy, index) => `
+                            <label class="prompt-pack-strategy">
+                                <input type="radio" name="prompt-pack-strategy" value="${strategy.value}" ${index === 0 ? 'checked' : ''}>
+                                <span>${strategy.label}</span>
+                            </label>
+                        `).join('')}
+                    </div>
+                </div>
+            ` : '';
+            
+            modal.innerHTML = `
+                <div class="prompt-modal-header">
+                    <h3>${chrome.i18n.getMessage('promptPackImport') || '导入提示词包'}</h3>
+                    <button class="prompt-modal-close">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="18" y1="6" x2="6" y2="18"/>
+                            <line x1="6" y1="6" x2="18" y2="18"/>
+                        </svg>
+                    </button>
+                </div>
+                <div class="prompt-modal-body">
+                    <div class="prompt-modal-field">
+                        <div class="prompt-pack-name">${this._escapeHtml(pack.name)}</div>
+                        <div class="prompt-pack-stats">
+                            <span class="prompt-pack-stat new">${(chrome.i18n.getMessage('promptPackNew') || '新增 {count}').replace('{count}', counts.new)}</span>
+                            <span class="prompt-pack-stat">${(chrome.i18n.getMessage('promptPackDuplicate') || '已存在 {count}').replace('{count}', counts.duplicate)}</span>
+                            <span class="prompt-pack-stat conflict">${(chrome.i18n.getMessage('promptPackConflict') || '冲突 {count}').replace('{count}', counts.conflict)}</span>
+                        </div>
+                    </div>
+                    ${conflictHtml}
+                </div>
+                <div class="prompt-modal-footer">
+                    <button class="prompt-modal-btn prompt-modal-cancel">${chrome.i18n.getMessage('pxvkmz')}</button>
+                    <button class="prompt-modal-btn prompt-modal-confirm">${chrome.i18n.getMessage('promptPackImportConfirm') || '导入'}</button>
+                </div>
+            `;
+            
+            overlay.appendChild(modal);
+            document.body.appendChild(overlay);
+            
+            requestAnimationFrame(() => {
+                overlay.classList.add('visible');
+            });
+            
+            const close = (result) => {
+                overlay.classList.remove('visible');
+                setTimeout(() => {
+                    if (overlay.parentNode) {
+                        overlay.parentNode.removeChild(overlay);
+                    }
+                }, 200);
+                resolve(result);
+            };
+            
+            modal.querySelector('.prompt-modal-close').addEventListener('click', () => close(null));
+            modal.querySelector('.prompt-modal-cancel').addEventListener('click', () => close(null));
+            modal.querySelector('.prompt-modal-confirm').addEventListener('click', () => {
+                close(modal.querySelector('input[name="prompt-pack-strategy"]:checked')?.value || 'skip');
+            });
+        });
+    }
+    
+    /**
+     * 下载 JSON 文件
+     */
+    _downloadJson(payload, fileName) {
+        const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * 格式化日期（文件名用）
+     */
+    _formatDate(date) {
+        const y = date.getFullYear();
+        const m = String(date.getMonth() + 1).padStart(2, '0');
+        const d = String(date.getDate()).padStart(2, '0');
+        const h = String(date.getHours()).padStart(2, '0');
+        const min = String(date.getMinutes()).padStart(2, '0');
+        return `${y}${m}${d}-${h}${min}`;
+    }
+    
+    // ==================== 提示词链 ====================
+    
+    /**
+     * 加载提示词链列表
+     */
+    async loadChains() {
+        this.setState('chains', await this._getFreshChains());
+    }
+    
+    /**
+     * 从 storage 中获取最新的提示词链列表
+     */
+    async _getFreshChains() {
+        try {
+            const result = await chrome.storage.local.get('promptChains');
+            return result.promptChains || [];
+        } catch (e) {
+            console.error('[PromptTab] Failed to load prompt chains:', e);
+            return this.getState('chains') || [];
+        }
+    }
+    
+    /**
+     * 保存提示词链列表并刷新
+     */
+    async _saveChains(chains) {
+        this.setState('chains', chains);
+        try {
+            await chrome.storage.local.set({ promptChains: chains });
+        } catch (e) {
+            console.error('[PromptTab] Failed to save prompt chains:', e);
+        }
+        this.renderChainList();
+    }
+    
+    /**
+     * 渲染提示词链列表
+     */
+    renderChainList() {
+        const container = document.getElementById('prompt-chain-list-container');
+        if (!container) return;
+        
+        const chains = this.getState('chains') || [];
+        
+        if (chains.length === 0) {
+            container.innerHTML = `
+                <div class="prompt-empty">
+                    <span>${chrome.i18n.getMessage('promptChainEmpty') || '暂无提示词链'}</span>
+                </div>
+            `;
+            return;
+        }
+        
+        container.innerHTML = chains.map(chain => {
+            const countText = (chrome.i18n.getMessage('promptChainStepCount') || '{count} 步').replace('{count}', chain.steps.length);
+            const stepsText = chain.steps.map((step, index) => `${index + 1}. ${step.content}`).join('\n');
+            
+            return `
+            <div class="prompt-item prompt-chain-item" data-id="${chain.id}">
+                <div class="prompt-item-content">
+                    <div class="prompt-item-header">
+                        <div class="prompt-item-name"><span class="prompt-item-name-text">${this._escapeHtml(chain.name || '')}</span><span class="prompt-chain-count">${countText}</span></div>
+                        <div class="prompt-item-actions">
+                            <button class="prompt-item-btn prompt-chain-edit-btn" data-id="${chain.id}">
+                                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                    <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/>
+                                    <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/>
+                                </svg>
+                            </button>
+                            <button class="prompt-item-btn prompt-delete-btn prompt-chain-delete-btn" data-id="${chain.id}">
+                                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                    <polyline points="3 6 5 6 21 6"/>
+                                    <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
+                                </svg>
+                            </button>
+                        </div>
+                    </div>
+                    <div class="prompt-item-text"><span class="prompt-item-text-content">${this._escapeHtml(stepsText)}</span></div>
+                </div>
+            </div>`;
+        }).join('');
+        
+        container.querySelectorAll('.prompt-chain-edit-btn').forEach(btn => {
+            this.addEventListener(btn, 'click', () => {
+                const chain = (this.getState('chains') || []).find(c => c.id === btn.getAttribute('data-id'));
+                if (chain) this.showChainModal(chain);
+            });
+            this.addEventListener(btn, 'mouseenter', () => {
+                window.globalTooltipManager?.show('prompt-chain-edit', 'button', btn, chrome.i18n.getMessage('vkpxzm') || '编辑');
+            });
+            this.addEventListener(btn, 'mouseleave', () => {
+                window.globalTooltipManager?.hide();
+            });
+        });
+        
+        container.querySelectorAll('.prompt-chain-delete-btn').forEach(btn => {
+            this.addEventListener(btn, 'click', () => {
+                this.deleteChain(btn.getAttribute('data-id'));
+            });
+            this.addEventListener(btn, 'mouseenter', () => {
+                window.globalTooltipManager?.show('prompt-chain-delete', 'button', btn, chrome.i18n.getMessage('mzxvkp') || '删除');
+            });
+            this.addEventListener(btn, 'mouseleave', () => {
+                window.globalTooltipManager?.hide();
+            });
+        });
+    }
+    
+    /**
+     * 显示提示词链编辑弹窗
+     */
+    showChainModal(chain = null) {
+        const isEdit = !!chain;
+        const title = isEdit
+            ? (chrome.i18n.getMessage('promptChainEdit') || '编辑提示词链')
+            : (chrome.i18n.getMessage('promptChainAdd') || '添加提示词链');
+        
+        const overlay = document.createElement('div');
+        overlay.className = 'prompt-modal-overlay';
+        
+        const modal = document.createElement('div');
+        modal.className = 'prompt-modal prompt-chain-modal';
+        modal.innerHTML = `
+            <div class="prompt-modal-header">
+                <h3>${title}</h3>
+                <button class="prompt-modal-close">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="18" y1="6" x2="6" y2="18"/>
+                        <line x1="6" y1="6" x2="18" y2="18"/>
+                    </svg>
+                </button>
+            </div>
+            <div class="prompt-modal-body">
+                <div class="prompt-modal-field">
+                    <label>${chrome.i18n.getMessage('hsuywkw')}<span class="required-mark">*</span></label>
+                    <input type="text" class="prompt-modal-input" id="prompt-chain-name-input"
+                        placeholder="${chrome.i18n.getMessage('hsuywkwPlaceholder')}"
+                        maxlength="16" value="${this._escapeHtml(chain?.name || '')}">
+                </div>
+                <div class="prompt-modal-field">
+                    <label>${chrome.i18n.getMessage('promptChainSteps') || '步骤'}<span class="required-mark">*</span></label>
+                    <div class="prompt-chain-steps"></div>
+                    <button class="prompt-chain-add-step">+ ${chrome.i18n.getMessage('promptChainAddStep') || '添加步骤'}</button>
+                    <div class="prompt-variable-hint">${chrome.i18n.getMessage('promptVariableHint') || '支持变量：<code>{{名称}}</code> 插入前填写，<code>{{名称:选项1|选项2}}</code> 下拉选择，内置 <code>{{selection}}</code> <code>{{clipboard}}</code> <code>{{date}}</code> <code>{{time}}</code>'}</div>
+                </div>
+            </div>
+            <div class="prompt-modal-footer">
+                <button class="prompt-modal-btn prompt-modal-cancel">${chrome.i18n.getMessage('pxvkmz')}</button>
+                <button class="prompt-modal-btn prompt-modal-confirm">${chrome.i18n.getMessage('svkbtn')}</button>
+            </div>
+        `;
+        
+        overlay.appendChild(modal);
+        document.body.appendChild(overlay);
+        
+        const nameInput = modal.querySelector('#prompt-chain-name-input');
+        const stepsContainer = modal.querySelector('.prompt-chain-steps');
+        
+        // 重新编号（删除步骤后）
+        const renumber = () => {
+            stepsContainer.querySelectorAll('.prompt-chain-step-index').forEach((el, index) => {
+                el.textContent = index + 1;
+            });
+        };
+        
+        const addStep = (step = { content: '', delay: 0 }) => {
+            const row = document.createElement('div');
+            row.className = 'prompt-chain-step';
+            row.innerHTML = `
+                <div class="prompt-chain-step-header">
+                    <span class="prompt-chain-step-index"></span>
+                    <label class="prompt-chain-step-delay">
+                        ${chrome.i18n.getMessage('promptChainDelay') || '发送前等待（秒）'}
+                        <input type="number" class="prompt-chain-delay-input" min="0" max="600" value="${Number(step.delay) || 0}">
+                    </label>
+                    <button class="prompt-chain-step-remove" title="${chrome.i18n.getMessage('mzxvkp') || '删除'}">✕</button>
+                </div>
+                <textarea class="prompt-modal-textarea prompt-chain-step-input" rows="2" maxlength="10000"
+                    placeholder="${chrome.i18n.getMessage('uwkjwjw')}">${this._escapeHtml(step.content || '')}</textarea>
+            `;
+            row.querySelector('.prompt-chain-step-remove').addEventListener('click', () => {
+                row.remove();
+                renumber();
+            });
+            stepsContainer.appendChild(row);
+            renumber();
+            return row;
+        };
+        
+        (chain?.steps?.length ? chain.steps : [{ content: '', delay: 0 }]).forEach(step => addStep(step));
+        
+        modal.querySelector('.prompt-chain-add-step').addEventListener('click', () => {
+            addStep().querySelector('textarea').focus();
+        });
+        
+        requestAnimationFrame(() => {
+            overlay.classList.add('visible');
+        });
+        
+        const closeModal = () => {
+            overlay.classList.remove('visible');
+            setTimeout(() => {
+                if (overlay.parentNode) {
+                    overlay.parentNode.removeChild(overlay);
+                }
+            }, 200);
+        };
+        
+        const saveChain = async () => {
+            const name = nameInput.value.trim();
+            const steps = [...stepsContainer.querySelectorAll('.prompt-chain-step')]
+                .map(row => ({
+                    content: row.querySelector('.prompt-chain-step-input').value.trim(),
+                    delay: Math.min(600, Math.max(0, Math.round(Number(row.querySelector('.prompt-chain-delay-input').value) || 0)))
+                }))
+                .filter(step => step.content);
+            
+            if (!name) {
+                window.globalToastManager?.show('error', chrome.i18n.getMessage('zmxvkp'));
+                nameInput.focus();
+                return;
+            }
+            if (steps.length === 0) {
+                window.globalToastManager?.show('error', chrome.i18n.getMessage('zmxvkp'));
+                stepsContainer.querySelector('textarea')?.focus();
+                return;
+            }
+            
+            const chains = await this._getFreshChains();
+            const index = isEdit ? chains.findIndex(c => c.id === chain.id) : -1;
+            if (index !== -1) {
+                chains[index] = { ...chains[index], name, steps, updatedAt: Date.now() };
+            } else {
+                chains.push({ id: Date.now().toString(), name, steps, createdAt: Date.now() });
+            }
+            await this._saveChains(chains);
+            
+            window.globalToastManager?.show('success', chrome.i18n.getMessage('promptChainSaved') || '提示词链已保存');
+            closeModal();
+        };
+        
+        modal.querySelector('.prompt-modal-close').addEventListener('click', closeModal);
+        modal.querySelector('.prompt-modal-cancel').addEventListener('click', closeModal);
+        modal.querySelector('.prompt-modal-confirm').addEventListener('click', saveChain);
+    }
+    
+    /**
+     * 删除提示词链
+     */
+    async deleteChain(id) {
+        if (!window.globalPopconfirmManager) return;
+        
+        const confirmed = await window.globalPopconfirmManager.show({
+            title: chrome.i18n.getMessage('promptChainDeleteConfirm') || '确定删除这个提示词链吗？',
+            confirmText: chrome.i18n.getMessage('mzxvkp'),
+            cancelText: chrome.i18n.getMessage('pxvkmz'),
+            confirmTextType: 'danger'
+        });
+        if (!confirmed) return;
+        
+        const chains = await this._getFreshChains();
+        await this._saveChains(chains.filter(c => c.id !== id));
+        window.globalToastManager?.show('success', chrome.i18n.getMessage('promptChainDeleted') || '提示词链已删除');
+    }
+    
     async _showPlatformManageModal() {
         const platforms = getPlatformsByFeature('smartInput');
         const result = await chrome.storage.local.get('promptButtonPlatformSettings');
@@ -0,0 +1,115 @@
+/**
+ * Prompt Folder Manager - 提示词文件夹管理器
+ *
+ * 复用收藏的 FolderManager（最多2级、置顶、排序），文件夹存在 promptFolders，
+ * 提示词通过 folderId 归属文件夹，folderId 为空或指向已删除的文件夹时归为未分类
+ */
+
+class PromptFolderManager extends FolderManager {
+    /**
+     * @param {Object} storageAdapter
+     * @param {Object} options
+     * @param {Function} options.batchUpdate - 提示词批量更新（PromptTab.batchUpdatePrompts），
+     *   与提示词保存共用写入队列；未提供时直接读写 storage
+     */
+    constructor(storageAdapter, options = {}) {
+        super(storageAdapter, { foldersKey: 'promptFolders' });
+        this.batchUpdate = options.batchUpdate || null;
+    }
+
+    /**
+     * 批量更新提示词
+     * @param {Function} updateFn - 更新函数，接收 prompts 数组，返回更新后的数组
+     */
+    async _batchUpdatePrompts(updateFn) {
+        if (this.batchUpdate) {
+            return this.batchUpdate(updateFn);
+        }
+        const updated = updateFn(await this.storage.get('prompts') || []);
+        if (Array.isArray(updated)) {
+            await this.storage.set('prompts', updated);
+        }
+        return updated;
+    }
+
+    /**
+     * 删除文件夹时处理其中的提示词
+     */
+    async _removeFolderItems(folderIds, deleteItems) {
+        await this._batchUpdatePrompts(prompts => deleteItems
+            ? prompts.filter(prompt => !folderIds.includes(prompt.folderId))
+            : prompts.map(prompt => folderIds.includes(prompt.folderId) ? { ...prompt, folderId: null } : prompt));
+    }
+
+    /**
+     * 移动提示词到文件夹
+     * @param {string} promptId
+     * @param {string|null} targetFolderId - null = 未分类
+     */
+    async movePromptToFolder(promptId, targetFolderId) {
+        let found = false;
+        await this._batchUpdatePrompts(prompts => {
+            const prompt = prompts.find(p => p.id === promptId);
+            if (!prompt) return null;
+            prompt.folderId = targetFolderId || null;
+            found = true;
+            return prompts;
+        });
+        if (!found) {
+            throw new Error(chrome.i18n.getMessage('promptNotFound') || '提示词不存在');
+        }
+    }
+
+    /**
+     * 按文件夹分组提示词（树状结构）
+     * @param {Array} prompts
+     * @returns {Promise<Object>} 同 buildTree
+     */
+    async getPromptsByFolder(prompts) {
+        return PromptFolderManager.buildTree(await this.getFolders(), prompts);
+    }
+
+    /**
+     * 按文件夹分组提示词（与 getStarredByFolder 相同的结构，提示词下拉菜单也使用）
+     * 文件夹置顶的在前，其余按 order；文件夹内提示词置顶的在前，其余保持原顺序
+     * @param {Array} folders
+     * @param {Array} prompts
+     * @returns {{ folders: Array<{ ...folder, children: Array, items: Array }>, uncategorized: Array }}
+     */
+    static buildTree(folders = [], prompts = []) {
+        const sortItems = (arr) => arr.sort((a, b) => {
+            if (a.pinned && !b.pinned) return -1;
+            if (!a.pinned && b.pinned) return 1;
+            return 0;
+        });
+        const sortFolders = (arr) => arr.sort((a, b) => {
+            if (a.pinned && !b.pinned) return -1;
+            if (!a.pinned && b.pinned) return 1;
+            return (a.order || 0) - (b.order || 0);
+        });
+        const itemsOf = (folderId) => sortItems(prompts.filter(prompt => prompt.folderId === folderId));
+
+        const rootFolders = sortFolders(folders.filter(f => !f.parentId));
+        const tree = {
+            folders: rootFolders.map(rootFolder => ({
+                ...rootFolder,
+                children: sortFolders(folders.filter(f => f.parentId === rootFolder.id)).map(childFolder => ({
+                    ...childFolder,
+                    items: itemsOf(childFolder.id)
+                })),
+                items: itemsOf(rootFolder.id)
+            })),
+            uncategorized: []
+        };
+
+        // 子文件夹的父文件夹已不存在时，其中的提示词也归为未分类
+        const visibleIds = new Set();
+        tree.folders.forEach(folder => {
+            visibleIds.add(folder.id);
+            folder.children.forEach(child => visibleIds.add(child.id));
+        });
+        tree.uncategorized = sortItems(prompts.filter(prompt => !visibleIds.has(prompt.folderId)));
+
+        return tree;
+    }
+}
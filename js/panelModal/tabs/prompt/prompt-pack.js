@@ -0,0 +1,271 @@
+/**
+ * Prompt Pack - 提示词包（可分享的提示词 JSON 文件）
+ *
+ * 文件格式：
+ * {
+ *   type: 'aitimeline-prompt-pack', version: 1, name, exportedAt,
+ *   folders: [{ id, name, icon, parentId }],
+ *   prompts: [{ id, name, content, platformId, folderId, tags }]
+ * }
+ *
+ * 导入时：
+ * - 文件夹按路径（父文件夹名 / 文件夹名）匹配现有文件夹，没有则新建
+ * - 名称和内容都相同的提示词视为重复，直接跳过
+ * - ID 相同或同一文件夹内名称相同、但内容不同的视为冲突，按选择的策略处理：
+ *   overwrite 覆盖现有 / keepBoth 保留两者 / skip 跳过
+ * - 新提示词沿用包内 ID（与现有 ID 冲突时重新生成），再次导入更新后的包时可按 ID 识别
+ */
+
+const PromptPack = {
+    TYPE: 'aitimeline-prompt-pack',
+    VERSION: 1,
+    MAX_TAGS: 10,
+    MAX_TAG_LENGTH: 20,
+
+    /**
+     * 规范化标签：支持逗号分隔的字符串或数组，去空白、去重
+     * @param {string|string[]} value
+     * @returns {string[]}
+     */
+    normalizeTags(value) {
+        const list = Array.isArray(value) ? value : String(value || '').split(/[,，]/);
+        const tags = [];
+        list.forEach(tag => {
+            const text = String(tag || '').trim().replace(/^#/, '').slice(0, this.MAX_TAG_LENGTH);
+            if (text && !tags.includes(text)) tags.push(text);
+        });
+        return tags.slice(0, this.MAX_TAGS);
+    },
+
+    /**
+     * 生成提示词包
+     * @param {Object} options
+     * @param {string} options.name - 包名称
+     * @param {Array} options.folders - 包含的文件夹
+     * @param {Array} options.prompts - 包含的提示词
+     */
+    create({ name, folders = [], prompts = [] }) {
+        const folderIds = new Set(folders.map(f => f.id));
+        return {
+            type: this.TYPE,
+            version: this.VERSION,
+            name: name || '',
+            exportedAt: new Date().toISOString(),
+            folders: folders.map(folder => ({
+                id: folder.id,
+                name: folder.name,
+                icon: folder.icon || '',
+                parentId: folderIds.has(folder.parentId) ? folder.parentId : null
+            })),
+            prompts: prompts.map(prompt => ({
+                id: prompt.id,
+                name: prompt.name || '',
+                content: prompt.content,
+                platformId: prompt.platformId || '',
+                folderId: folderIds.has(prompt.folderId) ? prompt.folderId : null,
+                tags: this.normalizeTags(prompt.tags)
+            }))
+        };
+    },
+
+    /**
+     * 解析并校验提示词包文件
+     * @param {string} text - 文件内容
+     * @returns {Object} 规范化后的提示词包
+     * @throws {Error} 不是有效的提示词包
+     */
+    parse(text) {
+        const invalid = () => new Error(chrome.i18n.getMessage('promptPackInvalid') || '不是有效的提示词包文件');
+
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw invalid();
+        }
+        if (!data || data.type !== this.TYPE || !Array.isArray(data.prompts)) {
+            throw invalid();
+        }
+        if (Number(data.version) > this.VERSION) {
+            throw new Error(chrome.i18n.getMessage('promptPackVersion') || '提示词包版本过新，请先更新扩展');
+        }
+
+        // 文件夹最多2级：父文件夹不存在或本身是子文件夹时归到根级
+        const rawFolders = (Array.isArray(data.folders) ? data.folders : [])
+            .filter(f => f && f.id && String(f.name || '').trim());
+        const rootIds = new Set(rawFolders.filter(f => !f.parentId).map(f => String(f.id)));
+        const folders = rawFolders.map(folder => ({
+            id: String(folder.id),
+            name: String(folder.name).trim(),
+            icon: typeof folder.icon === 'string' ? folder.icon : '',
+            parentId: rootIds.has(String(folder.parentId)) ? String(folder.parentId) : null
+        }));
+        const folderIds = new Set(folders.map(f => f.id));
+
+        const prompts = data.prompts
+            .filter(p => p && typeof p.content === 'string' && p.content.trim())
+            .map(prompt => ({
+                id: prompt.id ? String(prompt.id) : null,
+                name: String(prompt.name || '').trim(),
+                content: prompt.content.trim(),
+                platformId: typeof prompt.platformId === 'string' ? prompt.platformId : '',
+                folderId: folderIds.has(String(prompt.folderId)) ? String(prompt.folderId) : null,
+                tags: this.normalizeTags(prompt.tags)
+            }));
+
+        return { name: String(data.name || ''), folders, prompts };
+    },
+
+    /**
+     * 对比提示词包与现有数据
+     * @param {Object} pack - parse 的结果
+     * @param {Array} prompts - 现有提示词
+     * @param {Array} folders - 现有文件夹
+     * @returns {{ pack, folderMap: Object, items: Array<{ prompt, status, existing, inPack, targetFolderId }>, counts: Object }}
+     *   folderMap: 包内文件夹 ID → 现有文件夹 ID（未匹配为 null，导入时新建）
+     *   status: 'new' | 'duplicate' | 'conflict'
+     *   inPack: existing 为包内排在前面的提示词（包内重复：内容相同为 duplicate，同文件夹同名为 conflict）
+     */
+    analyze(pack, prompts, folders) {
+        const findFolder = (name, parentId) => folders.find(f => f.name === name && (f.parentId || null) === parentId);
+
+        // 按路径匹配文件夹（先根文件夹，再子文件夹）
+        const folderMap = {};
+        pack.folders.filter(f => !f.parentId).forEach(folder => {
+            folderMap[folder.id] = findFolder(folder.name, null)?.id || null;
+        });
+        pack.folders.filter(f => f.parentId).forEach(folder => {
+            const parentId = folderMap[folder.parentId];
+            folderMap[folder.id] = parentId ? (findFolder(folder.name, parentId)?.id || null) : null;
+        });
+
+        const items = pack.prompts.map((prompt, index) => {
+            // 文件夹尚未创建时 targetFolderId 为 null，此时同文件夹内不会有现有提示词
+            const targetFolderId = prompt.folderId ? folderMap[prompt.folderId] : null;
+            const inTarget = (p) => prompt.folderId ? (targetFolderId && p.folderId === targetFolderId) : !p.folderId;
+
+            const duplicate = prompts.find(p => p.name === prompt.name && p.content === prompt.content);
+            if (duplicate) {
+                return { prompt, status: 'duplicate', existing: duplicate, targetFolderId };
+            }
+
+            // 包内重复：与前面的提示词内容相同，或在同一文件夹中同名
+            const earlier = pack.prompts.slice(0, index);
+            const packDuplicate = earlier.find(p => p.content === prompt.content);
+            if (packDuplicate) {
+                return { prompt, status: 'duplicate', existing: packDuplicate, inPack: true, targetFolderId };
+            }
+            const packConflict = (prompt.id && earlier.find(p => p.id === prompt.id))
+                || (prompt.name && earlier.find(p => p.name === prompt.name && p.folderId === prompt.folderId));
+            if (packConflict) {
+                return { prompt, status: 'conflict', existing: packConflict, inPack: true, targetFolderId };
+            }
+
+            const conflict = (prompt.id && prompts.find(p => p.id === prompt.id))
+                || (prompt.name && prompts.find(p => p.name === prompt.name && inTarget(p)));
+            if (conflict) {
+                return { prompt, status: 'conflict', existing: conflict, targetFolderId };
+            }
+            return { prompt, status: 'new', existing: null, targetFolderId };
+        });
+
+        const counts = { new: 0, duplicate: 0, conflict: 0 };
+        items.forEach(item => counts[item.status]++);
+
+        return { pack, folderMap, items, counts };
+    },
+
+    /**
+     * 按策略合并到现有数据（不修改传入的数组）
+     * @param {Object} analysis - analyze 的结果
+     * @param {'overwrite'|'keepBoth'|'skip'} strategy - 冲突处理策略
+     * @param {Array} prompts - 现有提示词
+     * @param {Array} folders - 现有文件夹
+     * @returns {{ prompts: Array, folders: Array, added: number, updated: number, skipped: number }}
+     */
+    apply(analysis, strategy, prompts, folders) {
+        const nextPrompts = prompts.map(p => ({ ...p }));
+        const nextFolders = folders.map(f => ({ ...f }));
+        const folderMap = { ...analysis.folderMap };
+        const now = Date.now();
+        const result = { added: 0, updated: 0, skipped: 0 };
+
+        const usedIds = new Set(nextPrompts.map(p => p.id));
+        const newId = () => {
+            let id;
+            do {
+                id = `${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+            } while (usedIds.has(id));
+            return id;
+        };
+
+        // 只创建实际有提示词导入的文件夹（及其父文件夹）
+        const ensureFolder = (packFolderId) => {
+            if (!packFolderId) return null;
+            if (folderMap[packFolderId]) return folderMap[packFolderId];
+
+            const packFolder = analysis.pack.folders.find(f => f.id === packFolderId);
+            const parentId = packFolder.parentId ? ensureFolder(packFolder.parentId) : null;
+            const folder = {
+                id: `folder_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                name: packFolder.name,
+                icon: packFolder.icon,
+                parentId,
+                createdAt: now,
+                order: nextFolders.filter(f => (f.parentId || null) === parentId).length
+            };
+            nextFolders.push(folder);
+            folderMap[packFolderId] = folder.id;
+            return folder.id;
+        };
+
+        // 包内提示词 → 导入后对应的提示词 ID（供包内冲突覆盖时定位）
+        const placed = new Map();
+        // 本次导入已新增或更新的提示词 ID，再次覆盖时不重复计数
+        const touched = new Set();
+
+        analysis.items.forEach(({ prompt, status, existing, inPack }) => {
+            if (status === 'duplicate' || (status === 'conflict' && strategy === 'skip')) {
+                if (status === 'duplicate') {
+                    placed.set(prompt, inPack ? placed.get(existing) : existing.id);
+                }
+                result.skipped++;
+                return;
+            }
+
+            const fields = {
+                name: prompt.name,
+                content: prompt.content,
+                platformId: prompt.platformId,
+                folderId: ensureFolder(prompt.folderId),
+                tags: prompt.tags
+            };
+
+            if (status === 'conflict' && strategy === 'overwrite') {
+                const targetId = inPack ? placed.get(existing) : existing.id;
+                const index = nextPrompts.findIndex(p => p.id === targetId);
+                if (index !== -1) {
+                    const isNew = !prompts.some(p => p.id === targetId);
+                    nextPrompts[index] = { ...nextPrompts[index], ...fields, ...(isNew ? {} : { updatedAt: now }) };
+                    placed.set(prompt, targetId);
+                    if (touched.has(targetId)) {
+                        result.skipped++;
+                    } else {
+                        touched.add(targetId);
+                        result.updated++;
+                    }
+                    return;
+                }
+            }
+
+            const id = prompt.id && !usedIds.has(prompt.id) ? prompt.id : newId();
+            usedIds.add(id);
+            nextPrompts.push({ id, ...fields, createdAt: now });
+            placed.set(prompt, id);
+            touched.add(id);
+            result.added++;
+        });
+
+        return { prompts: nextPrompts, folders: nextFolders, ...result };
+    }
+};
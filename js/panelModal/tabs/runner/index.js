@@ -4,6 +4,9 @@
  * 功能：
  * - 管理各语言代码块运行功能的开关（JS、Python 等）
  * - 默认开启
+ * - 让 AI 修复：插入对话输入框后是否自动发送
+ * - 代码片段库：按标题 / 标签 / 代码搜索，一键在悬浮运行器中打开
+ * - 展示内置运行时（Pyodide、sql.js 等）的安装状态和大小
  */
 
 class RunnerTab extends BaseTab {
@@ -19,6 +22,13 @@ class RunnerTab extends BaseTab {
         this.languages = RUNNER_LANGUAGES;
     }
     
+    getInitialState() {
+        return {
+            transient: { snippets: [], query: '', tag: null },
+            persistent: {}
+        };
+    }
+    
     /**
      * 渲染设置内容
      */
@@ -47,6 +57,37 @@ class RunnerTab extends BaseTab {
                     ${languageItems}
                 </div>
             </div>
+            <div class="divider"></div>
+            <div class="platform-list">
+                <div class="platform-list-title">${chrome.i18n.getMessage('runnerAskAiTitle') || '让 AI 修复'}</div>
+                <div class="platform-list-hint">${chrome.i18n.getMessage('runnerAskAiAutoSendHint') || '运行结果工具栏的按钮会把代码和错误信息插入对话输入框，开启后直接发送'}</div>
+                <div class="platform-list-container">
+                    <div class="platform-item">
+                        <div class="platform-info-left">
+                            <span class="platform-name">${chrome.i18n.getMessage('runnerAskAiAutoSend') || '插入后自动发送'}</span>
+                        </div>
+                        <label class="ait-toggle-switch">
+                            <input type="checkbox" id="runner-ask-ai-auto-send-toggle">
+                            <span class="ait-toggle-slider"></span>
+                        </label>
+                    </div>
+                </div>
+            </div>
+            <div class="divider"></div>
+            <div class="platform-list">
+                <div class="platform-list-title">${chrome.i18n.getMessage('runnerSnippetsTitle') || '代码片段'}</div>
+                <div class="platform-list-hint">${chrome.i18n.getMessage('runnerSnippetsHint') || '在运行面板中点击书签按钮保存代码，标题中的 #标签 作为标签'}</div>
+                <input type="text" class="runner-snippet-search" id="runner-snippet-search" autocomplete="off"
+                       placeholder="${chrome.i18n.getMessage('runnerSnippetsSearch') || '搜索标题、标签或代码'}">
+                <div class="runner-snippet-tags" id="runner-snippet-tags"></div>
+                <div class="platform-list-container" id="runner-snippet-list"></div>
+            </div>
+            <div class="divider"></div>
+            <div class="platform-list">
+                <div class="platform-list-title">${chrome.i18n.getMessage('runnerRuntimesTitle') || '内置运行时'}</div>
+                <div class="platform-list-hint">${chrome.i18n.getMessage('runnerRuntimesHint') || '随扩展内置的运行时离线也可运行，未内置的运行时从 CDN 加载'}</div>
+                <div class="platform-list-container" id="runner-runtime-list"></div>
+            </div>
         `;
         
         return container;
@@ -78,6 +119,242 @@ class RunnerTab extends BaseTab {
                 await this._handleToggleChange(lang, e.target.checked, toggle);
             });
         }
+        
+        // 让 AI 修复：自动发送（默认关闭）
+        const autoSendToggle = document.getElementById('runner-ask-ai-auto-send-toggle');
+        if (autoSendToggle) {
+            try {
+                const result = await chrome.storage.local.get('runnerAskAiAutoSend');
+                autoSendToggle.checked = result.runnerAskAiAutoSend === true;
+            } catch (e) {
+                autoSendToggle.checked = false;
+            }
+            this.addEventListener(autoSendToggle, 'change', async () => {
+                try {
+                    await chrome.storage.local.set({ runnerAskAiAutoSend: autoSendToggle.checked });
+                } catch (e) {
+                    console.error('[RunnerTab] Failed to save auto send state:', e);
+                    autoSendToggle.checked = !autoSendToggle.checked;
+                }
+            });
+        }
+        
+        await this._initSnippets();
+        await this._renderRuntimeList();
+    }
+    
+    // ==================== 代码片段 ====================
+    
+    async _initSnippets() {
+        const search = document.getElementById('runner-snippet-search');
+        const tags = document.getElementById('runner-snippet-tags');
+        const list = document.getElementById('runner-snippet-list');
+        if (!search || !tags || !list) return;
+        
+        this.addEventListener(search, 'input', () => {
+            this.setState('query', search.value.trim());
+            this._renderSnippetList();
+        });
+        
+        this.addEventListener(tags, 'click', (e) => {
+            const chip = e.target.closest('.runner-snippet-tag');
+            if (!chip) return;
+            // 再次点击已选标签取消筛选
+            this.setState('tag', this.getState('tag') === chip.dataset.tag ? null : chip.dataset.tag);
+            this._renderSnippetTags();
+            this._renderSnippetList();
+        });
+        
+        this.addEventListener(list, 'click', (e) => {
+            const btn = e.target.closest('[data-snippet-action]');
+            if (!btn) return;
+            const snippet = this.getState('snippets').find(s => s.id === btn.closest('.runner-snippet-item')?.dataset.id);
+            if (!snippet) return;
+            
+            const action = btn.dataset.snippetAction;
+            if (action === 'open') {
+                this._openSnippet(snippet);
+            } else if (action === 'edit') {
+                this._editSnippet(snippet);
+            } else if (action === 'delete') {
+                this._deleteSnippet(snippet);
+            }
+        });
+        
+        // 保存 / 同步后刷新
+        this.addStorageListener(async (changes, areaName) => {
+            if (areaName && areaName !== 'local') return;
+            if (changes[RunnerSnippets.STORAGE_KEY]) {
+                await this._loadSnippets();
+            }
+        });
+        
+        await this._loadSnippets();
+    }
+    
+    async _loadSnippets() {
+        const snippets = await RunnerSnippets.getAll();
+        this.setState('snippets', snippets);
+        // 当前标签已不存在时取消筛选
+        if (this.getState('tag') && !RunnerSnippets.getTags(snippets).includes(this.getState('tag'))) {
+            this.setState('tag', null);
+        }
+        this._renderSnippetTags();
+        this._renderSnippetList();
+    }
+    
+    _renderSnippetTags() {
+        const container = document.getElementById('runner-snippet-tags');
+        if (!container) return;
+        
+        const current = this.getState('tag');
+        container.innerHTML = RunnerSnippets.getTags(this.getState('snippets')).map(tag => `
+            <button class="runner-snippet-tag ${tag === current ? 'active' : ''}" data-tag="${this._escapeHtml(tag)}">#${this._escapeHtml(tag)}</button>
+        `).join('');
+    }
+    
+    _renderSnippetList() {
+        const list = document.getElementById('runner-snippet-list');
+        if (!list) return;
+        
+        const snippets = this.getState('snippets');
+        const filtered = RunnerSnippets.filter(snippets, this.getState('query'), this.getState('tag'));
+        
+        if (filtered.length === 0) {
+            const emptyText = snippets.length === 0
+                ? (chrome.i18n.getMessage('runnerSnippetsEmpty') || '暂无代码片段')
+                : (chrome.i18n.getMessage('runnerSnippetsNoMatch') || '没有匹配的代码片段');
+            list.innerHTML = `<div class="runner-snippet-empty">${emptyText}</div>`;
+            return;
+        }
+        
+        const filesText = chrome.i18n.getMessage('runnerHistoryFiles') || '个文件';
+        list.innerHTML = filtered.map(snippet => {
+            const language = this.languages.find(lang => lang.id === snippet.language)?.name || snippet.language;
+            const meta = [
+                snippet.files ? `${language} · ${snippet.files.length} ${filesText}` : language,
+                ...(snippet.tags || []).map(tag => `#${tag}`),
+                new Date(snippet.updatedAt).toLocaleDateString()
+            ].join(' · ');
+            return `
+                <div class="platform-item runner-snippet-item" data-id="${snippet.id}">
+                    <div class="platform-info-left runner-snippet-info" data-snippet-action="open"
+                         title="${chrome.i18n.getMessage('runnerSnippetOpen') || '在运行器中打开'}">
+                        <span class="platform-name runner-snippet-title">${this._escapeHtml(snippet.title)}</span>
+                        <span class="runner-snippet-meta">${this._escapeHtml(meta)}</span>
+                    </div>
+                    <div class="runner-snippet-actions">
+                        <button class="runner-snippet-btn" data-snippet-action="open" title="${chrome.i18n.getMessage('runnerSnippetOpen') || '在运行器中打开'}">
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <polygon points="5 3 19 12 5 21 5 3"></polygon>
+                            </svg>
+                        </button>
+                        <button class="runner-snippet-btn" data-snippet-action="edit" title="${chrome.i18n.getMessage('vkpxzm') || '编辑'}">
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/>
+                                <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/>
+                            </svg>
+                        </button>
+                        <button class="runner-snippet-btn danger" data-snippet-action="delete" title="${chrome.i18n.getMessage('mzxvkp') || '删除'}">
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <polyline points="3 6 5 6 21 6"/>
+                                <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
+                            </svg>
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    /**
+     * 在悬浮运行器中打开并运行
+     */
+    _openSnippet(snippet) {
+        if (!window.FloatingRunnerContainer) return;
+        window.FloatingRunnerContainer.getInstance().show(snippet.files
+            ? { files: snippet.files }
+            : { code: snippet.code, language: snippet.language });
+        window.panelModal?.hide();
+    }
+    
+    async _editSnippet(snippet) {
+        if (!window.globalInputModal) return;
+        const input = (await window.globalInputModal.show({
+            title: chrome.i18n.getMessage('runnerSnippetEdit') || '编辑代码片段',
+            defaultValue: RunnerSnippets.formatTitle(snippet),
+            placeholder: chrome.i18n.getMessage('runnerSnippetTitlePlaceholder') || '标题，可用 #标签 添加标签',
+            required: true,
+            maxLength: 120
+        }))?.trim();
+        if (!input) return;
+        
+        const { title, tags } = RunnerSnippets.parseTitle(input);
+        await RunnerSnippets.update(snippet.id, { title: title || snippet.title, tags });
+    }
+    
+    async _deleteSnippet(snippet) {
+        if (!window.globalPopconfirmManager) return;
+        const confirmed = await window.globalPopconfirmManager.show({
+            title: chrome.i18n.getMessage('runnerSnippetDeleteConfirm') || '确定删除这个代码片段吗？',
+            content: snippet.title,
+            confirmText: chrome.i18n.getMessage('mzxvkp') || '删除',
+            cancelText: chrome.i18n.getMessage('pxvkmz') || '取消',
+            confirmTextType: 'danger'
+        });
+        if (!confirmed) return;
+        await RunnerSnippets.remove(snippet.id);
+    }
+    
+    _escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+    
+    /**
+     * 渲染内置运行时列表（安装状态和大小来自 runtimes.json 索引）
+     */
+    async _renderRuntimeList() {
+        const list = document.getElementById('runner-runtime-list');
+        if (!list) return;
+        
+        const statuses = await RuntimeAssets.getAllStatus();
+        // 异步期间 Tab 可能已切换
+        if (!list.isConnected) return;
+        
+        const installedText = chrome.i18n.getMessage('runnerRuntimeInstalled') || '已安装';
+        const missingText = chrome.i18n.getMessage('runnerRuntimeMissing') || '未内置 · CDN';
+        
+        list.innerHTML = statuses.map(status => {
+            let languages = status.languages
+                .map(id => this.languages.find(lang => lang.id === id)?.name || id)
+                .join(', ');
+            // 已打包的第三方包（Pyodide）
+            if (status.packages.length > 0) {
+                languages += ` · ${status.packages.join(', ')}`;
+            }
+            const state = status.installed
+                ? `${installedText} · ${this._formatSize(status.size)}`
+                : missingText;
+            return `
+                <div class="platform-item runner-runtime-item" data-runtime="${status.id}">
+                    <div class="platform-info-left">
+                        <span class="platform-name">${status.name} ${status.version}</span>
+                        <span class="runner-runtime-languages">${languages}</span>
+                    </div>
+                    <span class="runner-runtime-state ${status.installed ? 'installed' : 'missing'}"
+                          ${status.installed ? '' : `title="${RuntimeAssets.getMissingMessage(status.id)}"`}>${state}</span>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    _formatSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
     }
     
     /**
@@ -106,6 +383,10 @@ class RunnerTab extends BaseTab {
                 this._handleLuaToggle(enabled);
             } else if (lang.id === 'ruby') {
                 this._handleRubyToggle(enabled);
+            } else if (lang.id === 'go') {
+                this._handleGoToggle(enabled);
+            } else if (lang.id === 'cpp') {
+                this._handleCppToggle(enabled);
             } else if (lang.id === 'mermaid') {
                 this._handleMermaidToggle(enabled);
             }
@@ -244,6 +525,32 @@ class RunnerTab extends BaseTab {
         }
     }
     
+    /**
+     * 处理 Go 运行器开关
+     */
+    _handleGoToggle(enabled) {
+        if (enabled) {
+            if (window.Runner) {
+                window.Runner.scan();
+            }
+        } else {
+            this._removeRunButtonsByLanguage('go');
+        }
+    }
+    
+    /**
+     * 处理 C/C++ 运行器开关
+     */
+    _handleCppToggle(enabled) {
+        if (enabled) {
+            if (window.Runner) {
+                window.Runner.scan();
+            }
+        } else {
+            this._removeRunButtonsByLanguage('cpp');
+        }
+    }
+    
     /**
      * 处理 Mermaid 渲染器开关
      */
@@ -262,8 +569,8 @@ class RunnerTab extends BaseTab {
      * @param {string} language - 语言类型
      */
     _removeRunButtonsByLanguage(language) {
-        // 移除指定语言的 Run 按钮
-        const runButtons = document.querySelectorAll(`.runner-code-run-btn[data-language="${language}"]`);
+        // 移除指定语言的 Run 按钮和对比按钮
+        const runButtons = document.querySelectorAll(`.runner-code-run-btn[data-language="${language}"], .runner-code-diff-btn[data-language="${language}"]`);
         runButtons.forEach(btn => btn.remove());
         
         // 移除对应的 Runner 容器
@@ -297,8 +604,8 @@ class RunnerTab extends BaseTab {
      * 移除页面上所有 Run 按钮（关闭功能时调用）
      */
     _removeAllRunButtons() {
-        // 移除所有 Run 按钮
-        const runButtons = document.querySelectorAll('.runner-code-run-btn');
+        // 移除所有 Run 按钮和对比按钮
+        const runButtons = document.querySelectorAll('.runner-code-run-btn, .runner-code-diff-btn');
         runButtons.forEach(btn => btn.remove());
         
         // 移除所有 Runner 容器
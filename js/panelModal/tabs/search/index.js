@@ -0,0 +1,359 @@
+/**
+ * Search Tab - 全局搜索（收藏 + 闪记 + 高亮）
+ *
+ * 查询委托给 SearchIndexClient（索引在 background 中维护，见 js/global/search-index/），本类只负责：
+ * 搜索框、类型筛选、结果渲染、跳转到来源。
+ */
+
+class SearchTab extends BaseTab {
+    constructor() {
+        super();
+        this.id = 'search';
+        this.name = chrome.i18n.getMessage('searchEverythingTab') || '全局搜索';
+        this.icon = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <circle cx="11" cy="11" r="8"/>
+            <line x1="21" y1="21" x2="16.65" y2="16.65"/>
+        </svg>`;
+
+        this.types = [
+            { id: 'all', label: chrome.i18n.getMessage('searchEverythingAll') || '全部' },
+            { id: 'star', label: chrome.i18n.getMessage('searchEverythingStars') || '收藏' },
+            { id: 'note', label: chrome.i18n.getMessage('searchEverythingNotes') || '闪记' },
+            { id: 'highlight', label: chrome.i18n.getMessage('searchEverythingHighlights') || '高亮' }
+        ];
+
+        this.noteIcon = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <path d="M9 18h6"/><path d="M10 22h4"/>
+            <path d="M12 2a7 7 0 0 0-4 12.7V16a1 1 0 0 0 1 1h6a1 1 0 0 0 1-1v-1.3A7 7 0 0 0 12 2Z"/>
+        </svg>`;
+        this.pageIcon = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <circle cx="12" cy="12" r="10"/><line x1="2" y1="12" x2="22" y2="12"/>
+            <path d="M12 2a15.3 15.3 0 0 1 4 10 15.3 15.3 0 0 1-4 10 15.3 15.3 0 0 1-4-10 15.3 15.3 0 0 1 4-10z"/>
+        </svg>`;
+    }
+
+    getInitialState() {
+        return {
+            transient: { query: '', results: [], searchTimer: null, searchSeq: 0 },
+            persistent: { type: 'all' }
+        };
+    }
+
+    // ==================== 渲染 ====================
+
+    render() {
+        const container = document.createElement('div');
+        container.className = 'search-tab-container';
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'search-tab-input';
+        input.placeholder = chrome.i18n.getMessage('searchEverythingPlaceholder') || '搜索收藏、闪记和高亮';
+        input.autocomplete = 'off';
+
+        const filters = document.createElement('div');
+        filters.className = 'search-tab-filters';
+        filters.innerHTML = this.types.map(t => `
+            <button class="search-tab-filter" data-type="${t.id}">
+                ${t.label}<span class="search-tab-filter-count"></span>
+            </button>
+        `).join('');
+
+        const results = document.createElement('div');
+        results.className = 'search-tab-results';
+
+        container.appendChild(input);
+        container.appendChild(filters);
+        container.appendChild(results);
+
+        this.setDomRef('input', input);
+        this.setDomRef('filters', filters);
+        this.setDomRef('results', results);
+
+        return container;
+    }
+
+    async mounted() {
+        super.mounted();
+
+        const input = this.getDomRef('input');
+        const filters = this.getDomRef('filters');
+        if (!input || !filters) return;
+
+        this._updateActiveFilter();
+        setTimeout(() => input.focus(), 100);
+
+        this.addEventListener(input, 'input', () => {
+            clearTimeout(this.getState('searchTimer'));
+            this.setState('searchTimer', setTimeout(() => {
+                this.setState('query', input.value.trim());
+                this._runSearch();
+            }, 200));
+        });
+
+        this.addEventListener(input, 'keydown', (e) => {
+            if (e.key === 'Enter') {
+                const first = this.getState('results')?.[0];
+                if (first) this._openSource(first);
+            }
+        });
+
+        this.addEventListener(filters, 'click', (e) => {
+            const btn = e.target.closest('.search-tab-filter');
+            if (!btn) return;
+            this.setPersistentState('type', btn.dataset.type);
+            this._updateActiveFilter();
+            this._runSearch();
+        });
+
+        this.addEventListener(this.getDomRef('results'), 'click', (e) => {
+            const row = e.target.closest('.search-result-item');
+            if (!row) return;
+            const doc = this.getState('results')?.[Number(row.dataset.index)];
+            if (doc) this._openSource(doc);
+        });
+
+        // 数据变化 → 等索引增量更新完成后刷新
+        this.addStorageListener(async (changes, areaName) => {
+            if (areaName && areaName !== 'local') return;
+            const index = window.searchIndexClient;
+            if (!index || !Object.keys(index.SOURCES).some(key => changes[key])) return;
+            await index.whenIdle();
+            if (!this.getDomRef('results')) return;
+            await this._updateCounts();
+            this._runSearch();
+        });
+
+        await this._updateCounts();
+        this._runSearch();
+    }
+
+    unmounted() {
+        clearTimeout(this.getState('searchTimer'));
+        super.unmounted();
+    }
+
+    _updateActiveFilter() {
+        const filters = this.getDomRef('filters');
+        if (!filters) return;
+        const type = this.getPersistentState('type') || 'all';
+        filters.querySelectorAll('.search-tab-filter').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.type === type);
+        });
+    }
+
+    async _updateCounts() {
+        const index = window.searchIndexClient;
+        if (!index) return;
+        const stats = await index.getStats();
+        this.setState('stats', stats);
+
+        const filters = this.getDomRef('filters');
+        if (!filters) return;
+        filters.querySelectorAll('.search-tab-filter').forEach(btn => {
+            const count = btn.dataset.type === 'all' ? stats.total : stats[btn.dataset.type];
+            btn.querySelector('.search-tab-filter-count').textContent = count ? ` ${count}` : '';
+        });
+    }
+
+    // ==================== 搜索 ====================
+
+    async _runSearch() {
+        const resultsEl = this.getDomRef('results');
+        const index = window.searchIndexClient;
+        if (!resultsEl) return;
+
+        if (!index) {
+            this._renderEmpty(chrome.i18n.getMessage('searchEverythingUnavailable') || '搜索索引不可用');
+            return;
+        }
+
+        const query = this.getState('query') || '';
+        if (!query) {
+            this.setState('results', []);
+            const total = this.getState('stats')?.total || 0;
+            this._renderEmpty((chrome.i18n.getMessage('searchEverythingHint') || '在 {count} 条收藏、闪记和高亮中搜索').replace('{count}', total));
+            return;
+        }
+
+        // 丢弃过期的搜索结果（快速输入时）
+        const seq = (this.getState('searchSeq') || 0) + 1;
+        this.setState('searchSeq', seq);
+
+        const type = this.getPersistentState('type') || 'all';
+        const { results, terms } = await index.search(query, { types: type === 'all' ? null : [type] });
+        if (seq !== this.getState('searchSeq') || !this.getDomRef('results')) return;
+
+        this.setState('results', results);
+        if (results.length === 0) {
+            this._renderEmpty(chrome.i18n.getMessage('searchEverythingNoResult') || '没有找到匹配的内容');
+            return;
+        }
+        this._renderResults(results, terms);
+    }
+
+    _renderEmpty(text) {
+        const resultsEl = this.getDomRef('results');
+        if (!resultsEl) return;
+        resultsEl.innerHTML = `<div class="search-tab-empty">${this._escapeHtml(text)}</div>`;
+    }
+
+    _renderResults(results, terms) {
+        const resultsEl = this.getDomRef('results');
+        if (!resultsEl) return;
+
+        const typeLabels = {
+            star: chrome.i18n.getMessage('searchEverythingStars') || '收藏',
+            note: chrome.i18n.getMessage('searchEverythingNotes') || '闪记',
+            highlight: chrome.i18n.getMessage('searchEverythingHighlights') || '高亮'
+        };
+
+        resultsEl.innerHTML = results.map((doc, i) => {
+            const site = doc.url ? getSiteInfoByUrl(doc.url) : null;
+            const icon = site?.logo
+                ? `<img src="${site.logo}" alt="">`
+                : (doc.type === 'note' ? this.noteIcon : this.pageIcon);
+            const meta = [typeLabels[doc.type], site?.name, this._formatDate(doc.timestamp)].filter(Boolean);
+            const snippet = this._buildSnippet(doc.body, terms);
+            const colorDot = doc.type === 'highlight' && doc.ref?.color
+                ? `<span class="search-result-color" style="background:${this._escapeHtml(doc.ref.color)};"></span>`
+                : '';
+
+            return `
+                <div class="search-result-item" data-index="${i}">
+                    <div class="search-result-icon">${icon}</div>
+                    <div class="search-result-main">
+                        <div class="search-result-title">${colorDot}${this._highlightTerms(doc.title, terms)}</div>
+                        ${snippet ? `<div class="search-result-snippet">${this._highlightTerms(snippet, terms)}</div>` : ''}
+                        <div class="search-result-meta">${meta.map(m => this._escapeHtml(m)).join(' · ')}</div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * 正文片段：从第一个命中的词附近截取
+     */
+    _buildSnippet(body, terms) {
+        if (!body) return '';
+        const text = body.replace(/\s+/g, ' ').trim();
+        const lower = text.toLowerCase();
+        const pos = terms.map(t => lower.indexOf(t)).filter(p => p >= 0).sort((a, b) => a - b)[0];
+        if (pos === undefined) return text.length > 80 ? text.slice(0, 80) + '…' : text;
+        const start = Math.max(0, pos - 30);
+        const end = Math.min(text.length, pos + 70);
+        return (start > 0 ? '…' : '') + text.slice(start, end) + (end < text.length ? '…' : '');
+    }
+
+    /**
+     * 在原始文本上匹配关键词，再分段转义（避免在转义后的 HTML 中匹配到 &amp; 等实体）
+     */
+    _highlightTerms(text, terms) {
+        if (!terms.length) return this._escapeHtml(text || '');
+        const pattern = terms
+            .map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('|');
+        // split 带捕获组时，奇数位是命中的片段
+        return (text || '').split(new RegExp(`(${pattern})`, 'gi'))
+            .map((part, i) => (i % 2 ? `<mark>${this._escapeHtml(part)}</mark>` : this._escapeHtml(part)))
+            .join('');
+    }
+
+    _escapeHtml(str) {
+        return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    _formatDate(ts) {
+        if (!ts) return '';
+        const d = new Date(ts);
+        const pad = n => String(n).padStart(2, '0');
+        return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+    }
+
+    // ==================== 跳转 ====================
+
+    async _openSource(doc) {
+        if (doc.type === 'note') {
+            if (!window.notepadManager) {
+                window.globalToastManager?.info(
+                    chrome.i18n.getMessage('searchEverythingNotepadOff') || '闪记功能未开启',
+                    this.getDomRef('input')
+                );
+                return;
+            }
+            window.panelModal?.hide();
+            if (!window.notepadManager.isOpen) await window.notepadManager.open();
+            return;
+        }
+
+        const url = doc.url;
+        if (!url) return;
+        const nodeKey = doc.type === 'star' ? doc.ref?.nodeKey : -1;
+        const needsScroll = nodeKey !== undefined && nodeKey !== -1;
+
+        if (this._isSamePage(doc)) {
+            window.panelModal?.hide();
+            if (doc.type === 'highlight') {
+                this._scrollToHighlight(doc.ref.highlightId);
+            } else if (needsScroll && window.timelineManager) {
+                const tm = window.timelineManager;
+                const marker = this._findMarker(tm, nodeKey);
+                if (marker?.element) tm.smoothScrollTo(marker.element);
+            }
+            return;
+        }
+
+        if (needsScroll && window.timelineManager) {
+            await window.timelineManager.setNavigateDataForUrl(url, nodeKey);
+        }
+
+        if (this._isSameSite(url)) {
+            window.panelModal?.hide();
+            const adapter = window.sidebarStarredAdapterRegistry?.getAdapter();
+            if (!adapter?.navigateToConversation(url)) {
+                location.href = url;
+            }
+        } else {
+            window.open(url, '_blank');
+        }
+    }
+
+    _isSamePage(doc) {
+        if (doc.type === 'highlight') {
+            return location.origin + location.pathname === doc.url;
+        }
+        return location.href.replace(/^https?:\/\//, '') === doc.url.replace(/^https?:\/\//, '');
+    }
+
+    _scrollToHighlight(highlightId) {
+        const marks = document.querySelectorAll(`mark.ait-highlight[data-hl-id="${CSS.escape(highlightId)}"]`);
+        if (marks.length === 0) return;
+        marks[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+        marks.forEach(m => m.classList.add('ait-highlight-hover'));
+        setTimeout(() => marks.forEach(m => m.classList.remove('ait-highlight-hover')), 1500);
+    }
+
+    _findMarker(tm, nodeKey) {
+        if (tm.adapter?.findMarkerByStoredIndex) {
+            return tm.adapter.findMarkerByStoredIndex(nodeKey, tm.markers, tm.markerMap);
+        }
+        if (tm.adapter?.generateTurnIdFromIndex) {
+            const m = tm.markerMap?.get(tm.adapter.generateTurnIdFromIndex(nodeKey));
+            if (m) return m;
+        }
+        if (typeof nodeKey === 'number' && nodeKey >= 0 && nodeKey < tm.markers.length) {
+            return tm.markers[nodeKey];
+        }
+        return null;
+    }
+
+    _isSameSite(url) {
+        try {
+            const u = new URL(url);
+            if (u.hostname === location.hostname) return true;
+            const main = h => h.split('.').slice(-2).join('.');
+            return main(u.hostname) === main(location.hostname);
+        } catch { return false; }
+    }
+}
@@ -9,8 +9,14 @@
  */
 
 class FolderManager {
-    constructor(storageAdapter) {
+    /**
+     * @param {Object} storageAdapter
+     * @param {Object} [options]
+     * @param {string} [options.foldersKey='folders'] - 文件夹列表的 storage key（提示词库使用 promptFolders）
+     */
+    constructor(storageAdapter, options = {}) {
         this.storage = storageAdapter;
+        this.foldersKey = options.foldersKey || 'folders';
     }
     
     /**
@@ -18,7 +24,7 @@ class FolderManager {
      * @returns {Promise<Array>}
      */
     async getFolders() {
-        const data = await this.storage.get('folders');
+        const data = await this.storage.get(this.foldersKey);
         return data || [];
     }
     
@@ -55,7 +61,7 @@ class FolderManager {
         };
         
         folders.push(newFolder);
-        await this.storage.set('folders', folders);
+        await this.storage.set(this.foldersKey, folders);
         
         console.log('[FolderManager] Created folder:', newFolder);
         return newFolder;
@@ -77,7 +83,7 @@ class FolderManager {
         
         folder.name = newName;
         if (newIcon !== undefined) folder.icon = newIcon;
-        await this.storage.set('folders', folders);
+        await this.storage.set(this.foldersKey, folders);
         
         console.log('[FolderManager] Updated folder:', folderId, newName, newIcon);
     }
@@ -104,23 +110,32 @@ class FolderManager {
         const newFolders = folders.filter(f => 
             f.id !== folderId && !childFolderIds.includes(f.id)
         );
-        await this.storage.set('folders', newFolders);
+        await this.storage.set(this.foldersKey, newFolders);
         
         const allDeletedFolderIds = [folderId, ...childFolderIds];
         
+        await this._removeFolderItems(allDeletedFolderIds, deleteItems);
+        
+        console.log('[FolderManager] Deleted folder:', folderId, 'and', childFolderIds.length, 'children', deleteItems ? '(items deleted)' : '(items moved)');
+    }
+    
+    /**
+     * 处理被删除文件夹中的条目（子类按自己的条目存储覆盖）
+     * @param {string[]} folderIds - 被删除的文件夹 ID（含子文件夹）
+     * @param {boolean} deleteItems - true: 删除条目; false: 移到未分类
+     */
+    async _removeFolderItems(folderIds, deleteItems) {
         await StarStorageManager.batchUpdate(items => {
             if (deleteItems) {
-                return items.filter(item => !allDeletedFolderIds.includes(item.folderId));
+                return items.filter(item => !folderIds.includes(item.folderId));
             }
             return items.map(item => {
-                if (allDeletedFolderIds.includes(item.folderId)) {
+                if (folderIds.includes(item.folderId)) {
                     return { ...item, folderId: null };
                 }
                 return item;
             });
         });
-        
-        console.log('[FolderManager] Deleted folder:', folderId, 'and', childFolderIds.length, 'children', deleteItems ? '(items deleted)' : '(items moved)');
     }
     
     /**
@@ -373,7 +388,7 @@ class FolderManager {
             if (original) original.order = i;
         }
 
-        await this.storage.set('folders', folders);
+        await this.storage.set(this.foldersKey, folders);
         console.log('[FolderManager] Reordered folder:', folderId, position, targetFolderId);
     }
 
@@ -414,7 +429,7 @@ class FolderManager {
         oldSiblings.sort((a, b) => (a.order || 0) - (b.order || 0));
         oldSiblings.forEach((f, i) => { f.order = i; });
 
-        await this.storage.set('folders', folders);
+        await this.storage.set(this.foldersKey, folders);
         console.log('[FolderManager] Moved folder to parent:', folderId, '->', newParentId);
         return { ok: true };
     }
@@ -424,7 +439,7 @@ class FolderManager {
         const folder = folders.find(f => f.id === folderId);
         if (!folder) return;
         folder.pinned = !folder.pinned;
-        await this.storage.set('folders', folders);
+        await this.storage.set(this.foldersKey, folders);
     }
 
     async togglePinStarred(turnId) {
@@ -0,0 +1,323 @@
+/**
+ * RunnerDiffViewer - 代码对比窗口（单例）
+ *
+ * 职责：记录代码块按钮标记的 A / B 两段代码，并排显示逐行 + 行内差异（语法高亮），
+ * 每个差异块可选择保留 A 或 B，复制合并后的代码
+ * 对比逻辑见 js/runner/core/code-diff.js
+ */
+
+(function() {
+    'use strict';
+
+    // ===== 安全的 i18n 调用 =====
+    function safeI18n(key, fallback = '') {
+        try {
+            return chrome.i18n.getMessage(key) || fallback;
+        } catch (e) {
+            return fallback;
+        }
+    }
+
+    function escapeHtml(text) {
+        return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    class RunnerDiffViewer {
+        static instance = null;
+
+        static getInstance() {
+            if (!this.instance) {
+                this.instance = new RunnerDiffViewer();
+            }
+            return this.instance;
+        }
+
+        constructor() {
+            // 标记的代码：{ code, language }
+            this.marks = { a: null, b: null };
+            // 标记变化回调（代码块按钮据此更新 A / B 角标）
+            this.listeners = new Set();
+
+            this.overlay = null;
+            this.segments = [];
+            // 每个差异块保留的一侧，默认 B（通常是较新的版本）
+            this.choices = [];
+            this._boundKeydown = (e) => {
+                if (e.key === 'Escape') this.hide();
+            };
+        }
+
+        // ===== 标记 =====
+
+        /**
+         * 标记代码
+         * @param {'a'|'b'} side
+         * @param {{ code: string, language: string }} source
+         */
+        mark(side, source) {
+            this.marks[side] = { code: source.code, language: source.language };
+            this._notify();
+        }
+
+        clearMarks() {
+            this.marks = { a: null, b: null };
+            this._notify();
+        }
+
+        /**
+         * 代码在哪一侧被标记
+         * @returns {'a'|'b'|null}
+         */
+        getMarkedSide(code) {
+            if (this.marks.a?.code === code) return 'a';
+            if (this.marks.b?.code === code) return 'b';
+            return null;
+        }
+
+        isReady() {
+            return !!(this.marks.a && this.marks.b);
+        }
+
+        /**
+         * 监听标记变化
+         * @returns {Function} 取消监听
+         */
+        onChange(listener) {
+            this.listeners.add(listener);
+            return () => this.listeners.delete(listener);
+        }
+
+        _notify() {
+            this.listeners.forEach(listener => {
+                try {
+                    listener(this.marks);
+                } catch (e) {
+                    console.error('[RunnerDiffViewer] Listener failed:', e);
+                }
+            });
+        }
+
+        // ===== 显示 / 隐藏 =====
+
+        show() {
+            if (!this.isReady()) return;
+
+            const { segments } = RunnerCodeDiff.compute(this.marks.a.code, this.marks.b.code);
+            this.segments = segments;
+            this.choices = segments.filter(segment => segment.type === 'change').map(() => 'b');
+
+            if (!this.overlay) {
+                this._createOverlay();
+            }
+            this._render();
+            this.overlay.classList.add('visible');
+            document.addEventListener('keydown', this._boundKeydown);
+        }
+
+        hide() {
+            if (this.overlay) {
+                this.overlay.classList.remove('visible');
+            }
+            document.removeEventListener('keydown', this._boundKeydown);
+        }
+
+        /**
+         * 交换 A / B 后重新对比
+         */
+        swap() {
+            this.marks = { a: this.marks.b, b: this.marks.a };
+            this._notify();
+            this.show();
+        }
+
+        _createOverlay() {
+            this.overlay = document.createElement('div');
+            this.overlay.className = 'runner-diff-overlay';
+            this.overlay.innerHTML = `
+                <div class="runner-diff-viewer">
+                    <div class="runner-diff-header">
+                        <span class="runner-diff-title">${safeI18n('runnerDiffTitle', '代码对比')}</span>
+                        <span class="runner-diff-stats"></span>
+                        <div class="runner-diff-actions">
+                            <button class="runner-diff-btn" data-action="swap" title="${safeI18n('runnerDiffSwap', '交换 A / B')}">⇄</button>
+                            <button class="runner-diff-btn runner-diff-btn-text" data-action="copy-merged" title="${safeI18n('runnerDiffCopyMergedTip', '按每个差异块选择的一侧合并后复制')}">${safeI18n('runnerDiffCopyMerged', '复制合并结果')}</button>
+                            <button class="runner-diff-btn" data-action="close" title="${safeI18n('pxvkmz', '关闭')}">✕</button>
+                        </div>
+                    </div>
+                    <div class="runner-diff-labels">
+                        <div class="runner-diff-label" data-side="a"></div>
+                        <div class="runner-diff-label" data-side="b"></div>
+                    </div>
+                    <div class="runner-diff-body"></div>
+                </div>
+            `;
+
+            this.overlay.addEventListener('click', (e) => {
+                if (e.target === this.overlay) {
+                    this.hide();
+                    return;
+                }
+                const choice = e.target.closest('[data-hunk]');
+                if (choice) {
+                    this.choices[Number(choice.dataset.hunk)] = choice.dataset.side;
+                    this._updateChoices();
+                    return;
+                }
+                const action = e.target.closest('[data-action]')?.dataset.action;
+                if (action === 'close') this.hide();
+                if (action === 'swap') this.swap();
+                if (action === 'copy-merged') this._copyMerged(e.target.closest('[data-action]'));
+            });
+
+            document.body.appendChild(this.overlay);
+        }
+
+        // ===== 渲染 =====
+
+        _render() {
+            const { a, b } = this.marks;
+            const stats = this.segments.reduce((acc, segment) => {
+                if (segment.type === 'change') {
+                    acc.removed += segment.a.length;
+                    acc.added += segment.b.length;
+                }
+                return acc;
+            }, { added: 0, removed: 0 });
+
+            this.overlay.querySelector('.runner-diff-stats').innerHTML = this.choices.length === 0
+                ? `<span>${safeI18n('runnerDiffIdentical', '两段代码相同')}</span>`
+                : `<span class="runner-diff-stat-added">+${stats.added}</span> <span class="runner-diff-stat-removed">−${stats.removed}</span>`;
+            this.overlay.querySelector('.runner-diff-label[data-side="a"]').textContent = this._formatLabel('A', a);
+            this.overlay.querySelector('.runner-diff-label[data-side="b"]').textContent = this._formatLabel('B', b);
+
+            const linesA = RunnerCodeDiff.highlightLines(a.code, a.language);
+            const linesB = RunnerCodeDiff.highlightLines(b.code, b.language);
+            let noA = 0;
+            let noB = 0;
+            let hunkIndex = 0;
+            const rows = [];
+
+            this.segments.forEach(segment => {
+                if (segment.type === 'equal') {
+                    segment.lines.forEach(() => {
+                        rows.push(this._renderRow('equal', ++noA, linesA[noA - 1], ++noB, linesB[noB - 1]));
+                    });
+                    return;
+                }
+
+                const index = hunkIndex++;
+                rows.push(`
+                    <tr class="runner-diff-hunk-header" data-hunk-index="${index}">
+                        <td colspan="4">
+                            <span>${safeI18n('runnerDiffKeep', '保留')}</span>
+                            <button class="runner-diff-choice" data-hunk="${index}" data-side="a">A</button>
+                            <button class="runner-diff-choice" data-hunk="${index}" data-side="b">B</button>
+                        </td>
+                    </tr>
+                `);
+                const count = Math.max(segment.a.length, segment.b.length);
+                for (let i = 0; i < count; i++) {
+                    const hasA = i < segment.a.length;
+                    const hasB = i < segment.b.length;
+                    rows.push(this._renderRow('change',
+                        hasA ? ++noA : null, hasA ? linesA[noA - 1] : null,
+                        hasB ? ++noB : null, hasB ? linesB[noB - 1] : null,
+                        index, hasA && hasB ? RunnerCodeDiff.compareLine(segment.a[i], segment.b[i]) : null));
+                }
+            });
+
+            const body = this.overlay.querySelector('.runner-diff-body');
+            body.innerHTML = `<table class="runner-diff-table"><tbody>${rows.join('')}</tbody></table>`;
+
+            // 行内差异：在语法高亮的 HTML 上标记变化的字符区间
+            body.querySelectorAll('[data-ranges]').forEach(cell => {
+                this._markRanges(cell, JSON.parse(cell.dataset.ranges));
+                cell.removeAttribute('data-ranges');
+            });
+
+            this._updateChoices();
+        }
+
+        /**
+         * @param {Object|null} ranges - 左右成对的修改行的行内差异
+         */
+        _renderRow(type, noA, htmlA, noB, htmlB, hunk = null, ranges = null) {
+            const cell = (side, no, html) => {
+                if (no === null) {
+                    return '<td class="runner-diff-no"></td><td class="runner-diff-code runner-diff-empty"></td>';
+                }
+                const state = type === 'equal' ? '' : (side === 'a' ? ' runner-diff-removed' : ' runner-diff-added');
+                const rangeAttr = ranges && ranges[side].length > 0 ? ` data-ranges="${escapeHtml(JSON.stringify(ranges[side]))}"` : '';
+                return `<td class="runner-diff-no">${no}</td><td class="runner-diff-code${state}" data-side="${side}"${rangeAttr}>${html || ''}</td>`;
+            };
+            const hunkAttr = hunk === null ? '' : ` data-hunk-index="${hunk}"`;
+            return `<tr class="runner-diff-row"${hunkAttr}>${cell('a', noA, htmlA)}${cell('b', noB, htmlB)}</tr>`;
+        }
+
+        /**
+         * 按文本偏移把区间内的文本节点包进 <mark>（跨越高亮 span 时分段包裹）
+         */
+        _markRanges(cell, ranges) {
+            const walker = document.createTreeWalker(cell, NodeFilter.SHOW_TEXT);
+            const nodes = [];
+            while (walker.nextNode()) nodes.push(walker.currentNode);
+
+            let offset = 0;
+            nodes.forEach(node => {
+                const start = offset;
+                const end = offset + node.textContent.length;
+                offset = end;
+
+                // 从后往前切分，保持前面的偏移不变
+                ranges
+                    .map(([from, to]) => [Math.max(from, start), Math.min(to, end)])
+                    .filter(([from, to]) => from < to)
+                    .reverse()
+                    .forEach(([from, to]) => {
+                        const target = node.splitText(from - start);
+                        target.splitText(to - from);
+                        const mark = document.createElement('mark');
+                        mark.className = 'runner-diff-inline';
+                        target.parentNode.replaceChild(mark, target);
+                        mark.appendChild(target);
+                    });
+            });
+        }
+
+        /**
+         * 更新差异块的选择状态：未保留的一侧变暗
+         */
+        _updateChoices() {
+            this.overlay.querySelectorAll('.runner-diff-choice').forEach(btn => {
+                btn.classList.toggle('active', this.choices[Number(btn.dataset.hunk)] === btn.dataset.side);
+            });
+            this.overlay.querySelectorAll('.runner-diff-row[data-hunk-index]').forEach(row => {
+                const choice = this.choices[Number(row.dataset.hunkIndex)];
+                row.querySelectorAll('.runner-diff-code[data-side]').forEach(cell => {
+                    cell.classList.toggle('runner-diff-discarded', cell.dataset.side !== choice);
+                });
+            });
+        }
+
+        _formatLabel(name, source) {
+            const language = getRunnerLanguageById(source.language)?.name || source.language || '';
+            const lines = source.code.replace(/\n$/, '').split('\n').length;
+            return `${name} · ${language} · ${safeI18n('runnerDiffLines', '{count} 行').replace('{count}', lines)}`;
+        }
+
+        async _copyMerged(anchor) {
+            const merged = RunnerCodeDiff.merge(this.segments, this.choices);
+            try {
+                await navigator.clipboard.writeText(merged);
+                window.globalToastManager?.success(safeI18n('runnerDiffMergedCopied', '已复制合并结果'), anchor);
+            } catch (e) {
+                window.globalToastManager?.error(safeI18n('kpzmvx', '复制失败'), anchor);
+            }
+        }
+    }
+
+    if (typeof window !== 'undefined') {
+        window.RunnerDiffViewer = RunnerDiffViewer;
+    }
+
+})();
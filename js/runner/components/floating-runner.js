@@ -246,12 +246,22 @@
                 this.createContainer();
             }
 
-            if (options.code !== undefined && this.panel) {
-                this.panel.setCode(options.code);
+            if (this.panel) {
+                // 同一回复中可组成项目的代码块（无则隐藏项目按钮）
+                this.panel.setProjectCandidates(options.projectFiles || null);
             }
-            if (options.language && this.panel) {
-                this.panel.setLanguage(options.language);
-                this.language = options.language;
+            if (options.files && this.panel) {
+                // 从嵌入面板弹出的项目
+                this.panel.setProject(options.files);
+            } else {
+                if (options.code !== undefined && this.panel) {
+                    this.panel.exitProject();
+                    this.panel.setCode(options.code);
+                }
+                if (options.language && this.panel) {
+                    this.panel.setLanguage(options.language);
+                    this.language = options.language;
+                }
             }
 
             this.container.classList.add('visible');
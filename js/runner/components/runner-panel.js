@@ -48,7 +48,7 @@
          * @param {boolean} options.showPopout - 是否显示弹出按钮，默认 false
          * @param {boolean} options.showLanguageSelector - 是否显示语言选择器，默认 true
          * @param {Function} options.onClose - 关闭回调
-         * @param {Function} options.onPopout - 弹出回调
+         * @param {Function} options.onPopout - 弹出回调（参数 { code, language, files }，files 仅项目模式）
          * @param {Function} options.onLanguageChange - 语言变更回调
          */
         constructor(container, options = {}) {
@@ -73,6 +73,23 @@
             this.resultContent = null;
             this.element = null;
 
+            // 项目模式：files 非空时编辑器按文件 Tab 切换，运行时整体执行
+            this.files = null;
+            this.activeFileIndex = 0;
+            // 可组成项目的同回复代码块（由 Runner 收集）
+            this.projectCandidates = null;
+            // 等待中的交互输入 { finish(value) }
+            this.pendingInput = null;
+            // SQL：当前持久化数据库名（null 为临时内存数据库）和最近一次的表结构
+            this.sqlDatabase = null;
+            this.sqlSchema = null;
+            // 最近一次渲染的输出（导出表格用）
+            this.outputs = [];
+            // 最近一次运行的代码和输出（让 AI 修复用）{ code, files, language, outputs, tests }
+            this.lastRun = null;
+            // 测试模式：运行代码中的测试（附加测试用例区的代码），输出测试报告
+            this.testMode = false;
+
             this.render();
         }
         
@@ -115,6 +132,8 @@
             if (this.options.code) {
                 this.setCode(this.options.code);
             }
+
+            this._loadSelectedDatabase();
             
             // 同步悬浮容器的边框颜色（如果存在）
             const floatingContainer = this.element.closest('.floating-runner-container');
@@ -141,6 +160,33 @@
                         </svg>
                     </button>`;
             }
+            actionsHTML += `
+                <button class="runner-panel-btn runner-panel-schema-btn" data-action="schema" title="${safeI18n('runnerSqlSchema', '表结构')}" style="display: none;">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <rect x="3" y="3" width="18" height="18" rx="2"></rect>
+                        <line x1="3" y1="9" x2="21" y2="9"></line>
+                        <line x1="9" y1="9" x2="9" y2="21"></line>
+                    </svg>
+                </button>`;
+            actionsHTML += `
+                <button class="runner-panel-btn runner-panel-project-btn" data-action="project" title="${safeI18n('runnerProjectMode', '项目模式：同一回复中的代码块作为多个文件一起运行')}" style="display: none;">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"></path>
+                    </svg>
+                </button>`;
+            actionsHTML += `
+                <button class="runner-panel-btn" data-action="history" title="${safeI18n('runnerHistory', '运行历史')}">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M3 12a9 9 0 1 0 3-6.7L3 8"></path>
+                        <polyline points="3 3 3 8 8 8"></polyline>
+                        <polyline points="12 7 12 12 15 14"></polyline>
+                    </svg>
+                </button>
+                <button class="runner-panel-btn" data-action="save-snippet" title="${safeI18n('runnerSaveSnippet', '保存为代码片段')}">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z"></path>
+                    </svg>
+                </button>`;
             if (showCopy) {
                 actionsHTML += `
                     <button class="runner-panel-btn" data-action="copy" title="${safeI18n('mvkxpz', '复制')}">
@@ -189,6 +235,19 @@
                 </svg>
             </button>`;
 
+            // SQL 数据库选择器
+            const dbSelectorHTML = `<button class="runner-panel-db-selector" title="${safeI18n('runnerSqlDatabase', 'SQL 数据库')}" style="display: none;">
+                <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <ellipse cx="12" cy="5" rx="9" ry="3"></ellipse>
+                    <path d="M21 12c0 1.66-4 3-9 3s-9-1.34-9-3"></path>
+                    <path d="M3 5v14c0 1.66 4 3 9 3s9-1.34 9-3V5"></path>
+                </svg>
+                <span class="db-name">${safeI18n('runnerSqlTempDatabase', '临时数据库')}</span>
+                <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <polyline points="6 9 12 15 18 9"></polyline>
+                </svg>
+            </button>`;
+
             return `
                 <div class="runner-panel-editor-section">
                     <div class="runner-panel-header">
@@ -199,10 +258,15 @@
                             </svg>
                             ${titleHTML}
                             ${themeSelectorHTML}
+                            ${dbSelectorHTML}
                         </span>
                         <div class="runner-panel-actions">${actionsHTML}</div>
                     </div>
-                    <div class="runner-panel-editor"></div>
+                    <div class="runner-panel-files" style="display: none;"></div>
+                    <div class="runner-panel-body">
+                        <div class="runner-panel-editor"></div>
+                        <div class="runner-panel-schema" style="display: none;"></div>
+                    </div>
                 </div>
                 <div class="runner-panel-resizer"></div>
                 <div class="runner-panel-output-section">
@@ -215,12 +279,36 @@
                             <span>Output</span>
                         </span>
                         <div class="runner-panel-actions">
+                            <button class="runner-panel-btn runner-panel-test-btn" data-action="test" title="${safeI18n('runnerTestMode', '测试模式：运行 test_* 函数或 describe / it 测试')}" style="display: none;">
+                                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                    <path d="M9 3h6"></path>
+                                    <path d="M10 3v6L4.5 18.5A1.7 1.7 0 0 0 6 21h12a1.7 1.7 0 0 0 1.5-2.5L14 9V3"></path>
+                                    <line x1="7" y1="15" x2="17" y2="15"></line>
+                                </svg>
+                            </button>
+                            <button class="runner-panel-btn runner-panel-stdin-btn" data-action="stdin" title="${safeI18n('runnerStdin', '标准输入')}" style="display: none;">
+                                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                    <rect x="2" y="6" width="20" height="12" rx="2"></rect>
+                                    <line x1="6" y1="10" x2="6" y2="10"></line>
+                                    <line x1="10" y1="10" x2="10" y2="10"></line>
+                                    <line x1="14" y1="10" x2="14" y2="10"></line>
+                                    <line x1="18" y1="10" x2="18" y2="10"></line>
+                                    <line x1="7" y1="14" x2="17" y2="14"></line>
+                                </svg>
+                            </button>
                             <button class="runner-panel-btn" data-action="clear" title="${safeI18n('clearOutput', '清空')}">
                                 <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                     <polyline points="3 6 5 6 21 6"></polyline>
                                     <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
                                 </svg>
                             </button>
+                            <button class="runner-panel-btn" data-action="ask-ai" title="${safeI18n('runnerAskAi', '让 AI 修复：把代码和运行结果发送到对话输入框')}">
+                                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                    <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"></path>
+                                    <line x1="9" y1="9" x2="15" y2="9"></line>
+                                    <line x1="9" y1="13" x2="13" y2="13"></line>
+                                </svg>
+                            </button>
                             <button class="runner-panel-btn" data-action="copy-output" title="${safeI18n('mvkxpz', '复制')}">
                                 <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                     <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
@@ -231,10 +319,16 @@
                                 <svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor">
                                     <path d="M8 5v14l11-7z"/>
                                 </svg>
-                                <span>${safeI18n('runBtn', '运行')}</span>
+                                <span class="runner-panel-run-label">${safeI18n('runBtn', '运行')}</span>
                             </button>
                         </div>
                     </div>
+                    <div class="runner-panel-tests" style="display: none;">
+                        <textarea class="runner-panel-tests-input" spellcheck="false" placeholder="${safeI18n('runnerTestCasesPlaceholder', '测试用例（可选）：运行时附加在代码之后，按语言分别保存。例如 def test_add(): assert add(1, 2) == 3，或 it(\'add\', () => expect(add(1, 2)).toBe(3))')}"></textarea>
+                    </div>
+                    <div class="runner-panel-stdin" style="display: none;">
+                        <textarea class="runner-panel-stdin-input" spellcheck="false" placeholder="${safeI18n('runnerStdinPlaceholder', '标准输入，每行对应一次 input() / io.read() / gets；留空时程序读取输入会在下方提示输入')}"></textarea>
+                    </div>
                     <div class="runner-panel-output-content">
                         <div class="runner-panel-output-empty">（无输出）</div>
                     </div>
@@ -277,6 +371,9 @@
 
             // 初始状态：Mermaid 时隐藏 output 复制按钮
             this._updateCopyOutputVisibility();
+            this._updateStdinVisibility();
+            this._updateTestVisibility();
+            this._updateDatabaseVisibility();
         }
 
         /**
@@ -302,6 +399,26 @@
                 themeSelector.addEventListener('click', () => this._showThemeDropdown(themeSelector));
             }
 
+            // SQL 数据库选择器
+            const dbSelector = this.element.querySelector('.runner-panel-db-selector');
+            dbSelector.addEventListener('click', () => this._showDatabaseDropdown(dbSelector));
+
+            // 测试用例离开输入框时保存
+            const testsInput = this.element.querySelector('.runner-panel-tests-input');
+            testsInput.addEventListener('change', () => {
+                if (testsInput.dataset.language) {
+                    this._saveTestCases(testsInput.dataset.language, testsInput.value);
+                }
+            });
+
+            // 表格结果导出
+            this.resultContent.addEventListener('click', (e) => {
+                const exportBtn = e.target.closest('.runner-panel-table-export');
+                if (exportBtn) {
+                    this._exportTable(Number(exportBtn.dataset.index));
+                }
+            });
+
             // 分隔条拖动
             this._initResizer();
         }
@@ -385,6 +502,15 @@
                     }
                     break;
 
+                case 'project':
+                    if (this.files) {
+                        this.exitProject();
+                    } else if (this.projectCandidates) {
+                        this.setProject(this.projectCandidates);
+                        this.run();
+                    }
+                    break;
+
                 case 'copy':
                     const code = this.getCode();
                     navigator.clipboard.writeText(code).then(() => {
@@ -398,7 +524,8 @@
                     if (this.options.onPopout) {
                         this.options.onPopout({
                             code: this.getCode(),
-                            language: this.language
+                            language: this.language,
+                            files: this.getFiles()
                         });
                     }
                     break;
@@ -409,10 +536,34 @@
                     }
                     break;
 
+                case 'stdin':
+                    this._toggleStdin();
+                    break;
+
+                case 'test':
+                    this._toggleTestMode();
+                    break;
+
+                case 'schema':
+                    this._toggleSchema();
+                    break;
+
+                case 'history':
+                    this._showHistoryDropdown(btn);
+                    break;
+
+                case 'save-snippet':
+                    this._saveSnippet(btn);
+                    break;
+
                 case 'clear':
                     this.clearOutput();
                     break;
 
+                case 'ask-ai':
+                    this._askAiToFix(btn);
+                    break;
+
                 case 'copy-output':
                     const output = this.resultContent?.innerText || '';
                     navigator.clipboard.writeText(output).then(() => {
@@ -445,6 +596,11 @@
                 trigger: anchor,
                 items,
                 onSelect: (item) => {
+                    // 项目模式下修改的是当前文件的语言
+                    if (this.files) {
+                        this.files[this.activeFileIndex].language = item.id;
+                        this._renderFileTabs();
+                    }
                     this.setLanguage(item.id);
                     // 切换语言后立即执行
                     this.run();
@@ -551,6 +707,9 @@
 
             // Mermaid 输出是 SVG 图表，隐藏无意义的纯文本复制按钮
             this._updateCopyOutputVisibility();
+            this._updateStdinVisibility();
+            this._updateTestVisibility();
+            this._updateDatabaseVisibility();
 
             // 回调
             if (this.options.onLanguageChange) {
@@ -569,14 +728,27 @@
          * 运行代码
          */
         async run() {
+            // 上一次运行仍在等待输入时，放弃输入并停止
+            if (this.pendingInput) {
+                this._cancelInput();
+                window.Runner?.getManager()?.stop();
+            }
+            if (this.files) {
+                this._saveActiveFile();
+            }
             const code = this.getCode();
-            if (!code.trim()) {
+            if (!this.files && !code.trim()) {
                 this.resultContent.innerHTML = '<div class="runner-panel-output-empty">（无代码）</div>';
                 return;
             }
 
             this.resultContent.innerHTML = '<div class="runner-panel-output-loading">执行中...</div>';
 
+            const test = this._getTestOption();
+            if (test) {
+                this._saveTestCases(this._getRunLanguage(), test.code);
+            }
+
             try {
                 const manager = window.Runner?.getManager();
                 if (!manager) {
@@ -584,7 +756,8 @@
                 }
 
                 const outputs = [];
-                await manager.run(code, this.language, {
+                let completed = false;
+                const callbacks = {
                     onOutput: (output) => {
                         if (output.level === 'table') {
                             outputs.push({ type: 'table', columns: output.data.columns, values: output.data.values });
@@ -596,6 +769,10 @@
                             outputs.push({ type: 'markdown-preview', html: output.data.html });
                         } else if (output.level === 'mermaid-preview') {
                             outputs.push({ type: 'mermaid-preview', svg: output.data.svg });
+                        } else if (output.level === 'image') {
+                            outputs.push({ type: 'image', src: output.data.src });
+                        } else if (output.level === 'test-report') {
+                            outputs.push({ type: 'test-report', report: output.data });
                         } else {
                             const content = Array.isArray(output.data) ? output.data.join(' ') : output.data;
                             outputs.push({ type: output.level || 'log', content });
@@ -605,19 +782,1000 @@
                     onError: (error) => {
                         outputs.push({ type: 'error', content: error.message || error });
                     },
-                    onComplete: () => {
+                    onComplete: (result) => {
+                        completed = true;
                         this._renderOutput(outputs);
+                        this._recordHistory(code, outputs, result, test?.code);
+                        this.lastRun = { code, files: this.getFiles(), language: this._getRunLanguage(), outputs, tests: test?.code || null };
+                        if (result?.schema) {
+                            this.sqlSchema = result.schema;
+                            this._renderSchema();
+                        }
+                    },
+                    // 标准输入（Python / Lua / Ruby / Go / C++）：预填内容按行消费，耗尽后在输出区提示输入（C++ 不支持）
+                    stdin: this._getStdinText(),
+                    onInput: (prompt) => this._requestInput(prompt),
+                    // SQL 在选中的持久化数据库上执行
+                    database: this._isSql() ? this.sqlDatabase : null,
+                    // 测试模式（JavaScript / TypeScript / Python）：测试用例附加在代码之后
+                    test
+                };
+
+                if (this.files) {
+                    await manager.runProject(this.files, callbacks);
+                } else {
+                    await manager.run(code, this.language, callbacks);
+                }
+                // 校验失败（如项目中没有可运行的文件）时只触发 onError，这里补一次渲染
+                if (!completed) {
+                    this._renderOutput(outputs);
+                }
+            } catch (error) {
+                this.resultContent.innerHTML = `<div class="runner-panel-output-error">${this._escapeHtml(error.message)}</div>`;
+            }
+        }
+
+        // ===== 标准输入 =====
+
+        /**
+         * 实际运行的语言（项目模式下为入口文件的语言）
+         */
+        _getRunLanguage() {
+            if (this.files) {
+                return RunnerProject.getEntry(this.files)?.language || this.language;
+            }
+            return this.language;
+        }
+
+        _supportsStdin() {
+            return !!getRunnerLanguageById(this._getRunLanguage())?.stdin;
+        }
+
+        /**
+         * 只有支持标准输入的语言显示输入按钮
+         */
+        _updateStdinVisibility() {
+            const btn = this.element?.querySelector('[data-action="stdin"]');
+            if (!btn) return;
+            const supported = this._supportsStdin();
+            btn.style.setProperty('display', supported ? 'flex' : 'none', 'important');
+            if (!supported) {
+                this.element.querySelector('.runner-panel-stdin').style.display = 'none';
+                btn.classList.remove('active');
+            }
+        }
+
+        _toggleStdin() {
+            const area = this.element.querySelector('.runner-panel-stdin');
+            const visible = area.style.display === 'none';
+            area.style.display = visible ? '' : 'none';
+            this.element.querySelector('[data-action="stdin"]').classList.toggle('active', visible);
+            if (visible) {
+                area.querySelector('textarea').focus();
+            }
+        }
+
+        /**
+         * 预填输入（输入区收起时不使用）
+         */
+        _getStdinText() {
+            const area = this.element.querySelector('.runner-panel-stdin');
+            if (!this._supportsStdin() || area.style.display === 'none') return '';
+            return area.querySelector('textarea').value;
+        }
+
+        /**
+         * 在输出区末尾显示输入框，等待用户输入一行
+         * @param {string} prompt - 程序输出的提示（如 input("Name? ") 的参数）
+         * @returns {Promise<string|null>} 回车返回输入内容，Esc 或取消返回 null（按输入结束处理）
+         */
+        _requestInput(prompt) {
+            this._cancelInput();
+            if (!this.resultContent) return Promise.resolve(null);
+
+            return new Promise((resolve) => {
+                const line = document.createElement('div');
+                line.className = 'runner-panel-input-line';
+                line.innerHTML = `
+                    <span class="runner-panel-input-prompt">${this._escapeHtml(prompt || '')}</span>
+                    <input type="text" class="runner-panel-input" spellcheck="false" placeholder="${safeI18n('runnerInputPlaceholder', '输入后按 Enter，Esc 结束输入')}">
+                    <span class="runner-panel-input-hint">${safeI18n('runnerInputReplayHint', '提交后程序会带着全部输入从头重新运行：随机数保持一致，时间相关的输出可能变化')}</span>
+                `;
+                const input = line.querySelector('input');
+
+                const finish = (value) => {
+                    this.pendingInput = null;
+                    line.remove();
+                    resolve(value);
+                };
+                this.pendingInput = { finish };
+
+                input.addEventListener('keydown', (e) => {
+                    // 避免触发宿主页面的快捷键
+                    e.stopPropagation();
+                    if (e.isComposing) return;
+                    if (e.key === 'Enter') {
+                        e.preventDefault();
+                        finish(input.value);
+                    } else if (e.key === 'Escape') {
+                        e.preventDefault();
+                        finish(null);
+                    }
+                });
+
+                this.resultContent.querySelector('.runner-panel-output-loading, .runner-panel-output-empty')?.remove();
+                this.resultContent.appendChild(line);
+                this.resultContent.scrollTop = this.resultContent.scrollHeight;
+                input.focus();
+            });
+        }
+
+        /**
+         * 取消等待中的输入
+         */
+        _cancelInput() {
+            if (this.pendingInput) {
+                this.pendingInput.finish(null);
+            }
+        }
+
+        // ===== 测试模式 =====
+
+        _supportsTest() {
+            return !!getRunnerLanguageById(this._getRunLanguage())?.test;
+        }
+
+        /**
+         * 只有支持测试模式的语言显示测试按钮；测试模式下显示测试用例区，运行按钮改为「运行测试」
+         */
+        _updateTestVisibility() {
+            const btn = this.element?.querySelector('[data-action="test"]');
+            if (!btn) return;
+            const supported = this._supportsTest();
+            const active = this.testMode && supported;
+            btn.style.setProperty('display', supported ? 'flex' : 'none', 'important');
+            btn.classList.toggle('active', active);
+            this.element.querySelector('.runner-panel-tests').style.display = active ? '' : 'none';
+            this.element.querySelector('.runner-panel-run-label').textContent = active
+                ? safeI18n('runnerRunTests', '运行测试')
+                : safeI18n('runBtn', '运行');
+            if (active) {
+                this._loadTestCases(this._getRunLanguage());
+            }
+        }
+
+        _toggleTestMode() {
+            this.testMode = !this.testMode;
+            this._updateTestVisibility();
+            if (this.testMode) {
+                this.element.querySelector('.runner-panel-tests-input').focus();
+            }
+        }
+
+        /**
+         * 测试模式参数（非测试模式返回 null）
+         * @returns {{ code: string }|null}
+         */
+        _getTestOption() {
+            if (!this.testMode || !this._supportsTest()) return null;
+            return { code: this.element.querySelector('.runner-panel-tests-input').value };
+        }
+
+        /**
+         * 测试用例按语言保存（runnerTestCases: { [language]: code }），换一段 AI 生成的实现也能用同一组用例验证
+         */
+        async _getStoredTestCases() {
+            try {
+                return (await chrome.storage.local.get('runnerTestCases')).runnerTestCases || {};
+            } catch (e) {
+                return {};
+            }
+        }
+
+        async _loadTestCases(language) {
+            const textarea = this.element.querySelector('.runner-panel-tests-input');
+            if (textarea.dataset.language === language) return;
+            textarea.dataset.language = language;
+            textarea.value = (await this._getStoredTestCases())[language] || '';
+        }
+
+        async _saveTestCases(language, code) {
+            const all = await this._getStoredTestCases();
+            if (code.trim()) {
+                all[language] = code;
+            } else {
+                delete all[language];
+            }
+            try {
+                await chrome.storage.local.set({ runnerTestCases: all });
+            } catch (e) {
+                // 保存失败不影响运行
+            }
+        }
+
+        /**
+         * 测试报告：汇总 + 每个测试的结果和耗时，失败的测试显示错误信息和期望 / 实际值的逐行对比
+         * @param {Object} report - 见 js/runner/core/test-harness.js
+         */
+        _renderTestReport(report) {
+            const tests = report?.tests || [];
+            if (tests.length === 0) {
+                return `<div class="runner-panel-output-warn">${safeI18n('runnerTestNoTests', '未发现测试：定义 test_* 函数（Python 也可用 Test* 类，JavaScript / TypeScript 也可用 describe / it）')}</div>`;
+            }
+
+            const summary = [
+                `<span class="runner-panel-test-count-passed">✓ ${safeI18n('runnerTestPassed', '{count} 通过').replace('{count}', report.passed)}</span>`,
+                report.failed ? `<span class="runner-panel-test-count-failed">✗ ${safeI18n('runnerTestFailed', '{count} 失败').replace('{count}', report.failed)}</span>` : '',
+                report.skipped ? `<span class="runner-panel-test-count-skipped">○ ${safeI18n('runnerTestSkipped', '{count} 跳过').replace('{count}', report.skipped)}</span>` : '',
+                `<span class="runner-panel-test-time">${this._formatTestDuration(report.duration)}</span>`
+            ].join('');
+
+            const icons = { passed: '✓', failed: '✗', skipped: '○' };
+            const items = tests.map(test => {
+                const suite = test.suite ? `<span class="runner-panel-test-suite">${this._escapeHtml(test.suite)} › </span>` : '';
+                const time = test.status === 'skipped' ? '' : this._formatTestDuration(test.duration);
+                const error = test.error
+                    ? `<div class="runner-panel-test-error">${this._escapeHtml(test.error.message)}</div>${this._renderAssertionDiff(test.error)}`
+                    : '';
+                return `
+                    <div class="runner-panel-test runner-panel-test-${test.status}">
+                        <div class="runner-panel-test-title">
+                            <span class="runner-panel-test-icon">${icons[test.status] || '?'}</span>
+                            <span class="runner-panel-test-name">${suite}${this._escapeHtml(test.name)}</span>
+                            <span class="runner-panel-test-time">${time}</span>
+                        </div>
+                        ${error}
+                    </div>
+                `;
+            }).join('');
+
+            return `<div class="runner-panel-test-report"><div class="runner-panel-test-summary">${summary}</div>${items}</div>`;
+        }
+
+        /**
+         * 断言失败时期望值（-）和实际值（+）的逐行对比，成对修改的行标出变化的字符
+         */
+        _renderAssertionDiff(error) {
+            if (typeof error.expected !== 'string' || typeof error.actual !== 'string') return '';
+
+            const line = (type, text, ranges = []) => {
+                const prefix = { expected: '-', actual: '+' }[type] || ' ';
+                return `<div class="runner-panel-test-diff-line runner-panel-test-diff-${type}">${prefix} ${this._markRanges(text, ranges)}</div>`;
+            };
+            let lines;
+            if (typeof RunnerCodeDiff !== 'undefined' && typeof diff_match_patch !== 'undefined') {
+                lines = RunnerCodeDiff.compute(error.expected, error.actual).segments.flatMap(segment => {
+                    if (segment.type === 'equal') {
+                        return segment.lines.map(text => line('equal', text));
                     }
+                    const pairs = segment.a.map((text, i) => i < segment.b.length ? RunnerCodeDiff.compareLine(text, segment.b[i]) : null);
+                    return [
+                        ...segment.a.map((text, i) => line('expected', text, pairs[i]?.a)),
+                        ...segment.b.map((text, i) => line('actual', text, pairs[i]?.b))
+                    ];
                 });
+            } else {
+                lines = [
+                    ...error.expected.split('\n').map(text => line('expected', text)),
+                    ...error.actual.split('\n').map(text => line('actual', text))
+                ];
+            }
+
+            return `
+                <div class="runner-panel-test-diff">
+                    <div class="runner-panel-test-diff-legend">
+                        <span class="runner-panel-test-diff-expected">- ${safeI18n('runnerTestExpected', '期望')}</span>
+                        <span class="runner-panel-test-diff-actual">+ ${safeI18n('runnerTestActual', '实际')}</span>
+                    </div>
+                    ${lines.join('')}
+                </div>
+            `;
+        }
+
+        /**
+         * 转义文本并把 [start, end) 区间包进 <mark>
+         */
+        _markRanges(text, ranges = []) {
+            let html = '';
+            let pos = 0;
+            ranges.forEach(([start, end]) => {
+                html += this._escapeHtml(text.slice(pos, start)) + `<mark>${this._escapeHtml(text.slice(start, end))}</mark>`;
+                pos = end;
+            });
+            return html + this._escapeHtml(text.slice(pos));
+        }
+
+        _formatTestDuration(ms) {
+            const value = Number(ms) || 0;
+            if (value < 1) return `${value.toFixed(2)} ms`;
+            if (value < 1000) return `${Math.round(value)} ms`;
+            return `${(value / 1000).toFixed(2)} s`;
+        }
+
+        /**
+         * 测试报告转为文本（让 AI 修复）：汇总 + 失败的测试
+         */
+        _formatTestReportText(report) {
+            const tests = report?.tests || [];
+            const summary = `${report?.passed || 0} passed, ${report?.failed || 0} failed, ${report?.skipped || 0} skipped`;
+            const failures = tests.filter(test => test.status === 'failed').map(test => {
+                const lines = [`✗ ${test.suite ? `${test.suite} › ` : ''}${test.name}: ${test.error?.message || ''}`];
+                if (typeof test.error?.expected === 'string') {
+                    lines.push(`  expected: ${test.error.expected.split('\n').join('\n  ')}`);
+                    lines.push(`  actual:   ${test.error.actual.split('\n').join('\n  ')}`);
+                }
+                return lines.join('\n');
+            });
+            return [summary, ...failures].join('\n');
+        }
+
+        // ===== 运行历史 & 代码片段 =====
+
+        /**
+         * 记录本次运行（按对话保存，见 RunnerHistory）
+         */
+        _recordHistory(code, outputs, result, tests = null) {
+            if (typeof RunnerHistory === 'undefined' || !result) return;
+            RunnerHistory.add({
+                language: this._getRunLanguage(),
+                code,
+                files: this.getFiles(),
+                tests,
+                outputs,
+                result
+            });
+        }
+
+        async _showHistoryDropdown(anchor) {
+            if (!window.globalDropdownManager) return;
+
+            const entries = await RunnerHistory.list();
+            const langName = id => getRunnerLanguageById(id)?.name || id;
+            const items = entries.length === 0
+                ? [{ id: 'empty', label: safeI18n('runnerHistoryEmpty', '本对话暂无运行历史'), disabled: true }]
+                : [
+                    ...entries.map(entry => ({
+                        id: entry.id,
+                        icon: entry.success ? '✓' : '✗',
+                        label: `${new Date(entry.time).toLocaleString()} · ${langName(entry.language)}`
+                            + `${entry.files ? ` · ${entry.files.length} ${safeI18n('runnerHistoryFiles', '个文件')}` : ''}`
+                            + ` · ${entry.duration || 0}ms · ${(entry.code || '').trim().split('\n', 1)[0].slice(0, 40)}`
+                    })),
+                    { type: 'divider' },
+                    { id: 'clear', label: safeI18n('runnerHistoryClear', '清空本对话的运行历史'), className: 'danger' }
+                ];
+
+            window.globalDropdownManager.show({
+                trigger: anchor,
+                items,
+                width: 360,
+                onSelect: async (item) => {
+                    if (item.id === 'clear') {
+                        await RunnerHistory.clear();
+                        window.globalToastManager?.success(safeI18n('runnerHistoryCleared', '已清空运行历史'), anchor);
+                        return;
+                    }
+                    const entry = entries.find(e => e.id === item.id);
+                    if (entry) this._restoreHistory(entry);
+                }
+            });
+        }
+
+        /**
+         * 恢复历史中的代码和输出（不重新运行）
+         */
+        _restoreHistory(entry) {
+            this._cancelInput();
+            if (entry.files) {
+                this.setProject(entry.files);
+            } else {
+                this.exitProject();
+                this.setCode(entry.code);
+                if (getRunnerLanguageById(entry.language)) {
+                    this.setLanguage(entry.language);
+                }
+            }
+            // 测试模式的运行：恢复当时的测试用例
+            if (typeof entry.tests === 'string') {
+                const textarea = this.element.querySelector('.runner-panel-tests-input');
+                textarea.dataset.language = entry.language;
+                textarea.value = entry.tests;
+                this.testMode = true;
+                this._updateTestVisibility();
+            }
+            const header = {
+                type: 'info',
+                content: safeI18n('runnerHistoryRestored', '— {time} 的运行结果 —').replace('{time}', new Date(entry.time).toLocaleString())
+            };
+            this.lastRun = { code: entry.code, files: entry.files || null, language: entry.language, outputs: entry.outputs || [], tests: entry.tests || null };
+            this._renderOutput([header, ...(entry.outputs || [])]);
+        }
+
+        /**
+         * 保存当前代码（项目模式保存全部文件）为片段，标题中的 #标签 作为标签
+         */
+        async _saveSnippet(anchor) {
+            if (!window.globalInputModal || typeof RunnerSnippets === 'undefined') return;
+
+            const files = this.getFiles();
+            const code = this.getCode();
+            if (!files && !code.trim()) return;
+
+            const language = this._getRunLanguage();
+            const firstLine = code.trim().split('\n', 1)[0]
+                .replace(/^\s*(?:#|\/\/|--|<!--|\/\*)\s*/, '').replace(/\s*(?:-->|\*\/)\s*$/, '').slice(0, 60);
+            const input = (await window.globalInputModal.show({
+                title: safeI18n('runnerSaveSnippet', '保存为代码片段'),
+                defaultValue: firstLine || `${getRunnerLanguageById(language)?.name || language} snippet`,
+                placeholder: safeI18n('runnerSnippetTitlePlaceholder', '标题，可用 #标签 添加标签'),
+                required: true,
+                maxLength: 120
+            }))?.trim();
+            if (!input) return;
+
+            const { title, tags } = RunnerSnippets.parseTitle(input);
+            await RunnerSnippets.add({ title: title || input, language, code, files, tags });
+            window.globalToastManager?.success(safeI18n('runnerSnippetSaved', '已保存到代码片段'), anchor);
+        }
+
+        // ===== 让 AI 修复 =====
+
+        /**
+         * 把最近一次运行的代码和输出（有错误时为错误信息）组成追问，插入到 AI 平台的输入框
+         * 开启「自动发送」（runnerAskAiAutoSend）时直接发送
+         */
+        async _askAiToFix(anchor) {
+            if (!window.globalChatInputManager) return;
+            if (!this.lastRun) {
+                window.globalToastManager?.info(safeI18n('runnerAskAiNoRun', '请先运行代码'), anchor);
+                return;
+            }
+
+            const input = window.globalChatInputManager.insert(this._composeFixPrompt(this.lastRun));
+            if (!input) {
+                window.globalToastManager?.error(safeI18n('runnerAskAiNoInput', '当前页面没有找到 AI 输入框'), anchor);
+                return;
+            }
+
+            let autoSend = false;
+            try {
+                autoSend = (await chrome.storage.local.get('runnerAskAiAutoSend')).runnerAskAiAutoSend === true;
+            } catch (e) {
+                // 读取失败时只插入不发送
+            }
+            if (autoSend) {
+                // 等编辑器框架同步插入的内容后再发送
+                setTimeout(() => window.globalChatInputManager.send(input), 300);
+            } else {
+                window.globalToastManager?.success(safeI18n('runnerAskAiInserted', '已插入到输入框'), anchor);
+            }
+        }
+
+        /**
+         * @param {{ code, files, language, outputs }} run
+         * @returns {string}
+         */
+        _composeFixPrompt(run) {
+            const langName = getRunnerLanguageById(run.language)?.name || run.language;
+            const hasError = run.outputs.some(output => output.type === 'error');
+            const hasFailedTests = run.outputs.some(output => output.type === 'test-report' && output.report?.failed > 0);
+
+            const codeText = run.files
+                ? run.files.map(file => `${file.name}\n${this._toCodeFence(file.code, file.language)}`).join('\n\n')
+                : this._toCodeFence(run.code, run.language);
+            const outputText = this._toCodeFence(this._formatOutputsForPrompt(run.outputs) || safeI18n('runnerAskAiNoOutput', '（无输出）'), '');
+
+            if (hasFailedTests) {
+                // 测试用例写在代码中时没有单独的测试代码
+                const testsText = run.tests?.trim()
+                    ? this._toCodeFence(run.tests, run.language)
+                    : safeI18n('runnerAskAiTestsInCode', '（测试写在代码中）');
+                return safeI18n('runnerAskAiTestPrompt', '下面的 {language} 代码没有通过测试，请修复实现（不要修改测试）并给出修复后的完整代码。\n\n代码：\n{code}\n\n测试用例：\n{tests}\n\n测试结果：\n{output}')
+                    .replace('{language}', () => langName)
+                    .replace('{code}', () => codeText)
+                    .replace('{tests}', () => testsText)
+                    .replace('{output}', () => outputText);
+            }
+
+            const template = hasError
+                ? safeI18n('runnerAskAiFixPrompt', '下面的 {language} 代码运行出错，请找出原因并给出修复后的完整代码。\n\n代码：\n{code}\n\n错误信息：\n{output}')
+                : safeI18n('runnerAskAiCheckPrompt', '下面的 {language} 代码运行结果与预期不符，请检查并给出修复后的完整代码。\n\n代码：\n{code}\n\n运行输出：\n{output}');
+            // 用函数替换，避免代码中的 $& 等被当作替换模式
+            return template
+                .replace('{language}', () => langName)
+                .replace('{code}', () => codeText)
+                .replace('{output}', () => outputText);
+        }
+
+        /**
+         * 输出转为文本：表格按行输出（最多 20 行），图片、预览只保留类型；超长时保留末尾（错误通常在最后）
+         */
+        _formatOutputsForPrompt(outputs) {
+            const MAX_LENGTH = 4000;
+            const MAX_TABLE_ROWS = 20;
+            const text = outputs.map(output => {
+                if (output.type === 'table') {
+                    const rows = (output.values || []).slice(0, MAX_TABLE_ROWS).map(row => row.map(cell => cell === null ? 'NULL' : String(cell)).join(' | '));
+                    const more = (output.values || []).length > MAX_TABLE_ROWS ? ['…'] : [];
+                    return [(output.columns || []).join(' | '), ...rows, ...more].join('\n');
+                }
+                if (output.type === 'test-report') {
+                    return this._formatTestReportText(output.report);
+                }
+                if ('content' in output) {
+                    return String(output.content ?? '');
+                }
+                return `[${output.type}]`;
+            }).join('\n').trim();
+            return text.length > MAX_LENGTH ? '…' + text.slice(-MAX_LENGTH) : text;
+        }
+
+        /**
+         * Markdown 代码块，围栏长度大于内容中最长的连续反引号
+         */
+        _toCodeFence(code, language) {
+            const longest = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+            const fence = '`'.repeat(Math.max(3, longest + 1));
+            return `${fence}${language || ''}\n${code.replace(/\n+$/, '')}\n${fence}`;
+        }
+
+        // ===== SQL 数据库 =====
+
+        _isSql() {
+            return this._getRunLanguage() === 'sql';
+        }
+
+        _getSqlRunner() {
+            const manager = window.Runner?.getManager();
+            if (!manager) return null;
+            manager.initialize();
+            return manager.languageRegistry.getRunner('sql');
+        }
+
+        /**
+         * 只有 SQL 显示数据库选择器和表结构按钮
+         */
+        _updateDatabaseVisibility() {
+            if (!this.element) return;
+            const isSql = this._isSql();
+            this.element.querySelector('.runner-panel-db-selector').style.display = isSql ? '' : 'none';
+            const btn = this.element.querySelector('[data-action="schema"]');
+            btn.style.setProperty('display', isSql ? 'flex' : 'none', 'important');
+            if (!isSql) {
+                this.element.querySelector('.runner-panel-schema').style.display = 'none';
+                btn.classList.remove('active');
+            }
+        }
+
+        /**
+         * 恢复上次选中的数据库（已被删除时回到临时数据库）
+         */
+        async _loadSelectedDatabase() {
+            if (typeof SQLDatabaseStore === 'undefined') return;
+            const name = await SQLDatabaseStore.getSelected();
+            if (!name) return;
+            const databases = await SQLDatabaseStore.list().catch(() => []);
+            this._setDatabase(databases.some(db => db.name === name) ? name : null);
+        }
+
+        _setDatabase(name) {
+            this.sqlDatabase = name || null;
+            this.sqlSchema = null;
+            const label = this.element?.querySelector('.runner-panel-db-selector .db-name');
+            if (label) {
+                label.textContent = this.sqlDatabase || safeI18n('runnerSqlTempDatabase', '临时数据库');
+            }
+            this._refreshSchema();
+        }
+
+        async _selectDatabase(name) {
+            this._setDatabase(name);
+            await SQLDatabaseStore.setSelected(this.sqlDatabase);
+        }
+
+        async _showDatabaseDropdown(anchor) {
+            if (!window.globalDropdownManager) return;
+
+            let databases = [];
+            try {
+                databases = await SQLDatabaseStore.list();
             } catch (error) {
-                this.resultContent.innerHTML = `<div class="runner-panel-output-error">${this._escapeHtml(error.message)}</div>`;
+                window.globalToastManager?.error(error.message);
+            }
+
+            const items = [
+                {
+                    id: 'temp',
+                    label: safeI18n('runnerSqlTempDatabase', '临时数据库'),
+                    selected: !this.sqlDatabase
+                },
+                ...databases.map(db => ({
+                    id: `db:${db.name}`,
+                    label: `${db.name} (${this._formatSize(db.size)})`,
+                    selected: db.name === this.sqlDatabase
+                })),
+                { type: 'divider' },
+                { id: 'create', label: safeI18n('runnerSqlCreateDatabase', '新建数据库…') }
+            ];
+            if (this.sqlDatabase) {
+                items.push({ id: 'delete', label: safeI18n('runnerSqlDeleteDatabase', '删除当前数据库'), className: 'danger' });
+            }
+
+            window.globalDropdownManager.show({
+                trigger: anchor,
+                items,
+                onSelect: (item) => {
+                    if (item.id === 'temp') {
+                        this._selectDatabase(null);
+                    } else if (item.id === 'create') {
+                        this._createDatabase(databases);
+                    } else if (item.id === 'delete') {
+                        this._deleteDatabase();
+                    } else {
+                        this._selectDatabase(item.id.slice(3));
+                    }
+                }
+            });
+        }
+
+        async _createDatabase(databases) {
+            if (!window.globalInputModal) return;
+            const name = (await window.globalInputModal.show({
+                title: safeI18n('runnerSqlNewDatabase', '新建数据库'),
+                placeholder: 'analytics',
+                required: true,
+                requiredMessage: safeI18n('runnerSqlDatabaseNameRequired', '请输入数据库名'),
+                maxLength: 64,
+                validator: (value) => /[\/\\]/.test(value)
+                    ? { valid: false, message: safeI18n('runnerSqlDatabaseNameInvalid', '数据库名不能包含 / 或 \\') }
+                    : { valid: true }
+            }))?.trim();
+            if (!name) return;
+
+            if (databases.some(db => db.name === name)) {
+                window.globalToastManager?.error(safeI18n('runnerSqlDatabaseExists', '数据库已存在'));
+                return;
+            }
+            try {
+                await SQLDatabaseStore.save(name, null);
+                await this._selectDatabase(name);
+            } catch (error) {
+                window.globalToastManager?.error(error.message);
+            }
+        }
+
+        async _deleteDatabase() {
+            const name = this.sqlDatabase;
+            if (!name || !window.globalPopconfirmManager) return;
+            const confirmed = await window.globalPopconfirmManager.show({
+                title: safeI18n('runnerSqlDeleteDatabase', '删除当前数据库'),
+                content: safeI18n('runnerSqlDeleteDatabaseContent', '数据库「{name}」中的所有表和数据将被删除，无法恢复。').replace('{name}', name),
+                confirmTextType: 'danger'
+            });
+            if (!confirmed) return;
+
+            try {
+                await SQLDatabaseStore.remove(name);
+                await this._selectDatabase(null);
+            } catch (error) {
+                window.globalToastManager?.error(error.message);
+            }
+        }
+
+        _toggleSchema() {
+            const sidebar = this.element.querySelector('.runner-panel-schema');
+            const visible = sidebar.style.display === 'none';
+            sidebar.style.display = visible ? '' : 'none';
+            this.element.querySelector('[data-action="schema"]').classList.toggle('active', visible);
+            if (visible) {
+                this._refreshSchema();
+            }
+            this.refresh();
+        }
+
+        _isSchemaVisible() {
+            return this.element?.querySelector('.runner-panel-schema').style.display !== 'none';
+        }
+
+        /**
+         * 重新读取持久化数据库的表结构（临时数据库只显示最近一次运行后的表）
+         */
+        async _refreshSchema() {
+            if (!this._isSchemaVisible()) return;
+            const database = this.sqlDatabase;
+            if (database) {
+                try {
+                    const schema = await this._getSqlRunner()?.inspect(database);
+                    // 读取期间切换了数据库时丢弃
+                    if (database !== this.sqlDatabase) return;
+                    this.sqlSchema = schema || [];
+                } catch (error) {
+                    this.sqlSchema = [];
+                    window.globalToastManager?.error(error.message);
+                }
+            }
+            this._renderSchema();
+        }
+
+        _renderSchema() {
+            if (!this._isSchemaVisible()) return;
+            const sidebar = this.element.querySelector('.runner-panel-schema');
+            const tables = this.sqlSchema || [];
+
+            const emptyHint = this.sqlDatabase
+                ? safeI18n('runnerSqlNoTables', '暂无表，运行 CREATE TABLE 或导入 CSV')
+                : safeI18n('runnerSqlTempSchemaHint', '临时数据库每次运行后清空，这里显示最近一次运行后的表');
+            const listHTML = tables.length === 0
+                ? `<div class="runner-panel-schema-empty">${this._escapeHtml(emptyHint)}</div>`
+                : tables.map(table => `
+                    <details class="runner-panel-schema-table">
+                        <summary title="${this._escapeHtml(table.name)}">
+                            <span class="runner-panel-schema-name">${table.type === 'view' ? '👁 ' : ''}${this._escapeHtml(table.name)}</span>
+                            <span class="runner-panel-schema-count">${table.rowCount ?? ''}</span>
+                        </summary>
+                        ${table.columns.map(col => `
+                            <div class="runner-panel-schema-column">
+                                <span>${col.pk ? '🔑 ' : ''}${this._escapeHtml(col.name)}</span>
+                                <span class="runner-panel-schema-type">${this._escapeHtml(col.type || '')}</span>
+                            </div>
+                        `).join('')}
+                    </details>
+                `).join('');
+
+            sidebar.innerHTML = `
+                <div class="runner-panel-schema-header">
+                    <span>${safeI18n('runnerSqlSchema', '表结构')}</span>
+                    <button class="runner-panel-schema-action" data-schema-action="import" title="${safeI18n('runnerSqlImportCsv', '导入 CSV')}">CSV</button>
+                    <button class="runner-panel-schema-action" data-schema-action="refresh" title="${safeI18n('runnerSqlRefresh', '刷新')}">↻</button>
+                </div>
+                <div class="runner-panel-schema-list">${listHTML}</div>
+            `;
+            sidebar.querySelector('[data-schema-action="import"]').addEventListener('click', () => this._pickCsvFile());
+            sidebar.querySelector('[data-schema-action="refresh"]').addEventListener('click', () => this._refreshSchema());
+        }
+
+        /**
+         * 选择 CSV 文件并导入到当前数据库（临时数据库运行后即清空，不支持导入）
+         */
+        _pickCsvFile() {
+            if (!this.sqlDatabase) {
+                window.globalToastManager?.info(safeI18n('runnerSqlImportNeedsDatabase', '请先新建或选择一个数据库，再导入 CSV'));
+                return;
+            }
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.csv,.tsv,text/csv,text/tab-separated-values';
+            input.addEventListener('change', () => {
+                if (input.files[0]) this._importCsv(input.files[0]);
+            });
+            input.click();
+        }
+
+        async _importCsv(file) {
+            const database = this.sqlDatabase;
+            const defaultTable = file.name.replace(/\.[^.]+$/, '').replace(/\W+/g, '_').replace(/^(\d)/, '_$1') || 'data';
+            const table = (await window.globalInputModal?.show({
+                title: safeI18n('runnerSqlImportTable', '导入到表'),
+                defaultValue: defaultTable,
+                placeholder: 'data',
+                required: true,
+                requiredMessage: safeI18n('runnerSqlTableNameRequired', '请输入表名'),
+                maxLength: 64
+            }))?.trim();
+            if (!table || database !== this.sqlDatabase) return;
+
+            const runner = this._getSqlRunner();
+            if (!runner) return;
+
+            this.resultContent.innerHTML = `<div class="runner-panel-output-loading">${safeI18n('runnerSqlImporting', '正在导入...')}</div>`;
+            const outputs = [];
+            const result = await runner.importCsv(database, table, await file.text(), (output) => {
+                const content = Array.isArray(output.data) ? output.data.join(' ') : output.data;
+                outputs.push({ type: output.level || 'log', content });
+            });
+            this._renderOutput(outputs);
+            if (result.success && database === this.sqlDatabase) {
+                this.sqlSchema = result.schema;
+                this._renderSchema();
+            }
+        }
+
+        _formatSize(bytes) {
+            if (!bytes) return '0 KB';
+            if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+            return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+        }
+
+        // ===== 项目模式 =====
+
+        /**
+         * 设置可组成项目的代码块，少于 2 个文件时隐藏项目按钮
+         * @param {Array<{name, language, code}>|null} files
+         */
+        setProjectCandidates(files) {
+            this.projectCandidates = files && files.length > 1 ? files : null;
+            this._updateProjectButton();
+        }
+
+        /**
+         * 进入项目模式
+         * @param {Array<{name, language, code}>} files
+         */
+        setProject(files) {
+            if (!files || files.length === 0) return;
+            this.files = files.map(file => ({ ...file }));
+            const entry = RunnerProject.getEntry(this.files);
+            this.activeFileIndex = Math.max(0, this.files.indexOf(entry));
+            this._showActiveFile();
+            this._updateProjectButton();
+        }
+
+        /**
+         * 退出项目模式，编辑器保留当前文件
+         */
+        exitProject() {
+            if (!this.files) return;
+            this._saveActiveFile();
+            const file = this.files[this.activeFileIndex];
+            this.files = null;
+            this.element.querySelector('.runner-panel-files').style.display = 'none';
+            this.setCode(file.code);
+            this.setLanguage(getRunnerLanguageById(file.language) ? file.language : this.language);
+            this._updateProjectButton();
+            this.refresh();
+        }
+
+        /**
+         * 项目文件（非项目模式返回 null）
+         */
+        getFiles() {
+            if (!this.files) return null;
+            this._saveActiveFile();
+            return this.files.map(file => ({ ...file }));
+        }
+
+        _updateProjectButton() {
+            const btn = this.element?.querySelector('[data-action="project"]');
+            if (!btn) return;
+            const visible = !!(this.files || this.projectCandidates);
+            btn.style.setProperty('display', visible ? 'flex' : 'none', 'important');
+            btn.classList.toggle('active', !!this.files);
+        }
+
+        _saveActiveFile() {
+            if (this.files && this.files[this.activeFileIndex]) {
+                this.files[this.activeFileIndex].code = this.getCode();
             }
         }
 
+        /**
+         * 在编辑器中显示当前文件
+         */
+        _showActiveFile() {
+            const file = this.files[this.activeFileIndex];
+            this._renderFileTabs();
+            this.setCode(file.code);
+
+            if (getRunnerLanguageById(file.language)) {
+                this.setLanguage(file.language);
+            } else {
+                // CSS 等没有运行器的文件：只切换编辑器模式和显示名称
+                const selector = this.element.querySelector('.runner-panel-lang-selector .lang-name');
+                if (selector) selector.textContent = file.language.toUpperCase();
+            }
+            if (this.cmEditor) {
+                this.cmEditor.setOption('mode', RunnerProject.getEditorMode(file.language));
+            }
+            this._updateStdinVisibility();
+            this._updateTestVisibility();
+            this._updateDatabaseVisibility();
+            this.refresh();
+        }
+
+        _renderFileTabs() {
+            const bar = this.element.querySelector('.runner-panel-files');
+            const entry = RunnerProject.getEntry(this.files);
+            bar.style.display = '';
+            bar.innerHTML = this.files.map((file, index) => `
+                <div class="runner-panel-file-tab${index === this.activeFileIndex ? ' active' : ''}${file === entry ? ' entry' : ''}"
+                     data-index="${index}" title="${this._escapeHtml(file.name)}${file === entry ? ` (${safeI18n('runnerProjectEntry', '入口')})` : ''}">
+                    <span class="runner-panel-file-name">${this._escapeHtml(file.name)}</span>
+                    <span class="runner-panel-file-remove" data-index="${index}" title="${safeI18n('runnerProjectRemoveFile', '移除文件')}">×</span>
+                </div>
+            `).join('') + `
+                <button class="runner-panel-file-add" title="${safeI18n('runnerProjectAddFile', '新建文件')}">+</button>
+            `;
+
+            bar.querySelectorAll('.runner-panel-file-tab').forEach(tab => {
+                const index = Number(tab.dataset.index);
+                tab.addEventListener('click', (e) => {
+                    if (e.target.closest('.runner-panel-file-remove')) {
+                        this._removeFile(index);
+                    } else if (index !== this.activeFileIndex) {
+                        this._saveActiveFile();
+                        this.activeFileIndex = index;
+                        this._showActiveFile();
+                    }
+                });
+                tab.addEventListener('dblclick', () => this._renameFile(index));
+            });
+            bar.querySelector('.runner-panel-file-add').addEventListener('click', () => this._addFile());
+        }
+
+        /**
+         * 询问文件名，校验非空和重名
+         * @returns {Promise<string|null>}
+         */
+        async _promptFileName(title, defaultValue, currentName = null) {
+            if (!window.globalInputModal) return null;
+            const name = (await window.globalInputModal.show({
+                title,
+                defaultValue,
+                placeholder: 'main.py',
+                required: true,
+                requiredMessage: safeI18n('runnerProjectFileNameRequired', '请输入文件名'),
+                maxLength: 100
+            }))?.trim();
+            if (!name || name === currentName) return null;
+
+            if (this.files.some(file => file.name === name)) {
+                window.globalToastManager?.error(safeI18n('runnerProjectFileExists', '文件名已存在'));
+                return null;
+            }
+            return name;
+        }
+
+        async _renameFile(index) {
+            const file = this.files[index];
+            const name = await this._promptFileName(safeI18n('runnerProjectRenameFile', '重命名文件'), file.name, file.name);
+            if (!name || !this.files) return;
+
+            this._saveActiveFile();
+            file.name = name;
+            file.language = RunnerProject.getLanguageByFileName(name) || file.language;
+            this._showActiveFile();
+        }
+
+        async _addFile() {
+            const current = this.files[this.activeFileIndex];
+            const ext = RunnerProject.LANGUAGE_EXTENSIONS[current.language] || 'txt';
+            const defaultName = RunnerProject.getUniqueName(`module.${ext}`, new Set(this.files.map(file => file.name)));
+            const name = await this._promptFileName(safeI18n('runnerProjectAddFile', '新建文件'), defaultName);
+            if (!name || !this.files) return;
+
+            this._saveActiveFile();
+            this.files.push({
+                name,
+                language: RunnerProject.getLanguageByFileName(name) || current.language,
+                code: ''
+            });
+            this.activeFileIndex = this.files.length - 1;
+            this._showActiveFile();
+        }
+
+        _removeFile(index) {
+            // 只剩一个文件时退回普通模式
+            if (this.files.length <= 2) {
+                this._saveActiveFile();
+                this.files.splice(index, 1);
+                this.activeFileIndex = 0;
+                this.setCode(this.files[0].code);
+                this.exitProject();
+                return;
+            }
+            this._saveActiveFile();
+            this.files.splice(index, 1);
+            if (this.activeFileIndex >= index && this.activeFileIndex > 0) {
+                this.activeFileIndex--;
+            }
+            this._showActiveFile();
+        }
+
         /**
          * 清空输出
          */
         clearOutput() {
+            this.lastRun = null;
             if (this.resultContent) {
                 this.resultContent.innerHTML = '<div class="runner-panel-output-empty">（无输出）</div>';
             }
@@ -636,6 +1794,10 @@
          * 销毁面板
          */
         destroy() {
+            if (this.pendingInput) {
+                this._cancelInput();
+                window.Runner?.getManager()?.stop();
+            }
             if (this._cleanupResizer) {
                 this._cleanupResizer();
             }
@@ -654,9 +1816,10 @@
                 return;
             }
 
-            this.resultContent.innerHTML = outputs.map(output => {
+            this.outputs = outputs;
+            this.resultContent.innerHTML = outputs.map((output, index) => {
                 if (output.type === 'table') {
-                    return this._renderTable(output.columns, output.values);
+                    return this._renderTable(output.columns, output.values, index);
                 }
                 if (output.type === 'html-preview') {
                     return `<div class="runner-panel-html-preview"><iframe srcdoc="${output.html.replace(/"/g, '&quot;')}" sandbox="allow-scripts allow-same-origin" style="width:100%;height:150px;border:1px solid var(--runner-border);border-radius:4px;background:white;"></iframe></div>`;
@@ -670,11 +1833,23 @@
                 if (output.type === 'mermaid-preview') {
                     return `<div class="runner-mermaid-preview">${output.svg}</div>`;
                 }
+                if (output.type === 'test-report') {
+                    return this._renderTestReport(output.report);
+                }
+                if (output.type === 'image') {
+                    // 只接受图片 data URL（matplotlib 图表）
+                    return /^data:image\/(png|jpeg|gif|svg\+xml);base64,[A-Za-z0-9+/=]+$/.test(output.src)
+                        ? `<div class="runner-panel-image-output"><img src="${output.src}" alt="figure"></div>`
+                        : '';
+                }
                 return `<div class="runner-panel-output-${output.type || 'log'}">${this._escapeHtml(output.content)}</div>`;
             }).join('');
         }
 
-        _renderTable(columns, values) {
+        /**
+         * @param {number} index - 在 outputs 中的位置（导出按钮使用）
+         */
+        _renderTable(columns, values, index) {
             if (!columns || columns.length === 0) {
                 return '<div class="runner-panel-output-info">查询成功，无返回数据</div>';
             }
@@ -686,7 +1861,32 @@
                 }).join('');
                 return `<tr>${cells}</tr>`;
             }).join('');
-            return `<div class="runner-panel-table-wrapper"><table class="runner-panel-table"><thead><tr>${headerCells}</tr></thead><tbody>${rows}</tbody></table></div>`;
+            const toolbar = `<div class="runner-panel-table-toolbar">
+                <span>${safeI18n('runnerSqlRowCount', '{count} 行').replace('{count}', (values || []).length)}</span>
+                <button class="runner-panel-table-export" data-index="${index}">${safeI18n('runnerSqlExportCsv', '导出 CSV')}</button>
+            </div>`;
+            return `<div class="runner-panel-table-wrapper">${toolbar}<table class="runner-panel-table"><thead><tr>${headerCells}</tr></thead><tbody>${rows}</tbody></table></div>`;
+        }
+
+        /**
+         * 下载表格结果为 CSV（带 BOM，Excel 可直接打开中文）
+         */
+        _exportTable(index) {
+            const output = this.outputs[index];
+            if (!output || output.type !== 'table') return;
+
+            const csv = SQLCsv.stringify(output.columns, output.values || []);
+            const blob = new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            // 按第几个结果表命名
+            const number = this.outputs.slice(0, index + 1).filter(item => item.type === 'table').length;
+            link.download = `query-result-${number}.csv`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
         }
 
         /**
@@ -10,15 +10,21 @@ class BaseRunner {
         this.displayName = config.displayName || '';
         this.icon = config.icon || '';
         this.fileExtension = config.fileExtension || '';
+        // 依赖的内置运行时 ID（见 RuntimeAssets.RUNTIMES），纯浏览器执行的语言为 null
+        this.runtime = config.runtime || null;
+        this.runtimeStatus = null;
         this.isInitialized = false;
     }
 
     /**
      * 初始化运行器
-     * 子类可以覆盖此方法进行异步初始化（如加载 WASM）
+     * 子类可以覆盖此方法进行异步初始化（如加载 WASM），覆盖时需调用 super.initialize()
      * @returns {Promise<void>}
      */
     async initialize() {
+        if (this.runtime && !this.runtimeStatus) {
+            this.runtimeStatus = await RuntimeAssets.getStatus(this.runtime);
+        }
         this.isInitialized = true;
     }
 
@@ -29,12 +35,42 @@ class BaseRunner {
      * @param {Object} options - 执行选项
      * @param {Function} options.onOutput - 输出回调
      * @param {number} options.timeout - 超时时间（毫秒）
+     * @param {{code: string}|null} options.test - 测试模式（支持的语言见 RUNNER_LANGUAGES 的 test）：
+     *   code 为附加在实现代码之后的测试用例，运行后以 level: 'test-report' 输出测试报告
      * @returns {Promise<{success: boolean, duration?: number, error?: string}>}
      */
     async execute(code, options = {}) {
         throw new Error('execute() must be implemented by subclass');
     }
 
+    /**
+     * 测试模式：实现代码之后拼接测试用例代码
+     * @param {string} code - 实现代码
+     * @param {{code: string}|null} test - 测试模式参数
+     * @returns {string}
+     */
+    appendTestCode(code, test) {
+        return test?.code?.trim() ? `${code}\n\n${test.code}` : code;
+    }
+
+    /**
+     * 执行多文件项目
+     * 默认把与入口同语言的其他文件按顺序拼接在入口文件之前执行（适用于 SQL 建表 + 查询、
+     * JS 工具函数 + 调用等）；支持模块系统的语言（如 Python）应覆盖此方法
+     * @param {Array<{name: string, language: string, code: string}>} files - 项目文件
+     * @param {Object} entry - 入口文件（files 中的一项）
+     * @param {Object} options - 执行选项，同 execute
+     * @returns {Promise<{success: boolean, duration?: number, error?: string}>}
+     */
+    async executeProject(files, entry, options = {}) {
+        const code = files
+            .filter(file => file !== entry && file.language === entry.language)
+            .concat(entry)
+            .map(file => file.code)
+            .join('\n\n');
+        return this.execute(code, options);
+    }
+
     /**
      * 验证代码语法
      * 子类可以覆盖此方法
@@ -71,13 +107,22 @@ class BaseRunner {
     }
 
     /**
-     * 检查是否已初始化
+     * 检查是否可以执行
+     * 运行时未随扩展内置时沙箱回退到 CDN 加载，不影响执行（runtimeStatus 仅用于展示）
      * @returns {boolean}
      */
     isReady() {
         return this.isInitialized;
     }
 
+    /**
+     * 无法执行时的原因
+     * @returns {string}
+     */
+    getNotReadyMessage() {
+        return `${this.displayName} runner is not initialized`;
+    }
+
     /**
      * 获取运行器信息
      * @returns {Object}
@@ -88,7 +133,8 @@ class BaseRunner {
             displayName: this.displayName,
             icon: this.icon,
             fileExtension: this.fileExtension,
-            isReady: this.isReady()
+            isReady: this.isReady(),
+            runtime: this.runtimeStatus
         };
     }
 }
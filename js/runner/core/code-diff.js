@@ -0,0 +1,140 @@
+/**
+ * RunnerCodeDiff - 两段代码的逐行 / 行内对比
+ *
+ * 基于 diff-match-patch（js/highlight/libs/diff-match-patch.js）：
+ * - 逐行对比：diff_linesToChars_ 把每行映射为一个字符后对比，连续的删除 / 新增合并为一个差异块（hunk）
+ * - 行内对比：差异块中左右成对的行再按字符对比（语义清理后接近按词对比），返回变化的字符区间
+ * - 合并：每个差异块选择保留 A 或 B，其余行原样保留
+ *
+ * 对比结果结构：
+ * segments: [{ type: 'equal', lines: string[] } | { type: 'change', a: string[], b: string[] }]
+ */
+
+const RunnerCodeDiff = {
+    /**
+     * 逐行对比
+     * @param {string} a
+     * @param {string} b
+     * @returns {{ segments: Array, stats: { added: number, removed: number, hunks: number } }}
+     */
+    compute(a, b) {
+        const dmp = new diff_match_patch();
+        const { chars1, chars2, lineArray } = dmp.diff_linesToChars_(this._normalize(a), this._normalize(b));
+        const diffs = dmp.diff_main(chars1, chars2, false);
+        dmp.diff_charsToLines_(diffs, lineArray);
+
+        const segments = [];
+        const stats = { added: 0, removed: 0, hunks: 0 };
+        let hunk = null;
+        diffs.forEach(([op, text]) => {
+            const lines = text.replace(/\n$/, '').split('\n');
+            if (op === DIFF_EQUAL) {
+                hunk = null;
+                segments.push({ type: 'equal', lines });
+                return;
+            }
+            if (!hunk) {
+                hunk = { type: 'change', a: [], b: [] };
+                segments.push(hunk);
+                stats.hunks++;
+            }
+            if (op === DIFF_DELETE) {
+                hunk.a.push(...lines);
+                stats.removed += lines.length;
+            } else {
+                hunk.b.push(...lines);
+                stats.added += lines.length;
+            }
+        });
+        return { segments, stats };
+    },
+
+    /**
+     * 行内对比
+     * @returns {{ a: Array<[number, number]>, b: Array<[number, number]> }} 左右两行中变化的字符区间 [start, end)
+     */
+    compareLine(lineA, lineB) {
+        const dmp = new diff_match_patch();
+        const diffs = dmp.diff_main(lineA, lineB);
+        dmp.diff_cleanupSemantic(diffs);
+
+        const ranges = { a: [], b: [] };
+        let posA = 0;
+        let posB = 0;
+        diffs.forEach(([op, text]) => {
+            if (op === DIFF_EQUAL) {
+                posA += text.length;
+                posB += text.length;
+            } else if (op === DIFF_DELETE) {
+                ranges.a.push([posA, posA + text.length]);
+                posA += text.length;
+            } else {
+                ranges.b.push([posB, posB + text.length]);
+                posB += text.length;
+            }
+        });
+        return ranges;
+    },
+
+    /**
+     * 合并：差异块按选择保留 A 或 B 的行
+     * @param {Array} segments - compute 的结果
+     * @param {Array<'a'|'b'>} choices - 按差异块顺序的选择，缺省为 'b'
+     * @returns {string}
+     */
+    merge(segments, choices = []) {
+        let hunkIndex = 0;
+        return segments.flatMap(segment => {
+            if (segment.type === 'equal') return segment.lines;
+            return choices[hunkIndex++] === 'a' ? segment.a : segment.b;
+        }).join('\n');
+    },
+
+    /**
+     * 语法高亮后按行拆分：跨行的 <span> 在每行末尾闭合、下一行开头重新打开
+     * @param {string} code
+     * @param {string} language - RUNNER_LANGUAGES 的 id
+     * @returns {string[]} 每行的 HTML
+     */
+    highlightLines(code, language) {
+        const text = this._normalize(code).replace(/\n$/, '');
+        const hljsLang = getRunnerLanguageById(language)?.hljsLang;
+        let html;
+        try {
+            html = typeof hljs !== 'undefined' && hljsLang && hljs.getLanguage(hljsLang)
+                ? hljs.highlight(text, { language: hljsLang, ignoreIllegals: true }).value
+                : this._escapeHtml(text);
+        } catch (e) {
+            html = this._escapeHtml(text);
+        }
+
+        const openTags = [];
+        return html.split('\n').map(line => {
+            const prefix = openTags.join('');
+            (line.match(/<span[^>]*>|<\/span>/g) || []).forEach(tag => {
+                if (tag === '</span>') {
+                    openTags.pop();
+                } else {
+                    openTags.push(tag);
+                }
+            });
+            return prefix + line + '</span>'.repeat(openTags.length);
+        });
+    },
+
+    /**
+     * 统一换行符，末尾补换行（避免最后一行因有无换行被判为不同）
+     */
+    _normalize(code) {
+        const text = String(code || '').replace(/\r\n?/g, '\n');
+        return !text || text.endsWith('\n') ? text : text + '\n';
+    },
+
+    _escapeHtml(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+};
+
+if (typeof window !== 'undefined') {
+    window.RunnerCodeDiff = RunnerCodeDiff;
+}
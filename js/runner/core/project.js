@@ -0,0 +1,261 @@
+/**
+ * RunnerProject - 多文件项目工具
+ *
+ * AI 回答常把一个方案拆成多个代码块（utils.py + main.py、index.html + style.css + app.js），
+ * 项目模式把同一条回复中的代码块收集为文件，一起运行：
+ * - 文件名：优先取代码块前的说明文字或首行注释中的文件名，否则按语言生成默认名
+ * - 入口：HTML 项目为 index.html（内联引用的 CSS / JS 后预览），其他语言为 main.* / index.*，
+ *   或包含 __main__ 判断的 Python 文件、定义 main 函数的 Go / C++ 文件，都没有时取最后一个可运行文件
+ *
+ * 文件结构：{ name: string, language: string, code: string }
+ */
+
+const RunnerProject = {
+    // 扩展名 → 语言（css 只参与 HTML 项目，没有对应运行器）
+    EXTENSION_LANGUAGES: {
+        py: 'python',
+        js: 'javascript',
+        mjs: 'javascript',
+        ts: 'typescript',
+        sql: 'sql',
+        lua: 'lua',
+        rb: 'ruby',
+        go: 'go',
+        c: 'cpp',
+        cc: 'cpp',
+        cpp: 'cpp',
+        cxx: 'cpp',
+        h: 'cpp',
+        hpp: 'cpp',
+        html: 'html',
+        htm: 'html',
+        css: 'css',
+        json: 'json',
+        md: 'markdown'
+    },
+
+    // 语言 → 默认扩展名
+    LANGUAGE_EXTENSIONS: {
+        python: 'py',
+        javascript: 'js',
+        typescript: 'ts',
+        sql: 'sql',
+        lua: 'lua',
+        ruby: 'rb',
+        go: 'go',
+        cpp: 'cpp',
+        html: 'html',
+        css: 'css',
+        json: 'json',
+        markdown: 'md',
+        mermaid: 'mmd'
+    },
+
+    // 语言 → 第一个文件的默认名
+    DEFAULT_BASE_NAMES: {
+        python: 'main',
+        javascript: 'app',
+        typescript: 'main',
+        go: 'main',
+        cpp: 'main',
+        html: 'index',
+        css: 'style',
+        json: 'data'
+    },
+
+    FILE_NAME_PATTERN: /(?:^|[\s`'"(*:：])((?:[\w-]+\/)*[\w-]+(?:\.[\w-]+)*\.(py|js|mjs|ts|sql|lua|rb|go|c|cc|cpp|cxx|h|hpp|html?|css|json|md))(?=$|[\s`'")*:：,，])/i,
+
+    // 首行注释中的文件名：# utils.py / // app.js / -- schema.sql / <!-- index.html --> / /* style.css */
+    COMMENT_FILE_NAME_PATTERN: /^\s*(?:#|\/\/|--|<!--|\/\*)\s*(?:file(?:name)?\s*[:：]\s*)?((?:[\w-]+\/)*[\w-]+(?:\.[\w-]+)*\.\w+)\s*(?:-->|\*\/)?\s*$/i,
+
+    // 可组成网页项目的语言
+    WEB_LANGUAGES: ['html', 'css', 'javascript'],
+
+    /**
+     * 代码块能否加入以 language 为主的项目：同语言、同属网页（HTML / CSS / JS），或 JSON 数据文件
+     */
+    isRelated(language, other) {
+        if (language === other || other === 'json') return true;
+        return this.WEB_LANGUAGES.includes(language) && this.WEB_LANGUAGES.includes(other);
+    },
+
+    /**
+     * 根据文件名判断语言
+     * @returns {string|null}
+     */
+    getLanguageByFileName(name) {
+        const ext = (name || '').split('.').pop().toLowerCase();
+        return this.EXTENSION_LANGUAGES[ext] || null;
+    },
+
+    /**
+     * CodeMirror 模式
+     */
+    getEditorMode(language) {
+        if (language === 'css') return 'css';
+        return getRunnerLanguageById(language)?.mode || 'javascript';
+    },
+
+    /**
+     * 从一段说明文字中提取文件名（如 "**utils.py**"、"创建 `app.js`："）
+     * @returns {string|null}
+     */
+    extractFileName(text) {
+        if (!text || text.length > 200) return null;
+        const match = text.match(this.FILE_NAME_PATTERN);
+        return match ? match[1] : null;
+    },
+
+    /**
+     * 为代码块确定文件名
+     * @param {{ code: string, language: string, hint?: string }} block
+     * @param {Set<string>} usedNames - 已使用的文件名（会写入新文件名）
+     * @param {Array} blocks - 同一项目的全部代码块（推断 Python 模块名）
+     * @returns {string}
+     */
+    guessFileName(block, usedNames, blocks = []) {
+        const firstLine = (block.code || '').split('\n', 1)[0];
+        const commentMatch = firstLine.match(this.COMMENT_FILE_NAME_PATTERN);
+
+        let name = this.extractFileName(block.hint)
+            || (commentMatch && this.getLanguageByFileName(commentMatch[1]) ? commentMatch[1] : null)
+            || (block.language === 'python' ? this._guessPythonModuleName(block, blocks) : null);
+
+        if (!name) {
+            const ext = this.LANGUAGE_EXTENSIONS[block.language] || 'txt';
+            const baseName = this.DEFAULT_BASE_NAMES[block.language] || 'main';
+            name = `${baseName}.${ext}`;
+            // 同语言的后续文件：module2.py、module3.py...
+            for (let i = 2; usedNames.has(name); i++) {
+                name = `module${i}.${ext}`;
+            }
+        }
+
+        name = this.getUniqueName(name, usedNames);
+        usedNames.add(name);
+        return name;
+    },
+
+    /**
+     * 其他代码块 from utils import add 导入的名称在本代码块中定义时，本代码块即为 utils.py
+     * @returns {string|null}
+     */
+    _guessPythonModuleName(block, blocks) {
+        const importPattern = /^\s*from\s+([\w.]+)\s+import\s+\(?([\w\s,]+)\)?/gm;
+        for (const other of blocks) {
+            if (other === block || other.language !== 'python') continue;
+            for (const [, moduleName, names] of other.code.matchAll(importPattern)) {
+                const defined = names.split(',').map(n => n.trim().split(/\s+/)[0]).filter(Boolean).some(n =>
+                    new RegExp(`^(?:(?:async\\s+)?def|class)\\s+${n}\\b|^${n}\\s*=`, 'm').test(block.code)
+                );
+                if (defined) return moduleName.replace(/\./g, '/') + '.py';
+            }
+        }
+        return null;
+    },
+
+    /**
+     * 重名时追加序号：utils.py → utils_2.py
+     */
+    getUniqueName(name, usedNames) {
+        if (!usedNames.has(name)) return name;
+        const dot = name.lastIndexOf('.');
+        const base = dot > 0 ? name.slice(0, dot) : name;
+        const ext = dot > 0 ? name.slice(dot) : '';
+        let i = 2;
+        while (usedNames.has(`${base}_${i}${ext}`)) i++;
+        return `${base}_${i}${ext}`;
+    },
+
+    /**
+     * 代码块列表 → 项目文件
+     * 文件名中的扩展名与检测到的语言冲突时，以扩展名为准（hljs 易把 CSS / TS 认错）
+     * @param {Array<{ code: string, language: string, hint?: string }>} blocks
+     * @returns {Array<{ name, language, code }>}
+     */
+    createFiles(blocks) {
+        const usedNames = new Set();
+        return blocks.map(block => {
+            const name = this.guessFileName(block, usedNames, blocks);
+            return {
+                name,
+                language: this.getLanguageByFileName(name) || block.language,
+                code: block.code
+            };
+        });
+    },
+
+    /**
+     * 项目入口文件
+     * @returns {Object|null}
+     */
+    getEntry(files) {
+        if (!files || files.length === 0) return null;
+        const baseName = file => file.name.split('/').pop().replace(/\.[^.]+$/, '').toLowerCase();
+
+        const htmlFiles = files.filter(file => file.language === 'html');
+        if (htmlFiles.length > 0) {
+            return htmlFiles.find(file => baseName(file) === 'index') || htmlFiles[0];
+        }
+
+        const runnable = files.filter(file => file.language !== 'css' && getRunnerLanguageById(file.language));
+        if (runnable.length === 0) return null;
+
+        return runnable.find(file => ['main', 'index', 'app'].includes(baseName(file)))
+            || runnable.find(file => file.language === 'python' && /__name__\s*==\s*['"]__main__['"]/.test(file.code))
+            || runnable.find(file => file.language === 'go' && /^func\s+main\s*\(\s*\)/m.test(file.code))
+            || runnable.find(file => file.language === 'cpp' && /\bint\s+main\s*\(/.test(file.code))
+            || runnable[runnable.length - 1];
+    },
+
+    /**
+     * 合并 HTML 项目：把 <link href="style.css"> 和 <script src="app.js"> 替换为内联内容，
+     * 未被引用的 CSS / JS 文件分别追加到 </head> 和 </body> 前
+     * @returns {string}
+     */
+    bundleHtml(files, entry) {
+        const byName = new Map(files.map(file => [file.name.replace(/^\.?\//, ''), file]));
+        const used = new Set([entry]);
+        const findFile = (ref) => {
+            const file = byName.get((ref || '').replace(/^\.?\//, '').split(/[?#]/)[0]);
+            return file && file !== entry ? file : null;
+        };
+        const inlineScript = code => code.replace(/<\/script/gi, '<\\/script');
+
+        let html = entry.code
+            .replace(/<link\b[^>]*>/gi, (tag) => {
+                if (!/rel\s*=\s*["']?stylesheet/i.test(tag)) return tag;
+                const file = findFile(tag.match(/href\s*=\s*["']?([^"'\s>]+)/i)?.[1]);
+                if (!file) return tag;
+                used.add(file);
+                return `<style>\n${file.code}\n</style>`;
+            })
+            .replace(/<script\b([^>]*)\bsrc\s*=\s*["']?([^"'\s>]+)["']?([^>]*)>\s*<\/script>/gi, (tag, before, src, after) => {
+                const file = findFile(src);
+                if (!file) return tag;
+                used.add(file);
+                return `<script${`${before}${after}`.trimEnd()}>\n${inlineScript(file.code)}\n</script>`;
+            });
+
+        const restStyles = files
+            .filter(file => !used.has(file) && file.language === 'css')
+            .map(file => `<style>\n${file.code}\n</style>`)
+            .join('\n');
+        const restScripts = files
+            .filter(file => !used.has(file) && file.language === 'javascript')
+            .map(file => `<script>\n${inlineScript(file.code)}\n</script>`)
+            .join('\n');
+
+        if (restStyles) {
+            html = /<\/head>/i.test(html) ? html.replace(/<\/head>/i, tag => `${restStyles}\n${tag}`) : restStyles + '\n' + html;
+        }
+        if (restScripts) {
+            html = /<\/body>/i.test(html) ? html.replace(/<\/body>/i, tag => `${restScripts}\n${tag}`) : html + '\n' + restScripts;
+        }
+        return html;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RunnerProject;
+}
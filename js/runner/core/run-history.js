@@ -0,0 +1,152 @@
+/**
+ * RunnerHistory - 运行历史（按对话记录）
+ *
+ * RunnerPanel 每次运行结束后记录代码、语言、输出、耗时和是否成功，关闭悬浮运行器或刷新页面后
+ * 可以从历史中恢复。历史只保存在本机（不参与同步），每个对话保留最近 MAX_ENTRIES 条，
+ * 最多保留 MAX_CONVERSATIONS 个对话；输出只保存文本和截断后的表格，图片、预览不保存。
+ *
+ * 存储结构（storage key: runnerHistory）：
+ * { [conversationKey]: { updatedAt, entries: [{ id, time, language, code, files?, tests?, outputs, duration, success }] } }
+ */
+
+const RunnerHistory = {
+    STORAGE_KEY: 'runnerHistory',
+    MAX_ENTRIES: 30,
+    MAX_CONVERSATIONS: 100,
+    MAX_OUTPUTS: 100,
+    MAX_TEXT_LENGTH: 2000,
+    MAX_TABLE_ROWS: 50,
+
+    // 串行化读写，避免连续运行时互相覆盖
+    _queue: Promise.resolve(),
+
+    /**
+     * 当前对话标识（与提问时间记录一致：不含协议、查询参数和锚点的 URL）
+     */
+    getConversationKey() {
+        return location.href.replace(/^https?:\/\//, '').split('?')[0].split('#')[0];
+    },
+
+    async _getAll() {
+        try {
+            const result = await chrome.storage.local.get(this.STORAGE_KEY);
+            const data = result[this.STORAGE_KEY];
+            return data && typeof data === 'object' ? data : {};
+        } catch (e) {
+            return {};
+        }
+    },
+
+    /**
+     * 当前对话的运行历史（新的在前）
+     * @returns {Promise<Array>}
+     */
+    async list(conversationKey = this.getConversationKey()) {
+        const all = await this._getAll();
+        return all[conversationKey]?.entries || [];
+    },
+
+    /**
+     * 记录一次运行
+     * @param {Object} run
+     * @param {string} run.language
+     * @param {string} run.code
+     * @param {Array|null} run.files - 项目模式的文件
+     * @param {string|null} run.tests - 测试模式附加的测试用例
+     * @param {Array} run.outputs - RunnerPanel 的输出列表
+     * @param {Object} run.result - RunnerManager.run 的结果 { success, duration }
+     */
+    add({ language, code, files = null, tests = null, outputs = [], result = {} }, conversationKey = this.getConversationKey()) {
+        const entry = {
+            id: `run-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            time: Date.now(),
+            language,
+            code,
+            files: files || undefined,
+            tests: tests ?? undefined,
+            outputs: this._compactOutputs(outputs),
+            duration: result?.duration || 0,
+            // 测试模式下有失败的测试也记为失败
+            success: !!result?.success && !outputs.some(output => output.type === 'error'
+                || (output.type === 'test-report' && output.report?.failed > 0))
+        };
+
+        this._queue = this._queue.then(async () => {
+            const all = await this._getAll();
+            const record = all[conversationKey] || { entries: [] };
+            // 连续运行相同代码只保留最新一次
+            const last = record.entries[0];
+            if (last && last.language === entry.language && last.code === entry.code && last.tests === entry.tests
+                && JSON.stringify(last.files) === JSON.stringify(entry.files)) {
+                record.entries.shift();
+            }
+            record.entries.unshift(entry);
+            record.entries = record.entries.slice(0, this.MAX_ENTRIES);
+            record.updatedAt = entry.time;
+            all[conversationKey] = record;
+
+            // 超出对话数量时删除最久未运行的
+            const keys = Object.keys(all).sort((a, b) => (all[b].updatedAt || 0) - (all[a].updatedAt || 0));
+            keys.slice(this.MAX_CONVERSATIONS).forEach(key => delete all[key]);
+
+            await chrome.storage.local.set({ [this.STORAGE_KEY]: all });
+        }).catch(e => {
+            console.error('[RunnerHistory] Failed to save:', e);
+        });
+        return this._queue.then(() => entry);
+    },
+
+    /**
+     * 清空当前对话的运行历史
+     */
+    clear(conversationKey = this.getConversationKey()) {
+        this._queue = this._queue.then(async () => {
+            const all = await this._getAll();
+            delete all[conversationKey];
+            await chrome.storage.local.set({ [this.STORAGE_KEY]: all });
+        }).catch(e => {
+            console.error('[RunnerHistory] Failed to clear:', e);
+        });
+        return this._queue;
+    },
+
+    /**
+     * 只保留可恢复显示的输出：文本截断，表格保留前 MAX_TABLE_ROWS 行，测试报告截断错误信息，其余替换为占位说明
+     */
+    _compactOutputs(outputs) {
+        const truncate = text => {
+            const str = String(text ?? '');
+            return str.length > this.MAX_TEXT_LENGTH ? str.slice(0, this.MAX_TEXT_LENGTH) + '…' : str;
+        };
+        return outputs.slice(0, this.MAX_OUTPUTS).map(output => {
+            if (output.type === 'table') {
+                return {
+                    type: 'table',
+                    columns: output.columns,
+                    values: (output.values || []).slice(0, this.MAX_TABLE_ROWS)
+                };
+            }
+            if (output.type === 'test-report') {
+                const report = output.report || {};
+                return {
+                    type: 'test-report',
+                    report: {
+                        ...report,
+                        tests: (report.tests || []).slice(0, this.MAX_OUTPUTS).map(test => test.error ? {
+                            ...test,
+                            error: Object.fromEntries(Object.entries(test.error).map(([key, value]) => [key, truncate(value)]))
+                        } : test)
+                    }
+                };
+            }
+            if ('content' in output) {
+                return { type: output.type, content: truncate(output.content) };
+            }
+            return { type: 'info', content: `[${output.type}]` };
+        });
+    }
+};
+
+if (typeof window !== 'undefined') {
+    window.RunnerHistory = RunnerHistory;
+}
@@ -0,0 +1,271 @@
+/**
+ * RuntimeAssets - Runner 内置运行时管理
+ *
+ * Python / SQL / Lua / Ruby / TypeScript / Go / C++ 的运行时随扩展打包在 js/runner/runtimes/ 下，
+ * 离线和受限网络环境中也能运行。运行时文件不入库，未下载（如直接加载源码目录）时回退到 CDN（source）加载。
+ *
+ * 运行时文件由 scripts/fetch-runtimes.js 按此处固定的版本下载，并生成索引 runtimes.json：
+ * { generatedAt, runtimes: { [id]: { version, files: { [fileName]: size }, packages?: string[], wheels?: { [fileName]: size } } } }
+ * packages / wheels 只有 Pyodide 使用：已打包的 Pyodide 包（含依赖）和 wheels/ 下的纯 Python wheel
+ *
+ * 同时被两处加载：
+ * - 内容脚本：查询安装状态和大小（BaseRunner.isReady、Runner 设置页）
+ * - 沙箱页面（sandbox.html）：按需注入运行时脚本（load），沙箱页面没有 chrome.runtime，
+ *   运行时地址相对本脚本位置解析
+ */
+
+const RuntimeAssets = {
+    BASE_PATH: 'js/runner/runtimes/',
+    INDEX_FILE: 'runtimes.json',
+    // Pyodide 运行时目录下存放额外 wheel 的子目录
+    WHEELS_DIR: 'wheels/',
+
+    /**
+     * 运行时定义
+     * - source: 官方发布地址（fetch-runtimes.js 的下载源）
+     * - scripts: 沙箱中按顺序注入的脚本
+     * - files: 需要打包的全部文件（脚本 + WASM / 标准库等按需读取的资源）
+     * - packages: 随运行时打包的 Pyodide 包（依赖按 pyodide-lock.json 自动补全），代码 import 时自动加载
+     * - wheels: 额外打包的 PyPI 纯 Python 包（放在 wheels/ 下，import 时通过 micropip 安装）
+     */
+    RUNTIMES: {
+        pyodide: {
+            name: 'Pyodide',
+            version: '0.24.1',
+            languages: ['python'],
+            source: 'https://cdn.jsdelivr.net/pyodide/v0.24.1/full/',
+            scripts: ['pyodide.js'],
+            files: ['pyodide.js', 'pyodide.asm.js', 'pyodide.asm.wasm', 'python_stdlib.zip', 'pyodide-lock.json'],
+            packages: ['micropip', 'numpy', 'pandas', 'matplotlib'],
+            wheels: []
+        },
+        sqljs: {
+            name: 'sql.js',
+            version: '1.8.0',
+            languages: ['sql'],
+            source: 'https://cdn.jsdelivr.net/npm/sql.js@1.8.0/dist/',
+            scripts: ['sql-wasm.js'],
+            files: ['sql-wasm.js', 'sql-wasm.wasm']
+        },
+        fengari: {
+            name: 'Fengari',
+            version: '0.1.4',
+            languages: ['lua'],
+            source: 'https://cdn.jsdelivr.net/npm/fengari-web@0.1.4/dist/',
+            scripts: ['fengari-web.js'],
+            files: ['fengari-web.js']
+        },
+        opal: {
+            name: 'Opal',
+            version: '1.7.3',
+            languages: ['ruby'],
+            source: 'https://cdn.opalrb.com/opal/1.7.3/',
+            scripts: ['opal.min.js', 'opal-parser.min.js'],
+            files: ['opal.min.js', 'opal-parser.min.js']
+        },
+        typescript: {
+            name: 'TypeScript',
+            version: '5.3.3',
+            languages: ['typescript'],
+            source: 'https://cdn.jsdelivr.net/npm/typescript@5.3.3/lib/',
+            scripts: ['typescript.min.js'],
+            files: ['typescript.min.js']
+        },
+        yaegi: {
+            name: 'Yaegi',
+            version: '1.0.2',
+            languages: ['go'],
+            source: 'https://cdn.jsdelivr.net/npm/yaegi-wasm@1.0.2/src/',
+            scripts: ['wasm_exec.js'],
+            files: ['wasm_exec.js', 'yaegi-browser.wasm']
+        },
+        jscpp: {
+            name: 'JSCPP',
+            version: '2.0.6',
+            languages: ['cpp'],
+            source: 'https://cdn.jsdelivr.net/npm/JSCPP@2.0.6/dist/',
+            scripts: ['JSCPP.es5.min.js'],
+            files: ['JSCPP.es5.min.js']
+        }
+    },
+
+    // 本脚本地址（沙箱页面中用于解析运行时目录）
+    _scriptUrl: (typeof document !== 'undefined' && document.currentScript) ? document.currentScript.src : '',
+
+    _indexPromise: null,
+
+    // 已回退到 CDN 加载的运行时 ID（仅沙箱页面中使用）
+    _cdnFallback: new Set(),
+
+    /**
+     * 运行时目录地址（以 / 结尾），回退到 CDN 后为 source 地址
+     */
+    getBaseUrl(id) {
+        if (this._cdnFallback.has(id)) return this.RUNTIMES[id].source;
+        return `${this._getRootUrl()}${id}/`;
+    },
+
+    /**
+     * 运行时是否从 CDN 加载（扩展中未内置）
+     */
+    isCdnFallback(id) {
+        return this._cdnFallback.has(id);
+    },
+
+    /**
+     * 运行时根目录地址（以 / 结尾）
+     */
+    _getRootUrl() {
+        if (typeof chrome !== 'undefined' && chrome.runtime?.getURL) {
+            return chrome.runtime.getURL(this.BASE_PATH);
+        }
+        return new URL('../runtimes/', this._scriptUrl || location.href).href;
+    },
+
+    getUrl(id, file) {
+        return this.getBaseUrl(id) + file;
+    },
+
+    /**
+     * 语言对应的运行时 ID
+     * @returns {string|null}
+     */
+    getRuntimeIdByLanguage(language) {
+        const entry = Object.entries(this.RUNTIMES).find(([, def]) => def.languages.includes(language));
+        return entry ? entry[0] : null;
+    },
+
+    /**
+     * 运行时未内置时的提示（设置页）
+     */
+    getMissingMessage(id) {
+        return this._getMessage('runnerRuntimeMissingHint',
+            '{name} 运行时未随扩展内置，将从 CDN 加载（需联网）；运行 node scripts/fetch-runtimes.js 后重新加载扩展即可离线使用', id);
+    },
+
+    /**
+     * 本地和 CDN 均加载失败时的提示（沙箱页面）
+     */
+    getLoadFailedMessage(id) {
+        return this._getMessage('runnerRuntimeLoadFailed',
+            '无法加载 {name} 运行时：扩展未内置且 CDN 不可用，请检查网络连接', id);
+    },
+
+    /**
+     * 沙箱页面没有 chrome.i18n，使用中文文案
+     */
+    _getMessage(key, fallback, id) {
+        const name = this.RUNTIMES[id]?.name || id;
+        let message = '';
+        try {
+            message = (typeof chrome !== 'undefined' && chrome.i18n?.getMessage?.(key)) || '';
+        } catch (e) {
+            // 使用中文文案
+        }
+        return (message || fallback).replace('{name}', name);
+    },
+
+    /**
+     * 在当前页面（沙箱）中依次注入运行时脚本
+     * 内置文件缺失时回退到 CDN（source），仍失败时抛出 code = 'RUNTIME_MISSING' 的错误
+     * @returns {Promise<void>}
+     */
+    async load(id) {
+        const def = this.RUNTIMES[id];
+        if (!def) throw new Error(`Unknown runtime: ${id}`);
+
+        try {
+            await this._injectScripts(id, def.scripts);
+        } catch (e) {
+            // 未内置：剩余脚本改从 CDN 加载（WASM、标准库等资源地址随 getBaseUrl 一起切换）
+            console.warn(`[RuntimeAssets] ${def.name} not bundled, loading from CDN`);
+            this._cdnFallback.add(id);
+            try {
+                await this._injectScripts(id, def.scripts.slice(e.loadedCount));
+            } catch (cdnError) {
+                const error = new Error(this.getLoadFailedMessage(id));
+                error.code = 'RUNTIME_MISSING';
+                throw error;
+            }
+        }
+    },
+
+    /**
+     * 按顺序注入脚本，失败时错误的 loadedCount 为已加载的脚本数
+     */
+    async _injectScripts(id, files) {
+        for (let i = 0; i < files.length; i++) {
+            await new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = this.getUrl(id, files[i]);
+                script.onload = resolve;
+                script.onerror = () => {
+                    const error = new Error(`Failed to load ${script.src}`);
+                    error.loadedCount = i;
+                    reject(error);
+                };
+                document.head.appendChild(script);
+            });
+        }
+    },
+
+    /**
+     * 读取运行时索引（缓存），未生成时返回 null
+     */
+    async getIndex() {
+        if (!this._indexPromise) {
+            this._indexPromise = fetch(this._getRootUrl() + this.INDEX_FILE)
+                .then(resp => resp.ok ? resp.json() : null)
+                .catch(() => null);
+        }
+        return this._indexPromise;
+    },
+
+    /**
+     * 运行时安装状态
+     * - packages: 已打包的包（Pyodide 包中 RUNTIMES 声明的部分 + wheel 项目名）
+     * @returns {Promise<{ id, name, version, languages, installed: boolean, installedVersion: string|null, size: number, packages: string[] }>}
+     */
+    async getStatus(id) {
+        const def = this.RUNTIMES[id];
+        const entry = (await this.getIndex())?.runtimes?.[id] || null;
+        const files = entry?.files || {};
+        const wheels = entry?.wheels || {};
+        return {
+            id,
+            name: def.name,
+            version: def.version,
+            languages: def.languages,
+            installed: !!entry && entry.version === def.version && def.files.every(file => files[file] !== undefined),
+            installedVersion: entry?.version || null,
+            size: [...Object.values(files), ...Object.values(wheels)].reduce((sum, size) => sum + size, 0),
+            packages: [
+                ...(def.packages || []).filter(name => entry?.packages?.includes(name)),
+                ...Object.keys(wheels).map(file => this.getWheelProject(file))
+            ]
+        };
+    },
+
+    /**
+     * wheel 文件名中的项目名（规范化为小写、下划线）：Foo_Bar-1.0-py3-none-any.whl → foo_bar
+     */
+    getWheelProject(fileName) {
+        return this.normalizePackageName(fileName.split('-')[0]);
+    },
+
+    normalizePackageName(name) {
+        return name.toLowerCase().replace(/[-_.]+/g, '_');
+    },
+
+    /**
+     * 所有运行时的安装状态
+     * @returns {Promise<Array>}
+     */
+    async getAllStatus() {
+        return Promise.all(Object.keys(this.RUNTIMES).map(id => this.getStatus(id)));
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RuntimeAssets;
+}
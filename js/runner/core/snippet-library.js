@@ -0,0 +1,136 @@
+/**
+ * RunnerSnippets - 代码片段库
+ *
+ * 从 RunnerPanel 保存的代码（单文件或项目），在 Runner 设置页按标题 / 标签 / 代码搜索，
+ * 一键在悬浮运行器中打开。片段参与导出和云同步（按 id 合并）。
+ *
+ * 存储结构（storage key: runnerSnippets）：
+ * [{ id, title, language, code, files?, tags: string[], createdAt, updatedAt }]
+ */
+
+const RunnerSnippets = {
+    STORAGE_KEY: 'runnerSnippets',
+
+    _queue: Promise.resolve(),
+
+    /**
+     * @returns {Promise<Array>} 最近更新的在前
+     */
+    async getAll() {
+        try {
+            const result = await chrome.storage.local.get(this.STORAGE_KEY);
+            const items = result[this.STORAGE_KEY];
+            return Array.isArray(items) ? items.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0)) : [];
+        } catch (e) {
+            return [];
+        }
+    },
+
+    /**
+     * 读取 - 修改 - 写回（串行执行）
+     * @param {Function} updater - (items) => items
+     */
+    _update(updater) {
+        const task = this._queue.then(async () => {
+            const items = updater(await this.getAll());
+            await chrome.storage.local.set({ [this.STORAGE_KEY]: items });
+        });
+        this._queue = task.catch(() => {});
+        return task;
+    },
+
+    /**
+     * 新建片段
+     * @param {{ title: string, language: string, code: string, files?: Array, tags?: string[] }} snippet
+     * @returns {Promise<Object>}
+     */
+    async add({ title, language, code, files = null, tags = [] }) {
+        const now = Date.now();
+        const snippet = {
+            id: `snippet-${now}-${Math.random().toString(36).slice(2, 8)}`,
+            title,
+            language,
+            code,
+            files: files || undefined,
+            tags: this.normalizeTags(tags),
+            createdAt: now,
+            updatedAt: now
+        };
+        await this._update(items => [snippet, ...items]);
+        return snippet;
+    },
+
+    /**
+     * 更新标题、标签等字段
+     */
+    async update(id, updates) {
+        await this._update(items => items.map(item => item.id === id
+            ? { ...item, ...updates, tags: this.normalizeTags(updates.tags ?? item.tags), updatedAt: Date.now() }
+            : item));
+    },
+
+    async remove(id) {
+        await this._update(items => items.filter(item => item.id !== id));
+    },
+
+    /**
+     * 标签去空白、去重
+     * @param {string|string[]} tags - 数组，或以逗号 / 空格分隔的字符串
+     */
+    normalizeTags(tags) {
+        const list = Array.isArray(tags) ? tags : String(tags || '').split(/[,，\s]+/);
+        return [...new Set(list.map(tag => tag.replace(/^#/, '').trim()).filter(Boolean))];
+    },
+
+    /**
+     * 拆分「标题 #标签1 #标签2」形式的输入
+     * @returns {{ title: string, tags: string[] }}
+     */
+    parseTitle(input) {
+        const tags = (input.match(/(^|\s)#[^\s#]+/g) || []).map(tag => tag.trim());
+        const title = input.replace(/(^|\s)#[^\s#]+/g, ' ').replace(/\s+/g, ' ').trim();
+        return { title, tags: this.normalizeTags(tags) };
+    },
+
+    /**
+     * 标题和标签合并为输入框中的文本（parseTitle 的逆操作）
+     */
+    formatTitle(snippet) {
+        return [snippet.title, ...(snippet.tags || []).map(tag => `#${tag}`)].join(' ');
+    },
+
+    /**
+     * 所有标签（按使用次数排序）
+     */
+    getTags(items) {
+        const counts = new Map();
+        items.forEach(item => (item.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+        return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([tag]) => tag);
+    },
+
+    /**
+     * 按关键词（标题、语言、标签、代码）和标签筛选
+     * @param {Array} items
+     * @param {string} query - 空格分隔的多个关键词需全部命中
+     * @param {string|null} tag
+     */
+    filter(items, query = '', tag = null) {
+        const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+        return items.filter(item => {
+            if (tag && !(item.tags || []).includes(tag)) return false;
+            if (words.length === 0) return true;
+            const text = [
+                item.title,
+                item.language,
+                ...(item.tags || []),
+                item.code,
+                ...(item.files || []).map(file => `${file.name} ${file.code}`)
+            ].join('\n').toLowerCase();
+            return words.every(word => text.includes(word));
+        });
+    }
+};
+
+if (typeof window !== 'undefined') {
+    window.RunnerSnippets = RunnerSnippets;
+}
@@ -0,0 +1,60 @@
+/**
+ * StdinReplay - 交互输入的父页面一侧（Python / Lua / Ruby / Go 沙箱管理器共用）
+ *
+ * 与沙箱中的 StdinSession（js/runner/core/stdin-session.js）配合：
+ * 保存本次运行的全部输入，沙箱请求输入时等用户输入一行，再带上全部输入重新执行，跳过已显示的输出。
+ *
+ * 每次运行生成一个随机种子，随执行消息发给沙箱，重放时沙箱用同一种子初始化随机数，
+ * 保证重新执行时随机数序列与之前一致（如猜数字程序的答案不会在输入后改变）。
+ */
+
+class StdinReplay {
+    /**
+     * @param {Object} stdin - 标准输入
+     * @param {string} stdin.text - 预填输入（每行一项）
+     * @param {Function} stdin.onInput - 交互输入回调 (prompt) => Promise<string|null>
+     */
+    constructor(stdin = {}) {
+        this.lines = stdin.text ? stdin.text.replace(/\r?\n$/, '').split(/\r?\n/) : [];
+        this.onInput = stdin.onInput || null;
+        this.seed = Math.floor(Math.random() * 0x7fffffff);
+    }
+
+    /**
+     * 执行消息中的输入协议参数
+     * @param {number} skipOutputs - 重放时跳过的输出条数
+     */
+    getMessage(skipOutputs = 0) {
+        return {
+            stdin: this.lines,
+            interactive: !!this.onInput,
+            skipOutputs,
+            seed: this.seed
+        };
+    }
+
+    /**
+     * 沙箱请求一行输入：等用户输入后带上全部输入重新执行，跳过已显示的输出
+     * 用户取消输入时按输入结束（EOF）继续执行
+     * @param {Object} manager - 沙箱管理器（currentSandbox、_startTimeout、_getExecuteMessage）
+     * @param {Object} request - *_INPUT_REQUEST 消息数据 { prompt, outputCount }
+     */
+    async handleRequest(manager, { prompt = '', outputCount = 0 } = {}) {
+        const sandbox = manager.currentSandbox;
+        const line = this.onInput ? await this.onInput(prompt) : null;
+        // 等待期间已停止运行
+        if (!sandbox || sandbox !== manager.currentSandbox) return;
+
+        if (line === null || line === undefined) {
+            this.onInput = null;
+        } else {
+            this.lines.push(String(line));
+        }
+        manager._startTimeout();
+        sandbox.contentWindow.postMessage(manager._getExecuteMessage(outputCount), '*');
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.StdinReplay = StdinReplay;
+}
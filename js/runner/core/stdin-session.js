@@ -0,0 +1,83 @@
+/**
+ * StdinSession - 沙箱标准输入会话（Python / Lua / Ruby / Go 沙箱页面共用）
+ *
+ * 沙箱中的程序无法同步等待父页面的消息，交互输入采用「重放」方式：
+ * 1. 父页面（StdinReplay，js/runner/core/stdin-replay.js）在 EXECUTE_* 消息中带上已有输入
+ *    { stdin: string[], interactive: boolean, skipOutputs: number, seed: number }
+ * 2. 程序读取输入时依次消费 stdin；消费完且为交互模式时，沙箱发送 *_INPUT_REQUEST { prompt, outputCount }
+ *    并中止本次执行
+ * 3. 父页面在输出区显示输入框，拿到一行后追加到 stdin，以 skipOutputs = outputCount 重新执行，
+ *    已显示过的输出不再发送
+ * 非交互模式（或用户取消输入）下输入耗尽视为 EOF。
+ * 重放要求程序在相同输入下输出一致：同一次运行的每次执行都用 seed 初始化随机数
+ * （Math.random 由 seedRandom() 替换，Python random / Ruby rand 由各沙箱用 seed 设置），
+ * 时间相关的输出在重放时仍可能不同。
+ */
+
+class StdinSession {
+    /**
+     * @param {Object} payload - EXECUTE_* 消息
+     * @param {string[]} payload.stdin - 输入行
+     * @param {boolean} payload.interactive - 输入耗尽时是否请求交互输入
+     * @param {number} payload.skipOutputs - 跳过的输出条数（重放时已显示）
+     * @param {number} payload.seed - 本次运行的随机数种子（重放时不变）
+     */
+    constructor(payload = {}) {
+        this.lines = Array.isArray(payload.stdin) ? [...payload.stdin] : [];
+        this.interactive = !!payload.interactive;
+        this.skipOutputs = payload.skipOutputs || 0;
+        this.seed = Number.isInteger(payload.seed) ? payload.seed : Math.floor(Math.random() * 0x7fffffff);
+        this.outputCount = 0;
+        this.requested = false;
+        this.prompt = '';
+    }
+
+    hasLine() {
+        return this.lines.length > 0;
+    }
+
+    readLine() {
+        return this.lines.shift();
+    }
+
+    /**
+     * 请求交互输入，调用方随后应中止执行
+     * @returns {boolean} 非交互模式返回 false，调用方按 EOF 处理
+     */
+    request(prompt = '') {
+        if (!this.interactive) return false;
+        this.requested = true;
+        this.prompt = prompt;
+        return true;
+    }
+
+    /**
+     * 输出计数
+     * @returns {boolean} false 表示该输出在之前的执行中已显示，不再发送
+     */
+    countOutput() {
+        this.outputCount++;
+        return this.outputCount > this.skipOutputs;
+    }
+
+    /**
+     * 用 seed 替换 Math.random（mulberry32），执行前调用，重放时得到相同的随机数序列
+     */
+    seedRandom() {
+        let state = this.seed >>> 0;
+        Math.random = () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * INPUT_REQUEST 消息数据
+     */
+    getRequest() {
+        return { prompt: this.prompt, outputCount: this.outputCount };
+    }
+}
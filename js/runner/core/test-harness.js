@@ -0,0 +1,367 @@
+/**
+ * RunnerTestHarness - 测试模式的迷你测试库（JavaScript / TypeScript 沙箱页面共用）
+ *
+ * 测试写法（两种可混用）：
+ * - describe / it（test）块：describe('add', () => { it('1 + 2', () => expect(add(1, 2)).toBe(3)); })
+ * - 顶层 test_* 函数：function test_add() { assert.equal(add(1, 2), 3); }
+ * 断言：expect(value).toBe / toEqual / toThrow ...（支持 .not），assert / assert.equal / assert.deepEqual ...
+ * 测试函数可以是 async 函数；beforeEach / afterEach 按 describe 层级执行
+ *
+ * 测试报告结构（沙箱以 level: 'test-report' 输出，RunnerPanel 渲染）：
+ * { tests: [{ name, suite, status: 'passed'|'failed'|'skipped', duration, error?: { message, expected?, actual? } }],
+ *   passed, failed, skipped, duration }
+ * expected / actual 为多行文本（对象按缩进展开），便于逐行对比
+ */
+
+const RunnerTestHarness = {
+    // 单个测试的超时（毫秒）
+    TEST_TIMEOUT: 5000,
+
+    // 注入到测试代码中的全局名称
+    GLOBALS: ['describe', 'it', 'test', 'expect', 'assert', 'beforeEach', 'afterEach'],
+
+    /**
+     * 执行代码并运行其中的测试
+     * @param {string} code - 实现代码 + 测试代码（已编译为 JavaScript）
+     * @param {string} [source] - 用于查找 test_* 函数的源码（TypeScript 传编译前的代码），默认同 code
+     * @returns {Promise<Object>} 测试报告；代码本身执行出错时抛出
+     */
+    async run(code, source = code) {
+        const registry = this._createRegistry();
+        const api = this._createApi(registry);
+
+        // 代码末尾登记顶层 test_* 函数（typeof 对未声明的名称也安全）
+        const names = this.findTestFunctions(source);
+        const register = names.length > 0
+            ? `\n;__aitRegisterTests({ ${names.map(name => `${name}: typeof ${name} === 'function' ? ${name} : undefined`).join(', ')} });`
+            : '';
+
+        const AsyncFunction = Object.getPrototypeOf(async function() {}).constructor;
+        const fn = new AsyncFunction(...this.GLOBALS, '__aitRegisterTests', code + register);
+        await fn(...this.GLOBALS.map(name => api[name]), (functions) => {
+            Object.entries(functions).forEach(([name, fn]) => {
+                if (fn) registry.root.tests.push({ name, fn, skip: false });
+            });
+        });
+
+        return this._runSuites(registry.root);
+    },
+
+    /**
+     * 查找顶层声明的 test_* 函数名（function test_x / const test_x = ...）
+     * @returns {string[]}
+     */
+    findTestFunctions(source) {
+        const found = [];
+        const patterns = [
+            /^[ \t]*(?:export\s+)?(?:async\s+)?function\s*\*?\s*(test_\w+)\s*[(<]/gm,
+            /^[ \t]*(?:export\s+)?(?:const|let|var)\s+(test_\w+)\s*(?::[^=]+)?=/gm
+        ];
+        patterns.forEach(pattern => {
+            let match;
+            while ((match = pattern.exec(source)) !== null) {
+                found.push({ name: match[1], index: match.index });
+            }
+        });
+        // 按声明顺序
+        return [...new Set(found.sort((a, b) => a.index - b.index).map(item => item.name))];
+    },
+
+    // ===== 注册 =====
+
+    _createRegistry() {
+        const root = { name: '', parent: null, tests: [], children: [], beforeEach: [], afterEach: [], skip: false };
+        return { root, current: root };
+    },
+
+    _createApi(registry) {
+        const addTest = (skip) => (name, fn) => {
+            registry.current.tests.push({ name: String(name), fn, skip: skip || typeof fn !== 'function' });
+        };
+        const addSuite = (skip) => (name, fn) => {
+            const suite = { name: String(name), parent: registry.current, tests: [], children: [], beforeEach: [], afterEach: [], skip };
+            registry.current.children.push(suite);
+            registry.current = suite;
+            try {
+                // describe 的回调同步注册测试
+                fn();
+            } finally {
+                registry.current = suite.parent;
+            }
+        };
+
+        const describe = addSuite(false);
+        describe.skip = addSuite(true);
+        const it = addTest(false);
+        it.skip = addTest(true);
+
+        return {
+            describe,
+            it,
+            test: it,
+            expect: (actual) => this._expect(actual),
+            assert: this._createAssert(),
+            beforeEach: (fn) => registry.current.beforeEach.push(fn),
+            afterEach: (fn) => registry.current.afterEach.push(fn)
+        };
+    },
+
+    // ===== 执行 =====
+
+    async _runSuites(root) {
+        const startTime = performance.now();
+        const results = [];
+
+        const runSuite = async (suite, path, skipped) => {
+            const suitePath = suite.name ? [...path, suite.name] : path;
+            for (const test of suite.tests) {
+                results.push(await this._runTest(test, suite, suitePath.join(' › '), skipped || suite.skip));
+            }
+            for (const child of suite.children) {
+                await runSuite(child, suitePath, skipped || suite.skip);
+            }
+        };
+        await runSuite(root, [], false);
+
+        const count = status => results.filter(result => result.status === status).length;
+        return {
+            tests: results,
+            passed: count('passed'),
+            failed: count('failed'),
+            skipped: count('skipped'),
+            duration: performance.now() - startTime
+        };
+    },
+
+    async _runTest(test, suite, suiteName, skipped) {
+        const result = { name: test.name, suite: suiteName, status: 'passed', duration: 0 };
+        if (skipped || test.skip) {
+            result.status = 'skipped';
+            return result;
+        }
+
+        // 外层 describe 的 beforeEach 先执行，afterEach 后执行
+        const chain = [];
+        for (let s = suite; s; s = s.parent) chain.unshift(s);
+        const startTime = performance.now();
+        try {
+            for (const s of chain) {
+                for (const hook of s.beforeEach) await hook();
+            }
+            await this._withTimeout(test.fn());
+            for (const s of [...chain].reverse()) {
+                for (const hook of s.afterEach) await hook();
+            }
+        } catch (error) {
+            result.status = 'failed';
+            result.error = this._describeError(error);
+        }
+        result.duration = performance.now() - startTime;
+        return result;
+    },
+
+    _withTimeout(value) {
+        if (!value || typeof value.then !== 'function') return value;
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`测试超时（${this.TEST_TIMEOUT / 1000} 秒）`)), this.TEST_TIMEOUT);
+        });
+        return Promise.race([value, timeout]).finally(() => clearTimeout(timer));
+    },
+
+    _describeError(error) {
+        if (error && error.name === 'AssertionError') {
+            const info = { message: error.message };
+            if ('expected' in error) {
+                info.expected = this.format(error.expected);
+                info.actual = this.format(error.actual);
+            }
+            return info;
+        }
+        return { message: error instanceof Error ? `${error.name}: ${error.message}` : String(error) };
+    },
+
+    // ===== 断言 =====
+
+    _fail(message, details) {
+        const error = new Error(message);
+        error.name = 'AssertionError';
+        if (details) {
+            error.expected = details.expected;
+            error.actual = details.actual;
+        }
+        throw error;
+    },
+
+    _expect(actual) {
+        const harness = this;
+        const create = (negate) => {
+            // pass 为断言成立的条件；diff 为 { expected[, actual] } 时失败信息附上两者的对比（.not 不对比）
+            const check = (pass, message, diff = null) => {
+                if (pass !== negate) return;
+                const text = negate ? message.replace(' to ', ' not to ') : message;
+                harness._fail(text, diff && !negate ? { actual, ...diff } : null);
+            };
+            const show = value => harness.format(value).split('\n').join(' ');
+
+            return {
+                toBe: (expected) => check(Object.is(actual, expected), `expected ${show(actual)} to be ${show(expected)}`, { expected }),
+                toEqual: (expected) => check(harness.deepEqual(actual, expected), 'expected values to be deeply equal', { expected }),
+                toStrictEqual: (expected) => check(harness.deepEqual(actual, expected, true), 'expected values to be strictly equal', { expected }),
+                toBeTruthy: () => check(!!actual, `expected ${show(actual)} to be truthy`),
+                toBeFalsy: () => check(!actual, `expected ${show(actual)} to be falsy`),
+                toBeNull: () => check(actual === null, `expected ${show(actual)} to be null`),
+                toBeUndefined: () => check(actual === undefined, `expected ${show(actual)} to be undefined`),
+                toBeDefined: () => check(actual !== undefined, `expected value to be defined`),
+                toBeNaN: () => check(Number.isNaN(actual), `expected ${show(actual)} to be NaN`),
+                toBeGreaterThan: (n) => check(actual > n, `expected ${show(actual)} to be greater than ${show(n)}`),
+                toBeGreaterThanOrEqual: (n) => check(actual >= n, `expected ${show(actual)} to be greater than or equal to ${show(n)}`),
+                toBeLessThan: (n) => check(actual < n, `expected ${show(actual)} to be less than ${show(n)}`),
+                toBeLessThanOrEqual: (n) => check(actual <= n, `expected ${show(actual)} to be less than or equal to ${show(n)}`),
+                toBeCloseTo: (n, digits = 2) => check(Math.abs(actual - n) < Math.pow(10, -digits) / 2, `expected ${show(actual)} to be close to ${show(n)}`),
+                toBeInstanceOf: (cls) => check(actual instanceof cls, `expected value to be an instance of ${cls?.name || cls}`),
+                toContain: (item) => check(
+                    typeof actual === 'string' ? actual.includes(item) : Array.from(actual || []).some(value => Object.is(value, item)),
+                    `expected ${show(actual)} to contain ${show(item)}`),
+                toHaveLength: (length) => check(actual?.length === length, `expected length ${show(actual?.length)} to be ${length}`, { expected: length, actual: actual?.length }),
+                toHaveProperty: (key) => check(actual !== null && actual !== undefined && key in Object(actual), `expected value to have property ${show(key)}`),
+                toMatch: (pattern) => check(
+                    pattern instanceof RegExp ? pattern.test(actual) : String(actual).includes(pattern),
+                    `expected ${show(actual)} to match ${show(pattern)}`),
+                toThrow: (expected) => {
+                    let thrown = null;
+                    try {
+                        actual();
+                    } catch (error) {
+                        thrown = error;
+                    }
+                    const matches = thrown !== null && (expected === undefined
+                        || (expected instanceof RegExp && expected.test(thrown?.message))
+                        || (typeof expected === 'string' && String(thrown?.message).includes(expected))
+                        || (typeof expected === 'function' && thrown instanceof expected));
+                    const target = expected === undefined ? '' : ` ${show(expected)}`;
+                    check(matches, thrown === null
+                        ? `expected function to throw${target}`
+                        : `expected function to throw${target}, but it threw ${show(thrown?.message ?? thrown)}`);
+                }
+            };
+        };
+
+        const matchers = create(false);
+        matchers.not = create(true);
+        return matchers;
+    },
+
+    _createAssert() {
+        const harness = this;
+        const show = value => harness.format(value).split('\n').join(' ');
+
+        function assert(value, message) {
+            if (!value) harness._fail(message || `expected ${show(value)} to be truthy`);
+        }
+        assert.ok = assert;
+        assert.equal = (actual, expected, message) => {
+            if (!Object.is(actual, expected)) harness._fail(message || `expected ${show(actual)} to equal ${show(expected)}`, { expected, actual });
+        };
+        assert.strictEqual = assert.equal;
+        assert.notEqual = (actual, expected, message) => {
+            if (Object.is(actual, expected)) harness._fail(message || `expected ${show(actual)} not to equal ${show(expected)}`);
+        };
+        assert.notStrictEqual = assert.notEqual;
+        assert.deepEqual = (actual, expected, message) => {
+            if (!harness.deepEqual(actual, expected)) harness._fail(message || 'expected values to be deeply equal', { expected, actual });
+        };
+        assert.deepStrictEqual = (actual, expected, message) => {
+            if (!harness.deepEqual(actual, expected, true)) harness._fail(message || 'expected values to be strictly equal', { expected, actual });
+        };
+        assert.notDeepEqual = (actual, expected, message) => {
+            if (harness.deepEqual(actual, expected)) harness._fail(message || 'expected values not to be deeply equal');
+        };
+        assert.throws = (fn, expected, message) => {
+            try {
+                harness._expect(fn).toThrow(expected);
+            } catch (error) {
+                harness._fail(message || error.message);
+            }
+        };
+        assert.fail = (message = 'Failed') => harness._fail(message);
+        return assert;
+    },
+
+    /**
+     * 深比较：数组、普通对象、Date、RegExp、Map、Set；strict 时还比较原型
+     */
+    deepEqual(a, b, strict = false, seen = new Map()) {
+        if (Object.is(a, b)) return true;
+        if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+        if (strict && Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+        if (seen.get(a) === b) return true;
+        seen.set(a, b);
+
+        if (a instanceof Date || b instanceof Date) {
+            return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+        }
+        if (a instanceof RegExp || b instanceof RegExp) {
+            return a instanceof RegExp && b instanceof RegExp && String(a) === String(b);
+        }
+        if (Array.isArray(a) !== Array.isArray(b)) return false;
+        if (a instanceof Map || b instanceof Map) {
+            if (!(a instanceof Map && b instanceof Map) || a.size !== b.size) return false;
+            return [...a].every(([key, value]) => b.has(key) && this.deepEqual(value, b.get(key), strict, seen));
+        }
+        if (a instanceof Set || b instanceof Set) {
+            if (!(a instanceof Set && b instanceof Set) || a.size !== b.size) return false;
+            return [...a].every(value => b.has(value) || [...b].some(other => this.deepEqual(value, other, strict, seen)));
+        }
+
+        const keysA = Object.keys(a).filter(key => strict || a[key] !== undefined);
+        const keysB = Object.keys(b).filter(key => strict || b[key] !== undefined);
+        if (keysA.length !== keysB.length) return false;
+        return keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && this.deepEqual(a[key], b[key], strict, seen));
+    },
+
+    /**
+     * 值格式化为文本：较短的对象、数组保持一行，否则按两空格缩进展开为多行
+     */
+    format(value, indent = '', seen = new Set()) {
+        if (value === null) return 'null';
+        if (value === undefined) return 'undefined';
+        if (typeof value === 'string') return JSON.stringify(value);
+        if (typeof value === 'bigint') return `${value}n`;
+        if (typeof value === 'function') return `[Function ${value.name || 'anonymous'}]`;
+        if (typeof value !== 'object') return String(value);
+        if (seen.has(value)) return '[Circular]';
+        if (value instanceof Date) return `Date(${isNaN(value) ? 'Invalid Date' : value.toISOString()})`;
+        if (value instanceof RegExp) return String(value);
+        if (value instanceof Error) return `${value.name}: ${value.message}`;
+
+        seen.add(value);
+        const inner = indent + '  ';
+        const block = (open, items, close) => {
+            seen.delete(value);
+            if (items.length === 0) return open + close;
+            const padding = open.endsWith('{') ? ' ' : '';
+            const inline = `${open}${padding}${items.join(', ')}${padding}${close}`;
+            if (inline.length <= 60 && !inline.includes('\n')) return inline;
+            return `${open}\n${items.map(item => inner + item).join(',\n')}\n${indent}${close}`;
+        };
+        if (Array.isArray(value)) {
+            return block('[', value.map(item => this.format(item, inner, seen)), ']');
+        }
+        if (value instanceof Map) {
+            return block('Map {', [...value].map(([key, item]) => `${this.format(key, inner, seen)} => ${this.format(item, inner, seen)}`), '}');
+        }
+        if (value instanceof Set) {
+            return block('Set {', [...value].map(item => this.format(item, inner, seen)), '}');
+        }
+        const name = value.constructor && value.constructor !== Object ? `${value.constructor.name} ` : '';
+        return block(`${name}{`, Object.keys(value).map(key => {
+            const label = /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+            return `${label}: ${this.format(value[key], inner, seen)}`;
+        }), '}');
+    }
+};
+
+if (typeof window !== 'undefined') {
+    window.RunnerTestHarness = RunnerTestHarness;
+}
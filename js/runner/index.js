@@ -72,6 +72,16 @@
         },
     ];
 
+    // AI 回复容器（项目模式从中收集同一回复的代码块），未命中时向上查找包含多个代码块的祖先
+    const REPLY_SELECTORS = [
+        '[data-message-author-role="assistant"]',  // ChatGPT
+        '.font-claude-response',                    // Claude
+        'message-content',                          // Gemini
+        '.ds-markdown',                             // DeepSeek
+        '.markdown'                                 // Kimi 等
+    ];
+    const REPLY_SEARCH_DEPTH = 6;
+
     // ===== 状态变量 =====
     
     let runnerManagerInstance = null;
@@ -136,6 +146,94 @@
         return maxZ;
     }
 
+    // ===== 项目模式 =====
+
+    /**
+     * 查找代码块所在的 AI 回复容器
+     * @param {HTMLElement} layoutContainer - 布局容器
+     * @returns {HTMLElement|null}
+     */
+    function findReplyContainer(layoutContainer) {
+        const reply = layoutContainer.parentElement?.closest(REPLY_SELECTORS.join(','));
+        if (reply) return reply;
+
+        const codeSelector = CODE_BLOCK_CONFIGS.map(config => config.codeSelector).join(',');
+        let node = layoutContainer.parentElement;
+        for (let depth = 0; node && node !== document.body && depth < REPLY_SEARCH_DEPTH; depth++) {
+            if (node.querySelectorAll(codeSelector).length > 1) return node;
+            node = node.parentElement;
+        }
+        return null;
+    }
+
+    /**
+     * 代码块前的说明文字（AI 常在代码块前写 "**utils.py**"），部分平台代码块外还有包装层，向上查找
+     * @param {HTMLElement} layoutContainer - 布局容器
+     * @returns {string}
+     */
+    function getCodeBlockHint(layoutContainer) {
+        let node = layoutContainer;
+        for (let depth = 0; node && depth < 3; depth++) {
+            const prev = node.previousElementSibling;
+            if (prev) {
+                const lines = (prev.textContent || '').trim().split('\n');
+                return lines[lines.length - 1].trim();
+            }
+            node = node.parentElement;
+        }
+        return '';
+    }
+
+    /**
+     * 代码块语言：优先取平台标注的 language-xxx 类名，其次说明文字中的文件扩展名，最后 hljs 识别
+     * @returns {string|null}
+     */
+    function getCodeBlockLanguage(codeElement, code, hint) {
+        const classLang = (codeElement.className || '').toString().match(/(?:language|lang)-([\w-]+)/)?.[1]?.toLowerCase();
+        if (classLang) {
+            const language = RunnerProject.EXTENSION_LANGUAGES[classLang] || (getRunnerLanguageById(classLang) ? classLang : null);
+            if (language) return language;
+        }
+        const hintFileName = RunnerProject.extractFileName(hint);
+        return (hintFileName && RunnerProject.getLanguageByFileName(hintFileName)) || detectLanguage(code);
+    }
+
+    /**
+     * 收集与当前代码块同一回复中、可组成项目的代码块
+     * @param {HTMLElement} layoutContainer - 当前代码块的布局容器
+     * @param {string} language - 当前代码块的语言
+     * @returns {Array<{name, language, code}>|null} 少于 2 个文件时返回 null
+     */
+    function collectProjectFiles(layoutContainer, language) {
+        const reply = findReplyContainer(layoutContainer);
+        if (!reply) return null;
+
+        // 按 CODE_BLOCK_CONFIGS 优先级匹配，同一布局容器只取一次（防止嵌套 code 重复）
+        const blocks = new Map();
+        for (const config of CODE_BLOCK_CONFIGS) {
+            reply.querySelectorAll(config.codeSelector).forEach(codeElement => {
+                const layout = codeElement.closest(config.layoutSelector);
+                if (!layout || blocks.has(layout) || !reply.contains(layout)) return;
+                if ([...blocks.keys()].some(other => other.contains(layout) || layout.contains(other))) return;
+                blocks.set(layout, codeElement);
+            });
+        }
+        if (blocks.size < 2) return null;
+
+        const ordered = [...blocks.entries()].sort(([a], [b]) =>
+            a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+        );
+        const items = ordered
+            .map(([layout, codeElement]) => {
+                const code = getCodeText(codeElement);
+                const hint = getCodeBlockHint(layout);
+                return { code, hint, language: layout === layoutContainer ? language : getCodeBlockLanguage(codeElement, code, hint) };
+            })
+            .filter(block => block.code.trim() && block.language && RunnerProject.isRelated(language, block.language));
+
+        return items.length > 1 ? RunnerProject.createFiles(items) : null;
+    }
+
     // ===== UI 创建函数 =====
 
     /**
@@ -170,8 +268,9 @@
             // 如果配置了使用悬浮面板，直接打开 FloatingRunnerPanel
             if (config.useFloatingPanel && window.FloatingRunnerPanel) {
                 const code = getCodeText(codeElement);
+                const projectFiles = collectProjectFiles(layoutContainer, language);
                 const floatingPanel = window.FloatingRunnerPanel.getInstance();
-                floatingPanel.show({ code, language });
+                floatingPanel.show({ code, language, projectFiles });
             } else {
                 handleRunClick(codeElement, layoutContainer, button, language);
             }
@@ -180,6 +279,82 @@
         return button;
     }
 
+    /**
+     * 创建对比按钮：把代码块标记为 A / B，两侧都标记后打开 RunnerDiffViewer
+     * @param {HTMLElement} codeElement - 代码元素
+     * @param {HTMLElement} layoutContainer - 布局容器
+     * @param {string} language - 语言类型
+     * @returns {HTMLElement}
+     */
+    function createDiffButton(codeElement, layoutContainer, language) {
+        const button = document.createElement('button');
+        button.className = 'runner-code-diff-btn';
+        button.innerHTML = `
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                <rect x="3" y="4" width="7" height="16" rx="1"/>
+                <rect x="14" y="4" width="7" height="16" rx="1"/>
+            </svg>
+            <span class="runner-code-diff-badge"></span>
+        `;
+        button.setAttribute('title', safeI18n('runnerDiffMark', '对比：标记为 A / B'));
+        button.setAttribute('data-language', language);
+        button._codeElement = codeElement;
+        button.style.zIndex = getMaxChildZIndex(layoutContainer) + 1;
+
+        button.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+
+            const viewer = window.RunnerDiffViewer.getInstance();
+            const code = getCodeText(codeElement);
+            window.globalDropdownManager.show({
+                trigger: button,
+                position: 'bottom-right',
+                width: 180,
+                items: [
+                    { label: safeI18n('runnerDiffMarkA', '设为 A（旧版本）'), value: 'a', icon: 'A' },
+                    { label: safeI18n('runnerDiffMarkB', '设为 B（新版本）'), value: 'b', icon: 'B' },
+                    { type: 'divider' },
+                    { label: safeI18n('runnerDiffOpen', '打开对比'), value: 'open', icon: '⇄', disabled: !viewer.isReady() },
+                    { label: safeI18n('runnerDiffClear', '清除标记'), value: 'clear', icon: '✕', disabled: !viewer.marks.a && !viewer.marks.b }
+                ],
+                onSelect: (item) => {
+                    if (item.value === 'open') {
+                        viewer.show();
+                    } else if (item.value === 'clear') {
+                        viewer.clearMarks();
+                    } else if (item.value === 'a' || item.value === 'b') {
+                        viewer.mark(item.value, { code, language });
+                        if (viewer.isReady()) {
+                            viewer.show();
+                        } else {
+                            const other = item.value === 'a' ? 'B' : 'A';
+                            window.globalToastManager?.info(
+                                safeI18n('runnerDiffMarked', '已标记，再把另一个代码块设为 {side}').replace('{side}', other),
+                                button
+                            );
+                        }
+                    }
+                }
+            });
+        });
+
+        return button;
+    }
+
+    /**
+     * 同步页面上对比按钮的 A / B 角标
+     */
+    function updateDiffButtons() {
+        const viewer = window.RunnerDiffViewer?.getInstance();
+        if (!viewer) return;
+        document.querySelectorAll('.runner-code-diff-btn').forEach(button => {
+            const side = button._codeElement ? viewer.getMarkedSide(getCodeText(button._codeElement)) : null;
+            button.classList.toggle('marked', !!side);
+            button.querySelector('.runner-code-diff-badge').textContent = side ? side.toUpperCase() : '';
+        });
+    }
+
     // 使用全局语言配置（来自 constants.js）
     const LANGUAGE_CONFIGS = RUNNER_LANGUAGES;
 
@@ -233,11 +408,11 @@
                 panel.destroy();
                 container.remove();
             },
-            onPopout: ({ code, language }) => {
-                // 打开悬浮面板
+            onPopout: ({ code, language, files }) => {
+                // 打开悬浮面板（项目模式带上全部文件）
                 if (window.FloatingRunnerPanel) {
                     const floatingPanel = window.FloatingRunnerPanel.getInstance();
-                    floatingPanel.show({ code, language });
+                    floatingPanel.show({ code, language, files, projectFiles: panel.projectCandidates });
                 }
             }
         });
@@ -293,6 +468,9 @@
                     } else if (output.level === 'mermaid-preview') {
                         // Mermaid 图表预览
                         outputs.push({ type: 'mermaid-preview', svg: output.data.svg });
+                    } else if (output.level === 'image') {
+                        // 图片（matplotlib 图表）
+                        outputs.push({ type: 'image', src: output.data.src });
                     } else {
                         // 普通输出
                         const content = Array.isArray(output.data) ? output.data.join(' ') : output.data;
@@ -373,6 +551,7 @@
 
         // 设置代码并运行
         if (panel) {
+            panel.setProjectCandidates(collectProjectFiles(layoutContainer, language));
             panel.setCode(code);
             panel.setLanguage(language);
             setTimeout(() => panel.refresh(), 10);
@@ -414,6 +593,12 @@
             if (output.type === 'mermaid-preview') {
                 return renderMermaidPreview(output.svg);
             }
+            // 图片（只接受图片 data URL）
+            if (output.type === 'image') {
+                return /^data:image\/(png|jpeg|gif|svg\+xml);base64,[A-Za-z0-9+/=]+$/.test(output.src)
+                    ? `<div class="runner-image-output"><img src="${output.src}" alt="figure"></div>`
+                    : '';
+            }
             // 普通输出
             const typeClass = `runner-output-${output.type || 'log'}`;
             const content = formatOutputContent(output.content);
@@ -578,6 +763,13 @@
         
         // 插入按钮到 layoutContainer 内部
         layoutContainer.appendChild(runButton);
+
+        // 对比按钮（Mermaid 图表除外）
+        if (language !== 'mermaid' && window.RunnerDiffViewer) {
+            const diffButton = createDiffButton(codeElement, layoutContainer, language);
+            layoutContainer.appendChild(diffButton);
+            updateDiffButtons();
+        }
     }
 
     /**
@@ -705,6 +897,32 @@
         }
     }
 
+    /**
+     * 检查 Go Runner 是否启用
+     * @returns {Promise<boolean>}
+     */
+    async function isGoRunnerEnabled() {
+        try {
+            const result = await chrome.storage.local.get('runnerGoEnabled');
+            return result.runnerGoEnabled !== false;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * 检查 C/C++ Runner 是否启用
+     * @returns {Promise<boolean>}
+     */
+    async function isCppRunnerEnabled() {
+        try {
+            const result = await chrome.storage.local.get('runnerCppEnabled');
+            return result.runnerCppEnabled !== false;
+        } catch {
+            return false;
+        }
+    }
+
     /**
      * 检查 Mermaid 渲染器是否启用
      * @returns {Promise<boolean>}
@@ -734,6 +952,8 @@
         if (language === 'markdown') return isMarkdownRunnerEnabled();
         if (language === 'lua') return isLuaRunnerEnabled();
         if (language === 'ruby') return isRubyRunnerEnabled();
+        if (language === 'go') return isGoRunnerEnabled();
+        if (language === 'cpp') return isCppRunnerEnabled();
         if (language === 'mermaid') return isMermaidRendererEnabled();
         return false;
     }
@@ -743,7 +963,7 @@
      */
     async function scanCodeBlocks() {
         // 检查各语言是否启用
-        const [jsEnabled, pyEnabled, tsEnabled, sqlEnabled, htmlEnabled, jsonEnabled, mdEnabled, luaEnabled, rubyEnabled, mermaidEnabled] = await Promise.all([
+        const [jsEnabled, pyEnabled, tsEnabled, sqlEnabled, htmlEnabled, jsonEnabled, mdEnabled, luaEnabled, rubyEnabled, goEnabled, cppEnabled, mermaidEnabled] = await Promise.all([
             isJavaScriptRunnerEnabled(),
             isPythonRunnerEnabled(),
             isTypeScriptRunnerEnabled(),
@@ -753,11 +973,13 @@
             isMarkdownRunnerEnabled(),
             isLuaRunnerEnabled(),
             isRubyRunnerEnabled(),
+            isGoRunnerEnabled(),
+            isCppRunnerEnabled(),
             isMermaidRendererEnabled()
         ]);
         
         // 如果所有功能都禁用，不扫描
-        if (!jsEnabled && !pyEnabled && !tsEnabled && !sqlEnabled && !htmlEnabled && !jsonEnabled && !mdEnabled && !luaEnabled && !rubyEnabled && !mermaidEnabled) {
+        if (!jsEnabled && !pyEnabled && !tsEnabled && !sqlEnabled && !htmlEnabled && !jsonEnabled && !mdEnabled && !luaEnabled && !rubyEnabled && !goEnabled && !cppEnabled && !mermaidEnabled) {
             return;
         }
         
@@ -771,6 +993,8 @@
             markdown: mdEnabled,
             lua: luaEnabled,
             ruby: rubyEnabled,
+            go: goEnabled,
+            cpp: cppEnabled,
             mermaid: mermaidEnabled
         };
         
@@ -816,7 +1040,7 @@
         }
 
         // 检查是否有任何语言启用
-        const [jsEnabled, pyEnabled, tsEnabled, sqlEnabled, htmlEnabled, jsonEnabled, mdEnabled, luaEnabled, rubyEnabled, mermaidEnabled] = await Promise.all([
+        const [jsEnabled, pyEnabled, tsEnabled, sqlEnabled, htmlEnabled, jsonEnabled, mdEnabled, luaEnabled, rubyEnabled, goEnabled, cppEnabled, mermaidEnabled] = await Promise.all([
             isJavaScriptRunnerEnabled(),
             isPythonRunnerEnabled(),
             isTypeScriptRunnerEnabled(),
@@ -826,10 +1050,12 @@
             isMarkdownRunnerEnabled(),
             isLuaRunnerEnabled(),
             isRubyRunnerEnabled(),
+            isGoRunnerEnabled(),
+            isCppRunnerEnabled(),
             isMermaidRendererEnabled()
         ]);
         
-        if (!jsEnabled && !pyEnabled && !tsEnabled && !sqlEnabled && !htmlEnabled && !jsonEnabled && !mdEnabled && !luaEnabled && !rubyEnabled && !mermaidEnabled) {
+        if (!jsEnabled && !pyEnabled && !tsEnabled && !sqlEnabled && !htmlEnabled && !jsonEnabled && !mdEnabled && !luaEnabled && !rubyEnabled && !goEnabled && !cppEnabled && !mermaidEnabled) {
             console.log('[Runner] All runners are disabled, skipping initialization');
             return;
         }
@@ -845,6 +1071,9 @@
             });
         }
 
+        // 对比标记变化时更新代码块按钮的 A / B 角标
+        window.RunnerDiffViewer?.getInstance().onChange(updateDiffButtons);
+
         // 初始扫描
         await scanCodeBlocks();
         
@@ -0,0 +1,156 @@
+/**
+ * CppRunner - C/C++ 代码执行器
+ * 
+ * 使用 JSCPP（JavaScript 实现的 C++ 解释器）执行 C/C++ 代码
+ * 只支持 iostream、cstdio、cstring、cmath 等基础头文件，不支持 STL 容器、struct 和 std:: 限定名，
+ * char 为 8 位（字符串字面量只能包含 ASCII 字符）
+ */
+
+class CppRunner extends BaseRunner {
+    constructor() {
+        super({
+            language: 'cpp',
+            displayName: 'C/C++',
+            icon: '⚙️',
+            fileExtension: '.cpp',
+            runtime: 'jscpp'
+        });
+        this.sandboxManager = null;
+    }
+
+    /**
+     * 初始化
+     */
+    async initialize() {
+        if (!this.sandboxManager) {
+            this.sandboxManager = new window.CppSandboxManager();
+        }
+        await super.initialize();
+    }
+
+    /**
+     * 执行代码
+     * @param {string} code - 要执行的代码
+     * @param {Object} options - 选项
+     * @returns {Promise}
+     */
+    async execute(code, options = {}) {
+        await this.initialize();
+        
+        const {
+            onOutput = () => {},
+            timeout = 30000, // C/C++ 超时 30 秒
+            stdin = ''       // 预填的标准输入（JSCPP 不支持交互输入）
+        } = options;
+        
+        try {
+            const result = await this.sandboxManager.execute(
+                code,
+                onOutput,
+                timeout,
+                { text: stdin }
+            );
+            
+            return {
+                success: true,
+                duration: result.duration,
+                language: this.language
+            };
+        } catch (error) {
+            onOutput({
+                level: 'error',
+                data: [error.message]
+            });
+            
+            return {
+                success: false,
+                error: error.message,
+                language: this.language
+            };
+        }
+    }
+
+    /**
+     * 执行多文件项目
+     * 头文件（.h / .hpp）在前、入口文件在后合并为一个文件，去掉引用项目内文件的 #include "..."
+     * @param {Array<{name: string, language: string, code: string}>} files - 项目文件
+     * @param {Object} entry - 入口文件
+     * @param {Object} options - 选项
+     * @returns {Promise}
+     */
+    async executeProject(files, entry, options = {}) {
+        const isHeader = file => /\.(h|hpp)$/i.test(file.name);
+        const others = files.filter(file => file !== entry && file.language === entry.language);
+        const code = [...others.filter(isHeader), ...others.filter(file => !isHeader(file)), entry]
+            .map(file => file.code.replace(/^\s*#\s*include\s+"[^"]+"\s*$/gm, ''))
+            .join('\n\n');
+        return this.execute(code, options);
+    }
+
+    /**
+     * 清理资源
+     */
+    cleanup() {
+        if (this.sandboxManager) {
+            this.sandboxManager.destroy();
+        }
+    }
+
+    /**
+     * 获取占位符
+     */
+    getPlaceholder() {
+        return '// 输入 C/C++ 代码\n#include <iostream>\nusing namespace std;\n\nint main() {\n    cout << "Hello, World!" << endl;\n    return 0;\n}';
+    }
+
+    /**
+     * 获取示例代码
+     * @returns {string}
+     */
+    getExampleCode() {
+        return `// C/C++ 示例代码
+#include <iostream>
+#include <cstdio>
+#include <cstring>
+using namespace std;
+
+int factorial(int n) {
+    return n <= 1 ? 1 : n * factorial(n - 1);
+}
+
+void bubbleSort(int arr[], int n) {
+    for (int i = 0; i < n - 1; i++) {
+        for (int j = 0; j < n - i - 1; j++) {
+            if (arr[j] > arr[j + 1]) {
+                int tmp = arr[j];
+                arr[j] = arr[j + 1];
+                arr[j + 1] = tmp;
+            }
+        }
+    }
+}
+
+int main() {
+    cout << "Hello, C++!" << endl;
+    cout << "5! = " << factorial(5) << endl;
+
+    // 数组排序
+    int numbers[] = {5, 2, 8, 1, 9};
+    bubbleSort(numbers, 5);
+    for (int i = 0; i < 5; i++) {
+        printf("%d ", numbers[i]);
+    }
+    printf("\\n");
+
+    // 字符串
+    char name[] = "Runner";
+    printf("%s length: %d\\n", name, (int) strlen(name));
+    return 0;
+}`;
+    }
+}
+
+// 导出
+if (typeof window !== 'undefined') {
+    window.CppRunner = CppRunner;
+}
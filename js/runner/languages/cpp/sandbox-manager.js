@@ -0,0 +1,178 @@
+/**
+ * CppSandboxManager - C/C++ 沙箱管理器
+ * 
+ * 使用扩展内置的 sandbox.html 作为执行环境
+ * 通过 JSCPP（C++ 解释器）在浏览器中运行 C/C++ 代码
+ */
+
+class CppSandboxManager {
+    constructor() {
+        this.currentSandbox = null;
+        this.messageHandler = null;
+        this.timeoutId = null;
+        this.isReady = false;
+        this.pendingCode = null;
+        this.pendingResolve = null;
+        this.pendingReject = null;
+        this.pendingOnMessage = null;
+        this.pendingStdin = '';
+        this.pendingTimeout = 0;
+    }
+
+    /**
+     * 获取沙箱 HTML 的 URL
+     */
+    getSandboxUrl() {
+        if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.getURL) {
+            return chrome.runtime.getURL('js/runner/languages/cpp/sandbox.html');
+        }
+        return null;
+    }
+
+    /**
+     * 在沙箱中执行代码
+     * @param {string} code - 要执行的代码
+     * @param {Function} onMessage - 消息回调
+     * @param {number} timeout - 超时时间（毫秒）
+     * @param {Object} stdin - 标准输入
+     * @param {string} stdin.text - 预填输入（JSCPP 执行前一次性读入，不支持交互输入）
+     * @returns {Promise}
+     */
+    execute(code, onMessage, timeout = 30000, stdin = {}) {
+        return new Promise((resolve, reject) => {
+            this.destroy();
+            
+            const sandboxUrl = this.getSandboxUrl();
+            if (!sandboxUrl) {
+                reject(new Error('无法获取沙箱 URL'));
+                return;
+            }
+            
+            this.pendingCode = code;
+            this.pendingResolve = resolve;
+            this.pendingReject = reject;
+            this.pendingOnMessage = onMessage;
+            this.pendingStdin = stdin.text || '';
+            this.pendingTimeout = timeout;
+            this.isReady = false;
+            
+            const iframe = document.createElement('iframe');
+            iframe.style.cssText = 'display:none;position:absolute;width:0;height:0;border:none;';
+            
+            this.messageHandler = (event) => {
+                if (!event.data || typeof event.data !== 'object') return;
+                
+                const { type, data } = event.data;
+                const validTypes = [
+                    'CPP_SANDBOX_READY', 
+                    'CPP_LOADING', 
+                    'CPP_OUTPUT', 
+                    'CPP_ERROR', 
+                    'CPP_COMPLETE'
+                ];
+                if (!validTypes.includes(type)) return;
+                
+                switch (type) {
+                    case 'CPP_SANDBOX_READY':
+                        this.isReady = true;
+                        if (this.currentSandbox && this.pendingCode) {
+                            this.currentSandbox.contentWindow.postMessage({
+                                type: 'EXECUTE_CPP',
+                                code: this.pendingCode,
+                                stdin: this.pendingStdin
+                            }, '*');
+                        }
+                        break;
+                    
+                    case 'CPP_LOADING':
+                        if (this.pendingOnMessage) {
+                            this.pendingOnMessage({
+                                level: 'info',
+                                data: [data.message || '正在加载 C/C++ 环境...']
+                            });
+                        }
+                        break;
+                        
+                    case 'CPP_OUTPUT':
+                        if (this.pendingOnMessage) {
+                            this.pendingOnMessage(data);
+                        }
+                        break;
+                        
+                    case 'CPP_ERROR':
+                        if (this.pendingOnMessage) {
+                            this.pendingOnMessage({
+                                level: 'error',
+                                data: [data.message || String(data)]
+                            });
+                        }
+                        break;
+                        
+                    case 'CPP_COMPLETE':
+                        clearTimeout(this.timeoutId);
+                        const savedResolve = this.pendingResolve;
+                        setTimeout(() => {
+                            this.destroy();
+                        }, 50);
+                        if (savedResolve) {
+                            savedResolve(data);
+                        }
+                        break;
+                }
+            };
+            
+            window.addEventListener('message', this.messageHandler);
+            
+            this._startTimeout();
+            
+            document.body.appendChild(iframe);
+            this.currentSandbox = iframe;
+            iframe.src = sandboxUrl;
+        });
+    }
+
+    /**
+     * 执行超时计时
+     */
+    _startTimeout() {
+        this.timeoutId = setTimeout(() => {
+            const savedReject = this.pendingReject;
+            this.destroy();
+            if (savedReject) {
+                savedReject(new Error('代码执行超时（30秒）'));
+            }
+        }, this.pendingTimeout);
+    }
+
+    /**
+     * 清理沙箱
+     */
+    destroy() {
+        if (this.timeoutId) {
+            clearTimeout(this.timeoutId);
+            this.timeoutId = null;
+        }
+        
+        if (this.messageHandler) {
+            window.removeEventListener('message', this.messageHandler);
+            this.messageHandler = null;
+        }
+        
+        if (this.currentSandbox) {
+            this.currentSandbox.remove();
+            this.currentSandbox = null;
+        }
+        
+        this.isReady = false;
+        this.pendingCode = null;
+        this.pendingResolve = null;
+        this.pendingReject = null;
+        this.pendingOnMessage = null;
+        this.pendingStdin = '';
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.CppSandboxManager = CppSandboxManager;
+}
+
@@ -0,0 +1,117 @@
+/**
+ * C/C++ Sandbox Script
+ *
+ * 在 iframe 沙箱中执行 C/C++ 代码
+ * 使用 JSCPP（JavaScript 实现的 C++ 解释器）作为运行时
+ */
+
+(function() {
+    'use strict';
+
+    // JSCPP 内置的头文件
+    const SUPPORTED_HEADERS = ['iostream', 'cstdio', 'cstring', 'cmath', 'cstdlib', 'cctype', 'ctime', 'iomanip'];
+
+    /**
+     * 发送消息到父窗口
+     */
+    function postMessage(type, data) {
+        if (window.parent && window.parent !== window) {
+            window.parent.postMessage({ type, data }, '*');
+        }
+    }
+
+    /**
+     * 发送输出
+     */
+    function postOutput(level, ...args) {
+        postMessage('CPP_OUTPUT', {
+            level: level,
+            data: args
+        });
+    }
+
+    /**
+     * 精简 JSCPP 的错误信息
+     */
+    function formatError(message) {
+        let text = String(message || '').trim();
+        // 语法错误：去掉可接受记号的完整列表，只保留实际遇到的记号
+        text = text.replace(/Expected [\s\S]* but (.+) found\.?/, 'Unexpected $1');
+        if (/cannot find library/.test(text)) {
+            text += `\nJSCPP 只支持以下头文件：${SUPPORTED_HEADERS.join(', ')}（不支持 STL 容器）`;
+        }
+        return text;
+    }
+
+    /**
+     * 执行 C/C++ 代码
+     * @param {string} code
+     * @param {string} stdin - 预填输入，执行前一次性读入
+     */
+    function executeCpp(code, stdin) {
+        const startTime = Date.now();
+        // 按行缓冲
+        let buffer = '';
+        const write = (text) => {
+            buffer += text;
+            let pos = buffer.indexOf('\n');
+            while (pos !== -1) {
+                postOutput('log', buffer.slice(0, pos));
+                buffer = buffer.slice(pos + 1);
+                pos = buffer.indexOf('\n');
+            }
+        };
+
+        try {
+            if (!window.JSCPP) {
+                throw new Error('JSCPP 未加载');
+            }
+
+            // JSCPP 同步执行，死循环由父页面的超时销毁沙箱
+            const exitCode = window.JSCPP.run(code, stdin || '', {
+                stdio: { write }
+            });
+
+            if (buffer) {
+                postOutput('log', buffer);
+            }
+            if (exitCode !== 0) {
+                postOutput('warn', `程序退出，返回值 ${exitCode}`);
+            }
+
+            const duration = Date.now() - startTime;
+            postMessage('CPP_COMPLETE', { success: true, duration });
+
+        } catch (error) {
+            if (buffer) {
+                postOutput('log', buffer);
+            }
+            const duration = Date.now() - startTime;
+            const message = formatError(error.message || error);
+            postMessage('CPP_ERROR', { message });
+            postMessage('CPP_COMPLETE', { success: false, duration, error: message });
+        }
+    }
+
+    /**
+     * 监听来自父窗口的消息
+     */
+    window.addEventListener('message', (event) => {
+        if (!event.data || typeof event.data !== 'object') return;
+
+        const { type, code, stdin } = event.data;
+
+        if (type === 'EXECUTE_CPP' && code) {
+            executeCpp(code, stdin);
+        }
+    });
+
+    /**
+     * JSCPP 就绪回调（由 sandbox.html 调用）
+     */
+    window.onJSCPPReady = function() {
+        // 通知父窗口沙箱已准备就绪
+        postMessage('CPP_SANDBOX_READY', {});
+    };
+
+})();
@@ -0,0 +1,182 @@
+/**
+ * GoRunner - Go 代码执行器
+ * 
+ * 使用 Yaegi（Go 解释器，编译为 WebAssembly）执行 Go 代码
+ * 支持标准库（fmt、strings、sort、time、sync 等）和 goroutine / channel，不支持第三方模块
+ */
+
+class GoRunner extends BaseRunner {
+    constructor() {
+        super({
+            language: 'go',
+            displayName: 'Go',
+            icon: '🐹',
+            fileExtension: '.go',
+            runtime: 'yaegi'
+        });
+        this.sandboxManager = null;
+    }
+
+    /**
+     * 初始化
+     */
+    async initialize() {
+        if (!this.sandboxManager) {
+            this.sandboxManager = new window.GoSandboxManager();
+        }
+        await super.initialize();
+    }
+
+    /**
+     * 执行代码
+     * @param {string} code - 要执行的代码
+     * @param {Object} options - 选项
+     * @returns {Promise}
+     */
+    async execute(code, options = {}) {
+        await this.initialize();
+        
+        const {
+            onOutput = () => {},
+            timeout = 60000, // Go 超时 60 秒（首次加载 Yaegi 需要时间）
+            stdin = '',      // 预填的标准输入
+            onInput = null   // 交互输入回调 (prompt) => Promise<string|null>
+        } = options;
+        
+        try {
+            const result = await this.sandboxManager.execute(
+                code,
+                onOutput,
+                timeout,
+                { text: stdin, onInput }
+            );
+            
+            return {
+                success: true,
+                duration: result.duration,
+                language: this.language
+            };
+        } catch (error) {
+            onOutput({
+                level: 'error',
+                data: [error.message]
+            });
+            
+            return {
+                success: false,
+                error: error.message,
+                language: this.language
+            };
+        }
+    }
+
+    /**
+     * 执行多文件项目
+     * 同一个 main 包的多个文件合并为一个文件：去掉各文件的 package 声明，import 合并后放在最前
+     * @param {Array<{name: string, language: string, code: string}>} files - 项目文件
+     * @param {Object} entry - 入口文件
+     * @param {Object} options - 选项
+     * @returns {Promise}
+     */
+    async executeProject(files, entry, options = {}) {
+        const imports = new Set();
+        const bodies = files
+            .filter(file => file !== entry && file.language === entry.language)
+            .concat(entry)
+            .map(file => file.code
+                .replace(/^\s*package\s+\w+\s*$/m, '')
+                .replace(/^\s*import\s*\(([\s\S]*?)\)/gm, (match, specs) => {
+                    specs.split(/[\n;]/)
+                        .map(spec => spec.replace(/\/\/.*$/, '').trim())
+                        .filter(Boolean)
+                        .forEach(spec => imports.add(spec));
+                    return '';
+                })
+                .replace(/^\s*import\s+((?:[\w.]+\s+)?"[^"]+")\s*$/gm, (match, spec) => {
+                    imports.add(spec.trim());
+                    return '';
+                })
+                .trim());
+
+        const importBlock = imports.size > 0
+            ? `import (\n${[...imports].map(spec => `\t${spec}`).join('\n')}\n)\n\n`
+            : '';
+        return this.execute(`package main\n\n${importBlock}${bodies.join('\n\n')}`, options);
+    }
+
+    /**
+     * 清理资源
+     */
+    cleanup() {
+        if (this.sandboxManager) {
+            this.sandboxManager.destroy();
+        }
+    }
+
+    /**
+     * 获取占位符
+     */
+    getPlaceholder() {
+        return '// 输入 Go 代码\npackage main\n\nimport "fmt"\n\nfunc main() {\n\tfmt.Println("Hello, World!")\n}';
+    }
+
+    /**
+     * 获取示例代码
+     * @returns {string}
+     */
+    getExampleCode() {
+        return `// Go 示例代码
+package main
+
+import (
+	"fmt"
+	"sort"
+	"strings"
+)
+
+type Person struct {
+	Name string
+	Age  int
+}
+
+func (p Person) Greet() string {
+	return fmt.Sprintf("你好，我是%s，今年 %d 岁", p.Name, p.Age)
+}
+
+func main() {
+	fmt.Println("Hello, Go!")
+
+	// 切片和排序
+	numbers := []int{5, 2, 8, 1, 9}
+	sort.Ints(numbers)
+	fmt.Println("排序:", numbers)
+
+	// 结构体和方法
+	p := Person{Name: "张三", Age: 25}
+	fmt.Println(p.Greet())
+
+	// map
+	counts := map[string]int{}
+	for _, word := range strings.Fields("go is fun and go is fast") {
+		counts[word]++
+	}
+	fmt.Println("go 出现次数:", counts["go"])
+
+	// goroutine 和 channel
+	ch := make(chan int)
+	go func() {
+		sum := 0
+		for _, n := range numbers {
+			sum += n
+		}
+		ch <- sum
+	}()
+	fmt.Println("求和:", <-ch)
+}`;
+    }
+}
+
+// 导出
+if (typeof window !== 'undefined') {
+    window.GoRunner = GoRunner;
+}
@@ -0,0 +1,194 @@
+/**
+ * GoSandboxManager - Go 沙箱管理器
+ * 
+ * 使用扩展内置的 sandbox.html 作为执行环境
+ * 通过 Yaegi（WebAssembly）在浏览器中运行 Go 代码
+ */
+
+class GoSandboxManager {
+    constructor() {
+        this.currentSandbox = null;
+        this.messageHandler = null;
+        this.timeoutId = null;
+        this.isReady = false;
+        this.pendingCode = null;
+        this.pendingResolve = null;
+        this.pendingReject = null;
+        this.pendingOnMessage = null;
+        this.pendingStdin = null;   // StdinReplay
+        this.pendingTimeout = 0;
+    }
+
+    /**
+     * 获取沙箱 HTML 的 URL
+     */
+    getSandboxUrl() {
+        if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.getURL) {
+            return chrome.runtime.getURL('js/runner/languages/go/sandbox.html');
+        }
+        return null;
+    }
+
+    /**
+     * 在沙箱中执行代码
+     * @param {string} code - 要执行的代码
+     * @param {Function} onMessage - 消息回调
+     * @param {number} timeout - 超时时间（毫秒）
+     * @param {Object} stdin - 标准输入
+     * @param {string} stdin.text - 预填输入（每行一项）
+     * @param {Function} stdin.onInput - 交互输入回调 (prompt) => Promise<string|null>
+     * @returns {Promise}
+     */
+    execute(code, onMessage, timeout = 60000, stdin = {}) {
+        return new Promise((resolve, reject) => {
+            this.destroy();
+            
+            const sandboxUrl = this.getSandboxUrl();
+            if (!sandboxUrl) {
+                reject(new Error('无法获取沙箱 URL'));
+                return;
+            }
+            
+            this.pendingCode = code;
+            this.pendingResolve = resolve;
+            this.pendingReject = reject;
+            this.pendingOnMessage = onMessage;
+            this.pendingStdin = new StdinReplay(stdin);
+            this.pendingTimeout = timeout;
+            this.isReady = false;
+            
+            const iframe = document.createElement('iframe');
+            iframe.style.cssText = 'display:none;position:absolute;width:0;height:0;border:none;';
+            
+            this.messageHandler = (event) => {
+                if (!event.data || typeof event.data !== 'object') return;
+                
+                const { type, data } = event.data;
+                const validTypes = [
+                    'GO_SANDBOX_READY', 
+                    'GO_LOADING', 
+                    'GO_OUTPUT', 
+                    'GO_ERROR', 
+                    'GO_INPUT_REQUEST',
+                    'GO_COMPLETE'
+                ];
+                if (!validTypes.includes(type)) return;
+                
+                switch (type) {
+                    case 'GO_SANDBOX_READY':
+                        this.isReady = true;
+                        if (this.currentSandbox && this.pendingCode) {
+                            this.currentSandbox.contentWindow.postMessage(this._getExecuteMessage(), '*');
+                        }
+                        break;
+                    
+                    case 'GO_LOADING':
+                        if (this.pendingOnMessage) {
+                            this.pendingOnMessage({
+                                level: 'info',
+                                data: [data.message || '正在加载 Go 环境...']
+                            });
+                        }
+                        break;
+                        
+                    case 'GO_OUTPUT':
+                        if (this.pendingOnMessage) {
+                            this.pendingOnMessage(data);
+                        }
+                        break;
+                        
+                    case 'GO_ERROR':
+                        if (this.pendingOnMessage) {
+                            this.pendingOnMessage({
+                                level: 'error',
+                                data: [data.message || String(data)]
+                            });
+                        }
+                        break;
+                        
+                    case 'GO_INPUT_REQUEST':
+                        // 等待用户输入期间不计超时
+                        clearTimeout(this.timeoutId);
+                        this.pendingStdin?.handleRequest(this, data);
+                        break;
+                        
+                    case 'GO_COMPLETE':
+                        clearTimeout(this.timeoutId);
+                        const savedResolve = this.pendingResolve;
+                        setTimeout(() => {
+                            this.destroy();
+                        }, 50);
+                        if (savedResolve) {
+                            savedResolve(data);
+                        }
+                        break;
+                }
+            };
+            
+            window.addEventListener('message', this.messageHandler);
+            
+            this._startTimeout();
+            
+            document.body.appendChild(iframe);
+            this.currentSandbox = iframe;
+            iframe.src = sandboxUrl;
+        });
+    }
+
+    /**
+     * 执行超时计时
+     */
+    _startTimeout() {
+        this.timeoutId = setTimeout(() => {
+            const savedReject = this.pendingReject;
+            this.destroy();
+            if (savedReject) {
+                savedReject(new Error(`代码执行超时（${this.pendingTimeout / 1000}秒）`));
+            }
+        }, this.pendingTimeout);
+    }
+
+    /**
+     * 执行消息（含输入协议参数，见 js/runner/core/stdin-session.js）
+     * @param {number} skipOutputs - 重放时跳过的输出条数
+     */
+    _getExecuteMessage(skipOutputs = 0) {
+        return {
+            type: 'EXECUTE_GO',
+            code: this.pendingCode,
+            ...this.pendingStdin.getMessage(skipOutputs)
+        };
+    }
+
+    /**
+     * 清理沙箱
+     */
+    destroy() {
+        if (this.timeoutId) {
+            clearTimeout(this.timeoutId);
+            this.timeoutId = null;
+        }
+        
+        if (this.messageHandler) {
+            window.removeEventListener('message', this.messageHandler);
+            this.messageHandler = null;
+        }
+        
+        if (this.currentSandbox) {
+            this.currentSandbox.remove();
+            this.currentSandbox = null;
+        }
+        
+        this.isReady = false;
+        this.pendingCode = null;
+        this.pendingResolve = null;
+        this.pendingReject = null;
+        this.pendingOnMessage = null;
+        this.pendingStdin = null;
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.GoSandboxManager = GoSandboxManager;
+}
+
@@ -0,0 +1,237 @@
+/**
+ * Go Sandbox Script
+ *
+ * 在 iframe 沙箱中执行 Go 代码
+ * 使用 Yaegi（Go 解释器，编译为 WebAssembly）作为 Go 运行时
+ */
+
+(function() {
+    'use strict';
+
+    // 当前执行的输入会话（见 js/runner/core/stdin-session.js）
+    let stdinSession = new StdinSession();
+    // 是否正在执行用户代码（Yaegi 初始化时的输出不转发）
+    let running = false;
+    // stdout / stderr 未换行的内容
+    let buffers = { 1: '', 2: '' };
+    // 当前输入行中尚未被程序读取的字节
+    let stdinBytes = new Uint8Array(0);
+    // Yaegi 在 panic / os.Exit 时输出到 stderr 的调用位置（如 "2:18: panic: main.main(...)"），
+    // 执行结束后按结果决定是否显示
+    let panicTraces = [];
+
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder('utf-8');
+
+    /**
+     * 发送消息到父窗口
+     */
+    function postMessage(type, data) {
+        if (window.parent && window.parent !== window) {
+            window.parent.postMessage({ type, data }, '*');
+        }
+    }
+
+    /**
+     * 发送输出
+     */
+    function postOutput(level, ...args) {
+        // 已请求交互输入：本次执行剩余的输出在重放时再显示
+        if (stdinSession.requested) return;
+        // 重放时跳过已显示的输出
+        if (!stdinSession.countOutput()) return;
+        postMessage('GO_OUTPUT', {
+            level: level,
+            data: args
+        });
+    }
+
+    /**
+     * 输出一行（stderr 按 error 显示）
+     */
+    function postLine(fd, line) {
+        if (fd === 2 && /^\d+:\d+: panic: /.test(line)) {
+            panicTraces.push(line);
+            return;
+        }
+        postOutput(fd === 2 ? 'error' : 'log', line);
+    }
+
+    /**
+     * stdout / stderr 按行缓冲
+     */
+    function write(fd, text) {
+        buffers[fd] += text;
+        let pos = buffers[fd].indexOf('\n');
+        while (pos !== -1) {
+            postLine(fd, buffers[fd].slice(0, pos));
+            buffers[fd] = buffers[fd].slice(pos + 1);
+            pos = buffers[fd].indexOf('\n');
+        }
+    }
+
+    /**
+     * 输出未换行的剩余内容
+     */
+    function flush() {
+        [1, 2].forEach(fd => {
+            if (buffers[fd]) {
+                postLine(fd, buffers[fd]);
+                buffers[fd] = '';
+            }
+        });
+    }
+
+    /**
+     * 读取标准输入：每次提供一行，输入耗尽时请求交互输入或返回 EOF
+     * @returns {number} 读取的字节数，0 表示 EOF
+     */
+    function readStdin(buffer, offset, length) {
+        if (stdinBytes.length === 0) {
+            // stdout 中未换行的内容作为输入提示
+            const prompt = buffers[1];
+            if (stdinSession.hasLine()) {
+                const line = stdinSession.readLine();
+                buffers[1] = '';
+                postOutput('stdin', prompt + line);
+                stdinBytes = encoder.encode(line + '\n');
+            } else {
+                // Go 程序无法在读取中途中止：请求输入后按 EOF 继续执行，剩余输出不再发送
+                if (!stdinSession.requested && stdinSession.request(prompt)) {
+                    buffers[1] = '';
+                }
+                return 0;
+            }
+        }
+        const n = Math.min(length, stdinBytes.length);
+        buffer.set(stdinBytes.subarray(0, n), offset);
+        stdinBytes = stdinBytes.subarray(n);
+        return n;
+    }
+
+    /**
+     * 接管 wasm_exec.js 的文件系统桩：stdout / stderr 转发到父窗口，stdin 从输入会话读取
+     */
+    function patchFileSystem() {
+        const fs = globalThis.fs;
+        fs.writeSync = function(fd, buf) {
+            if (running && (fd === 1 || fd === 2)) {
+                write(fd, decoder.decode(buf));
+            }
+            return buf.length;
+        };
+        fs.read = function(fd, buffer, offset, length, position, callback) {
+            if (fd !== 0) {
+                const error = new Error('not implemented');
+                error.code = 'ENOSYS';
+                callback(error);
+                return;
+            }
+            callback(null, running ? readStdin(buffer, offset, length) : 0);
+        };
+    }
+
+    /**
+     * 错误信息：os.Exit 转为退出状态，其他错误附上 panic 位置
+     * @returns {string|null} null 表示正常退出
+     */
+    function formatError(error) {
+        const exit = String(error).match(/^os\.Exit\((\d+)\)$/);
+        if (exit) {
+            return exit[1] === '0' ? null : `exit status ${exit[1]}`;
+        }
+        const location = panicTraces[0] ? panicTraces[0].replace(/: panic: .*$/, '') : '';
+        return location ? `${location}: ${error}` : String(error);
+    }
+
+    /**
+     * 执行 Go 代码
+     */
+    function executeGo(code, session) {
+        const startTime = Date.now();
+        stdinSession = session;
+        buffers = { 1: '', 2: '' };
+        stdinBytes = new Uint8Array(0);
+        panicTraces = [];
+
+        let result;
+        running = true;
+        try {
+            if (!window.yaegi) {
+                throw new Error('Yaegi 未加载');
+            }
+            // 每次执行前重置解释器，避免与上次执行的声明冲突
+            window.yaegi.reset();
+            result = window.yaegi.eval(code);
+        } catch (error) {
+            result = { success: false, error: error.message };
+        }
+        flush();
+        running = false;
+
+        // 输入耗尽，等待父页面提供输入后重放
+        if (session.requested) {
+            postMessage('GO_INPUT_REQUEST', session.getRequest());
+            return;
+        }
+
+        const duration = Date.now() - startTime;
+        const error = result && !result.success ? formatError(result.error) : null;
+        if (error) {
+            postMessage('GO_ERROR', { message: error });
+            postMessage('GO_COMPLETE', { success: false, duration, error });
+        } else {
+            postMessage('GO_COMPLETE', { success: true, duration });
+        }
+    }
+
+    /**
+     * 监听来自父窗口的消息
+     */
+    window.addEventListener('message', (event) => {
+        if (!event.data || typeof event.data !== 'object') return;
+
+        const { type, code } = event.data;
+
+        if (type === 'EXECUTE_GO' && code) {
+            executeGo(code, new StdinSession(event.data));
+        }
+    });
+
+    /**
+     * 启动 Yaegi（由 sandbox.html 在 wasm_exec.js 加载后调用）
+     * Go 程序启动后在全局注册 yaegi = { reset, eval, version } 并保持运行
+     */
+    window.onGoReady = async function() {
+        try {
+            patchFileSystem();
+            const go = new window.Go();
+            const wasmUrl = RuntimeAssets.getUrl('yaegi', 'yaegi-browser.wasm');
+            let instance;
+            try {
+                ({ instance } = await WebAssembly.instantiateStreaming(fetch(wasmUrl), go.importObject));
+            } catch (e) {
+                // 响应的 Content-Type 不是 application/wasm 时回退
+                const bytes = await (await fetch(wasmUrl)).arrayBuffer();
+                ({ instance } = await WebAssembly.instantiate(bytes, go.importObject));
+            }
+            go.run(instance);
+
+            // 等待 Go 的 main 注册全局对象
+            const startTime = Date.now();
+            while (!window.yaegi) {
+                if (Date.now() - startTime > 10000) {
+                    throw new Error('Yaegi 初始化超时');
+                }
+                await new Promise(resolve => setTimeout(resolve, 20));
+            }
+
+            // 通知父窗口沙箱已准备就绪
+            postMessage('GO_SANDBOX_READY', {});
+        } catch (error) {
+            postMessage('GO_ERROR', { message: `Yaegi 初始化失败: ${error.message}` });
+            postMessage('GO_COMPLETE', { success: false, duration: 0, error: error.message });
+        }
+    };
+
+})();
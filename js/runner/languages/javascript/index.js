@@ -36,14 +36,16 @@ class JavaScriptRunner extends BaseRunner {
         
         const {
             onOutput = () => {},
-            timeout = 30000  // JavaScript 超时 30 秒
+            timeout = 30000,  // JavaScript 超时 30 秒
+            test = null       // 测试模式：{ code } 附加的测试用例
         } = options;
         
         try {
             const result = await this.sandboxManager.execute(
-                code,
+                this.appendTestCode(code, test),
                 onOutput,
-                timeout
+                timeout,
+                !!test
             );
             
             return {
@@ -15,6 +15,7 @@ class JSSandboxManager {
         this.pendingResolve = null;
         this.pendingReject = null;
         this.pendingOnMessage = null;
+        this.pendingTest = false;
     }
 
     /**
@@ -32,9 +33,10 @@ class JSSandboxManager {
      * @param {string} code - 要执行的代码
      * @param {Function} onMessage - 消息回调
      * @param {number} timeout - 超时时间（毫秒）
+     * @param {boolean} test - 测试模式：运行代码中的测试并输出测试报告
      * @returns {Promise}
      */
-    execute(code, onMessage, timeout = 30000) {
+    execute(code, onMessage, timeout = 30000, test = false) {
         return new Promise((resolve, reject) => {
             this.destroy();
             
@@ -48,6 +50,7 @@ class JSSandboxManager {
             this.pendingResolve = resolve;
             this.pendingReject = reject;
             this.pendingOnMessage = onMessage;
+            this.pendingTest = test;
             this.isReady = false;
             
             const iframe = document.createElement('iframe');
@@ -66,7 +69,8 @@ class JSSandboxManager {
                         if (this.currentSandbox && this.pendingCode) {
                             this.currentSandbox.contentWindow.postMessage({
                                 type: 'EXECUTE_CODE',
-                                code: this.pendingCode
+                                code: this.pendingCode,
+                                test: this.pendingTest
                             }, '*');
                         }
                         break;
@@ -140,6 +144,7 @@ class JSSandboxManager {
         this.pendingResolve = null;
         this.pendingReject = null;
         this.pendingOnMessage = null;
+        this.pendingTest = false;
     }
 }
 
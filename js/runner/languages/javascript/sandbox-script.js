@@ -116,6 +116,23 @@
         send('SANDBOX_ERROR', { message: 'Promise rejected: ' + e.reason });
     };
     
+    /**
+     * 测试模式：执行代码后运行其中的测试，输出测试报告（见 js/runner/core/test-harness.js）
+     */
+    function executeTests(code) {
+        startTime = Date.now();
+        
+        RunnerTestHarness.run(code).then(function(report) {
+            send('SANDBOX_OUTPUT', { level: 'test-report', data: report });
+            setTimeout(function() {
+                send('SANDBOX_COMPLETE', { success: report.failed === 0, duration: Date.now() - startTime });
+            }, 10);
+        }).catch(function(e) {
+            send('SANDBOX_ERROR', { message: e.message, stack: e.stack });
+            send('SANDBOX_COMPLETE', { success: false, duration: Date.now() - startTime });
+        });
+    }
+    
     function executeCode(code) {
         startTime = Date.now();
         
@@ -141,7 +158,11 @@
         if (!event.data || typeof event.data !== 'object') return;
         
         if (event.data.type === 'EXECUTE_CODE') {
-            executeCode(event.data.code);
+            if (event.data.test) {
+                executeTests(event.data.code);
+            } else {
+                executeCode(event.data.code);
+            }
         }
     });
     
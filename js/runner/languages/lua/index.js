@@ -10,7 +10,8 @@ class LuaRunner extends BaseRunner {
             language: 'lua',
             displayName: 'Lua',
             icon: '🌙',
-            fileExtension: '.lua'
+            fileExtension: '.lua',
+            runtime: 'fengari'
         });
         this.sandboxManager = null;
     }
@@ -36,14 +37,17 @@ class LuaRunner extends BaseRunner {
         
         const {
             onOutput = () => {},
-            timeout = 30000  // Lua 超时 30 秒
+            timeout = 30000, // Lua 超时 30 秒
+            stdin = '',      // 预填的标准输入
+            onInput = null   // 交互输入回调 (prompt) => Promise<string|null>
         } = options;
         
         try {
             const result = await this.sandboxManager.execute(
                 code,
                 onOutput,
-                timeout
+                timeout,
+                { text: stdin, onInput }
             );
             
             return {
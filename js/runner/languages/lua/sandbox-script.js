@@ -8,6 +8,9 @@
 (function() {
     'use strict';
 
+    // 当前执行的输入会话（见 js/runner/core/stdin-session.js）
+    let stdinSession = new StdinSession();
+
     /**
      * 发送消息到父窗口
      */
@@ -21,6 +24,8 @@
      * 发送输出
      */
     function postOutput(level, ...args) {
+        // 重放时跳过已显示的输出
+        if (!stdinSession.countOutput()) return;
         postMessage('LUA_OUTPUT', {
             level: level,
             data: args
@@ -30,8 +35,9 @@
     /**
      * 执行 Lua 代码
      */
-    function executeLua(code) {
+    function executeLua(code, session) {
         const startTime = Date.now();
+        stdinSession = session;
 
         try {
             if (!window.fengari) {
@@ -39,21 +45,104 @@
             }
 
             const { lua, lauxlib, lualib, to_luastring } = window.fengari;
+
+            // math.random 在调用 math.randomseed 前使用 Math.random，按本次运行的种子固定（交互输入重放时一致）
+            session.seedRandom();
             
             // 创建新的 Lua 状态
             const L = lauxlib.luaL_newstate();
             lualib.luaL_openlibs(L);
 
-            // 重定向 print 函数
+            // 重定向 print / io.write（io.write 按行缓冲，未换行的内容作为输入提示），
+            // io.read / io.lines / io.stdin:read 从输入会话读取
             const printCode = `
-                local oldprint = print
+                local buffer = ""
+                local function flush()
+                    if buffer ~= "" then
+                        __output(buffer)
+                        buffer = ""
+                    end
+                end
+                __flush = flush
+
                 print = function(...)
-                    local args = {...}
                     local parts = {}
-                    for i, v in ipairs(args) do
-                        parts[i] = tostring(v)
+                    for i = 1, select("#", ...) do
+                        parts[i] = tostring((select(i, ...)))
+                    end
+                    __output(buffer .. table.concat(parts, "\\t"))
+                    buffer = ""
+                end
+
+                io.write = function(...)
+                    for i = 1, select("#", ...) do
+                        buffer = buffer .. tostring((select(i, ...)))
+                    end
+                    local pos = buffer:find("\\n", 1, true)
+                    while pos do
+                        __output(buffer:sub(1, pos - 1))
+                        buffer = buffer:sub(pos + 1)
+                        pos = buffer:find("\\n", 1, true)
+                    end
+                    return io.stdout or io
+                end
+
+                local function readLine(canRequest)
+                    local prompt = buffer
+                    buffer = ""
+                    return __input(prompt, canRequest)
+                end
+
+                local function readFormat(fmt)
+                    if type(fmt) == "number" then
+                        local line = readLine(true)
+                        return line and line:sub(1, fmt)
+                    end
+                    fmt = tostring(fmt or "l"):gsub("^%*", ""):sub(1, 1)
+                    if fmt == "a" then
+                        local lines = {}
+                        local line = readLine(false)
+                        while line do
+                            lines[#lines + 1] = line
+                            line = readLine(false)
+                        end
+                        return table.concat(lines, "\\n")
+                    end
+                    local line = readLine(true)
+                    if fmt == "n" then
+                        return line and tonumber(line)
+                    elseif fmt == "L" then
+                        return line and (line .. "\\n")
+                    end
+                    return line
+                end
+
+                io.read = function(...)
+                    local count = select("#", ...)
+                    if count == 0 then
+                        return readFormat("l")
+                    end
+                    local results = {}
+                    for i = 1, count do
+                        results[i] = readFormat((select(i, ...)))
+                    end
+                    return table.unpack(results, 1, count)
+                end
+
+                local originalLines = io.lines
+                io.lines = function(filename, ...)
+                    if filename == nil then
+                        return function() return readFormat("l") end
+                    end
+                    return originalLines(filename, ...)
+                end
+
+                if io.stdin then
+                    local methods = getmetatable(io.stdin).__index
+                    if type(methods) == "table" then
+                        methods.read = function(self, ...) return io.read(...) end
+                        methods.lines = function(self) return io.lines() end
                     end
-                    __output(table.concat(parts, "\\t"))
                 end
             `;
 
@@ -66,6 +155,28 @@
             });
             lua.lua_setglobal(L, to_luastring('__output'));
 
+            // 注册输入函数 __input(prompt, canRequest)：返回一行，输入耗尽时请求交互输入或返回 nil（EOF）
+            lua.lua_pushcfunction(L, function(L) {
+                const prompt = lua.lua_isstring(L, 1) ? window.fengari.to_jsstring(lua.lua_tostring(L, 1)) : '';
+                const canRequest = lua.lua_toboolean(L, 2);
+                if (stdinSession.hasLine()) {
+                    const line = stdinSession.readLine();
+                    postOutput('stdin', prompt + line);
+                    lua.lua_pushstring(L, to_luastring(line));
+                    return 1;
+                }
+                if (canRequest && stdinSession.request(prompt)) {
+                    return lauxlib.luaL_error(L, to_luastring('input required'));
+                }
+                // 提示文字没有被输入消费，照常输出
+                if (prompt) {
+                    postOutput('log', prompt);
+                }
+                lua.lua_pushnil(L);
+                return 1;
+            });
+            lua.lua_setglobal(L, to_luastring('__input'));
+
             // 执行重定向代码
             let status = lauxlib.luaL_dostring(L, to_luastring(printCode));
             if (status !== lua.LUA_OK) {
@@ -81,10 +192,19 @@
                 throw new Error(errorMsg);
             }
 
+            // 输出 io.write 中未换行的剩余内容
+            lauxlib.luaL_dostring(L, to_luastring('__flush()'));
+
             const duration = Date.now() - startTime;
             postMessage('LUA_COMPLETE', { success: true, duration });
 
         } catch (error) {
+            // 输入耗尽，等待父页面提供输入后重放
+            if (session.requested) {
+                postMessage('LUA_INPUT_REQUEST', session.getRequest());
+                return;
+            }
+
             const duration = Date.now() - startTime;
             postMessage('LUA_ERROR', { message: error.message });
             postMessage('LUA_COMPLETE', { success: false, duration, error: error.message });
@@ -100,7 +220,7 @@
         const { type, code } = event.data;
         
         if (type === 'EXECUTE_LUA' && code) {
-            executeLua(code);
+            executeLua(code, new StdinSession(event.data));
         }
     });
 
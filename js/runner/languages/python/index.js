@@ -10,7 +10,8 @@ class PythonRunner extends BaseRunner {
             language: 'python',
             displayName: 'Python',
             icon: '🐍',
-            fileExtension: '.py'
+            fileExtension: '.py',
+            runtime: 'pyodide'
         });
         this.sandboxManager = null;
     }
@@ -36,14 +37,21 @@ class PythonRunner extends BaseRunner {
         
         const {
             onOutput = () => {},
-            timeout = 30000  // Python 超时设为 30 秒（首次加载 Pyodide 需要时间）
+            timeout = 30000,  // Python 超时设为 30 秒（首次加载 Pyodide 需要时间）
+            files = [],       // 项目文件（写入虚拟文件系统）
+            stdin = '',       // 预填的标准输入
+            onInput = null,   // 交互输入回调 (prompt) => Promise<string|null>
+            test = null       // 测试模式：{ code } 附加的测试用例
         } = options;
         
         try {
             const result = await this.sandboxManager.execute(
-                code,
+                this.appendTestCode(code, test),
                 onOutput,
-                timeout
+                timeout,
+                files,
+                { text: stdin, onInput },
+                !!test
             );
             
             return {
@@ -65,6 +73,21 @@ class PythonRunner extends BaseRunner {
         }
     }
 
+    /**
+     * 执行多文件项目
+     * 所有文件写入 Pyodide 虚拟文件系统的工作目录，入口文件可直接 import 其他模块、读取数据文件
+     * @param {Array<{name: string, language: string, code: string}>} files - 项目文件
+     * @param {Object} entry - 入口文件
+     * @param {Object} options - 选项
+     * @returns {Promise}
+     */
+    async executeProject(files, entry, options = {}) {
+        return this.execute(entry.code, {
+            ...options,
+            files: files.map(file => ({ name: file.name, code: file.code }))
+        });
+    }
+
     /**
      * 清理资源
      */
@@ -12,9 +12,13 @@ class PythonSandboxManager {
         this.timeoutId = null;
         this.isReady = false;
         this.pendingCode = null;
+        this.pendingFiles = null;
         this.pendingResolve = null;
         this.pendingReject = null;
         this.pendingOnMessage = null;
+        this.pendingStdin = null;   // StdinReplay
+        this.pendingTimeout = 0;
+        this.pendingTest = false;
     }
 
     /**
@@ -32,9 +36,14 @@ class PythonSandboxManager {
      * @param {string} code - 要执行的代码
      * @param {Function} onMessage - 消息回调
      * @param {number} timeout - 超时时间（毫秒）
+     * @param {Array<{name: string, code: string}>} files - 项目文件（写入虚拟文件系统）
+     * @param {Object} stdin - 标准输入
+     * @param {string} stdin.text - 预填输入（每行一项）
+     * @param {Function} stdin.onInput - 交互输入回调 (prompt) => Promise<string|null>
+     * @param {boolean} test - 测试模式：运行代码中的测试并输出测试报告
      * @returns {Promise}
      */
-    execute(code, onMessage, timeout = 30000) {
+    execute(code, onMessage, timeout = 30000, files = [], stdin = {}, test = false) {
         return new Promise((resolve, reject) => {
             this.destroy();
             
@@ -45,9 +54,13 @@ class PythonSandboxManager {
             }
             
             this.pendingCode = code;
+            this.pendingFiles = files;
             this.pendingResolve = resolve;
             this.pendingReject = reject;
             this.pendingOnMessage = onMessage;
+            this.pendingStdin = new StdinReplay(stdin);
+            this.pendingTimeout = timeout;
+            this.pendingTest = test;
             this.isReady = false;
             
             const iframe = document.createElement('iframe');
@@ -62,6 +75,7 @@ class PythonSandboxManager {
                     'PYTHON_LOADING', 
                     'PYTHON_OUTPUT', 
                     'PYTHON_ERROR', 
+                    'PYTHON_INPUT_REQUEST',
                     'PYTHON_COMPLETE'
                 ];
                 if (!validTypes.includes(type)) return;
@@ -70,18 +84,17 @@ class PythonSandboxManager {
                     case 'PYTHON_SANDBOX_READY':
                         this.isReady = true;
                         if (this.currentSandbox && this.pendingCode) {
-                            this.currentSandbox.contentWindow.postMessage({
-                                type: 'EXECUTE_PYTHON',
-                                code: this.pendingCode
-                            }, '*');
+                            this.currentSandbox.contentWindow.postMessage(this._getExecuteMessage(), '*');
                         }
                         break;
                     
                     case 'PYTHON_LOADING':
-                        // 显示加载进度
+                        // 显示加载进度（Pyodide、第三方包）；有进度说明仍在加载，重新计时
+                        clearTimeout(this.timeoutId);
+                        this._startTimeout();
                         if (this.pendingOnMessage) {
                             this.pendingOnMessage({
-                                level: 'info',
+                                level: data.level || 'info',
                                 data: [data.message || '正在加载 Python 环境...']
                             });
                         }
@@ -102,6 +115,12 @@ class PythonSandboxManager {
                         }
                         break;
                         
+                    case 'PYTHON_INPUT_REQUEST':
+                        // 等待用户输入期间不计超时
+                        clearTimeout(this.timeoutId);
+                        this.pendingStdin?.handleRequest(this, data);
+                        break;
+                        
                     case 'PYTHON_COMPLETE':
                         clearTimeout(this.timeoutId);
                         const savedResolve = this.pendingResolve;
@@ -118,13 +137,7 @@ class PythonSandboxManager {
             
             window.addEventListener('message', this.messageHandler);
             
-            this.timeoutId = setTimeout(() => {
-                const savedReject = this.pendingReject;
-                this.destroy();
-                if (savedReject) {
-                    savedReject(new Error('代码执行超时（30秒）'));
-                }
-            }, timeout);
+            this._startTimeout();
             
             document.body.appendChild(iframe);
             this.currentSandbox = iframe;
@@ -132,6 +145,33 @@ class PythonSandboxManager {
         });
     }
 
+    /**
+     * 执行超时计时
+     */
+    _startTimeout() {
+        this.timeoutId = setTimeout(() => {
+            const savedReject = this.pendingReject;
+            this.destroy();
+            if (savedReject) {
+                savedReject(new Error('代码执行超时（30秒）'));
+            }
+        }, this.pendingTimeout);
+    }
+
+    /**
+     * 执行消息（含输入协议参数，见 js/runner/core/stdin-session.js）
+     * @param {number} skipOutputs - 重放时跳过的输出条数
+     */
+    _getExecuteMessage(skipOutputs = 0) {
+        return {
+            type: 'EXECUTE_PYTHON',
+            code: this.pendingCode,
+            files: this.pendingFiles,
+            ...this.pendingStdin.getMessage(skipOutputs),
+            test: this.pendingTest
+        };
+    }
+
     /**
      * 清理沙箱
      */
@@ -153,9 +193,12 @@ class PythonSandboxManager {
         
         this.isReady = false;
         this.pendingCode = null;
+        this.pendingFiles = null;
         this.pendingResolve = null;
         this.pendingReject = null;
         this.pendingOnMessage = null;
+        this.pendingStdin = null;
+        this.pendingTest = false;
     }
 }
 
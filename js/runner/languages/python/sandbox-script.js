@@ -10,9 +10,186 @@
 
     let pyodide = null;
     let pyodideLoading = false;
+    // 已打包的包索引（首次需要加载包时读取）
+    let packageIndex = null;
+    // matplotlib 已接管 plt.show()
+    let matplotlibReady = false;
+    // 已定义测试模式的辅助函数（TEST_PRELUDE）
+    let testHarnessReady = false;
+    // 当前执行的输入会话（见 js/runner/core/stdin-session.js）
+    let stdinSession = new StdinSession();
+
+    // 替换 input()：按会话消费输入，耗尽时请求交互输入（BaseException 子类，不会被 except Exception 吞掉）
+    const INPUT_PRELUDE = `
+import builtins, ait_stdin
+
+class _AitInputRequired(BaseException):
+    pass
+
+def _ait_input(prompt=''):
+    prompt = str(prompt)
+    if ait_stdin.has_line():
+        return ait_stdin.read_line(prompt)
+    if ait_stdin.request(prompt):
+        raise _AitInputRequired()
+    raise EOFError('EOF when reading a line')
+
+builtins.input = _ait_input
+`;
+
+    // 包加载辅助：模块是否已可导入；matplotlib 默认使用 AGG 后端（沙箱页面不可见，图表转为图片输出）
+    const PACKAGES_PRELUDE = `
+import importlib.util, os
+os.environ.setdefault('MPLBACKEND', 'AGG')
+
+def _ait_module_exists(name):
+    try:
+        return importlib.util.find_spec(name) is not None
+    except (ImportError, ValueError):
+        return False
+`;
+
+    // plt.show() 把当前所有图表转为 PNG 输出；代码结束时未 show 的图表也会输出
+    const MATPLOTLIB_PRELUDE = `
+import base64, io, ait_output
+import matplotlib
+matplotlib.use('AGG')
+import matplotlib.pyplot as plt
+
+def _ait_show_figures(*args, **kwargs):
+    for num in plt.get_fignums():
+        buffer = io.BytesIO()
+        plt.figure(num).savefig(buffer, format='png', bbox_inches='tight')
+        ait_output.image('data:image/png;base64,' + base64.b64encode(buffer.getvalue()).decode())
+    plt.close('all')
+
+plt.show = _ait_show_figures
+`;
     
-    // Pyodide CDN 地址
-    const PYODIDE_INDEX_URL = 'https://cdn.jsdelivr.net/pyodide/v0.24.1/full/';
+    // 测试模式：收集 test_* 函数、Test* 类（含 unittest.TestCase）的 test* 方法并逐个运行，返回 JSON 测试报告
+    // assert a == b 失败时重新求值两侧作为实际值 / 期望值，unittest 的 assertEqual 取 first / second
+    const TEST_PRELUDE = `
+import ast, inspect, json, pprint, time, unittest
+
+def _ait_format(value):
+    return pprint.pformat(value, width=60, sort_dicts=False)
+
+def _ait_user_frames(error):
+    frames = []
+    tb = error.__traceback__
+    while tb is not None:
+        frames.append((tb.tb_frame, tb.tb_lineno))
+        tb = tb.tb_next
+    return frames
+
+def _ait_find_assert(source, lineno):
+    try:
+        tree = ast.parse(source)
+    except SyntaxError:
+        return None
+    for node in ast.walk(tree):
+        if isinstance(node, ast.Assert) and node.lineno <= lineno <= node.end_lineno:
+            return node
+    return None
+
+def _ait_explain(error, source):
+    frames = _ait_user_frames(error)
+    user = [(frame, lineno) for frame, lineno in frames if frame.f_code.co_filename == '<exec>']
+    lineno = user[-1][1] if user else None
+    if not isinstance(error, AssertionError):
+        location = f' (line {lineno})' if lineno else ''
+        return {'message': f'{type(error).__name__}: {error}{location}'}
+
+    info = {'message': str(error)}
+    values = None
+    for frame, _ in reversed(frames):
+        if frame.f_code.co_filename.endswith('unittest/case.py') and 'first' in frame.f_locals and 'second' in frame.f_locals:
+            values = (frame.f_locals['first'], frame.f_locals['second'])
+            # 报告中单独显示对比，去掉 unittest 自带的差异文本
+            info['message'] = info['message'].split('\n', 1)[0]
+            break
+    node = _ait_find_assert(source, lineno) if lineno else None
+    if node is not None:
+        if not info['message']:
+            info['message'] = 'assert ' + (ast.get_source_segment(source, node.test) or '')
+        test = node.test
+        if values is None and isinstance(test, ast.Compare) and len(test.ops) == 1 and isinstance(test.ops[0], ast.Eq):
+            frame = user[-1][0]
+            try:
+                evaluate = lambda expr: eval(compile(ast.Expression(expr), '<assert>', 'eval'), frame.f_globals, frame.f_locals)
+                values = (evaluate(test.left), evaluate(test.comparators[0]))
+            except Exception:
+                values = None
+    if lineno:
+        info['message'] += f' (line {lineno})'
+    if values is not None:
+        info['actual'], info['expected'] = _ait_format(values[0]), _ait_format(values[1])
+    return info
+
+def _ait_collect_tests(namespace):
+    tests = []
+    for name, value in list(namespace.items()):
+        if name.startswith('test_') and inspect.isfunction(value):
+            tests.append(('', name, value, None))
+        elif inspect.isclass(value) and value is not unittest.TestCase and (
+                name.startswith('Test') or issubclass(value, unittest.TestCase)):
+            for method in sorted(m for m in dir(value) if m.startswith('test') and callable(getattr(value, m))):
+                tests.append((name, method, value, method))
+    return tests
+
+async def _ait_call(fn, *args):
+    value = fn(*args)
+    if inspect.isawaitable(value):
+        await value
+
+async def _ait_run_test(target, method):
+    if method is None:
+        await _ait_call(target)
+    elif issubclass(target, unittest.TestCase):
+        instance = target(method)
+        instance.setUp()
+        try:
+            await _ait_call(getattr(instance, method))
+        finally:
+            instance.tearDown()
+    else:
+        instance = target()
+        bound = getattr(instance, method)
+        if hasattr(instance, 'setup_method'):
+            instance.setup_method(bound)
+        try:
+            await _ait_call(bound)
+        finally:
+            if hasattr(instance, 'teardown_method'):
+                instance.teardown_method(bound)
+
+async def _ait_run_tests(namespace, source):
+    results = []
+    started = time.perf_counter()
+    for suite, name, target, method in _ait_collect_tests(namespace):
+        result = {'name': name, 'suite': suite, 'status': 'passed'}
+        began = time.perf_counter()
+        try:
+            await _ait_run_test(target, method)
+        except unittest.SkipTest:
+            result['status'] = 'skipped'
+        except Exception as error:
+            result['status'] = 'failed'
+            result['error'] = _ait_explain(error, source)
+        result['duration'] = (time.perf_counter() - began) * 1000
+        results.append(result)
+    count = lambda status: sum(1 for result in results if result['status'] == status)
+    return json.dumps({
+        'tests': results,
+        'passed': count('passed'),
+        'failed': count('failed'),
+        'skipped': count('skipped'),
+        'duration': (time.perf_counter() - started) * 1000
+    })
+`;
+    
+    // 扩展内置的 Pyodide 目录（WASM、标准库均从此处加载）
+    const PYODIDE_INDEX_URL = RuntimeAssets.getBaseUrl('pyodide');
 
     /**
      * 发送消息到父窗口
@@ -27,6 +204,8 @@
      * 发送输出
      */
     function postOutput(level, ...args) {
+        // 重放时跳过已显示的输出
+        if (!stdinSession.countOutput()) return;
         postMessage('PYTHON_OUTPUT', {
             level: level,
             data: args
@@ -36,8 +215,51 @@
     /**
      * 发送加载进度
      */
-    function postLoading(message) {
-        postMessage('PYTHON_LOADING', { message });
+    function postLoading(message, level = 'info') {
+        postMessage('PYTHON_LOADING', { message, level });
+    }
+
+    /**
+     * 发送图片输出（matplotlib 图表）
+     */
+    function postImage(src) {
+        if (!stdinSession.countOutput()) return;
+        postMessage('PYTHON_OUTPUT', {
+            level: 'image',
+            data: { src }
+        });
+    }
+
+    /**
+     * 发送测试报告（测试模式）
+     */
+    function postTestReport(report) {
+        if (!stdinSession.countOutput()) return;
+        postMessage('PYTHON_OUTPUT', {
+            level: 'test-report',
+            data: report
+        });
+    }
+
+    /**
+     * 运行用户代码命名空间中的测试
+     * @param {PyProxy} globals - 用户代码执行后的全局命名空间
+     * @param {string} code - 执行的代码（定位失败的 assert）
+     * @returns {Promise<Object>} 测试报告
+     */
+    async function runTests(py, globals, code) {
+        if (!testHarnessReady) {
+            py.runPython(TEST_PRELUDE);
+            testHarnessReady = true;
+        }
+        py.globals.set('_ait_test_namespace', globals);
+        py.globals.set('_ait_test_source', code);
+        try {
+            return JSON.parse(await py.runPythonAsync('await _ait_run_tests(_ait_test_namespace, _ait_test_source)'));
+        } finally {
+            py.globals.delete('_ait_test_namespace');
+            py.globals.delete('_ait_test_source');
+        }
     }
 
     /**
@@ -54,7 +276,7 @@
         }
 
         pyodideLoading = true;
-        postLoading('正在加载 Python 环境 (首次加载约需 10-20 秒)...');
+        postLoading('正在加载 Python 环境...');
 
         try {
             pyodide = await loadPyodide({
@@ -71,6 +293,10 @@
                 }
             });
 
+            installStdin(pyodide);
+            pyodide.registerJsModule('ait_output', { image: postImage });
+            pyodide.runPython(PACKAGES_PRELUDE);
+
             postLoading('Python 环境加载完成！');
             pyodideLoading = false;
             return pyodide;
@@ -80,26 +306,195 @@
         }
     }
 
+    /**
+     * 接入标准输入：input() 和 sys.stdin 都从当前会话读取
+     */
+    function installStdin(py) {
+        const readLine = (prompt = '') => {
+            const line = stdinSession.readLine();
+            postOutput('stdin', prompt + line);
+            return line;
+        };
+
+        py.registerJsModule('ait_stdin', {
+            has_line: () => stdinSession.hasLine(),
+            read_line: readLine,
+            request: (prompt) => stdinSession.request(prompt)
+        });
+        py.runPython(INPUT_PRELUDE);
+
+        // sys.stdin.readline() / for line in sys.stdin
+        if (!py.setStdin) return;
+        py.setStdin({
+            stdin: () => {
+                if (stdinSession.hasLine()) return readLine() + '\n';
+                if (stdinSession.request('')) throw new Error('Input required');
+                return undefined;
+            }
+        });
+    }
+
+    /**
+     * 把项目文件写入虚拟文件系统的工作目录（/home/pyodide，已在 sys.path 中）
+     */
+    function writeProjectFiles(py, files) {
+        const cwd = py.FS.cwd();
+        for (const file of files) {
+            const path = `${cwd}/${file.name}`;
+            const dir = path.slice(0, path.lastIndexOf('/'));
+            if (dir !== cwd) {
+                py.FS.mkdirTree(dir);
+            }
+            py.FS.writeFile(path, file.code);
+        }
+        // 让 import 系统识别新写入的模块；重放时移除上次导入的项目模块，使其重新执行
+        py.runPython(`
+import importlib, os, sys
+for _name, _module in list(sys.modules.items()):
+    if (getattr(_module, '__file__', None) or '').startswith(os.getcwd() + '/'):
+        del sys.modules[_name]
+importlib.invalidate_caches()
+`);
+    }
+
+    /**
+     * 已打包的包：Pyodide 包（import 名 → 包名，来自 pyodide-lock.json）和 wheels/ 下的 wheel
+     */
+    async function getPackageIndex() {
+        if (!packageIndex) {
+            const [index, lock] = await Promise.all([
+                RuntimeAssets.getIndex(),
+                fetch(RuntimeAssets.getUrl('pyodide', 'pyodide-lock.json')).then(resp => resp.json())
+            ]);
+            const entry = index?.runtimes?.pyodide || {};
+            const importMap = {};
+            for (const [name, pkg] of Object.entries(lock.packages || {})) {
+                (pkg.imports || []).forEach(moduleName => { importMap[moduleName] = name; });
+            }
+            packageIndex = {
+                importMap,
+                // 从 CDN 加载时 pyodide-lock.json 中的包均可加载
+                bundled: new Set(RuntimeAssets.isCdnFallback('pyodide') ? Object.keys(lock.packages || {}) : (entry.packages || [])),
+                wheels: Object.keys(entry.wheels || {})
+            };
+        }
+        return packageIndex;
+    }
+
+    /**
+     * 根据 import 自动加载包：Pyodide 包用 loadPackage，其余能匹配到已打包 wheel 的用 micropip 安装
+     * 进度通过 PYTHON_LOADING 发送（不计入输出条数，交互输入重放时不会错位）
+     * @param {string[]} sources - 入口代码和项目中的 .py 文件
+     */
+    async function loadPackages(py, sources) {
+        const findImports = py.pyimport('pyodide.code').find_imports;
+        const imports = new Set();
+        for (const source of sources) {
+            try {
+                const list = findImports(source);
+                list.toJs().forEach(name => imports.add(name));
+                list.destroy();
+            } catch (e) {
+                // 语法错误交给执行阶段报告
+            }
+        }
+        if (imports.size === 0) return;
+
+        const { importMap, bundled, wheels } = await getPackageIndex();
+        const moduleExists = py.globals.get('_ait_module_exists');
+        const toLoad = new Set();
+        const toInstall = [];
+        const missing = [];
+        for (const name of imports) {
+            const pkg = importMap[name];
+            if (pkg) {
+                if (py.loadedPackages[pkg]) continue;
+                if (bundled.has(pkg)) {
+                    toLoad.add(pkg);
+                } else {
+                    missing.push(name);
+                }
+            } else if (!moduleExists(name)) {
+                const wheel = wheels.find(file => RuntimeAssets.getWheelProject(file) === RuntimeAssets.normalizePackageName(name));
+                if (wheel) {
+                    toInstall.push(RuntimeAssets.getUrl('pyodide', RuntimeAssets.WHEELS_DIR + wheel));
+                }
+            }
+        }
+        moduleExists.destroy();
+
+        if (missing.length > 0) {
+            postLoading(`未随扩展打包的 Python 包：${missing.join(', ')}（需在 RuntimeAssets 中声明后运行 node scripts/fetch-runtimes.js）`, 'warn');
+        }
+
+        const callbacks = {
+            messageCallback: (message) => postLoading(message),
+            errorCallback: (message) => postLoading(message, 'warn')
+        };
+        if (toInstall.length > 0 && !py.loadedPackages.micropip) {
+            toLoad.add('micropip');
+        }
+        if (toLoad.size > 0) {
+            await py.loadPackage([...toLoad], callbacks);
+        }
+        if (toInstall.length > 0) {
+            postLoading(`正在安装 ${toInstall.map(url => url.split('/').pop()).join(', ')}...`);
+            const micropip = py.pyimport('micropip');
+            await micropip.install(toInstall);
+            micropip.destroy();
+        }
+
+        if (imports.has('matplotlib') && !matplotlibReady && py.loadedPackages.matplotlib) {
+            py.runPython(MATPLOTLIB_PRELUDE);
+            matplotlibReady = true;
+        }
+    }
+
     /**
      * 执行 Python 代码
+     * @param {boolean} test - 测试模式：执行后运行代码中的测试并输出测试报告
      */
-    async function executePython(code) {
+    async function executePython(code, files, session, test) {
         const startTime = Date.now();
+        stdinSession = session;
 
         try {
             // 加载 Pyodide
             const py = await loadPyodideRuntime();
 
+            if (files && files.length > 0) {
+                writeProjectFiles(py, files);
+            }
+
+            // 按 import 加载第三方包（numpy、pandas、matplotlib 等）
+            await loadPackages(py, [code, ...(files || []).filter(file => file.name.endsWith('.py')).map(file => file.code)]);
+            if (matplotlibReady) {
+                // 清理上次（或重放前）未输出的图表
+                py.runPython("import matplotlib.pyplot; matplotlib.pyplot.close('all')");
+            }
+
+            // 按本次运行的种子初始化随机数（交互输入重放时 random / numpy.random 结果一致）
+            session.seedRandom();
+            py.runPython(`
+import random, sys
+random.seed(${session.seed})
+if 'numpy' in sys.modules:
+    sys.modules['numpy'].random.seed(${session.seed})
+`);
+
+            // 每次执行使用独立的全局命名空间（交互输入重放时不残留上次的变量）
+            const globals = py.toPy({ __name__: '__main__' });
+
             // 检查是否有 await 关键字，决定使用同步还是异步执行
             const hasAwait = /\bawait\b/.test(code);
             
             let result;
             if (hasAwait) {
                 // 异步代码
-                result = await py.runPythonAsync(code);
+                result = await py.runPythonAsync(code, { globals });
             } else {
                 // 同步代码
-                result = py.runPython(code);
+                result = py.runPython(code, { globals });
             }
 
             // 如果有返回值且不是 None，输出它
@@ -110,10 +505,29 @@
                 }
             }
 
+            // 输出未调用 plt.show() 的图表
+            if (matplotlibReady) {
+                py.runPython('_ait_show_figures()');
+            }
+
+            if (test) {
+                const report = await runTests(py, globals, code);
+                postTestReport(report);
+                const duration = Date.now() - startTime;
+                postMessage('PYTHON_COMPLETE', { success: report.failed === 0, duration });
+                return;
+            }
+
             const duration = Date.now() - startTime;
             postMessage('PYTHON_COMPLETE', { success: true, duration });
 
         } catch (error) {
+            // 输入耗尽，等待父页面提供输入后重放
+            if (session.requested) {
+                postMessage('PYTHON_INPUT_REQUEST', session.getRequest());
+                return;
+            }
+
             const duration = Date.now() - startTime;
             
             // 格式化 Python 错误信息
@@ -135,10 +549,10 @@
     window.addEventListener('message', async (event) => {
         if (!event.data || typeof event.data !== 'object') return;
         
-        const { type, code } = event.data;
+        const { type, code, files, test } = event.data;
         
         if (type === 'EXECUTE_PYTHON' && code) {
-            await executePython(code);
+            await executePython(code, files, new StdinSession(event.data), test);
         }
     });
 
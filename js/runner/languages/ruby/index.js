@@ -10,7 +10,8 @@ class RubyRunner extends BaseRunner {
             language: 'ruby',
             displayName: 'Ruby',
             icon: '💎',
-            fileExtension: '.rb'
+            fileExtension: '.rb',
+            runtime: 'opal'
         });
         this.sandboxManager = null;
     }
@@ -36,14 +37,17 @@ class RubyRunner extends BaseRunner {
         
         const {
             onOutput = () => {},
-            timeout = 30000  // Ruby 首次加载 Opal 需要时间
+            timeout = 30000, // Ruby 首次加载 Opal 需要时间
+            stdin = '',      // 预填的标准输入
+            onInput = null   // 交互输入回调 (prompt) => Promise<string|null>
         } = options;
         
         try {
             const result = await this.sandboxManager.execute(
                 code,
                 onOutput,
-                timeout
+                timeout,
+                { text: stdin, onInput }
             );
             
             return {
@@ -15,6 +15,8 @@ class RubySandboxManager {
         this.pendingResolve = null;
         this.pendingReject = null;
         this.pendingOnMessage = null;
+        this.pendingStdin = null;   // StdinReplay
+        this.pendingTimeout = 0;
     }
 
     /**
@@ -32,9 +34,12 @@ class RubySandboxManager {
      * @param {string} code - 要执行的代码
      * @param {Function} onMessage - 消息回调
      * @param {number} timeout - 超时时间（毫秒）
+     * @param {Object} stdin - 标准输入
+     * @param {string} stdin.text - 预填输入（每行一项）
+     * @param {Function} stdin.onInput - 交互输入回调 (prompt) => Promise<string|null>
      * @returns {Promise}
      */
-    execute(code, onMessage, timeout = 30000) {
+    execute(code, onMessage, timeout = 30000, stdin = {}) {
         return new Promise((resolve, reject) => {
             this.destroy();
             
@@ -48,6 +53,8 @@ class RubySandboxManager {
             this.pendingResolve = resolve;
             this.pendingReject = reject;
             this.pendingOnMessage = onMessage;
+            this.pendingStdin = new StdinReplay(stdin);
+            this.pendingTimeout = timeout;
             this.isReady = false;
             
             const iframe = document.createElement('iframe');
@@ -62,6 +69,7 @@ class RubySandboxManager {
                     'RUBY_LOADING', 
                     'RUBY_OUTPUT', 
                     'RUBY_ERROR', 
+                    'RUBY_INPUT_REQUEST',
                     'RUBY_COMPLETE'
                 ];
                 if (!validTypes.includes(type)) return;
@@ -70,10 +78,7 @@ class RubySandboxManager {
                     case 'RUBY_SANDBOX_READY':
                         this.isReady = true;
                         if (this.currentSandbox && this.pendingCode) {
-                            this.currentSandbox.contentWindow.postMessage({
-                                type: 'EXECUTE_RUBY',
-                                code: this.pendingCode
-                            }, '*');
+                            this.currentSandbox.contentWindow.postMessage(this._getExecuteMessage(), '*');
                         }
                         break;
                     
@@ -101,6 +106,12 @@ class RubySandboxManager {
                         }
                         break;
                         
+                    case 'RUBY_INPUT_REQUEST':
+                        // 等待用户输入期间不计超时
+                        clearTimeout(this.timeoutId);
+                        this.pendingStdin?.handleRequest(this, data);
+                        break;
+                        
                     case 'RUBY_COMPLETE':
                         clearTimeout(this.timeoutId);
                         const savedResolve = this.pendingResolve;
@@ -116,13 +127,7 @@ class RubySandboxManager {
             
             window.addEventListener('message', this.messageHandler);
             
-            this.timeoutId = setTimeout(() => {
-                const savedReject = this.pendingReject;
-                this.destroy();
-                if (savedReject) {
-                    savedReject(new Error('代码执行超时（30秒）'));
-                }
-            }, timeout);
+            this._startTimeout();
             
             document.body.appendChild(iframe);
             this.currentSandbox = iframe;
@@ -130,6 +135,31 @@ class RubySandboxManager {
         });
     }
 
+    /**
+     * 执行超时计时
+     */
+    _startTimeout() {
+        this.timeoutId = setTimeout(() => {
+            const savedReject = this.pendingReject;
+            this.destroy();
+            if (savedReject) {
+                savedReject(new Error('代码执行超时（30秒）'));
+            }
+        }, this.pendingTimeout);
+    }
+
+    /**
+     * 执行消息（含输入协议参数，见 js/runner/core/stdin-session.js）
+     * @param {number} skipOutputs - 重放时跳过的输出条数
+     */
+    _getExecuteMessage(skipOutputs = 0) {
+        return {
+            type: 'EXECUTE_RUBY',
+            code: this.pendingCode,
+            ...this.pendingStdin.getMessage(skipOutputs)
+        };
+    }
+
     /**
      * 清理沙箱
      */
@@ -154,6 +184,7 @@ class RubySandboxManager {
         this.pendingResolve = null;
         this.pendingReject = null;
         this.pendingOnMessage = null;
+        this.pendingStdin = null;
     }
 }
 
@@ -10,6 +10,9 @@
 
     let opalLoaded = false;
 
+    // 当前执行的输入会话（见 js/runner/core/stdin-session.js）
+    let stdinSession = new StdinSession();
+
     /**
      * 发送消息到父窗口
      */
@@ -23,6 +26,8 @@
      * 发送输出
      */
     function postOutput(level, ...args) {
+        // 重放时跳过已显示的输出
+        if (!stdinSession.countOutput()) return;
         postMessage('RUBY_OUTPUT', {
             level: level,
             data: args
@@ -39,45 +44,98 @@
     /**
      * 执行 Ruby 代码
      */
-    function executeRuby(code) {
+    function executeRuby(code, session) {
         const startTime = Date.now();
+        stdinSession = session;
 
         try {
             if (!opalLoaded || !window.Opal) {
                 throw new Error('Opal 未加载');
             }
 
+            // 按本次运行的种子初始化随机数（交互输入重放时 rand / shuffle 等结果一致）
+            session.seedRandom();
+            Opal.Kernel.$srand(session.seed);
+
             // 重定向 puts 和 print 输出
-            const outputBuffer = [];
+            // print 的内容按行缓冲，未换行的部分作为 gets 的输入提示
+            let lineBuffer = '';
+            const writeText = (text) => {
+                lineBuffer += text;
+                const lines = lineBuffer.split('\n');
+                lineBuffer = lines.pop();
+                lines.forEach(line => postOutput('log', line));
+            };
+            const flushText = () => {
+                if (lineBuffer) {
+                    postOutput('log', lineBuffer);
+                    lineBuffer = '';
+                }
+            };
             
-            // 保存原始的 $stdout
+            // 保存原始的 $stdout / $stdin
             const originalStdout = Opal.gvars.stdout;
+            const originalStdin = Opal.gvars.stdin;
             
             // 创建自定义输出对象
             const customStdout = Opal.Object.$new();
-            customStdout.$write = function(str) {
-                const jsStr = str.toString();
-                if (jsStr.trim() || jsStr === '\n') {
-                    outputBuffer.push(jsStr);
-                }
+            customStdout.$write = function(...args) {
+                writeText(args.map(a => a === Opal.nil ? '' : a.toString()).join(''));
                 return Opal.nil;
             };
             customStdout.$puts = function(...args) {
+                if (args.length === 0) args = [''];
                 args.forEach(arg => {
                     const str = arg === Opal.nil ? '' : arg.toString();
-                    postOutput('log', str);
+                    writeText(str.endsWith('\n') ? str : str + '\n');
                 });
                 return Opal.nil;
             };
-            customStdout.$print = function(...args) {
-                const str = args.map(a => a === Opal.nil ? '' : a.toString()).join('');
-                postOutput('log', str);
+            customStdout.$print = customStdout.$write;
+            customStdout.$flush = function() { return Opal.nil; };
+
+            // 创建自定义输入对象：从输入会话读取，输入耗尽时请求交互输入或返回 nil（EOF）
+            const readLine = (canRequest) => {
+                const prompt = lineBuffer;
+                if (stdinSession.hasLine()) {
+                    lineBuffer = '';
+                    const line = stdinSession.readLine();
+                    postOutput('stdin', prompt + line);
+                    return line + '\n';
+                }
+                if (canRequest && stdinSession.request(prompt)) {
+                    // 提示由父页面显示在输入框前
+                    lineBuffer = '';
+                    throw new Error('input required');
+                }
                 return Opal.nil;
             };
-            customStdout.$flush = function() { return Opal.nil; };
+            const customStdin = Opal.Object.$new();
+            customStdin.$gets = function() { return readLine(true); };
+            customStdin.$readline = function() {
+                const line = readLine(true);
+                if (line === Opal.nil) {
+                    throw Opal.EOFError.$new('end of file reached');
+                }
+                return line;
+            };
+            customStdin.$readlines = function() {
+                const lines = [];
+                for (let line = readLine(false); line !== Opal.nil; line = readLine(false)) {
+                    lines.push(line);
+                }
+                return lines;
+            };
+            customStdin.$read = function() { return customStdin.$readlines().join(''); };
+            customStdin.$each_line = function(block) {
+                customStdin.$readlines().forEach(line => block(line));
+                return customStdin;
+            };
+            customStdin['$eof?'] = function() { return !stdinSession.hasLine(); };
             
-            // 设置自定义 stdout
+            // 设置自定义 stdout / stdin
             Opal.gvars.stdout = customStdout;
+            Opal.gvars.stdin = customStdin;
 
             try {
                 // 编译并执行 Ruby 代码
@@ -91,14 +149,22 @@
                     }
                 }
             } finally {
-                // 恢复原始 stdout
+                // 恢复原始 stdout / stdin
+                flushText();
                 Opal.gvars.stdout = originalStdout;
+                Opal.gvars.stdin = originalStdin;
             }
 
             const duration = Date.now() - startTime;
             postMessage('RUBY_COMPLETE', { success: true, duration });
 
         } catch (error) {
+            // 输入耗尽，等待父页面提供输入后重放
+            if (session.requested) {
+                postMessage('RUBY_INPUT_REQUEST', session.getRequest());
+                return;
+            }
+
             const duration = Date.now() - startTime;
             
             // 格式化 Ruby 错误信息
@@ -123,7 +189,7 @@
         const { type, code } = event.data;
         
         if (type === 'EXECUTE_RUBY' && code) {
-            executeRuby(code);
+            executeRuby(code, new StdinSession(event.data));
         }
     });
 
@@ -131,17 +197,17 @@
      * Opal 加载完成后的回调
      */
     window.onOpalLoaded = function() {
+        // Kernel#gets 等转发到 $stdin
+        Opal.eval(`
+            module Kernel
+              def gets(*args) $stdin.gets(*args) end
+              def readline(*args) $stdin.readline(*args) end
+              def readlines(*args) $stdin.readlines(*args) end
+            end
+        `);
         opalLoaded = true;
         postMessage('RUBY_SANDBOX_READY', {});
     };
 
-    /**
-     * Opal 加载失败的回调
-     */
-    window.onOpalError = function() {
-        postMessage('RUBY_ERROR', { message: '无法加载 Opal，请检查网络连接' });
-        postMessage('RUBY_COMPLETE', { success: false, duration: 0, error: '无法加载 Opal' });
-    };
-
 })();
 
@@ -0,0 +1,100 @@
+/**
+ * SQLCsv - CSV 解析与生成（RFC 4180：双引号包裹、"" 转义、字段内换行）
+ *
+ * 同时被两处加载：
+ * - SQL 沙箱页面：CSV 导入为数据表
+ * - 内容脚本（RunnerPanel）：查询结果导出为 CSV
+ */
+
+const SQLCsv = {
+    /**
+     * 解析 CSV 文本
+     * @param {string} text
+     * @param {string} delimiter - 分隔符，默认按首行自动识别（逗号 / 分号 / 制表符）
+     * @returns {string[][]} 行数组（忽略空行）
+     */
+    parse(text, delimiter = null) {
+        text = (text || '').replace(/^\uFEFF/, '');
+        delimiter = delimiter || this.detectDelimiter(text);
+
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        const pushRow = () => {
+            row.push(field);
+            if (row.length > 1 || row[0] !== '') rows.push(row);
+            row = [];
+            field = '';
+        };
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                pushRow();
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || row.length > 0) pushRow();
+        return rows;
+    },
+
+    /**
+     * 按首行中出现最多的候选分隔符识别
+     */
+    detectDelimiter(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0] || '';
+        const candidates = [',', ';', '\t'];
+        const counts = candidates.map(d => firstLine.split(d).length);
+        return candidates[counts.indexOf(Math.max(...counts))];
+    },
+
+    /**
+     * 生成 CSV 文本
+     * @param {string[]} columns - 表头
+     * @param {Array<Array>} rows - 行数据（null 输出为空字段）
+     * @returns {string}
+     */
+    stringify(columns, rows) {
+        const escape = (value) => {
+            if (value === null || value === undefined) return '';
+            const str = value instanceof Uint8Array ? `[BLOB ${value.length} bytes]` : String(value);
+            return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+        };
+        return [columns, ...rows].map(row => row.map(escape).join(',')).join('\r\n');
+    },
+
+    /**
+     * 推断列类型：全部非空值都是整数 → INTEGER，都是数字 → REAL，否则 TEXT
+     * @param {string[]} values
+     * @returns {'INTEGER'|'REAL'|'TEXT'}
+     */
+    inferType(values) {
+        const present = values.filter(value => value !== '' && value !== null && value !== undefined);
+        if (present.length === 0) return 'TEXT';
+        if (present.every(value => /^-?\d{1,15}$/.test(value.trim()))) return 'INTEGER';
+        if (present.every(value => value.trim() !== '' && isFinite(Number(value)))) return 'REAL';
+        return 'TEXT';
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SQLCsv;
+}
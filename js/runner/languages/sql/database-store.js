@@ -0,0 +1,83 @@
+/**
+ * SQLDatabaseStore - SQL 运行器的命名持久化数据库
+ *
+ * 数据库以 SQLite 导出字节保存在扩展 origin 的 IndexedDB 中（background.js 的 RUNNER_SQL_* 消息），
+ * 所有站点共用；消息只能传 JSON，字节以 base64 传输。
+ * 当前选中的数据库名保存在 storage 的 runnerSQLDatabase（null 表示临时内存数据库）。
+ */
+
+const SQLDatabaseStore = {
+    SELECTED_KEY: 'runnerSQLDatabase',
+
+    async _send(message) {
+        const resp = await chrome.runtime.sendMessage(message);
+        if (!resp?.success) {
+            throw new Error(resp?.error || 'SQL database storage unavailable');
+        }
+        return resp.data;
+    },
+
+    /**
+     * 数据库列表
+     * @returns {Promise<Array<{ name, size, createdAt, updatedAt }>>}
+     */
+    list() {
+        return this._send({ type: 'RUNNER_SQL_LIST' });
+    },
+
+    /**
+     * 读取数据库
+     * @returns {Promise<Uint8Array|null>} 空数据库或不存在时为 null
+     */
+    async load(name) {
+        const data = await this._send({ type: 'RUNNER_SQL_GET', name });
+        return data ? this._decode(data) : null;
+    },
+
+    /**
+     * 保存数据库（不存在时创建）
+     * @param {Uint8Array|null} bytes
+     */
+    save(name, bytes) {
+        return this._send({ type: 'RUNNER_SQL_SAVE', name, data: bytes ? this._encode(bytes) : '' });
+    },
+
+    remove(name) {
+        return this._send({ type: 'RUNNER_SQL_DELETE', name });
+    },
+
+    async getSelected() {
+        try {
+            const result = await chrome.storage.local.get(this.SELECTED_KEY);
+            return result[this.SELECTED_KEY] || null;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    async setSelected(name) {
+        await chrome.storage.local.set({ [this.SELECTED_KEY]: name || null });
+    },
+
+    _encode(bytes) {
+        let binary = '';
+        // 分段转换，避免 String.fromCharCode 参数过多
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    },
+
+    _decode(data) {
+        const binary = atob(data);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+};
+
+if (typeof window !== 'undefined') {
+    window.SQLDatabaseStore = SQLDatabaseStore;
+}
@@ -2,6 +2,8 @@
  * SQLRunner - SQL 代码执行器
  * 
  * 继承自 BaseRunner，使用 sql.js (SQLite WASM) 执行 SQL
+ * 默认每次运行使用新的内存数据库；指定 options.database 时在命名持久化数据库上执行，
+ * 有改动时把导出的数据库写回（SQLDatabaseStore）
  */
 
 class SQLRunner extends BaseRunner {
@@ -10,7 +12,8 @@ class SQLRunner extends BaseRunner {
             language: 'sql',
             displayName: 'SQL',
             icon: '🗃️',
-            fileExtension: '.sql'
+            fileExtension: '.sql',
+            runtime: 'sqljs'
         });
         this.sandboxManager = null;
     }
@@ -29,26 +32,26 @@ class SQLRunner extends BaseRunner {
      * 执行代码
      * @param {string} code - 要执行的代码
      * @param {Object} options - 选项
-     * @returns {Promise}
+     * @param {string|null} options.database - 持久化数据库名，为空时使用临时内存数据库
+     * @returns {Promise} 结果中的 schema 为执行后的表结构
      */
     async execute(code, options = {}) {
         await this.initialize();
         
         const {
             onOutput = () => {},
-            timeout = 30000  // SQL 执行超时 30 秒（首次加载 WASM 较慢）
+            timeout = 30000,  // SQL 执行超时 30 秒（首次加载 WASM 较慢）
+            database = null
         } = options;
         
         try {
-            const result = await this.sandboxManager.execute(
-                code,
-                onOutput,
-                timeout
-            );
+            const result = await this._executeOnDatabase(this.sandboxManager, database, code, onOutput, timeout);
             
             return {
                 success: true,
                 duration: result.duration,
+                schema: result.schema || [],
+                database,
                 language: this.language
             };
         } catch (error) {
@@ -65,6 +68,64 @@ class SQLRunner extends BaseRunner {
         }
     }
 
+    /**
+     * 在数据库上执行，有改动时保存
+     * @param {SQLSandboxManager} manager
+     * @param {string|null} database - 持久化数据库名
+     * @param {Object} data - 附加数据（csv）
+     */
+    async _executeOnDatabase(manager, database, code, onOutput, timeout, data = {}) {
+        const bytes = database ? await SQLDatabaseStore.load(database) : null;
+        const result = await manager.execute(code, onOutput, timeout, {
+            ...data,
+            database: bytes,
+            persist: !!database
+        });
+        if (database && result.database) {
+            await SQLDatabaseStore.save(database, result.database);
+        }
+        return result;
+    }
+
+    /**
+     * 读取持久化数据库的表结构
+     * 使用独立的沙箱，不打断正在运行的代码
+     * @param {string} database - 数据库名
+     * @returns {Promise<Array<{ name, type, rowCount, columns }>>}
+     */
+    async inspect(database) {
+        await this.initialize();
+        if (!this.isReady()) return [];
+        const result = await this._executeOnDatabase(new window.SQLSandboxManager(), database, '', () => {}, 30000);
+        return result.schema || [];
+    }
+
+    /**
+     * 导入 CSV 到持久化数据库的表中（表不存在时按表头创建）
+     * @param {string} database - 数据库名
+     * @param {string} table - 表名
+     * @param {string} text - CSV 内容
+     * @param {Function} onOutput - 输出回调（导入结果、错误）
+     * @returns {Promise<{ success: boolean, schema?: Array, error?: string }>}
+     */
+    async importCsv(database, table, text, onOutput = () => {}) {
+        await this.initialize();
+        if (!this.isReady()) {
+            const message = this.getNotReadyMessage();
+            onOutput({ level: 'error', data: [message] });
+            return { success: false, error: message };
+        }
+        try {
+            const result = await this._executeOnDatabase(
+                new window.SQLSandboxManager(), database, '', onOutput, 60000, { csv: { table, text } }
+            );
+            return { success: result.success, schema: result.schema || [], error: result.error };
+        } catch (error) {
+            onOutput({ level: 'error', data: [error.message] });
+            return { success: false, error: error.message };
+        }
+    }
+
     /**
      * 清理资源
      */
@@ -10,7 +10,7 @@ class SQLSandboxManager {
         this.messageHandler = null;
         this.timeoutId = null;
         this.isReady = false;
-        this.pendingCode = null;
+        this.pendingPayload = null;
         this.pendingResolve = null;
         this.pendingReject = null;
         this.pendingOnMessage = null;
@@ -31,9 +31,13 @@ class SQLSandboxManager {
      * @param {string} code - 要执行的 SQL 代码
      * @param {Function} onMessage - 消息回调
      * @param {number} timeout - 超时时间（毫秒）
-     * @returns {Promise}
+     * @param {Object} data - 附加数据
+     * @param {Uint8Array|null} data.database - 持久化数据库的字节，为空时使用内存数据库
+     * @param {boolean} data.persist - 数据库有改动时在结果中返回导出的字节
+     * @param {{ table: string, text: string }|null} data.csv - 执行前导入的 CSV
+     * @returns {Promise} 结果 { success, duration, schema, database? }
      */
-    execute(code, onMessage, timeout = 30000) {
+    execute(code, onMessage, timeout = 30000, { database = null, persist = false, csv = null } = {}) {
         return new Promise((resolve, reject) => {
             this.destroy();
             
@@ -43,7 +47,7 @@ class SQLSandboxManager {
                 return;
             }
             
-            this.pendingCode = code;
+            this.pendingPayload = { type: 'EXECUTE_SQL', code: code || '', database, persist, csv };
             this.pendingResolve = resolve;
             this.pendingReject = reject;
             this.pendingOnMessage = onMessage;
@@ -69,11 +73,8 @@ class SQLSandboxManager {
                 switch (type) {
                     case 'SQL_SANDBOX_READY':
                         this.isReady = true;
-                        if (this.currentSandbox && this.pendingCode) {
-                            this.currentSandbox.contentWindow.postMessage({
-                                type: 'EXECUTE_SQL',
-                                code: this.pendingCode
-                            }, '*');
+                        if (this.currentSandbox && this.pendingPayload) {
+                            this.currentSandbox.contentWindow.postMessage(this.pendingPayload, '*');
                         }
                         break;
                     
@@ -160,7 +161,7 @@ class SQLSandboxManager {
         }
         
         this.isReady = false;
-        this.pendingCode = null;
+        this.pendingPayload = null;
         this.pendingResolve = null;
         this.pendingReject = null;
         this.pendingOnMessage = null;
@@ -2,13 +2,19 @@
  * SQL Sandbox Script
  * 
  * 在 iframe 沙箱中使用 sql.js 执行 SQL
+ *
+ * EXECUTE_SQL 消息：
+ * - code: SQL 代码（可为空：只导入 CSV 或读取表结构）
+ * - database: 持久化数据库的 SQLite 字节（Uint8Array），为空时使用新的内存数据库
+ * - persist: 执行后数据库有改动时，在 SQL_COMPLETE 中带回导出的字节，由父页面保存
+ * - csv: { table, text } 执行代码前把 CSV 导入到表中（表不存在时按表头创建）
+ * SQL_COMPLETE 中的 schema 为执行后的表结构（供侧栏展示）
  */
 
 (function() {
     'use strict';
 
-    let db = null;
-    let sqlJsLoaded = false;
+    let SQL = null;
 
     /**
      * 发送消息到父窗口
@@ -48,25 +54,21 @@
     }
 
     /**
-     * 初始化数据库
+     * 初始化 sql.js
      */
-    async function initializeDatabase() {
-        if (sqlJsLoaded && db) {
+    async function initializeSqlJs() {
+        if (SQL) {
             return;
         }
 
-        postLoading('正在加载 SQLite 环境 (首次加载约需 5-10 秒)...');
+        postLoading('正在加载 SQLite 环境...');
 
         try {
             // 使用 window.initSqlJs 调用 sql.js 提供的全局初始化函数
-            const SQL = await window.initSqlJs({
-                locateFile: file => `https://cdn.jsdelivr.net/npm/sql.js@1.8.0/dist/${file}`
+            SQL = await window.initSqlJs({
+                locateFile: file => RuntimeAssets.getUrl('sqljs', file)
             });
             
-            // 创建内存数据库
-            db = new SQL.Database();
-            sqlJsLoaded = true;
-            
             postLoading('SQLite 环境加载完成');
         } catch (error) {
             throw new Error('初始化 SQLite 失败: ' + error.message);
@@ -75,14 +77,27 @@
 
     /**
      * 执行 SQL 代码
+     * @param {Object} payload - EXECUTE_SQL 消息
      */
-    async function executeSQL(code) {
+    async function executeSQL({ code = '', database = null, persist = false, csv = null }) {
         const startTime = Date.now();
+        let db = null;
 
         try {
             // 确保 sql.js 已初始化
-            if (!sqlJsLoaded) {
-                await initializeDatabase();
+            await initializeSqlJs();
+
+            // 持久化数据库从保存的字节打开，否则创建内存数据库
+            db = database ? new SQL.Database(database) : new SQL.Database();
+            let changed = false;
+
+            if (csv) {
+                try {
+                    importCsv(db, csv.table, csv.text);
+                } catch (error) {
+                    throw new Error(`导入 CSV 失败: ${error.message}`);
+                }
+                changed = true;
             }
 
             // 分割 SQL 语句（按分号分割，但保留在字符串内的分号）
@@ -98,6 +113,10 @@
                 try {
                     // 执行 SQL
                     const results = db.exec(trimmed);
+                    // 只读语句不触发保存（WITH 可能包含写入，按改动处理）
+                    if (!/^(SELECT|EXPLAIN|VALUES)\b/i.test(trimmed)) {
+                        changed = true;
+                    }
                     
                     // 处理结果
                     if (results && results.length > 0) {
@@ -132,7 +151,12 @@
             }
 
             const duration = Date.now() - startTime;
-            postMessage('SQL_COMPLETE', { success: true, duration });
+            postMessage('SQL_COMPLETE', {
+                success: true,
+                duration,
+                schema: getSchema(db),
+                database: persist && changed ? db.export() : undefined
+            });
 
         } catch (error) {
             const duration = Date.now() - startTime;
@@ -141,9 +165,85 @@
             
             postMessage('SQL_ERROR', { message: errorMessage });
             postMessage('SQL_COMPLETE', { success: false, duration, error: errorMessage });
+        } finally {
+            if (db) db.close();
         }
     }
 
+    function quoteIdentifier(name) {
+        return '"' + String(name).replace(/"/g, '""') + '"';
+    }
+
+    /**
+     * 导入 CSV：首行为列名；表不存在时按列值推断类型（INTEGER / REAL / TEXT）创建，
+     * 已存在时按列名追加（列名须与表中的列一致），空字段写入 NULL
+     */
+    function importCsv(db, table, text) {
+        const rows = SQLCsv.parse(text);
+        if (rows.length === 0) {
+            throw new Error('CSV 文件为空');
+        }
+
+        const header = rows[0].map((name, i) => name.trim() || `column${i + 1}`);
+        const data = rows.slice(1);
+        const exists = db.exec('SELECT 1 FROM sqlite_master WHERE type = \'table\' AND name = ?', [table]).length > 0;
+
+        if (!exists) {
+            const columns = header.map((name, i) =>
+                `${quoteIdentifier(name)} ${SQLCsv.inferType(data.map(row => row[i]))}`
+            );
+            db.run(`CREATE TABLE ${quoteIdentifier(table)} (${columns.join(', ')})`);
+        }
+
+        const placeholders = header.map(() => '?').join(', ');
+        const stmt = db.prepare(
+            `INSERT INTO ${quoteIdentifier(table)} (${header.map(quoteIdentifier).join(', ')}) VALUES (${placeholders})`
+        );
+        db.run('BEGIN');
+        try {
+            for (const row of data) {
+                stmt.run(header.map((_, i) => (row[i] === undefined || row[i] === '') ? null : row[i]));
+            }
+            db.run('COMMIT');
+        } catch (error) {
+            db.run('ROLLBACK');
+            throw error;
+        } finally {
+            stmt.free();
+        }
+
+        postOutput('info', `✓ 已导入 ${data.length} 行到表 ${table}${exists ? '（追加）' : ''}`);
+    }
+
+    /**
+     * 数据库中的表和视图
+     * @returns {Array<{ name, type, rowCount, columns: Array<{ name, type, pk }> }>}
+     */
+    function getSchema(db) {
+        const result = db.exec(
+            'SELECT name, type FROM sqlite_master WHERE type IN (\'table\', \'view\') AND name NOT LIKE \'sqlite_%\' ORDER BY type, name'
+        );
+        if (result.length === 0) return [];
+
+        return result[0].values.map(([name, type]) => {
+            const info = db.exec(`PRAGMA table_info(${quoteIdentifier(name)})`);
+            let rowCount = null;
+            try {
+                rowCount = db.exec(`SELECT COUNT(*) FROM ${quoteIdentifier(name)}`)[0].values[0][0];
+            } catch {
+                // 视图引用的表不存在时无法计数
+            }
+            return {
+                name,
+                type,
+                rowCount,
+                columns: info.length > 0
+                    ? info[0].values.map(([, colName, colType, , , pk]) => ({ name: colName, type: colType, pk: !!pk }))
+                    : []
+            };
+        });
+    }
+
     /**
      * 分割 SQL 语句
      * 简单实现：按分号分割，不处理字符串内的分号
@@ -188,10 +288,8 @@
     window.addEventListener('message', (event) => {
         if (!event.data || typeof event.data !== 'object') return;
         
-        const { type, code } = event.data;
-        
-        if (type === 'EXECUTE_SQL' && code) {
-            executeSQL(code);
+        if (event.data.type === 'EXECUTE_SQL') {
+            executeSQL(event.data);
         }
     });
 
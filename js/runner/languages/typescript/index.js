@@ -10,7 +10,8 @@ class TypeScriptRunner extends BaseRunner {
             language: 'typescript',
             displayName: 'TypeScript',
             icon: '🔷',
-            fileExtension: '.ts'
+            fileExtension: '.ts',
+            runtime: 'typescript'
         });
         this.sandboxManager = null;
     }
@@ -36,14 +37,16 @@ class TypeScriptRunner extends BaseRunner {
         
         const {
             onOutput = () => {},
-            timeout = 30000  // TypeScript 编译+执行超时 30 秒
+            timeout = 30000,  // TypeScript 编译+执行超时 30 秒
+            test = null       // 测试模式：{ code } 附加的测试用例
         } = options;
         
         try {
             const result = await this.sandboxManager.execute(
-                code,
+                this.appendTestCode(code, test),
                 onOutput,
-                timeout
+                timeout,
+                !!test
             );
             
             return {
@@ -14,6 +14,7 @@ class TypeScriptSandboxManager {
         this.pendingResolve = null;
         this.pendingReject = null;
         this.pendingOnMessage = null;
+        this.pendingTest = false;
     }
 
     /**
@@ -31,9 +32,10 @@ class TypeScriptSandboxManager {
      * @param {string} code - 要执行的 TypeScript 代码
      * @param {Function} onMessage - 消息回调
      * @param {number} timeout - 超时时间（毫秒）
+     * @param {boolean} test - 测试模式：运行代码中的测试并输出测试报告
      * @returns {Promise}
      */
-    execute(code, onMessage, timeout = 30000) {
+    execute(code, onMessage, timeout = 30000, test = false) {
         return new Promise((resolve, reject) => {
             this.destroy();
             
@@ -47,6 +49,7 @@ class TypeScriptSandboxManager {
             this.pendingResolve = resolve;
             this.pendingReject = reject;
             this.pendingOnMessage = onMessage;
+            this.pendingTest = test;
             this.isReady = false;
             
             const iframe = document.createElement('iframe');
@@ -71,7 +74,8 @@ class TypeScriptSandboxManager {
                         if (this.currentSandbox && this.pendingCode) {
                             this.currentSandbox.contentWindow.postMessage({
                                 type: 'EXECUTE_TS',
-                                code: this.pendingCode
+                                code: this.pendingCode,
+                                test: this.pendingTest
                             }, '*');
                         }
                         break;
@@ -153,6 +157,7 @@ class TypeScriptSandboxManager {
         this.pendingResolve = null;
         this.pendingReject = null;
         this.pendingOnMessage = null;
+        this.pendingTest = false;
     }
 }
 
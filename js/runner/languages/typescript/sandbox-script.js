@@ -70,10 +70,10 @@
     }
 
     /**
-     * 执行编译后的 JavaScript 代码
+     * 重写 console 方法以捕获输出
+     * @returns {Function} 恢复原始 console
      */
-    function executeJavaScript(jsCode) {
-        // 重写 console 方法以捕获输出
+    function captureConsole() {
         const originalConsole = {
             log: console.log,
             error: console.error,
@@ -94,6 +94,15 @@
             postOutput('info', ...args.map(formatValue));
         };
 
+        return () => Object.assign(console, originalConsole);
+    }
+
+    /**
+     * 执行编译后的 JavaScript 代码
+     */
+    function executeJavaScript(jsCode) {
+        const restoreConsole = captureConsole();
+
         try {
             // 使用 Function 构造器执行代码（比 eval 更安全）
             const fn = new Function(jsCode);
@@ -104,8 +113,23 @@
                 postOutput('result', formatValue(result));
             }
         } finally {
-            // 恢复原始 console
-            Object.assign(console, originalConsole);
+            restoreConsole();
+        }
+    }
+
+    /**
+     * 测试模式：执行编译后的代码并运行其中的测试（见 js/runner/core/test-harness.js）
+     * @param {string} jsCode - 编译后的代码
+     * @param {string} source - TypeScript 源码（查找 test_* 函数）
+     * @returns {Promise<Object>} 测试报告
+     */
+    async function executeTests(jsCode, source) {
+        const restoreConsole = captureConsole();
+
+        try {
+            return await RunnerTestHarness.run(jsCode, source);
+        } finally {
+            restoreConsole();
         }
     }
 
@@ -127,8 +151,10 @@
 
     /**
      * 执行 TypeScript 代码
+     * @param {string} code
+     * @param {boolean} test - 测试模式
      */
-    function executeTypeScript(code) {
+    async function executeTypeScript(code, test) {
         const startTime = Date.now();
 
         try {
@@ -139,6 +165,14 @@
             
             postLoading('编译完成，正在执行...');
             
+            if (test) {
+                const report = await executeTests(jsCode, code);
+                postMessage('TS_OUTPUT', { level: 'test-report', data: report });
+                const duration = Date.now() - startTime;
+                postMessage('TS_COMPLETE', { success: report.failed === 0, duration });
+                return;
+            }
+
             // 执行 JS
             executeJavaScript(jsCode);
 
@@ -161,10 +195,10 @@
     window.addEventListener('message', (event) => {
         if (!event.data || typeof event.data !== 'object') return;
         
-        const { type, code } = event.data;
+        const { type, code, test } = event.data;
         
         if (type === 'EXECUTE_TS' && code) {
-            executeTypeScript(code);
+            executeTypeScript(code, test);
         }
     });
 
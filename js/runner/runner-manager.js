@@ -32,12 +32,7 @@ class RunnerManager {
     async run(code, language, callbacks = {}) {
         this.initialize();
 
-        const {
-            onStart = () => {},
-            onOutput = () => {},
-            onComplete = () => {},
-            onError = () => {}
-        } = callbacks;
+        const { onError = () => {} } = callbacks;
 
         // 检查代码是否为空
         if (!code || !code.trim()) {
@@ -58,6 +53,70 @@ class RunnerManager {
             return { success: false, error: '代码正在运行中' };
         }
 
+        this.currentLanguage = language;
+        return this._execute(callbacks, (options) => runner.execute(code, options));
+    }
+
+    /**
+     * 运行多文件项目
+     * HTML 项目合并引用的 CSS / JS 后预览，其他语言交给入口文件对应的运行器
+     * @param {Array<{name: string, language: string, code: string}>} files - 项目文件
+     * @param {Object} callbacks - 回调函数
+     * @returns {Promise}
+     */
+    async runProject(files, callbacks = {}) {
+        this.initialize();
+
+        const { onError = () => {} } = callbacks;
+
+        const entry = RunnerProject.getEntry(files);
+        if (!entry) {
+            onError({ message: '项目中没有可运行的文件' });
+            return { success: false, error: '项目中没有可运行的文件' };
+        }
+
+        if (entry.language === 'html') {
+            return this.run(RunnerProject.bundleHtml(files, entry), 'html', callbacks);
+        }
+
+        if (!entry.code.trim()) {
+            onError({ message: `入口文件 ${entry.name} 为空` });
+            return { success: false, error: `入口文件 ${entry.name} 为空` };
+        }
+
+        const runner = this.languageRegistry.getRunner(entry.language);
+        if (!runner) {
+            onError({ message: `不支持的语言: ${entry.language}` });
+            return { success: false, error: `不支持的语言: ${entry.language}` };
+        }
+
+        if (this.isRunning) {
+            onError({ message: '代码正在运行中，请稍候...' });
+            return { success: false, error: '代码正在运行中' };
+        }
+
+        this.currentLanguage = entry.language;
+        return this._execute(callbacks, (options) => runner.executeProject(files, entry, options));
+    }
+
+    /**
+     * 执行并处理运行状态、输出限制和回调
+     * @param {Object} callbacks - 回调函数
+     * @param {Function} executor - (options) => Promise<result>
+     * @returns {Promise}
+     */
+    async _execute(callbacks, executor) {
+        const {
+            onStart = () => {},
+            onOutput = () => {},
+            onComplete = () => {},
+            onError = () => {},
+            stdin = '',        // 预填的标准输入（Python / Lua / Ruby / Go / C++）
+            onInput = null,    // 交互输入回调 (prompt) => Promise<string|null>
+            database = null,   // SQL 持久化数据库名
+            test = null        // 测试模式 { code }（JavaScript / TypeScript / Python）
+        } = callbacks;
+
         // 重置输出计数
         this.outputCount = 0;
         this.isRunning = true;
@@ -65,10 +124,14 @@ class RunnerManager {
 
         try {
             // 执行代码（使用各语言默认的超时时间）
-            const result = await runner.execute(code, {
+            const result = await executor({
                 onOutput: (output) => {
                     this.handleOutput(output, onOutput);
-                }
+                },
+                stdin,
+                onInput,
+                database,
+                test
             });
 
             this.isRunning = false;
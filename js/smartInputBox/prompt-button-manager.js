@@ -4,6 +4,8 @@
  * 提示词按钮管理器
  * 在输入框左上角显示一个 fixed 定位的"提示词"按钮
  * 
+ * 输入框开头输入 / 时弹出的提示词选择列表见 prompt-slash-picker.js（复用本类的列表渲染、过滤和插入）
+ * 
  * 位置更新策略（事件驱动）：
  * - resize 时立即更新
  * - MutationObserver 检测输入框出现/消失
@@ -28,6 +30,26 @@ class PromptButtonManager {
         // 提示词列表
         this.prompts = [];
         
+        // 提示词文件夹
+        this.folders = [];
+        
+        // 提示词链列表
+        this.chains = [];
+        
+        // 使用统计与排序方式（见 prompt-usage.js）
+        this.usage = {};
+        this.sortMode = 'manual';
+        
+        // 打开提示词菜单前页面选中的文字（模板变量 {{selection}}）
+        this._selectionText = '';
+        
+        // 下拉菜单的筛选条件（搜索词、选中的标签）
+        this._searchQuery = '';
+        this._activeTag = null;
+        
+        // 斜杠命令选择器
+        this.slashPicker = null;
+        
         // 事件处理器引用
         this._onResize = null;
         this._rafPending = false;  // RAF 节流标志
@@ -58,6 +80,10 @@ class PromptButtonManager {
         if (this._isPlatformEnabled()) {
             this._enable();
         }
+        
+        // 6. 斜杠命令（有独立开关，不受提示词按钮开关影响）
+        this.slashPicker = new PromptSlashPicker(this);
+        await this.slashPicker.init();
     }
     
     /**
@@ -65,11 +91,17 @@ class PromptButtonManager {
      */
     async _loadPrompts() {
         try {
-            const result = await chrome.storage.local.get('prompts');
+            const result = await chrome.storage.local.get(['prompts', 'promptFolders', 'promptChains', PromptUsage.STORAGE_KEY, PromptUsage.SORT_KEY]);
             this.prompts = result.prompts || [];
+            this.folders = result.promptFolders || [];
+            this.chains = result.promptChains || [];
+            this.usage = result[PromptUsage.STORAGE_KEY] || {};
+            this.sortMode = PromptUsage.normalizeSortMode(result[PromptUsage.SORT_KEY]);
         } catch (e) {
             console.error('[PromptButton] Failed to load prompts:', e);
             this.prompts = [];
+            this.folders = [];
+            this.chains = [];
         }
     }
     
@@ -161,6 +193,24 @@ class PromptButtonManager {
                 if (changes.prompts) {
                     this.prompts = changes.prompts.newValue || [];
                 }
+                
+                // 监听提示词文件夹变化
+                if (changes.promptFolders) {
+                    this.folders = changes.promptFolders.newValue || [];
+                }
+                
+                // 监听提示词链变化
+                if (changes.promptChains) {
+                    this.chains = changes.promptChains.newValue || [];
+                }
+                
+                // 监听使用统计和排序方式变化
+                if (changes[PromptUsage.STORAGE_KEY]) {
+                    this.usage = changes[PromptUsage.STORAGE_KEY].newValue || {};
+                }
+                if (changes[PromptUsage.SORT_KEY]) {
+                    this.sortMode = PromptUsage.normalizeSortMode(changes[PromptUsage.SORT_KEY].newValue);
+                }
             }
         };
         chrome.storage.onChanged.addListener(this.storageListener);
@@ -183,6 +233,10 @@ class PromptButtonManager {
         button.style.display = 'none';
 
         // ✅ 使用事件委托（解决长时间停留后事件失效问题）
+        // mousedown 时记录页面选中的文字（点击后选区可能被清除），供模板变量 {{selection}} 使用
+        window.eventDelegateManager.on('mousedown', '.smart-input-prompt-btn', () => {
+            this._selectionText = window.getSelection()?.toString() || '';
+        });
         window.eventDelegateManager.on('click', '.smart-input-prompt-btn', (e) => {
             e.preventDefault();
             e.stopPropagation();
@@ -406,6 +460,7 @@ class PromptButtonManager {
         if (window.globalDropdownManager) {
             window.globalDropdownManager.hide(true);
         }
+        this.slashPicker?.close();
         
         // 创建遮罩层
         this._promptOverlay = document.createElement('div');
@@ -427,13 +482,41 @@ class PromptButtonManager {
                 </svg>
                 <span class="prompt-dropdown-title">${chrome.i18n.getMessage('hosegod')}</span>
             </div>
-            <button class="prompt-dropdown-action-btn">
-                <svg width="14" height="14" viewBox="0 0 14 14" fill="none" xmlns="http://www.w3.org/2000/svg" style="width:14px!important;height:14px!important">
-                    <path d="M7 1V13M1 7H13" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
-                </svg>
-            </button>
+            <div class="prompt-dropdown-actions">
+                <button class="prompt-dropdown-sort-btn">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                        <path d="M3 6h13M3 12h9M3 18h5"/>
+                        <polyline points="17 15 20 18 23 15"/>
+                        <line x1="20" y1="6" x2="20" y2="18"/>
+                    </svg>
+                    <span class="prompt-dropdown-sort-text">${PromptUsage.getSortModeLabel(this.sortMode)}</span>
+                </button>
+                <button class="prompt-dropdown-action-btn">
+                    <svg width="14" height="14" viewBox="0 0 14 14" fill="none" xmlns="http://www.w3.org/2000/svg" style="width:14px!important;height:14px!important">
+                        <path d="M7 1V13M1 7H13" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+                    </svg>
+                </button>
+            </div>
         `;
         
+        // 排序方式：点击依次切换（手动 → 最近使用 → 最常使用）
+        const sortBtn = header.querySelector('.prompt-dropdown-sort-btn');
+        sortBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const modes = PromptUsage.SORT_MODES;
+            this.sortMode = modes[(modes.indexOf(this.sortMode) + 1) % modes.length];
+            sortBtn.querySelector('.prompt-dropdown-sort-text').textContent = PromptUsage.getSortModeLabel(this.sortMode);
+            PromptUsage.setSortMode(this.sortMode);
+            this._renderDropdownBody(body, filteredPrompts, chains);
+            this._filterPromptItems(this._searchQuery);
+        });
+        sortBtn.addEventListener('mouseenter', () => {
+            window.globalTooltipManager?.show('prompt-dropdown-sort', 'button', sortBtn, chrome.i18n.getMessage('promptSortSwitch') || '切换排序方式');
+        });
+        sortBtn.addEventListener('mouseleave', () => {
+            window.globalTooltipManager?.hide();
+        });
+        
         // 绑定按钮点击事件
         const actionBtn = header.querySelector('.prompt-dropdown-action-btn');
         actionBtn.addEventListener('click', (e) => {
@@ -447,19 +530,13 @@ class PromptButtonManager {
         this._promptDropdown.appendChild(header);
         
         // 获取当前平台筛选提示词
-        const currentPlatform = typeof getCurrentPlatform === 'function' ? getCurrentPlatform() : null;
-        const currentPlatformId = currentPlatform?.id || '';
-        const filteredPrompts = this.prompts.filter(p => !p.platformId || p.platformId === currentPlatformId);
+        const { prompts: filteredPrompts, chains } = this._getAvailableItems();
         
-        // 排序：置顶的在前面
-        const sortedPrompts = [...filteredPrompts].sort((a, b) => {
-            if (a.pinned && !b.pinned) return -1;
-            if (!a.pinned && b.pinned) return 1;
-            return 0;
-        });
+        this._searchQuery = '';
+        this._activeTag = null;
         
         // ============ 搜索区域（超过2条时显示） ============
-        if (sortedPrompts.length >= 5) {
+        if (filteredPrompts.length + chains.length >= 5) {
             const searchWrap = document.createElement('div');
             searchWrap.className = 'prompt-dropdown-search';
             const searchInput = document.createElement('input');
@@ -474,31 +551,16 @@ class PromptButtonManager {
             this._promptDropdown.appendChild(searchWrap);
         }
         
+        // ============ 标签筛选（有标签时显示） ============
+        const tags = [...new Set(filteredPrompts.flatMap(p => p.tags || []))];
+        if (tags.length > 0) {
+            this._promptDropdown.appendChild(this._createTagFilter(tags));
+        }
+        
         // ============ Body 区域（可滚动） ============
         const body = document.createElement('div');
         body.className = 'prompt-dropdown-body';
-        
-        if (sortedPrompts.length > 0) {
-            sortedPrompts.forEach(prompt => {
-                const item = this._createPromptItem(prompt);
-                body.appendChild(item);
-            });
-        } else {
-            const emptyItem = document.createElement('div');
-            emptyItem.className = 'prompt-dropdown-empty';
-            emptyItem.innerHTML = `
-                <div class="prompt-dropdown-empty-icon">
-                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
-                        <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
-                        <polyline points="14 2 14 8 20 8"/>
-                        <line x1="16" y1="13" x2="8" y2="13"/>
-                        <line x1="16" y1="17" x2="8" y2="17"/>
-                    </svg>
-                </div>
-                <span class="prompt-dropdown-empty-text">${chrome.i18n.getMessage('hsiwhwl')}</span>
-            `;
-            body.appendChild(emptyItem);
-        }
+        this._renderDropdownBody(body, filteredPrompts, chains);
         
         this._promptDropdown.appendChild(body);
         
@@ -524,12 +586,119 @@ class PromptButtonManager {
         }, 0);
     }
     
+    /**
+     * 当前平台可用的提示词和提示词链
+     * @returns {{ prompts: Array, chains: Array }}
+     */
+    _getAvailableItems() {
+        const currentPlatform = typeof getCurrentPlatform === 'function' ? getCurrentPlatform() : null;
+        const currentPlatformId = currentPlatform?.id || '';
+        return {
+            prompts: this.prompts.filter(p => !p.platformId || p.platformId === currentPlatformId),
+            chains: this.chains.filter(chain => chain.steps?.length > 0)
+        };
+    }
+    
+    /**
+     * 渲染下拉菜单列表：按排序方式排列后按文件夹分组（置顶的在前面），未分类在最前
+     */
+    _renderDropdownBody(body, filteredPrompts, chains) {
+        body.innerHTML = '';
+        
+        const sortedPrompts = PromptUsage.sort(filteredPrompts, this.usage, this.sortMode);
+        const tree = PromptFolderManager.buildTree(this.folders, sortedPrompts);
+        const sections = [{ id: '', title: null, prompts: tree.uncategorized }];
+        tree.folders.forEach(folder => {
+            sections.push({ id: folder.id, title: folder.name, icon: folder.icon, prompts: folder.items });
+            folder.children.forEach(child => {
+                sections.push({ id: child.id, title: `${folder.name} / ${child.name}`, icon: child.icon, prompts: child.items });
+            });
+        });
+        
+        if (filteredPrompts.length > 0 || chains.length > 0) {
+            sections.forEach(section => {
+                if (section.prompts.length === 0) return;
+                if (section.title) {
+                    body.appendChild(this._createSectionTitle(section.id, section.title, section.icon));
+                }
+                section.prompts.forEach(prompt => {
+                    const item = this._createPromptItem(prompt);
+                    item.dataset.section = section.id;
+                    body.appendChild(item);
+                });
+            });
+            
+            // 提示词链
+            if (chains.length > 0) {
+                body.appendChild(this._createSectionTitle('chains', chrome.i18n.getMessage('promptChains') || '提示词链'));
+                chains.forEach(chain => {
+                    const item = this._createChainItem(chain);
+                    item.dataset.section = 'chains';
+                    body.appendChild(item);
+                });
+            }
+        } else {
+            const emptyItem = document.createElement('div');
+            emptyItem.className = 'prompt-dropdown-empty';
+            emptyItem.innerHTML = `
+                <div class="prompt-dropdown-empty-icon">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
+                        <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
+                        <polyline points="14 2 14 8 20 8"/>
+                        <line x1="16" y1="13" x2="8" y2="13"/>
+                        <line x1="16" y1="17" x2="8" y2="17"/>
+                    </svg>
+                </div>
+                <span class="prompt-dropdown-empty-text">${chrome.i18n.getMessage('hsiwhwl')}</span>
+            `;
+            body.appendChild(emptyItem);
+        }
+    }
+    
+    /**
+     * 创建分区标题（文件夹路径 / 提示词链）
+     */
+    _createSectionTitle(sectionId, text, icon = '') {
+        const title = document.createElement('div');
+        title.className = 'prompt-dropdown-section-title';
+        title.dataset.section = sectionId;
+        title.textContent = icon ? `${icon} ${text}` : text;
+        return title;
+    }
+    
+    /**
+     * 创建标签筛选栏：点击标签只显示带该标签的提示词，再次点击取消
+     */
+    _createTagFilter(tags) {
+        const bar = document.createElement('div');
+        bar.className = 'prompt-dropdown-tags';
+        
+        tags.forEach(tag => {
+            const chip = document.createElement('button');
+            chip.className = 'prompt-dropdown-tag';
+            chip.textContent = tag;
+            chip.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this._activeTag = this._activeTag === tag ? null : tag;
+                bar.querySelectorAll('.prompt-dropdown-tag').forEach(el => {
+                    el.classList.toggle('active', el.textContent === this._activeTag);
+                });
+                this._filterPromptItems(this._searchQuery);
+            });
+            bar.appendChild(chip);
+        });
+        
+        return bar;
+    }
+    
     /**
      * 创建提示词项
      */
     _createPromptItem(prompt) {
         const item = document.createElement('div');
         item.className = 'prompt-dropdown-item';
+        item.dataset.id = prompt.id;
+        item.dataset.tags = (prompt.tags || []).join('\n');
         
         // 名称
         const promptName = prompt.name || '';
@@ -603,23 +772,71 @@ class PromptButtonManager {
     }
     
     /**
-     * 搜索过滤提示词列表
+     * 创建提示词链项：点击后依次发送各步骤
      */
-    _filterPromptItems(query) {
-        if (!this._promptDropdown) return;
-        const body = this._promptDropdown.querySelector('.prompt-dropdown-body');
+    _createChainItem(chain) {
+        const item = document.createElement('div');
+        item.className = 'prompt-dropdown-item prompt-dropdown-chain-item';
+        item.dataset.chainId = chain.id;
+        
+        const stepsText = chain.steps.map((step, index) => `${index + 1}. ${step.content}`).join('  ');
+        const countText = (chrome.i18n.getMessage('promptChainStepCount') || '{count} 步').replace('{count}', chain.steps.length);
+        
+        item.innerHTML = `
+            <div class="prompt-dropdown-item-main">
+                <span class="prompt-dropdown-item-icon">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round">
+                        <path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"/>
+                        <path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"/>
+                    </svg>
+                </span><span class="prompt-dropdown-item-name">${this._escapeHtml(chain.name || '')}</span>
+                <span class="prompt-dropdown-item-badge">${countText}</span>
+            </div>
+            <div class="prompt-dropdown-item-content">${this._escapeHtml(stepsText.length > 50 ? stepsText.substring(0, 50) + '...' : stepsText)}</div>
+        `;
+        
+        item.addEventListener('click', () => {
+            this._hidePromptDropdown();
+            window.promptChainRunner?.start(chain, { selection: this._selectionText });
+        });
+        
+        return item;
+    }
+    
+    /**
+     * 按搜索词和选中的标签过滤提示词列表
+     * 名称、内容、标签包含搜索词，或名称按顺序包含搜索词的每个字符（模糊匹配）时显示
+     * @param {string} query - 小写的搜索词
+     * @param {HTMLElement} container - 列表所在容器（默认为提示词菜单，斜杠命令传入自己的容器）
+     */
+    _filterPromptItems(query, container = this._promptDropdown) {
+        this._searchQuery = query;
+        if (!container) return;
+        const body = container.querySelector('.prompt-dropdown-body');
         if (!body) return;
         const items = body.querySelectorAll('.prompt-dropdown-item');
+        const visibleSections = new Set();
         let visibleCount = 0;
         items.forEach(item => {
             const name = item.querySelector('.prompt-dropdown-item-name')?.textContent || '';
             const content = item.querySelector('.prompt-dropdown-item-content')?.textContent || '';
-            const match = !query || name.toLowerCase().includes(query) || content.toLowerCase().includes(query);
+            const tags = item.dataset.tags ? item.dataset.tags.split('\n') : [];
+            const matchTag = !this._activeTag || tags.includes(this._activeTag);
+            const matchQuery = !query || name.toLowerCase().includes(query) || content.toLowerCase().includes(query)
+                || tags.some(tag => tag.toLowerCase().includes(query)) || this._fuzzyMatch(name.toLowerCase(), query);
+            const match = matchTag && matchQuery;
             item.style.display = match ? '' : 'none';
-            if (match) visibleCount++;
+            if (match) {
+                visibleCount++;
+                visibleSections.add(item.dataset.section);
+            }
+        });
+        // 分区标题（文件夹 / 提示词链）：分区内没有匹配项时隐藏
+        body.querySelectorAll('.prompt-dropdown-section-title').forEach(title => {
+            title.style.display = visibleSections.has(title.dataset.section) ? '' : 'none';
         });
         let emptyTip = body.querySelector('.prompt-dropdown-search-empty');
-        if (visibleCount === 0 && query) {
+        if (visibleCount === 0 && (query || this._activeTag)) {
             if (!emptyTip) {
                 emptyTip = document.createElement('div');
                 emptyTip.className = 'prompt-dropdown-search-empty';
@@ -632,6 +849,18 @@ class PromptButtonManager {
         }
     }
     
+    /**
+     * 模糊匹配：query 的字符按顺序出现在 text 中（如 "tl" 匹配 "translate"）
+     */
+    _fuzzyMatch(text, query) {
+        let index = 0;
+        for (const char of text) {
+            if (char === query[index]) index++;
+            if (index === query.length) return true;
+        }
+        return false;
+    }
+    
     /**
      * HTML 转义
      */
@@ -704,24 +933,34 @@ class PromptButtonManager {
             this._promptOverlay.parentNode.removeChild(this._promptOverlay);
         }
         this._promptOverlay = null;
+        this._activeTag = null;
     }
     
     /**
-     * 插入提示词到输入框
+     * 插入提示词到输入框（含模板变量时先弹出表单填写）
+     * @param {Object} prompt
+     * @param {{ inputElement?: HTMLElement, selection?: string }} options - 目标输入框和模板变量 {{selection}} 的取值
      */
-    _insertPrompt(prompt) {
-        if (!this.inputElement || !prompt.content) {
+    async _insertPrompt(prompt, { inputElement = this.inputElement, selection = this._selectionText } = {}) {
+        if (!inputElement || !prompt.content) {
             return;
         }
         
         try {
+            const content = await PromptTemplate.resolve(prompt, { selection });
+            if (!content || !inputElement.isConnected) return;
+            
             // 获取适配器的插入方法
             if (this.adapter.insertText) {
-                this.adapter.insertText(this.inputElement, prompt.content);
+                this.adapter.insertText(inputElement, content);
             } else {
                 // 默认插入逻辑
-                this._defaultInsertText(prompt.content);
+                this._defaultInsertText(content, inputElement);
             }
+            
+            // 记录使用统计
+            const platform = typeof getCurrentPlatform === 'function' ? getCurrentPlatform() : null;
+            PromptUsage.record(prompt.id, platform?.id || '');
         } catch (e) {
             console.error('[PromptButton] Failed to insert prompt:', e);
         }
@@ -730,19 +969,19 @@ class PromptButtonManager {
     /**
      * 默认的文本插入逻辑（追加到末尾）
      */
-    _defaultInsertText(text) {
-        if (!this.inputElement) return;
+    _defaultInsertText(text, inputElement = this.inputElement) {
+        if (!inputElement) return;
         
         // 聚焦输入框
-        this.inputElement.focus();
+        inputElement.focus();
         
-        if (this.inputElement.isContentEditable) {
+        if (inputElement.isContentEditable) {
             // contenteditable 处理：使用 insertText 追加，避免替换整个内容
             
             // 移动光标到末尾
             const selection = window.getSelection();
             const range = document.createRange();
-            range.selectNodeContents(this.inputElement);
+            range.selectNodeContents(inputElement);
             range.collapse(false);
             selection.removeAllRanges();
             selection.addRange(range);
@@ -751,7 +990,7 @@ class PromptButtonManager {
             const separatorBlankLines = 1;  // 新旧内容之间的空行数
             const trailingBlankLines = 1;   // 追加内容末尾的空行数
             
-            const existingText = this.inputElement.innerText || '';
+            const existingText = inputElement.innerText || '';
             const hasContent = existingText.trim().length > 0;
             
             let separator = '';
@@ -777,21 +1016,21 @@ class PromptButtonManager {
             
             // 延迟设置焦点、光标和滚动
             setTimeout(() => {
-                this.inputElement.focus();
+                inputElement.focus();
                 
                 // 设置光标到末尾（contenteditable 需要 selection 才能显示光标）
                 const selection = window.getSelection();
                 const range = document.createRange();
-                range.selectNodeContents(this.inputElement);
+                range.selectNodeContents(inputElement);
                 range.collapse(false);
                 selection.removeAllRanges();
                 selection.addRange(range);
                 
-                this.inputElement.scrollTop = this.inputElement.scrollHeight;
+                inputElement.scrollTop = inputElement.scrollHeight;
             }, 50);
         } else {
             // textarea 或 input 处理：内联文本追加逻辑
-            const existingText = this.inputElement.value || '';
+            const existingText = inputElement.value || '';
             let finalText;
             if (!existingText.trim()) {
                 finalText = text + '\n\n';
@@ -800,17 +1039,17 @@ class PromptButtonManager {
                 const cleanedText = existingText.replace(/\n+$/, '');
                 finalText = cleanedText + '\n\n' + text + '\n\n';
             }
-            this.inputElement.value = finalText;
-            this.inputElement.selectionStart = this.inputElement.selectionEnd = this.inputElement.value.length;
+            inputElement.value = finalText;
+            inputElement.selectionStart = inputElement.selectionEnd = inputElement.value.length;
             
             // 触发 input 事件
-            this.inputElement.dispatchEvent(new Event('input', { bubbles: true }));
+            inputElement.dispatchEvent(new Event('input', { bubbles: true }));
             
             // 延迟设置焦点和滚动
             setTimeout(() => {
-                this.inputElement.focus();
-                this.inputElement.selectionStart = this.inputElement.selectionEnd = this.inputElement.value.length;
-                this.inputElement.scrollTop = this.inputElement.scrollHeight;
+                inputElement.focus();
+                inputElement.selectionStart = inputElement.selectionEnd = inputElement.value.length;
+                inputElement.scrollTop = inputElement.scrollHeight;
             }, 50);
         }
     }
@@ -841,6 +1080,12 @@ class PromptButtonManager {
         // 关闭下拉菜单
         this._hidePromptDropdown();
         
+        // 移除斜杠命令
+        if (this.slashPicker) {
+            this.slashPicker.destroy();
+            this.slashPicker = null;
+        }
+        
         // 移除 Storage 监听
         if (this.storageListener) {
             chrome.storage.onChanged.removeListener(this.storageListener);
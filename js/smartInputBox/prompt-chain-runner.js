@@ -0,0 +1,355 @@
+/**
+ * Prompt Chain Runner - 提示词链执行器（全局单例）
+ *
+ * 按顺序把提示词链的每一步插入输入框并发送，上一条回复生成结束后再发送下一步：
+ * - 发送：GlobalChatInputManager.insert + send（开启智能 Enter 时由 SmartEnterManager 放行）
+ * - 等待回复：监听 AIStateMonitor 派发的 ai:stateChange；生成结束后再观察 settleDelay，
+ *   新对话首次发送会改变 URL，监控重启时派发的结束事件不应被当作回复完成
+ * - 每一步可设置发送前等待的秒数；可暂停（当前回复结束后不再发送下一步）、继续、终止
+ * - 输入框上方显示进度条
+ *
+ * 提示词链结构（storage: promptChains）：
+ * { id, name, steps: [{ content, delay }], createdAt, updatedAt? }
+ * 步骤内容支持提示词模板变量（见 prompt-template.js），开始前一次性填写
+ */
+
+class PromptChainRunner {
+    constructor() {
+        this.config = {
+            startTimeout: 30000,  // 发送后等待回复开始生成的最长时间
+            settleDelay: 1500,    // 生成结束后确认不再生成的观察时间
+            sendDelay: 300        // 插入文字后等待编辑器同步再发送
+        };
+
+        this.chain = null;
+        this.steps = [];
+        this.current = -1;
+        // 'delay' | 'sending' | 'waiting' | 'paused'
+        this.status = null;
+        this.remaining = 0;
+        this.paused = false;
+
+        this._controller = null;
+        this._resume = null;
+        this.element = null;
+        this._onResize = () => this._position();
+    }
+
+    get isRunning() {
+        return !!this.chain;
+    }
+
+    /**
+     * 开始执行提示词链
+     * @param {Object} chain - { id, name, steps }
+     * @param {{ selection?: string }} context - 模板变量 {{selection}} 的取值
+     * @returns {Promise<boolean>} 是否已开始（取消填写变量或没有步骤时为 false）
+     */
+    async start(chain, context = {}) {
+        if (this.isRunning) {
+            window.globalToastManager?.warning(chrome.i18n.getMessage('promptChainBusy') || '已有提示词链在运行');
+            return false;
+        }
+
+        const steps = (chain.steps || []).filter(step => step.content?.trim());
+        if (steps.length === 0) return false;
+
+        const values = await PromptTemplate.resolveValues(
+            { id: chain.id, name: chain.name, content: steps.map(step => step.content).join('\n\n') },
+            context,
+            { confirmText: chrome.i18n.getMessage('promptChainStart') || '开始' }
+        );
+        if (!values || this.isRunning) return false;
+
+        this.chain = chain;
+        this.steps = steps.map(step => ({
+            content: PromptTemplate.fill(step.content, values),
+            delay: Math.max(0, Math.ceil(Number(step.delay) || 0))
+        }));
+        this.current = 0;
+        this.paused = false;
+        this._controller = new AbortController();
+
+        this._createElement();
+        window.addEventListener('resize', this._onResize);
+
+        this._run(this._controller.signal)
+            .then(() => {
+                window.globalToastManager?.success(chrome.i18n.getMessage('promptChainDone') || '提示词链已完成');
+            })
+            .catch(error => {
+                if (error.name === 'AbortError') return;
+                console.error('[PromptChain] Failed:', error);
+                window.globalToastManager?.error(error.message);
+            })
+            .finally(() => this._finish());
+        return true;
+    }
+
+    pause() {
+        if (!this.isRunning || this.paused) return;
+        this.paused = true;
+        this._render();
+    }
+
+    resume() {
+        if (!this.isRunning || !this.paused) return;
+        this.paused = false;
+        if (this._resume) {
+            this._resume();
+            this._resume = null;
+        }
+        this._render();
+    }
+
+    abort() {
+        this._controller?.abort();
+    }
+
+    // ===== 执行 =====
+
+    async _run(signal) {
+        const monitor = window.AIStateMonitor?.getInstance();
+
+        for (let i = 0; i < this.steps.length; i++) {
+            this.current = i;
+            const step = this.steps[i];
+
+            for (let remaining = step.delay; remaining > 0; remaining--) {
+                await this._waitWhilePaused(signal);
+                this._setStatus('delay', remaining);
+                await this._sleep(1000, signal);
+            }
+            await this._waitWhilePaused(signal);
+
+            // 开始时 AI 可能仍在回复（如上一条手动发送的消息）
+            if (monitor?.isGenerating) {
+                this._setStatus('waiting');
+                await this._waitForIdle(monitor, signal);
+                await this._waitWhilePaused(signal);
+            }
+
+            this._setStatus('sending');
+            await this._send(step.content, signal);
+
+            this._setStatus('waiting');
+            await this._waitForReply(monitor, signal);
+        }
+    }
+
+    async _send(text, signal) {
+        const chatInput = window.globalChatInputManager;
+        const input = chatInput?.insert(text);
+        if (!input) {
+            throw new Error(chrome.i18n.getMessage('promptChainNoInput') || '未找到输入框，提示词链已停止');
+        }
+        await this._sleep(this.config.sendDelay, signal);
+        if (!chatInput.send(input)) {
+            throw new Error(chrome.i18n.getMessage('promptChainSendFailed') || '发送失败，提示词链已停止');
+        }
+    }
+
+    /**
+     * 等待发送后的回复生成结束
+     */
+    async _waitForReply(monitor, signal) {
+        const started = await this._waitForState(true, this.config.startTimeout, signal);
+        if (!started) {
+            if (!monitor?.isRunning) {
+                throw new Error(chrome.i18n.getMessage('promptChainNoMonitor') || '无法检测当前平台的回复状态，提示词链已停止');
+            }
+            // 回复在检测到之前已经结束
+            return;
+        }
+        await this._waitForIdle(monitor, signal);
+    }
+
+    /**
+     * 等待生成结束，并在 settleDelay 内确认没有再次开始
+     */
+    async _waitForIdle(monitor, signal) {
+        while (true) {
+            await this._waitForState(false, Infinity, signal);
+            await this._sleep(this.config.settleDelay, signal);
+            if (!monitor?.isGenerating) return;
+        }
+    }
+
+    /**
+     * 等待 AI 进入指定的生成状态
+     * @returns {Promise<boolean>} 超时为 false
+     */
+    _waitForState(generating, timeout, signal) {
+        if (window.AIStateMonitor?.getInstance().isGenerating === generating) {
+            return Promise.resolve(true);
+        }
+        return new Promise((resolve, reject) => {
+            let timer = null;
+            const cleanup = () => {
+                window.removeEventListener('ai:stateChange', onChange);
+                signal.removeEventListener('abort', onAbort);
+                clearTimeout(timer);
+            };
+            const onChange = (e) => {
+                if (e.detail?.generating === generating) {
+                    cleanup();
+                    resolve(true);
+                }
+            };
+            const onAbort = () => {
+                cleanup();
+                reject(signal.reason);
+            };
+            window.addEventListener('ai:stateChange', onChange);
+            signal.addEventListener('abort', onAbort);
+            if (timeout !== Infinity) {
+                timer = setTimeout(() => {
+                    cleanup();
+                    resolve(false);
+                }, timeout);
+            }
+        });
+    }
+
+    _waitWhilePaused(signal) {
+        if (!this.paused) return Promise.resolve();
+        this._setStatus('paused');
+        return new Promise((resolve, reject) => {
+            const onAbort = () => reject(signal.reason);
+            this._resume = () => {
+                signal.removeEventListener('abort', onAbort);
+                resolve();
+            };
+            signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    _sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            };
+            const timer = setTimeout(() => {
+                signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    _finish() {
+        window.removeEventListener('resize', this._onResize);
+        this.element?.remove();
+        this.element = null;
+        this.chain = null;
+        this.steps = [];
+        this.current = -1;
+        this.status = null;
+        this.paused = false;
+        this._controller = null;
+        this._resume = null;
+    }
+
+    // ===== 进度条 =====
+
+    _setStatus(status, remaining = 0) {
+        this.status = status;
+        this.remaining = remaining;
+        this._render();
+    }
+
+    _createElement() {
+        this.element = document.createElement('div');
+        this.element.className = 'prompt-chain-progress';
+        this.element.innerHTML = `
+            <div class="prompt-chain-progress-main">
+                <svg class="prompt-chain-progress-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                    <path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"/>
+                    <path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"/>
+                </svg>
+                <span class="prompt-chain-progress-name"></span>
+                <span class="prompt-chain-progress-step"></span>
+                <span class="prompt-chain-progress-status"></span>
+                <button class="prompt-chain-progress-btn" data-action="toggle"></button>
+                <button class="prompt-chain-progress-btn" data-action="abort" title="${chrome.i18n.getMessage('promptChainAbort') || '终止'}">
+                    <svg viewBox="0 0 24 24" fill="currentColor"><rect x="6" y="6" width="12" height="12" rx="2"/></svg>
+                </button>
+            </div>
+            <div class="prompt-chain-progress-bar">
+                ${this.steps.map(() => '<span class="prompt-chain-progress-segment"></span>').join('')}
+            </div>
+        `;
+        this.element.querySelector('.prompt-chain-progress-name').textContent = this.chain.name || '';
+
+        this.element.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (action === 'toggle') {
+                this.paused ? this.resume() : this.pause();
+            } else if (action === 'abort') {
+                this.abort();
+            }
+        });
+
+        document.body.appendChild(this.element);
+        this._render();
+    }
+
+    _render() {
+        if (!this.element) return;
+
+        const statusText = {
+            delay: (chrome.i18n.getMessage('promptChainCountdown') || '{seconds} 秒后发送').replace('{seconds}', this.remaining),
+            sending: chrome.i18n.getMessage('promptChainSending') || '发送中',
+            waiting: this.paused
+                ? (chrome.i18n.getMessage('promptChainPausing') || '回复结束后暂停')
+                : (chrome.i18n.getMessage('promptChainWaiting') || '等待回复…'),
+            paused: chrome.i18n.getMessage('promptChainPaused') || '已暂停'
+        }[this.paused && this.status === 'delay' ? 'paused' : this.status] || '';
+
+        this.element.querySelector('.prompt-chain-progress-step').textContent = `${this.current + 1}/${this.steps.length}`;
+        this.element.querySelector('.prompt-chain-progress-status').textContent = statusText;
+        this.element.classList.toggle('paused', this.paused);
+
+        const toggle = this.element.querySelector('[data-action="toggle"]');
+        toggle.title = this.paused
+            ? (chrome.i18n.getMessage('promptChainResume') || '继续')
+            : (chrome.i18n.getMessage('promptChainPause') || '暂停');
+        toggle.innerHTML = this.paused
+            ? '<svg viewBox="0 0 24 24" fill="currentColor"><polygon points="7 4 20 12 7 20 7 4"/></svg>'
+            : '<svg viewBox="0 0 24 24" fill="currentColor"><rect x="6" y="4" width="4" height="16" rx="1"/><rect x="14" y="4" width="4" height="16" rx="1"/></svg>';
+
+        this.element.querySelectorAll('.prompt-chain-progress-segment').forEach((segment, index) => {
+            segment.classList.toggle('done', index < this.current);
+            segment.classList.toggle('active', index === this.current);
+        });
+
+        this._position();
+    }
+
+    /**
+     * 定位到输入框上方（与提示词按钮使用同一个定位参考元素）
+     */
+    _position() {
+        if (!this.element) return;
+
+        const input = window.globalChatInputManager?.findInput();
+        const adapter = window.smartEnterAdapterRegistry?.getAdapter?.();
+        const reference = input ? (adapter?.getPositionReferenceElement?.(input) || input) : null;
+        const rect = reference?.getBoundingClientRect();
+
+        if (rect && rect.width > 0) {
+            this.element.style.left = `${Math.max(8, rect.left)}px`;
+            this.element.style.bottom = `${Math.max(8, window.innerHeight - rect.top + 8)}px`;
+        } else {
+            this.element.style.left = '16px';
+            this.element.style.bottom = '16px';
+        }
+    }
+}
+
+// ==================== 全局单例初始化 ====================
+
+if (typeof window.promptChainRunner === 'undefined') {
+    window.promptChainRunner = new PromptChainRunner();
+}
@@ -0,0 +1,418 @@
+/**
+ * Prompt Slash Picker - 斜杠命令插入提示词
+ *
+ * 在输入框开头输入触发字符（默认 /）时，在光标处弹出提示词选择列表：
+ * - 触发字符后输入的文字作为搜索词（不含空白），模糊过滤
+ * - ↑/↓ 选择，Tab / Enter 插入，Esc 关闭；插入前删除输入的触发字符和搜索词
+ * - 列表渲染、过滤和插入复用 PromptButtonManager（_renderDropdownBody / _filterPromptItems / _insertPrompt）
+ * - 输入框通过适配器的 getInputSelector() 识别，支持 textarea 和 contenteditable 编辑器
+ * - 键盘事件在 document 捕获阶段拦截，先于 SmartEnterManager 和平台自身的 Enter 处理
+ *
+ * 设置（storage）：promptSlashEnabled（默认开启）、promptSlashTrigger（触发字符，最多3个）
+ */
+
+class PromptSlashPicker {
+    constructor(manager) {
+        this.manager = manager;
+        this.adapter = manager.adapter;
+
+        this.config = {
+            width: 300,
+            gap: 6,              // 列表与光标的间距
+            maxQueryLength: 30   // 搜索词超过该长度视为普通输入，不再弹出
+        };
+
+        this.enabled = true;
+        this.trigger = '/';
+
+        this.element = null;
+        this.input = null;        // 当前输入框
+        this.query = '';
+        this.activeIndex = 0;
+        this._dismissed = false;  // Esc 关闭后，删除触发字符前不再弹出
+        this.storageListener = null;
+
+        this._onInput = (e) => this._handleInput(e);
+        this._onKeyDown = (e) => this._handleKeyDown(e);
+        this._onSelectionChange = () => {
+            if (this.input) this._evaluate(this.input);
+        };
+        this._onMouseDown = (e) => {
+            if (!this.element?.contains(e.target)) this.close();
+        };
+        this._onViewportChange = () => this._position();
+    }
+
+    /**
+     * 规范化触发字符：去掉空白，最多3个字符，为空时使用 /
+     */
+    static normalizeTrigger(value) {
+        return String(value || '').replace(/\s/g, '').slice(0, 3) || '/';
+    }
+
+    async init() {
+        try {
+            const result = await chrome.storage.local.get(['promptSlashEnabled', 'promptSlashTrigger']);
+            this.enabled = result.promptSlashEnabled !== false;
+            this.trigger = PromptSlashPicker.normalizeTrigger(result.promptSlashTrigger);
+        } catch (e) {
+            // 使用默认设置
+        }
+
+        this.storageListener = (changes, areaName) => {
+            if (areaName !== 'local') return;
+            if (changes.promptSlashEnabled) {
+                this.enabled = changes.promptSlashEnabled.newValue !== false;
+                if (!this.enabled) this.close();
+            }
+            if (changes.promptSlashTrigger) {
+                this.trigger = PromptSlashPicker.normalizeTrigger(changes.promptSlashTrigger.newValue);
+                this.close();
+            }
+        };
+        chrome.storage.onChanged.addListener(this.storageListener);
+
+        // 输入法组合过程中的 input 事件忽略，组合结束后再判断
+        document.addEventListener('input', this._onInput, true);
+        document.addEventListener('compositionend', this._onInput, true);
+        document.addEventListener('keydown', this._onKeyDown, true);
+    }
+
+    // ===== 触发 =====
+
+    _handleInput(e) {
+        if (!this.enabled || e.isComposing) return;
+
+        const input = this._findInput(e.target);
+        if (input) this._evaluate(input);
+    }
+
+    /**
+     * 根据光标前的文字打开、更新或关闭列表（输入和光标移动时调用）
+     */
+    _evaluate(input) {
+        const query = this._getQuery(this._getTextBeforeCaret(input));
+        if (query === null) {
+            this._dismissed = false;
+            this.close();
+            return;
+        }
+        if (this._dismissed) return;
+
+        if (this.element && this.input === input) {
+            if (query !== this.query) {
+                this.query = query;
+                this._update();
+            }
+            return;
+        }
+        this._open(input, query);
+    }
+
+    /**
+     * 光标前的文字为「触发字符 + 搜索词」时返回搜索词，否则为 null
+     */
+    _getQuery(text) {
+        if (text === null || !text.startsWith(this.trigger)) return null;
+        const query = text.slice(this.trigger.length);
+        if (/\s/.test(query) || query.length > this.config.maxQueryLength) return null;
+        return query;
+    }
+
+    _findInput(target) {
+        try {
+            return target?.closest?.(this.adapter.getInputSelector()) || null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    _isTextControl(input) {
+        return input.tagName === 'TEXTAREA' || input.tagName === 'INPUT';
+    }
+
+    /**
+     * 输入框开头到光标的文字（有选中内容时为 null）
+     */
+    _getTextBeforeCaret(input) {
+        if (this._isTextControl(input)) {
+            if (input.selectionStart !== input.selectionEnd) return null;
+            return input.value.slice(0, input.selectionStart);
+        }
+
+        const range = this._getRangeBeforeCaret(input);
+        // 编辑器用于占位的零宽字符不算输入内容
+        return range ? range.toString().replace(/[\u200B-\u200D\uFEFF]/g, '') : null;
+    }
+
+    /**
+     * contenteditable：从输入框开头到光标的 Range
+     */
+    _getRangeBeforeCaret(input) {
+        const selection = window.getSelection();
+        if (!selection?.rangeCount || !selection.isCollapsed) return null;
+
+        const caret = selection.getRangeAt(0);
+        if (!input.contains(caret.endContainer)) return null;
+
+        const range = document.createRange();
+        range.selectNodeContents(input);
+        range.setEnd(caret.endContainer, caret.endOffset);
+        return range;
+    }
+
+    // ===== 列表 =====
+
+    _open(input, query) {
+        this.close();
+
+        const { prompts, chains } = this.manager._getAvailableItems();
+        if (prompts.length + chains.length === 0) return;
+
+        this.manager._hidePromptDropdown();
+        this.input = input;
+        this.query = query;
+
+        this.element = document.createElement('div');
+        this.element.className = 'prompt-slash-picker';
+
+        const body = document.createElement('div');
+        body.className = 'prompt-dropdown-body';
+        this.manager._renderDropdownBody(body, prompts, chains);
+
+        const footer = document.createElement('div');
+        footer.className = 'prompt-slash-picker-footer';
+        footer.textContent = chrome.i18n.getMessage('promptSlashKeys') || '↑↓ 选择 · Tab / Enter 插入 · Esc 关闭';
+
+        this.element.appendChild(body);
+        this.element.appendChild(footer);
+
+        // 保持输入框的焦点和光标
+        this.element.addEventListener('mousedown', (e) => e.preventDefault());
+        // 捕获阶段处理点击，不触发提示词菜单自身的点击逻辑
+        this.element.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const item = e.target.closest('.prompt-dropdown-item');
+            if (item) this._select(item);
+        }, true);
+        this.element.addEventListener('mouseover', (e) => {
+            const index = this._getVisibleItems().indexOf(e.target.closest('.prompt-dropdown-item'));
+            if (index !== -1 && index !== this.activeIndex) {
+                this.activeIndex = index;
+                this._renderActive(false);
+            }
+        });
+
+        document.body.appendChild(this.element);
+        document.addEventListener('mousedown', this._onMouseDown, true);
+        document.addEventListener('selectionchange', this._onSelectionChange);
+        window.addEventListener('resize', this._onViewportChange);
+        window.addEventListener('scroll', this._onViewportChange, true);
+
+        this._update();
+
+        requestAnimationFrame(() => {
+            this.element?.classList.add('visible');
+        });
+    }
+
+    _update() {
+        this.manager._filterPromptItems(this.query.toLowerCase(), this.element);
+        this.activeIndex = 0;
+        this._renderActive();
+        this._position();
+    }
+
+    _getVisibleItems() {
+        if (!this.element) return [];
+        return [...this.element.querySelectorAll('.prompt-dropdown-item')].filter(item => item.style.display !== 'none');
+    }
+
+    _renderActive(scroll = true) {
+        this._getVisibleItems().forEach((item, index) => {
+            const active = index === this.activeIndex;
+            item.classList.toggle('active', active);
+            if (active && scroll) item.scrollIntoView?.({ block: 'nearest' });
+        });
+    }
+
+    close() {
+        if (!this.element) return;
+
+        document.removeEventListener('mousedown', this._onMouseDown, true);
+        document.removeEventListener('selectionchange', this._onSelectionChange);
+        window.removeEventListener('resize', this._onViewportChange);
+        window.removeEventListener('scroll', this._onViewportChange, true);
+        window.globalTooltipManager?.hide();
+
+        this.element.remove();
+        this.element = null;
+        this.input = null;
+        this.query = '';
+        this.activeIndex = 0;
+    }
+
+    // ===== 键盘 =====
+
+    _handleKeyDown(e) {
+        if (!this.element || e.isComposing || e.keyCode === 229) return;
+        if (!this.input?.contains(e.target)) return;
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+        const items = this._getVisibleItems();
+        const move = (step) => {
+            this.activeIndex = (this.activeIndex + step + items.length) % items.length;
+            this._renderActive();
+        };
+
+        if (e.key === 'Escape') {
+            this._dismissed = true;
+            this.close();
+        } else if (items.length === 0) {
+            // 没有匹配的提示词时按键保持原有行为
+            return;
+        } else if (e.key === 'ArrowDown') {
+            move(1);
+        } else if (e.key === 'ArrowUp') {
+            move(-1);
+        } else if (e.key === 'Tab' && e.shiftKey) {
+            move(-1);
+        } else if (e.key === 'Tab' || (e.key === 'Enter' && !e.shiftKey)) {
+            this._select(items[this.activeIndex]);
+        } else {
+            return;
+        }
+
+        e.preventDefault();
+        e.stopImmediatePropagation();
+    }
+
+    // ===== 插入 =====
+
+    _select(item) {
+        const input = this.input;
+        if (!item || !input) return;
+
+        const prompt = item.dataset.id && this.manager.prompts.find(p => p.id === item.dataset.id);
+        const chain = item.dataset.chainId && this.manager.chains.find(c => c.id === item.dataset.chainId);
+
+        this.close();
+        this._removeTypedText(input);
+
+        if (chain) {
+            window.promptChainRunner?.start(chain, { selection: '' });
+        } else if (prompt) {
+            this.manager._insertPrompt(prompt, { inputElement: input, selection: '' });
+        }
+    }
+
+    /**
+     * 删除输入框开头到光标的文字（触发字符 + 搜索词）
+     */
+    _removeTypedText(input) {
+        input.focus();
+
+        let range = null;
+        if (this._isTextControl(input)) {
+            input.setSelectionRange(0, input.selectionStart);
+        } else {
+            range = this._getRangeBeforeCaret(input);
+            if (!range) return;
+            const selection = window.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(range);
+        }
+
+        // 使用 delete 命令，让编辑器框架同步内容（与 _defaultInsertText 使用 insertText 的原因相同）
+        if (document.execCommand?.('delete')) return;
+
+        if (range) {
+            range.deleteContents();
+        } else {
+            input.value = input.value.slice(input.selectionEnd);
+            input.setSelectionRange(0, 0);
+        }
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    // ===== 定位 =====
+
+    /**
+     * 定位到光标处：默认在光标上方展开（输入框通常在页面底部），上方空间不够时在下方
+     */
+    _position() {
+        if (!this.element || !this.input) return;
+
+        const caret = this._getCaretRect(this.input);
+        const height = this.element.offsetHeight;
+        const { width, gap } = this.config;
+
+        const left = Math.max(8, Math.min(caret.left, window.innerWidth - width - 8));
+        const spaceAbove = caret.top - gap - 8;
+        const spaceBelow = window.innerHeight - caret.bottom - gap - 8;
+        const top = spaceAbove >= height || spaceAbove >= spaceBelow
+            ? Math.max(8, caret.top - gap - height)
+            : caret.bottom + gap;
+
+        this.element.style.width = `${width}px`;
+        this.element.style.left = `${left}px`;
+        this.element.style.top = `${top}px`;
+    }
+
+    /**
+     * 光标位置（视口坐标）
+     * @returns {{ left: number, top: number, bottom: number }}
+     */
+    _getCaretRect(input) {
+        const inputRect = input.getBoundingClientRect();
+        const fallback = { left: inputRect.left, top: inputRect.top, bottom: inputRect.top + 20 };
+
+        if (!this._isTextControl(input)) {
+            const selection = window.getSelection();
+            if (!selection?.rangeCount) return fallback;
+            const rect = selection.getRangeAt(0).getClientRects()[0];
+            // 空行上的光标没有矩形
+            return rect && rect.height > 0 ? { left: rect.left, top: rect.top, bottom: rect.bottom } : fallback;
+        }
+
+        // textarea：用样式相同的镜像元素测量光标前文字的末尾位置
+        const style = window.getComputedStyle(input);
+        const mirror = document.createElement('div');
+        [
+            'boxSizing', 'width', 'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+            'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth',
+            'fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'letterSpacing', 'lineHeight',
+            'textTransform', 'wordSpacing', 'textIndent', 'tabSize'
+        ].forEach(prop => {
+            mirror.style[prop] = style[prop];
+        });
+        Object.assign(mirror.style, {
+            position: 'fixed', top: '0', left: '0', visibility: 'hidden',
+            whiteSpace: 'pre-wrap', overflowWrap: 'break-word', overflow: 'hidden', borderStyle: 'solid'
+        });
+        mirror.textContent = input.value.slice(0, input.selectionStart);
+        const marker = document.createElement('span');
+        marker.textContent = '\u200B';
+        mirror.appendChild(marker);
+        document.body.appendChild(mirror);
+
+        const mirrorRect = mirror.getBoundingClientRect();
+        const markerRect = marker.getBoundingClientRect();
+        mirror.remove();
+
+        const left = inputRect.left + markerRect.left - mirrorRect.left - input.scrollLeft;
+        const top = inputRect.top + markerRect.top - mirrorRect.top - input.scrollTop;
+        return { left, top, bottom: top + (markerRect.height || 20) };
+    }
+
+    destroy() {
+        this.close();
+        document.removeEventListener('input', this._onInput, true);
+        document.removeEventListener('compositionend', this._onInput, true);
+        document.removeEventListener('keydown', this._onKeyDown, true);
+        if (this.storageListener) {
+            chrome.storage.onChanged.removeListener(this.storageListener);
+            this.storageListener = null;
+        }
+    }
+}
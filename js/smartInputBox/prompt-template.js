@@ -0,0 +1,299 @@
+/**
+ * Prompt Template - 提示词模板变量
+ *
+ * 提示词内容中可以写占位符，插入前弹出表单填写：
+ * - {{名称}}                 文本输入，如 {{language}}
+ * - {{名称:选项1|选项2}}      下拉选择，第一个选项为默认值，如 {{tone:formal|casual}}
+ * - 内置变量自动取值（表单中仍可修改）：
+ *   {{selection}} 页面选中的文字、{{clipboard}} 剪贴板内容、{{date}} 今天日期、{{time}} 当前时间
+ *
+ * 同名占位符只填写一次；每个提示词上次填写的值保存在 promptTemplateValues（内置变量除外）
+ */
+
+const PromptTemplate = {
+    PATTERN: /\{\{\s*([^{}:|]+?)\s*(?::([^{}]*))?\}\}/g,
+    BUILTIN: ['selection', 'clipboard', 'date', 'time'],
+    STORAGE_KEY: 'promptTemplateValues',
+
+    /**
+     * 解析占位符（按出现顺序去重，带选项的写法优先）
+     * @param {string} content
+     * @returns {Array<{ name: string, options: string[]|null, builtin: boolean }>}
+     */
+    parse(content) {
+        const variables = new Map();
+        for (const match of String(content || '').matchAll(this.PATTERN)) {
+            const name = match[1];
+            const options = match[2] !== undefined
+                ? match[2].split('|').map(option => option.trim()).filter(Boolean)
+                : null;
+            const existing = variables.get(name);
+            if (!existing) {
+                variables.set(name, { name, options: options?.length ? options : null, builtin: this.BUILTIN.includes(name) });
+            } else if (!existing.options && options?.length) {
+                existing.options = options;
+            }
+        }
+        return [...variables.values()];
+    },
+
+    hasVariables(content) {
+        return this.parse(content).length > 0;
+    },
+
+    /**
+     * 用填写的值替换占位符
+     * @param {string} content
+     * @param {Object} values - { 名称: 值 }
+     */
+    fill(content, values) {
+        return String(content || '').replace(this.PATTERN, (placeholder, name) => {
+            return Object.prototype.hasOwnProperty.call(values, name) ? String(values[name] ?? '') : placeholder;
+        });
+    },
+
+    /**
+     * 内置变量的值（只读取模板用到的）
+     * @param {Array} variables - parse 的结果
+     * @param {{ selection?: string }} context - 打开提示词菜单前记录的选中文字
+     */
+    async getBuiltinValues(variables, context = {}) {
+        const names = variables.filter(variable => variable.builtin).map(variable => variable.name);
+        const now = new Date();
+        const values = {};
+        for (const name of names) {
+            if (name === 'selection') {
+                values.selection = context.selection || window.getSelection?.()?.toString() || '';
+            } else if (name === 'clipboard') {
+                try {
+                    values.clipboard = await navigator.clipboard.readText();
+                } catch (e) {
+                    // 页面未授权读取剪贴板时留空，由用户在表单中粘贴
+                    values.clipboard = '';
+                }
+            } else if (name === 'date') {
+                values.date = now.toLocaleDateString();
+            } else if (name === 'time') {
+                values.time = now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            }
+        }
+        return values;
+    },
+
+    /**
+     * 读取提示词上次填写的值
+     */
+    async loadValues(promptId) {
+        try {
+            const result = await chrome.storage.local.get(this.STORAGE_KEY);
+            return result[this.STORAGE_KEY]?.[promptId] || {};
+        } catch (e) {
+            return {};
+        }
+    },
+
+    /**
+     * 保存提示词本次填写的值（不保存内置变量）
+     */
+    async saveValues(promptId, values) {
+        try {
+            const result = await chrome.storage.local.get(this.STORAGE_KEY);
+            const all = result[this.STORAGE_KEY] || {};
+            const saved = {};
+            Object.keys(values).forEach(name => {
+                if (!this.BUILTIN.includes(name)) saved[name] = values[name];
+            });
+            all[promptId] = saved;
+            await chrome.storage.local.set({ [this.STORAGE_KEY]: all });
+        } catch (e) {
+            console.error('[PromptTemplate] Failed to save values:', e);
+        }
+    },
+
+    /**
+     * 解析模板：弹出表单填写变量，返回替换后的内容
+     * @param {Object} prompt - { id, name, content }
+     * @param {{ selection?: string }} context
+     * @returns {Promise<string|null>} 取消时为 null
+     */
+    async resolve(prompt, context = {}) {
+        const values = await this.resolveValues(prompt, context);
+        return values ? this.fill(prompt.content, values) : null;
+    },
+
+    /**
+     * 弹出表单填写变量（提示词链的多个步骤合并为一个 content 一次填写）
+     * @param {Object} prompt - { id, name, content }
+     * @param {{ selection?: string }} context
+     * @param {{ confirmText?: string }} formOptions
+     * @returns {Promise<Object|null>} 填写的值，没有变量时为 {}，取消时为 null
+     */
+    async resolveValues(prompt, context = {}, formOptions = {}) {
+        const variables = this.parse(prompt.content);
+        if (variables.length === 0) return {};
+
+        const [saved, builtins] = await Promise.all([
+            this.loadValues(prompt.id),
+            this.getBuiltinValues(variables, context)
+        ]);
+        const defaults = { ...saved, ...builtins };
+
+        const values = await new PromptTemplateForm().show({
+            title: prompt.name,
+            content: prompt.content,
+            variables,
+            defaults,
+            confirmText: formOptions.confirmText
+        });
+        if (values) {
+            this.saveValues(prompt.id, values);
+        }
+        return values;
+    }
+};
+
+/**
+ * 模板变量填写表单（复用提示词编辑弹窗的样式）
+ */
+class PromptTemplateForm {
+    /**
+     * @param {Object} options
+     * @param {string} options.title - 提示词名称
+     * @param {string} options.content - 模板内容（用于预览）
+     * @param {Array} options.variables - PromptTemplate.parse 的结果
+     * @param {Object} options.defaults - 默认值 { 名称: 值 }
+     * @param {string} [options.confirmText] - 确认按钮文字，默认「插入」
+     * @returns {Promise<Object|null>} 填写的值，取消时为 null
+     */
+    show({ title, content, variables, defaults = {}, confirmText }) {
+        return new Promise((resolve) => {
+            const overlay = document.createElement('div');
+            overlay.className = 'prompt-modal-overlay prompt-template-overlay';
+
+            const modal = document.createElement('div');
+            modal.className = 'prompt-modal prompt-template-modal';
+            modal.innerHTML = `
+                <div class="prompt-modal-header">
+                    <h3>${this._escapeHtml(title || chrome.i18n.getMessage('promptTemplateFill') || '填写提示词变量')}</h3>
+                    <button class="prompt-modal-close">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="18" y1="6" x2="6" y2="18"/>
+                            <line x1="6" y1="6" x2="18" y2="18"/>
+                        </svg>
+                    </button>
+                </div>
+                <div class="prompt-modal-body">
+                    ${variables.map((variable, index) => this._renderField(variable, index, defaults[variable.name])).join('')}
+                    <div class="prompt-modal-field">
+                        <label>${chrome.i18n.getMessage('promptTemplatePreview') || '预览'}</label>
+                        <div class="prompt-template-preview"></div>
+                    </div>
+                </div>
+                <div class="prompt-modal-footer">
+                    <button class="prompt-modal-btn prompt-modal-cancel">${chrome.i18n.getMessage('pxvkmz')}</button>
+                    <button class="prompt-modal-btn prompt-modal-confirm">${this._escapeHtml(confirmText || chrome.i18n.getMessage('promptTemplateInsert') || '插入')}</button>
+                </div>
+            `;
+
+            overlay.appendChild(modal);
+            document.body.appendChild(overlay);
+
+            const fields = [...modal.querySelectorAll('[data-variable-index]')];
+            const preview = modal.querySelector('.prompt-template-preview');
+
+            const collectValues = () => {
+                const values = {};
+                fields.forEach(field => {
+                    values[variables[Number(field.dataset.variableIndex)].name] = field.value;
+                });
+                return values;
+            };
+            const updatePreview = () => {
+                preview.textContent = PromptTemplate.fill(content, collectValues());
+            };
+
+            const close = (result) => {
+                document.removeEventListener('keydown', onKeydown, true);
+                overlay.classList.remove('visible');
+                setTimeout(() => overlay.remove(), 200);
+                resolve(result);
+            };
+            const submit = () => close(collectValues());
+
+            // Esc 取消；Enter 插入（多行输入框用 Ctrl/⌘ + Enter）
+            const onKeydown = (e) => {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    close(null);
+                } else if (e.key === 'Enter' && !e.isComposing && modal.contains(e.target)) {
+                    const multiline = e.target.tagName === 'TEXTAREA';
+                    if (!multiline || e.ctrlKey || e.metaKey) {
+                        e.preventDefault();
+                        e.stopPropagation();
+                        submit();
+                    }
+                }
+            };
+            document.addEventListener('keydown', onKeydown, true);
+
+            fields.forEach(field => {
+                field.addEventListener('input', updatePreview);
+                field.addEventListener('change', updatePreview);
+            });
+            modal.querySelector('.prompt-modal-close').addEventListener('click', () => close(null));
+            modal.querySelector('.prompt-modal-cancel').addEventListener('click', () => close(null));
+            modal.querySelector('.prompt-modal-confirm').addEventListener('click', submit);
+            overlay.addEventListener('click', (e) => {
+                if (e.target === overlay) close(null);
+            });
+
+            updatePreview();
+            requestAnimationFrame(() => {
+                overlay.classList.add('visible');
+                // 聚焦第一个需要填写的字段
+                const first = fields.find(field => !field.value) || fields[0];
+                first?.focus();
+            });
+        });
+    }
+
+    _renderField(variable, index, value) {
+        const label = `<label>${this._escapeHtml(variable.name)}</label>`;
+
+        if (variable.options) {
+            const selected = variable.options.includes(value) ? value : variable.options[0];
+            const options = variable.options.map(option =>
+                `<option value="${this._escapeHtml(option)}"${option === selected ? ' selected' : ''}>${this._escapeHtml(option)}</option>`
+            ).join('');
+            return `
+                <div class="prompt-modal-field">
+                    ${label}
+                    <select class="prompt-modal-input prompt-template-select" data-variable-index="${index}">${options}</select>
+                </div>
+            `;
+        }
+
+        // 选中文字和剪贴板可能是多行内容
+        if (variable.name === 'selection' || variable.name === 'clipboard') {
+            return `
+                <div class="prompt-modal-field">
+                    ${label}
+                    <textarea class="prompt-modal-textarea" data-variable-index="${index}" rows="3">${this._escapeHtml(value || '')}</textarea>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="prompt-modal-field">
+                ${label}
+                <input type="text" class="prompt-modal-input" data-variable-index="${index}" value="${this._escapeHtml(value || '')}" autocomplete="off">
+            </div>
+        `;
+    }
+
+    _escapeHtml(text) {
+        if (!text) return '';
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+}
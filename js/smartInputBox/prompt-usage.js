@@ -0,0 +1,152 @@
+/**
+ * Prompt Usage - 提示词使用统计与排序
+ *
+ * 每次从提示词菜单插入提示词时记录（storage: promptUsage）：
+ * { [promptId]: { count, lastUsedAt, platforms: { [platformId]: count } } }
+ *
+ * 排序方式（storage: promptSortMode，提示词菜单和提示词设置共用）：
+ * - manual   手动排序（提示词列表中的顺序）
+ * - recent   最近使用的在前，未使用的保持手动顺序排在后面
+ * - frequent 使用次数多的在前，次数相同时最近使用的在前
+ * 置顶始终优先（由 PromptFolderManager.buildTree 处理）
+ */
+
+const PromptUsage = {
+    STORAGE_KEY: 'promptUsage',
+    SORT_KEY: 'promptSortMode',
+    SORT_MODES: ['manual', 'recent', 'frequent'],
+
+    /**
+     * 读取使用记录
+     * @returns {Promise<Object>}
+     */
+    async load() {
+        try {
+            const result = await chrome.storage.local.get(this.STORAGE_KEY);
+            return result[this.STORAGE_KEY] || {};
+        } catch (e) {
+            return {};
+        }
+    },
+
+    /**
+     * 记录一次使用
+     * @param {string} promptId
+     * @param {string} platformId - 当前平台 ID（未知时为空）
+     */
+    async record(promptId, platformId = '') {
+        try {
+            const usage = await this.load();
+            const entry = usage[promptId] || { count: 0, lastUsedAt: 0, platforms: {} };
+            entry.count++;
+            entry.lastUsedAt = Date.now();
+            if (platformId) {
+                entry.platforms = entry.platforms || {};
+                entry.platforms[platformId] = (entry.platforms[platformId] || 0) + 1;
+            }
+            usage[promptId] = entry;
+            await chrome.storage.local.set({ [this.STORAGE_KEY]: usage });
+        } catch (e) {
+            console.error('[PromptUsage] Failed to record usage:', e);
+        }
+    },
+
+    /**
+     * 删除提示词的使用记录
+     * @param {string[]|null} promptIds - null = 清空全部
+     */
+    async remove(promptIds = null) {
+        try {
+            if (!promptIds) {
+                await chrome.storage.local.set({ [this.STORAGE_KEY]: {} });
+                return;
+            }
+            const usage = await this.load();
+            promptIds.forEach(id => delete usage[id]);
+            await chrome.storage.local.set({ [this.STORAGE_KEY]: usage });
+        } catch (e) {
+            console.error('[PromptUsage] Failed to remove usage:', e);
+        }
+    },
+
+    async getSortMode() {
+        try {
+            const result = await chrome.storage.local.get(this.SORT_KEY);
+            return this.normalizeSortMode(result[this.SORT_KEY]);
+        } catch (e) {
+            return 'manual';
+        }
+    },
+
+    async setSortMode(mode) {
+        await chrome.storage.local.set({ [this.SORT_KEY]: this.normalizeSortMode(mode) });
+    },
+
+    normalizeSortMode(mode) {
+        return this.SORT_MODES.includes(mode) ? mode : 'manual';
+    },
+
+    getSortModeLabel(mode) {
+        return {
+            manual: chrome.i18n.getMessage('promptSortManual') || '手动排序',
+            recent: chrome.i18n.getMessage('promptSortRecent') || '最近使用',
+            frequent: chrome.i18n.getMessage('promptSortFrequent') || '最常使用'
+        }[mode] || mode;
+    },
+
+    /**
+     * 按排序方式排列提示词（返回新数组，相同条件下保持原顺序）
+     * @param {Array} prompts
+     * @param {Object} usage - load 的结果
+     * @param {string} mode
+     */
+    sort(prompts, usage, mode) {
+        const list = [...prompts];
+        if (mode === 'recent') {
+            return list.sort((a, b) => (usage[b.id]?.lastUsedAt || 0) - (usage[a.id]?.lastUsedAt || 0));
+        }
+        if (mode === 'frequent') {
+            return list.sort((a, b) => {
+                return (usage[b.id]?.count || 0) - (usage[a.id]?.count || 0)
+                    || (usage[b.id]?.lastUsedAt || 0) - (usage[a.id]?.lastUsedAt || 0);
+            });
+        }
+        return list;
+    },
+
+    /**
+     * 统计汇总（只统计现有提示词）
+     * @returns {{ total: number, usedCount: number, platforms: Array<{ id, count }>, ranking: Array<{ prompt, count, lastUsedAt }>, unused: Array }}
+     */
+    getStats(prompts, usage) {
+        const platforms = {};
+        const ranking = [];
+        const unused = [];
+        let total = 0;
+
+        prompts.forEach(prompt => {
+            const entry = usage[prompt.id];
+            if (!entry?.count) {
+                unused.push(prompt);
+                return;
+            }
+            total += entry.count;
+            ranking.push({ prompt, count: entry.count, lastUsedAt: entry.lastUsedAt || 0 });
+            Object.entries(entry.platforms || {}).forEach(([id, count]) => {
+                platforms[id] = (platforms[id] || 0) + count;
+            });
+        });
+
+        ranking.sort((a, b) => b.count - a.count || b.lastUsedAt - a.lastUsedAt);
+
+        return {
+            total,
+            usedCount: ranking.length,
+            platforms: Object.entries(platforms)
+                .map(([id, count]) => ({ id, count }))
+                .sort((a, b) => b.count - a.count),
+            ranking,
+            unused
+        };
+    }
+};
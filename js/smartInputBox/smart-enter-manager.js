@@ -643,6 +643,19 @@ class SmartEnterManager {
         }
     }
     
+    /**
+     * 供外部模块发送输入框内容（见 GlobalChatInputManager.send）
+     * @param {HTMLElement} inputElement - 输入框元素
+     * @returns {boolean} 输入框为空时不发送
+     */
+    send(inputElement) {
+        if (!this.adapter.canSend(inputElement)) {
+            return false;
+        }
+        this._triggerSend(inputElement);
+        return true;
+    }
+    
     /**
      * 触发发送消息
      * 直接模拟普通的 Enter 键事件，让平台原生处理发送
@@ -49,6 +49,98 @@ class SiteAdapter {
         return text || '[图片或文件]';
     }
     
+    /**
+     * Get CSS selector for assistant (AI reply) message elements
+     * @returns {string} - Empty string means the site does not expose replies
+     */
+    getAssistantMessageSelector() {
+        return '';
+    }
+
+    /**
+     * Get the element that wraps the rendered reply body (markdown area)
+     * Excludes action bars, avatars, "thinking" blocks etc. where possible
+     * @param {Element} element - Assistant message element
+     * @returns {Element}
+     */
+    getAssistantContentElement(element) {
+        return element;
+    }
+
+    /**
+     * Extract plain text from assistant message element
+     * @param {Element} element - Assistant message element
+     * @returns {string}
+     */
+    extractAssistantText(element) {
+        const content = this.getAssistantContentElement(element) || element;
+        return (content.innerText || content.textContent || '').trim();
+    }
+
+    /**
+     * Extract rendered HTML from assistant message element
+     * @param {Element} element - Assistant message element
+     * @returns {string}
+     */
+    extractAssistantHTML(element) {
+        const content = this.getAssistantContentElement(element) || element;
+        return content.innerHTML || '';
+    }
+
+    /**
+     * Pair every user turn with the assistant replies that follow it
+     * 
+     * A reply belongs to the last user message that precedes it in document order
+     * (replies before the first user message are dropped, e.g. welcome cards).
+     * 
+     * @param {Array<Element>} userElements - User message elements, in conversation order
+     * @param {Element} [container] - Conversation container to search in (defaults to document)
+     * @returns {Array<{user: Element, index: number, replies: Array<Element>}>}
+     */
+    pairTurns(userElements, container) {
+        const users = Array.from(userElements || []);
+        const pairs = users.map((user, index) => ({ user, index, replies: [] }));
+        const selector = this.getAssistantMessageSelector();
+        if (!selector || users.length === 0) return pairs;
+
+        let candidates;
+        try {
+            candidates = Array.from((container || document).querySelectorAll(selector));
+        } catch (e) {
+            return pairs;
+        }
+
+        // 只保留最外层匹配，避免嵌套元素重复计入
+        const replies = candidates.filter(el =>
+            !candidates.some(other => other !== el && other.contains(el)) &&
+            !users.some(user => user.contains(el) || el.contains(user))
+        );
+
+        // 按文档顺序排序的用户消息，用于二分查找
+        const ordered = pairs.slice().sort((a, b) =>
+            a.user.compareDocumentPosition(b.user) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+        );
+
+        replies.forEach(reply => {
+            let lo = 0;
+            let hi = ordered.length - 1;
+            let owner = null;
+            while (lo <= hi) {
+                const mid = (lo + hi) >> 1;
+                const isBefore = ordered[mid].user.compareDocumentPosition(reply) & Node.DOCUMENT_POSITION_FOLLOWING;
+                if (isBefore) {
+                    owner = ordered[mid];
+                    lo = mid + 1;
+                } else {
+                    hi = mid - 1;
+                }
+            }
+            if (owner) owner.replies.push(reply);
+        });
+
+        return pairs;
+    }
+
     /**
      * Get the text container element for time label positioning
      * @param {Element} element - Message DOM element
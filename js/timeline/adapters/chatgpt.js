@@ -111,6 +111,18 @@ class ChatGPTAdapter extends SiteAdapter {
         return element.querySelector('.whitespace-pre-wrap') || element;
     }
 
+    /**
+     * AI 回复：data-message-author-role="assistant"
+     * 一次回答可能包含多条 assistant 消息（工具调用、搜索等）
+     */
+    getAssistantMessageSelector() {
+        return '[data-message-author-role="assistant"]';
+    }
+
+    getAssistantContentElement(element) {
+        return element.querySelector('.markdown') || element;
+    }
+
     isConversationRoute(pathname) {
         const segs = pathname.split('/').filter(Boolean);
         
@@ -41,6 +41,18 @@ class ClaudeAdapter extends SiteAdapter {
         return pElement || element;
     }
 
+    /**
+     * AI 回复：包含 .font-claude-response 的 [data-test-render-count] 元素（与用户消息同级）
+     * 兼容旧版 class .font-claude-message
+     */
+    getAssistantMessageSelector() {
+        return '[data-test-render-count]:has(.font-claude-response, .font-claude-message)';
+    }
+
+    getAssistantContentElement(element) {
+        return element.querySelector('.font-claude-response, .font-claude-message') || element;
+    }
+
     isConversationRoute(pathname) {
         // Claude 对话 URL: /chat/{uuid} 或分享页面 /share/{uuid}
         // UUID 格式: 78721a47-289d-46ad-b497-a47ec784247c
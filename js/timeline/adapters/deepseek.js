@@ -56,6 +56,22 @@ class DeepSeekAdapter extends SiteAdapter {
         return element.querySelector('div') || element;
     }
 
+    /**
+     * AI 回复：包含 .ds-markdown 的 .ds-message（用户消息不含 markdown 渲染区）
+     */
+    getAssistantMessageSelector() {
+        return '.ds-message:has(.ds-markdown)';
+    }
+
+    /**
+     * 深度思考模式下思考过程也是 .ds-markdown，取思考区之外的最后一个作为正文
+     */
+    getAssistantContentElement(element) {
+        const bodies = Array.from(element.querySelectorAll('.ds-markdown'))
+            .filter(md => !md.closest('.ds-think-content'));
+        return bodies[bodies.length - 1] || element;
+    }
+
     isConversationRoute(pathname) {
         // DeepSeek 对话 URL: /a/chat/s/{id} 或分享页面 /share/{id}
         return pathname.includes('/a/chat/s/') || pathname.includes('/share/');
@@ -105,6 +105,17 @@ class DoubaoAdapter extends SiteAdapter {
         return element.querySelector('[data-testid="message_text_content"]') || element;
     }
 
+    /**
+     * AI 回复：data-testid="receive_message"（与用户消息 send_message 对应）
+     */
+    getAssistantMessageSelector() {
+        return '[data-testid="receive_message"]';
+    }
+
+    getAssistantContentElement(element) {
+        return element.querySelector('[data-testid="message_text_content"]') || element;
+    }
+
     isConversationRoute(pathname) {
         // Doubao conversation URLs: /chat/数字ID
         return pathname.includes('/chat/');
@@ -133,6 +133,17 @@ class GeminiAdapter extends SiteAdapter {
         };
     }
 
+    /**
+     * AI 回复：model-response 自定义元素（与 user-query 对应）
+     */
+    getAssistantMessageSelector() {
+        return 'model-response';
+    }
+
+    getAssistantContentElement(element) {
+        return element.querySelector('message-content .markdown') || element.querySelector('.markdown') || element;
+    }
+
     isConversationRoute(pathname) {
         // Gemini conversation URLs: /app/xxx, /share/xxx, /gem/xxx/xxx
         return pathname.includes('/app/') || pathname.includes('/share/') || pathname.includes('/gem/');
@@ -37,6 +37,17 @@ class GrokAdapter extends SiteAdapter {
         return element.querySelector('p.break-words') || element;
     }
 
+    /**
+     * AI 回复：有 items-start class 且有 id 属性的元素（与用户消息 items-end 对应）
+     */
+    getAssistantMessageSelector() {
+        return '.items-start[id]';
+    }
+
+    getAssistantContentElement(element) {
+        return element.querySelector('.message-bubble') || element;
+    }
+
     isConversationRoute(pathname) {
         // Grok 对话 URL: /c/xxx 或分享页面 /share/xxx
         return pathname.includes('/c/') || pathname.includes('/share/');
@@ -35,6 +35,17 @@ class KimiAdapter extends SiteAdapter {
         return element.querySelector('.user-content') || element;
     }
 
+    /**
+     * AI 回复：.chat-content-item-assistant 消息项
+     */
+    getAssistantMessageSelector() {
+        return '.chat-content-item-assistant';
+    }
+
+    getAssistantContentElement(element) {
+        return element.querySelector('.markdown') || element;
+    }
+
     isConversationRoute(pathname) {
         // Kimi 对话 URL: /chat/{id} 或分享页面 /share/{id}
         return pathname.includes('/chat/') || pathname.includes('/share/');
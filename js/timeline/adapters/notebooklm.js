@@ -33,5 +33,16 @@ class NotebookLMAdapter extends SiteAdapter {
     getUserMessageSelector() {
         return '';
     }
+
+    /**
+     * AI 回复：.to-user-container（回答气泡，追问等功能可复用）
+     */
+    getAssistantMessageSelector() {
+        return '.to-user-container';
+    }
+
+    getAssistantContentElement(element) {
+        return element.querySelector('.message-text-content') || element;
+    }
 }
 
@@ -32,6 +32,17 @@ class PerplexityAdapter extends SiteAdapter {
         return text || '[图片或文件]';
     }
 
+    /**
+     * AI 回复：id 以 markdown-content- 开头的回答区
+     */
+    getAssistantMessageSelector() {
+        return '[id^="markdown-content-"]';
+    }
+
+    getAssistantContentElement(element) {
+        return element.querySelector('.prose') || element;
+    }
+
     isConversationRoute(pathname) {
         // Perplexity 对话 URL: /search/xxx 或 /thread/xxx
         return pathname.includes('/search/') || pathname.includes('/thread/');
@@ -68,6 +68,17 @@ class QwenAdapter extends SiteAdapter {
         return element.querySelector('.chat-user-message') || element;
     }
 
+    /**
+     * AI 回复：.qwen-chat-message-assistant（与用户消息容器同级）
+     */
+    getAssistantMessageSelector() {
+        return '.qwen-chat-message-assistant';
+    }
+
+    getAssistantContentElement(element) {
+        return element.querySelector('.response-message-content, .markdown-content-container') || element;
+    }
+
     isConversationRoute(pathname) {
         return pathname.startsWith('/c/');
     }
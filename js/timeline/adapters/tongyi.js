@@ -61,6 +61,17 @@ class TongyiAdapter extends SiteAdapter {
         return element.querySelector('[class*="bubble"]') || element;
     }
 
+    /**
+     * AI 回复：基于 class 前缀 "answerItem" 识别（与用户消息 questionItem 对应）
+     */
+    getAssistantMessageSelector() {
+        return '[class*="answerItem"]';
+    }
+
+    getAssistantContentElement(element) {
+        return element.querySelector('[class*="markdown"]') || element;
+    }
+
     isConversationRoute(pathname) {
         // 通义千问对话 URL:
         // 对话: /chat/{id}
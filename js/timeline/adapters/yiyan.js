@@ -34,6 +34,17 @@ class YiyanAdapter extends SiteAdapter {
         return element.querySelector('span') || element;
     }
 
+    /**
+     * AI 回复：基于 class 前缀 "answerBox" 识别（与用户消息 questionText 对应）
+     */
+    getAssistantMessageSelector() {
+        return '[class*="answerBox"]';
+    }
+
+    getAssistantContentElement(element) {
+        return element.querySelector('[class*="markdown"]') || element;
+    }
+
     isConversationRoute(pathname) {
         // 文心一言对话 URL: /chat/{id}
         return pathname.includes('/chat/');
@@ -30,6 +30,20 @@ class YuanbaoAdapter extends SiteAdapter {
         return text || '[图片或文件]';
     }
 
+    /**
+     * AI 回复：.agent-chat__list__item--ai 消息项
+     */
+    getAssistantMessageSelector() {
+        return '.agent-chat__list__item--ai';
+    }
+
+    /**
+     * 回复正文 class 以 "-content-md" 结尾（如 hyc-content-md），与用户消息 "-content-text" 规则一致
+     */
+    getAssistantContentElement(element) {
+        return element.querySelector('[class$="-content-md"]') || element;
+    }
+
     isConversationRoute(pathname) {
         // 元宝对话 URL: /chat/{variable}/{id}
         return pathname.includes('/chat/');
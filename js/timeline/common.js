@@ -771,6 +771,44 @@ const ChatTimeStorageManager = {
         return addedCount;
     },
 
+    /**
+     * 批量导入多个会话的节点时间（用于从平台导出数据导入，一次写入）
+     * 规则与 setCreateTime / batchSetNodeTimes 相同：已有 createTime 和已记录的节点不覆盖
+     * @param {Array<{conversationKey: string, createTime?: number, nodes: Array<{nodeId: string, timestamp?: number}>}>} records
+     * @returns {Promise<number>} - 实际新增的节点数量
+     */
+    async batchImport(records) {
+        if (!Array.isArray(records) || records.length === 0) return 0;
+
+        const all = await this.getAllRecords();
+        const now = Date.now();
+        let addedCount = 0;
+
+        for (const { conversationKey, createTime, nodes } of records) {
+            if (!conversationKey || !Array.isArray(nodes) || nodes.length === 0) continue;
+
+            const record = all[conversationKey] || { createTime: null, lastVisit: now, nodes: {} };
+            if (!record.nodes) record.nodes = {};
+            if (!record.createTime && createTime) record.createTime = createTime;
+
+            for (const { nodeId, timestamp } of nodes) {
+                if (nodeId !== undefined && nodeId !== null && record.nodes[nodeId] === undefined) {
+                    record.nodes[nodeId] = timestamp || now;
+                    addedCount++;
+                }
+            }
+
+            record.lastVisit = now;
+            all[conversationKey] = record;
+        }
+
+        if (addedCount > 0) {
+            await StorageAdapter.set(this.STORAGE_KEY, all);
+        }
+
+        return addedCount;
+    },
+
     /**
      * 迁移节点 ID（从临时 ID 迁移到真实 ID）
      * @param {string} conversationKey - 会话标识
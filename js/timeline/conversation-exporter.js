@@ -0,0 +1,544 @@
+/**
+ * Conversation Exporter - 对话导出（Markdown）
+ *
+ * 遍历时间轴的每个提问节点及其后的 AI 回复，生成单个 Markdown 文件：
+ * - 每个提问一个二级标题（Q1、Q2 ...）
+ * - 代码块保持 fenced 格式（保留语言标识）
+ * - 公式通过 FormulaSourceParser.parseLatex 还原为 LaTeX
+ * - 提问时间来自 ChatTimeStorageManager（平台未记录时省略）
+ *
+ * 回复定位策略：
+ * 1. 优先使用 adapter.getAssistantMessageSelector() 定位的回复元素
+ * 2. 降级：两个相邻提问元素之间的 DOM 内容即为前一个提问的回复（Range 截取），
+ *    最后一个提问的回复截取到对话容器末尾
+ *
+ * 注意：虚拟滚动的平台只能导出当前已渲染到 DOM 的内容
+ *
+ * 对话文本缓存（getTranscript）：按 turnId 保存已渲染问答的纯文本投影（getTextProjection），
+ * 回复被虚拟滚动移出 DOM 后仍可被问题列表的全文搜索命中；每次节点重建后最多重新收集一次
+ */
+
+const ConversationExporter = {
+    /**
+     * 公式元素选择器（与 FormulaManager 识别的公式类型保持一致）
+     * .katex-display 放在首位，使块级公式整体输出为 $$...$$
+     */
+    FORMULA_SELECTOR: '.katex-display, .katex, .math-inline, .math-block, .mwe-math-element, .MathJax_SVG, .MathJax, [data-math]',
+
+    /**
+     * 导出时忽略的元素（按钮、图标、插件自身注入的 UI 等）
+     */
+    IGNORED_SELECTOR: 'button, svg, style, script, noscript, textarea, input, select, template, .sr-only, .ait-scroll-padding, .ait-hl-popover, .ait-highlight-standalone-btn, .ait-mermaid-overlay, .runner-container, .runner-code-run-btn, .runner-code-diff-btn',
+
+    /**
+     * 块级元素（前后需要换行）
+     */
+    BLOCK_TAGS: new Set(['P', 'DIV', 'SECTION', 'ARTICLE', 'HEADER', 'FOOTER', 'MAIN', 'ASIDE', 'FIGURE', 'FIGCAPTION', 'DETAILS', 'SUMMARY', 'DL', 'DT', 'DD']),
+
+    /**
+     * 空闲时收集对话文本的最小间隔（ms）
+     */
+    TRANSCRIPT_CAPTURE_INTERVAL: 2000,
+
+    /**
+     * 纯文本投影忽略的元素（与页面高亮的 Range 保持一致）
+     */
+    TEXT_IGNORED_SELECTOR: 'script, style, button, .katex-mathml',
+
+    /**
+     * 当前对话的文本缓存
+     * - turns: Map<turnId, { question, answer }>，已渲染过的问答纯文本（跨节点重建保留）
+     * - markers / dirty: 收集时的节点数组和是否有 DOM 变化，节点数组被替换或标记 dirty 后重新收集
+     * - entries: getTranscript 的结果（含已渲染节点的文本节点位置），收集后重建
+     */
+    _transcript: { key: null, turns: new Map(), markers: null, dirty: true, entries: null },
+    _captureTimer: null,
+    _lastCaptureAt: 0,
+
+    /**
+     * 构建当前对话的 Markdown 文本
+     * @param {TimelineManager} timelineManager - 时间轴管理器实例
+     * @returns {Promise<{markdown: string, count: number}>}
+     */
+    async buildMarkdown(timelineManager) {
+        const turns = this.collectTurns(timelineManager);
+        const nodeTimes = await this._loadNodeTimes();
+        const platform = getCurrentPlatform();
+        const assistantName = platform?.name || 'AI';
+
+        const lines = [];
+        const title = (document.title || '').trim() || 'AI Conversation';
+        lines.push(`# ${title}`, '');
+        lines.push(`- ${chrome.i18n.getMessage('exportMdSource') || 'Source'}: ${assistantName} · ${location.href}`);
+        lines.push(`- ${chrome.i18n.getMessage('exportMdTime') || 'Exported'}: ${this.formatTimestamp(Date.now())}`);
+        lines.push(`- ${chrome.i18n.getMessage('exportMdCount') || 'Questions'}: ${turns.length}`);
+        lines.push('', '---', '');
+
+        turns.forEach((turn, i) => {
+            const firstLine = turn.question.split('\n').find(l => l.trim()) || '';
+            lines.push(`## Q${i + 1}. ${this._truncate(firstLine.trim(), 80)}`, '');
+
+            const timestamp = nodeTimes[String(turn.turnId)];
+            if (timestamp) {
+                lines.push(`*${this.formatTimestamp(timestamp)}*`, '');
+            }
+
+            lines.push(turn.question, '');
+            lines.push(`### ${assistantName}`, '');
+            lines.push(turn.answer || '_(empty)_', '');
+            lines.push('---', '');
+        });
+
+        return { markdown: lines.join('\n').replace(/\n{3,}/g, '\n\n').trim() + '\n', count: turns.length };
+    },
+
+    /**
+     * 收集所有问答对
+     * 优先使用 adapter 提供的回复元素（TimelineManager.getConversationTurns），
+     * 平台未适配或未找到回复时，降级为截取两个提问之间的 DOM
+     * @param {TimelineManager} timelineManager
+     * @returns {Array<{turnId: string, question: string, answer: string}>}
+     */
+    collectTurns(timelineManager) {
+        const adapter = timelineManager.adapter;
+        const container = timelineManager.conversationContainer;
+        const turns = timelineManager.getConversationTurns();
+
+        return turns.map((turn, i) => {
+            const element = turn.userElement;
+            const textContainer = adapter.getTextContainer(element) || element;
+            const question = (textContainer.innerText || textContainer.textContent || '').trim() || turn.summary || '';
+
+            let answer = '';
+            if (turn.replies.length > 0) {
+                answer = turn.replies
+                    .map(reply => this.htmlToMarkdown(adapter.getAssistantContentElement(reply) || reply))
+                    .filter(Boolean)
+                    .join('\n\n');
+            } else {
+                const nextElement = turns[i + 1]?.userElement || null;
+                const fragment = this.getReplyFragment(element, nextElement, container);
+                answer = fragment ? this.htmlToMarkdown(fragment) : '';
+            }
+
+            return { turnId: turn.turnId, question, answer };
+        });
+    },
+
+    /**
+     * 获取当前对话每个提问节点的文本（按时间轴节点顺序）
+     * 节点重建或 DOM 变化后先收集当前已渲染的问答，否则直接返回缓存（搜索输入时只做过滤）
+     * 已渲染的节点带文本节点位置，可把匹配位置换算为页面 Range；从未渲染过回复的节点只有提问摘要
+     * @param {TimelineManager} timelineManager
+     * @returns {Array<{index, turnId, question: string, answer: string, questionNodes: Array, answerNodes: Array}>}
+     */
+    getTranscript(timelineManager) {
+        const cache = this._transcript;
+        if (cache.dirty || cache.markers !== timelineManager.markers || cache.key !== this._getTranscriptKey(timelineManager)) {
+            this.captureTranscript(timelineManager);
+        }
+        return this._transcript.entries;
+    },
+
+    /**
+     * 标记 DOM 已变化（时间轴重新计算节点时调用），下次获取时重新收集，并在空闲时预先收集
+     * @param {TimelineManager} timelineManager
+     */
+    invalidateTranscript(timelineManager) {
+        this._transcript.dirty = true;
+        this.scheduleTranscriptCapture(timelineManager);
+    },
+
+    /**
+     * 收集当前已渲染的问答纯文本并合并到缓存（切换对话时清空缓存）
+     * @param {TimelineManager} timelineManager
+     */
+    captureTranscript(timelineManager) {
+        const key = this._getTranscriptKey(timelineManager);
+        if (this._transcript.key !== key) {
+            this._transcript = { key, turns: new Map(), markers: null, dirty: true, entries: null };
+        }
+        const cache = this._transcript;
+        const markers = timelineManager.markers || [];
+        const rendered = new Map();
+        this._lastCaptureAt = Date.now();
+
+        try {
+            const adapter = timelineManager.adapter;
+            const turns = timelineManager.getConversationTurns();
+            turns.forEach((turn, i) => {
+                const textContainer = adapter.getTextContainer(turn.userElement) || turn.userElement;
+                const question = this.getTextProjection(textContainer);
+                let answer;
+                if (turn.replies.length > 0) {
+                    answer = this._joinProjections(turn.replies.map(reply => this.getTextProjection(adapter.getAssistantContentElement(reply) || reply)));
+                } else {
+                    // 降级截取的是 DOM 副本，只用于搜索文本，不定位页面 Range
+                    const fragment = this.getReplyFragment(turn.userElement, turns[i + 1]?.userElement || null, timelineManager.conversationContainer);
+                    answer = { text: fragment ? this.getTextProjection(fragment).text : '', nodes: [] };
+                }
+                rendered.set(turn.index, { question, answer });
+
+                const previous = cache.turns.get(String(turn.turnId));
+                cache.turns.set(String(turn.turnId), {
+                    question: question.text || previous?.question || '',
+                    // 降级截取时回复可能暂未渲染，保留之前收集到的回复
+                    answer: answer.text || previous?.answer || ''
+                });
+            });
+        } catch (e) {
+            // 平台 DOM 结构异常时保留已有缓存
+        }
+
+        cache.entries = markers.map((marker, index) => {
+            const live = rendered.get(index);
+            const cached = cache.turns.get(String(marker.id));
+            const question = live?.question.text ? live.question : { text: cached?.question || marker.summary || '', nodes: [] };
+            const answer = live?.answer.text ? live.answer : { text: cached?.answer || '', nodes: [] };
+            return {
+                index,
+                turnId: marker.id,
+                question: question.text,
+                answer: answer.text,
+                questionNodes: question.nodes,
+                answerNodes: answer.nodes
+            };
+        });
+        cache.markers = timelineManager.markers;
+        cache.dirty = false;
+    },
+
+    /**
+     * 空闲时收集对话文本（有 DOM 变化时），滚动中渲染的回复也会被缓存
+     * @param {TimelineManager} timelineManager
+     */
+    scheduleTranscriptCapture(timelineManager) {
+        if (this._captureTimer) return;
+        const delay = Math.max(0, this.TRANSCRIPT_CAPTURE_INTERVAL - (Date.now() - this._lastCaptureAt));
+        this._captureTimer = setTimeout(() => {
+            const capture = () => {
+                this._captureTimer = null;
+                if (window.timelineManager === timelineManager && this._transcript.dirty) {
+                    this.captureTranscript(timelineManager);
+                }
+            };
+            if (typeof requestIdleCallback === 'function') {
+                requestIdleCallback(capture, { timeout: 1000 });
+            } else {
+                capture();
+            }
+        }, delay);
+    },
+
+    _getTranscriptKey(timelineManager) {
+        return timelineManager.conversationId || location.pathname;
+    },
+
+    /**
+     * 纯文本投影：可见文本节点按文档顺序直接拼接（行内格式如加粗、链接不会打断文本），
+     * 同时记录每个文本节点在拼接文本中的起始位置，用于把匹配位置换算为 Range
+     * @param {Node} root - 根节点（Element 或 DocumentFragment）
+     * @returns {{text: string, nodes: Array<{node: Text, start: number}>}}
+     */
+    getTextProjection(root) {
+        const nodes = [];
+        let text = '';
+        if (!root) return { text, nodes };
+
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+            acceptNode: (node) => {
+                const parent = node.parentElement;
+                if (!parent || parent.closest(this.TEXT_IGNORED_SELECTOR)) {
+                    return NodeFilter.FILTER_REJECT;
+                }
+                return NodeFilter.FILTER_ACCEPT;
+            }
+        });
+        let node;
+        while ((node = walker.nextNode())) {
+            if (!node.data) continue;
+            nodes.push({ node, start: text.length });
+            text += node.data;
+        }
+        return { text, nodes };
+    },
+
+    /**
+     * 拼接多个投影（多段回复之间空行分隔，分隔符不属于任何文本节点）
+     */
+    _joinProjections(projections, separator = '\n\n') {
+        let text = '';
+        const nodes = [];
+        projections.filter(p => p.text).forEach((projection, i) => {
+            if (i > 0) text += separator;
+            projection.nodes.forEach(item => nodes.push({ node: item.node, start: item.start + text.length }));
+            text += projection.text;
+        });
+        return { text, nodes };
+    },
+
+    /**
+     * 截取两个提问元素之间的 DOM 内容（即 AI 回复）
+     * @param {Element} userElement - 当前提问元素
+     * @param {Element|null} nextUserElement - 下一个提问元素（最后一个为 null）
+     * @param {Element} container - 对话容器
+     * @returns {DocumentFragment|null}
+     */
+    getReplyFragment(userElement, nextUserElement, container) {
+        if (!userElement?.isConnected) return null;
+        try {
+            const range = document.createRange();
+            range.setStartAfter(userElement);
+            if (nextUserElement?.isConnected) {
+                // 下一个提问必须在当前提问之后（反向布局时视为无回复）
+                const following = userElement.compareDocumentPosition(nextUserElement) & Node.DOCUMENT_POSITION_FOLLOWING;
+                if (!following) return null;
+                range.setEndBefore(nextUserElement);
+            } else if (container && container.contains(userElement)) {
+                range.setEnd(container, container.childNodes.length);
+            } else {
+                return null;
+            }
+            return range.cloneContents();
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * 将 DOM 转换为 Markdown
+     * @param {Node} root - 根节点（Element 或 DocumentFragment）
+     * @returns {string}
+     */
+    htmlToMarkdown(root) {
+        const md = this._convertChildren(root, { headingShift: 3 });
+        return md
+            .replace(/[ \t]+\n/g, '\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    },
+
+    _convertChildren(node, ctx) {
+        let out = '';
+        node.childNodes.forEach(child => {
+            out += this._convertNode(child, ctx);
+        });
+        return out;
+    },
+
+    _convertNode(node, ctx) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            return (node.textContent || '').replace(/\s+/g, ' ');
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+        const el = node;
+
+        // 公式优先（KaTeX 的 .katex-html 含大量内部结构，必须整体处理）
+        if (el.matches(this.FORMULA_SELECTOR)) {
+            const latex = typeof FormulaSourceParser !== 'undefined' ? FormulaSourceParser.parseLatex(el) : null;
+            if (latex) {
+                const isBlock = el.classList.contains('katex-display') ||
+                    el.classList.contains('math-block') ||
+                    el.getAttribute('display') === 'block' ||
+                    el.tagName === 'DIV';
+                return isBlock ? `\n\n$$\n${latex}\n$$\n\n` : `$${latex}$`;
+            }
+        }
+
+        if (el.matches(this.IGNORED_SELECTOR)) return '';
+
+        const tag = el.tagName;
+
+        if (tag === 'PRE') return this._convertCodeBlock(el);
+
+        if (tag === 'CODE') {
+            const text = el.textContent || '';
+            if (text.includes('\n')) return this._convertCodeBlock(el);
+            const ticks = text.includes('`') ? '``' : '`';
+            return `${ticks}${text}${ticks}`;
+        }
+
+        if (/^H[1-6]$/.test(tag)) {
+            const level = Math.min(6, parseInt(tag[1], 10) + (ctx.headingShift || 0));
+            const text = this._convertChildren(el, ctx).trim();
+            return text ? `\n\n${'#'.repeat(level)} ${text}\n\n` : '';
+        }
+
+        switch (tag) {
+            case 'BR':
+                return '\n';
+            case 'HR':
+                return '\n\n---\n\n';
+            case 'STRONG':
+            case 'B':
+                return this._wrapInline(this._convertChildren(el, ctx), '**');
+            case 'EM':
+            case 'I':
+                return this._wrapInline(this._convertChildren(el, ctx), '*');
+            case 'DEL':
+            case 'S':
+                return this._wrapInline(this._convertChildren(el, ctx), '~~');
+            case 'A': {
+                const text = this._convertChildren(el, ctx).trim();
+                const href = el.getAttribute('href') || '';
+                if (!text) return '';
+                if (!href || href.startsWith('#') || href.startsWith('javascript:')) return text;
+                return `[${text}](${href})`;
+            }
+            case 'IMG': {
+                const src = el.getAttribute('src') || '';
+                if (!/^https?:/.test(src)) return '';
+                return `![${el.getAttribute('alt') || ''}](${src})`;
+            }
+            case 'UL':
+            case 'OL':
+                return `\n\n${this._convertList(el, ctx)}\n\n`;
+            case 'BLOCKQUOTE': {
+                const inner = this._convertChildren(el, ctx).replace(/\n{3,}/g, '\n\n').trim();
+                return `\n\n${inner.split('\n').map(l => `> ${l}`.trimEnd()).join('\n')}\n\n`;
+            }
+            case 'TABLE':
+                return `\n\n${this._convertTable(el, ctx)}\n\n`;
+        }
+
+        const inner = this._convertChildren(el, ctx);
+        if (this.BLOCK_TAGS.has(tag)) {
+            return `\n\n${inner}\n\n`;
+        }
+        return inner;
+    },
+
+    /**
+     * 代码块：保留原始文本，语言取自 language-xxx / lang-xxx 类名或 data-language 属性
+     */
+    _convertCodeBlock(el) {
+        const codeEl = el.tagName === 'CODE' ? el : (el.querySelector('code') || el);
+        const code = (codeEl.textContent || '').replace(/\n$/, '');
+        const lang = this._detectCodeLanguage(codeEl) || this._detectCodeLanguage(el) || '';
+
+        // 代码中含有 ``` 时使用更长的围栏
+        const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map(s => s.length));
+        const fence = '`'.repeat(Math.max(3, longestRun + 1));
+        return `\n\n${fence}${lang}\n${code}\n${fence}\n\n`;
+    },
+
+    _detectCodeLanguage(el) {
+        if (!el) return '';
+        const dataLang = el.getAttribute?.('data-language') || el.getAttribute?.('data-lang');
+        if (dataLang) return dataLang.trim().toLowerCase();
+        for (const cls of Array.from(el.classList || [])) {
+            const match = cls.match(/^(?:language|lang)-([\w+#-]+)$/);
+            if (match) return match[1].toLowerCase();
+        }
+        return '';
+    },
+
+    _convertList(listEl, ctx) {
+        const ordered = listEl.tagName === 'OL';
+        let counter = parseInt(listEl.getAttribute('start') || '1', 10) || 1;
+        const items = [];
+
+        Array.from(listEl.children).forEach(li => {
+            if (li.tagName !== 'LI') return;
+            const marker = ordered ? `${counter++}.` : '-';
+            const indent = ' '.repeat(marker.length + 1);
+            const content = this._convertChildren(li, ctx)
+                .replace(/\n{3,}/g, '\n\n')
+                .trim()
+                .split('\n')
+                .map((line, i) => (i === 0 ? line : (line ? indent + line : line)))
+                .join('\n');
+            items.push(`${marker} ${content}`);
+        });
+
+        return items.join('\n');
+    },
+
+    _convertTable(tableEl, ctx) {
+        const rows = Array.from(tableEl.querySelectorAll('tr')).map(tr =>
+            Array.from(tr.children)
+                .filter(cell => cell.tagName === 'TH' || cell.tagName === 'TD')
+                .map(cell => this._convertChildren(cell, ctx).replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|').trim())
+        ).filter(cells => cells.length > 0);
+
+        if (rows.length === 0) return '';
+
+        const width = Math.max(...rows.map(r => r.length));
+        const pad = (cells) => cells.concat(Array(width - cells.length).fill(''));
+        const toLine = (cells) => `| ${pad(cells).join(' | ')} |`;
+
+        const lines = [toLine(rows[0]), `| ${Array(width).fill('---').join(' | ')} |`];
+        rows.slice(1).forEach(r => lines.push(toLine(r)));
+        return lines.join('\n');
+    },
+
+    _wrapInline(text, mark) {
+        const trimmed = text.trim();
+        if (!trimmed) return text;
+        return `${mark}${trimmed}${mark}`;
+    },
+
+    _truncate(text, maxLength) {
+        if (!text) return '';
+        return text.length > maxLength ? text.substring(0, maxLength) + '...' : text;
+    },
+
+    /**
+     * 读取当前会话的节点时间（与 ChatTimeRecorder 使用相同的会话标识）
+     * @returns {Promise<Object>} - { nodeId: timestamp }
+     */
+    async _loadNodeTimes() {
+        try {
+            // 记录器实例可能未创建（如页面尚未初始化时间轴），此时直接使用原型方法
+            const recorder = window.chatTimeRecorder || ChatTimeRecorder.prototype;
+            const conversationKey = recorder.getConversationKey();
+            const data = await ChatTimeStorageManager.getByConversation(conversationKey);
+            return data.nodes || {};
+        } catch (e) {
+            return {};
+        }
+    },
+
+    /**
+     * 格式化时间：YYYY-MM-DD HH:mm
+     */
+    formatTimestamp(timestamp) {
+        const date = new Date(timestamp);
+        const y = date.getFullYear();
+        const m = String(date.getMonth() + 1).padStart(2, '0');
+        const d = String(date.getDate()).padStart(2, '0');
+        const h = String(date.getHours()).padStart(2, '0');
+        const min = String(date.getMinutes()).padStart(2, '0');
+        return `${y}-${m}-${d} ${h}:${min}`;
+    },
+
+    /**
+     * 生成文件名：标题 + 日期（去除文件系统非法字符）
+     */
+    buildFileName() {
+        const title = (document.title || 'conversation')
+            .replace(/[\\/:*?"<>|\n\r\t]+/g, ' ')
+            .trim()
+            .substring(0, 60) || 'conversation';
+        const date = this.formatTimestamp(Date.now()).replace(/[-: ]/g, '').replace(/^(\d{8})/, '$1-');
+        return `${title}-${date}.md`;
+    },
+
+    /**
+     * 触发浏览器下载
+     * @param {string} markdown - 文件内容
+     * @param {string} fileName - 文件名
+     */
+    download(markdown, fileName) {
+        const blob = new Blob([markdown], { type: 'text/markdown;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+};
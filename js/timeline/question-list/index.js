@@ -3,6 +3,12 @@
  *
  * 嵌入时间轴 wrapper 内，与 timeline-bar 互斥切换显示。
  * 支持：序号、单行省略、当前激活高亮、收藏状态展示与切换、长按标记📌、点击跳转。
+ * 支持：全文搜索（提问 + AI 回复），结果过滤、匹配高亮、上一个/下一个跳转。
+ *
+ * 搜索范围为 ConversationExporter 缓存的对话纯文本（而非仅当前 DOM），
+ * 虚拟滚动移出页面的回复也能命中；未渲染的匹配跳转时先滚动到对应提问。
+ * 缓存按节点重建收集一次，输入关键词时只在缓存文本上过滤。
+ * 搜索高亮使用 CSS Custom Highlight API（不修改平台 DOM），不支持时仅高亮列表项。
  */
 class QuestionListPopup {
     constructor() {
@@ -13,8 +19,21 @@ class QuestionListPopup {
         this._wrapper = null;
         this._boundOnActiveChange = this._onActiveChange.bind(this);
         this._boundOnClickOutside = this._onClickOutside.bind(this);
+
+        // 搜索状态
+        this._searchInput = null;
+        this._searchCountEl = null;
+        this._searchTimer = null;
+        this._query = '';
+        this._matches = [];       // [{ index, turnId, source: 'question'|'answer', range }]，range 为 null 表示不在当前 DOM
+        this._matchCursor = -1;
+        this._turnHits = null;    // Map<markerIndex, { question, answer, snippet }>，null 表示未搜索
     }
 
+    static MAX_MATCHES = 500;
+    static HIGHLIGHT_NAME = 'ait-ql-search';
+    static HIGHLIGHT_CURRENT_NAME = 'ait-ql-search-current';
+
     get visible() { return this._visible; }
 
     /**
@@ -74,18 +93,42 @@ class QuestionListPopup {
         //     this.hide();
         // });
 
+        const exportBtn = document.createElement('button');
+        exportBtn.className = 'ait-ql-export';
+        exportBtn.innerHTML = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg>';
+        exportBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            window.globalTooltipManager.hide();
+            tm.exportConversationAsMarkdown();
+        });
+        exportBtn.addEventListener('mouseenter', () => {
+            window.globalTooltipManager.show(
+                'ql-export-btn',
+                'button',
+                exportBtn,
+                chrome.i18n.getMessage('exportMarkdownAction') || '导出为 Markdown',
+                { placement: 'top' }
+            );
+        });
+        exportBtn.addEventListener('mouseleave', () => { window.globalTooltipManager.hide(); });
+
+        headerRight.appendChild(exportBtn);
         headerRight.appendChild(settingsBtn);
         // headerRight.appendChild(closeBtn);
 
         header.appendChild(title);
         header.appendChild(headerRight);
 
+        // Search
+        const searchBar = this._createSearchBar();
+
         // List
         this._listEl = document.createElement('div');
         this._listEl.className = 'ait-ql-list';
         this._renderItems(tm);
 
         this._el.appendChild(header);
+        this._el.appendChild(searchBar);
         this._el.appendChild(this._listEl);
 
         // 同步高度：与 timeline-bar 一致
@@ -121,10 +164,13 @@ class QuestionListPopup {
     hide() {
         window.removeEventListener('timeline:activeChange', this._boundOnActiveChange);
         document.removeEventListener('click', this._boundOnClickOutside, true);
+        this._resetSearch();
         if (this._el) {
             this._el.remove();
             this._el = null;
             this._listEl = null;
+            this._searchInput = null;
+            this._searchCountEl = null;
         }
 
         // 恢复 timeline-bar
@@ -237,6 +283,7 @@ class QuestionListPopup {
         });
 
         this._listEl.appendChild(frag);
+        this._applySearchFilter();
     }
 
     _updateActiveItem(turnId) {
@@ -299,17 +346,355 @@ class QuestionListPopup {
     }
 
     onMarkersRebuilt() {
-        if (!this._visible || !this._listEl) return;
         const tm = window.timelineManager;
+        // DOM 已变化：对话文本缓存在下次搜索或空闲时重新收集
+        if (tm && typeof ConversationExporter !== 'undefined') {
+            ConversationExporter.invalidateTranscript(tm);
+        }
+        if (!this._visible || !this._listEl) return;
         if (!tm || !tm.markers || tm.markers.length === 0) {
             this.hide();
             return;
         }
 
         const scrollTop = this._listEl.scrollTop;
+        if (this._query) {
+            // 节点变化后 Range 可能失效，重新搜索（保留当前位置）
+            this._runSearch({ keepCursor: true });
+        }
         this._renderItems(tm);
         this._listEl.scrollTop = scrollTop;
     }
+
+    // ==================== 搜索 ====================
+
+    _createSearchBar() {
+        const bar = document.createElement('div');
+        bar.className = 'ait-ql-search';
+
+        const icon = document.createElement('span');
+        icon.className = 'ait-ql-search-icon';
+        icon.innerHTML = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><circle cx="11" cy="11" r="7"/><line x1="21" y1="21" x2="16.65" y2="16.65"/></svg>';
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'ait-ql-search-input';
+        input.placeholder = chrome.i18n.getMessage('questionSearchPlaceholder') || '搜索提问和回答';
+        input.spellcheck = false;
+
+        const count = document.createElement('span');
+        count.className = 'ait-ql-search-count';
+
+        const prevBtn = document.createElement('button');
+        prevBtn.className = 'ait-ql-search-nav';
+        prevBtn.innerHTML = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><polyline points="18 15 12 9 6 15"/></svg>';
+        prevBtn.setAttribute('aria-label', chrome.i18n.getMessage('questionSearchPrev') || '上一个');
+
+        const nextBtn = document.createElement('button');
+        nextBtn.className = 'ait-ql-search-nav';
+        nextBtn.innerHTML = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><polyline points="6 9 12 15 18 9"/></svg>';
+        nextBtn.setAttribute('aria-label', chrome.i18n.getMessage('questionSearchNext') || '下一个');
+
+        input.addEventListener('input', () => {
+            clearTimeout(this._searchTimer);
+            this._searchTimer = setTimeout(() => {
+                this._query = input.value.trim();
+                this._runSearch();
+                this._renderItems(window.timelineManager);
+            }, 150);
+        });
+        input.addEventListener('keydown', (e) => {
+            // 阻止平台快捷键（如 ChatGPT 的 / 聚焦输入框）
+            e.stopPropagation();
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this._gotoMatch(e.shiftKey ? -1 : 1);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                if (input.value) {
+                    input.value = '';
+                    this._query = '';
+                    this._runSearch();
+                    this._renderItems(window.timelineManager);
+                } else {
+                    this.hide();
+                }
+            }
+        });
+        prevBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this._gotoMatch(-1);
+        });
+        nextBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this._gotoMatch(1);
+        });
+
+        bar.appendChild(icon);
+        bar.appendChild(input);
+        bar.appendChild(count);
+        bar.appendChild(prevBtn);
+        bar.appendChild(nextBtn);
+
+        this._searchInput = input;
+        this._searchCountEl = count;
+        this._updateSearchCount();
+        return bar;
+    }
+
+    /**
+     * 在提问和回答中搜索当前关键词，生成匹配列表
+     * 在缓存的纯文本上匹配；已渲染的节点按文本节点位置换算为页面 Range 用于高亮
+     * @param {Object} options
+     * @param {boolean} options.keepCursor - 是否保留当前匹配位置
+     */
+    _runSearch({ keepCursor = false } = {}) {
+        const tm = window.timelineManager;
+        const previousCursor = this._matchCursor;
+        this._matches = [];
+        this._matchCursor = -1;
+        this._turnHits = null;
+
+        const pattern = this._getSearchPattern();
+        if (!pattern || !tm) {
+            this._updateHighlights();
+            this._updateSearchCount();
+            return;
+        }
+
+        const hits = new Map();
+        for (const entry of ConversationExporter.getTranscript(tm)) {
+            if (this._matches.length >= QuestionListPopup.MAX_MATCHES) break;
+
+            const questionMatches = this._matchRanges(entry.question, entry.questionNodes, pattern);
+            const answerMatches = this._matchRanges(entry.answer, entry.answerNodes, pattern);
+            if (questionMatches.length === 0 && answerMatches.length === 0) continue;
+
+            questionMatches.forEach(({ range }) => {
+                this._matches.push({ index: entry.index, turnId: entry.turnId, source: 'question', range });
+            });
+            answerMatches.forEach(({ range }) => {
+                this._matches.push({ index: entry.index, turnId: entry.turnId, source: 'answer', range });
+            });
+
+            const first = answerMatches[0];
+            hits.set(entry.index, {
+                question: questionMatches.length,
+                answer: answerMatches.length,
+                snippet: first ? this._buildSnippet(entry.answer, first.index, first.length) : ''
+            });
+        }
+
+        if (this._matches.length > QuestionListPopup.MAX_MATCHES) {
+            this._matches.length = QuestionListPopup.MAX_MATCHES;
+        }
+        this._turnHits = hits;
+
+        if (keepCursor && previousCursor >= 0 && this._matches.length > 0) {
+            this._matchCursor = Math.min(previousCursor, this._matches.length - 1);
+        }
+
+        this._updateHighlights();
+        this._updateSearchCount();
+    }
+
+    /**
+     * 当前关键词的匹配正则（在原文上忽略大小写匹配，不改变字符下标）
+     * @returns {RegExp|null}
+     */
+    _getSearchPattern() {
+        if (!this._query) return null;
+        return new RegExp(this._query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'giu');
+    }
+
+    /**
+     * 在纯文本中查找关键词（最多 MAX_MATCHES 个），并按文本节点位置换算为 Range（可跨文本节点）
+     * 没有文本节点（未渲染）或节点已变化时 range 为 null
+     * @param {string} text - 纯文本投影
+     * @param {Array<{node: Text, start: number}>} nodes - 文本节点位置（ConversationExporter.getTextProjection）
+     * @param {RegExp} pattern - 关键词正则（_getSearchPattern）
+     * @returns {Array<{index: number, length: number, range: Range|null}>}
+     */
+    _matchRanges(text, nodes, pattern) {
+        const matches = [];
+        if (!text) return matches;
+        for (const match of text.matchAll(pattern)) {
+            const start = match.index;
+            const end = start + match[0].length;
+            matches.push({ index: start, length: match[0].length, range: this._createRange(nodes, start, end) });
+            if (matches.length >= QuestionListPopup.MAX_MATCHES) break;
+        }
+        return matches;
+    }
+
+    /**
+     * 纯文本区间 [start, end) 换算为页面 Range
+     * @returns {Range|null}
+     */
+    _createRange(nodes, start, end) {
+        if (!nodes || nodes.length === 0) return null;
+        const startItem = nodes.findLast(item => item.start <= start);
+        const endItem = nodes.findLast(item => item.start < end);
+        if (!startItem || !endItem || !startItem.node.isConnected || !endItem.node.isConnected) return null;
+        const startOffset = start - startItem.start;
+        const endOffset = end - endItem.start;
+        // 位置落在多段回复的分隔符上，或文本节点内容已变化
+        if (startOffset >= startItem.node.data.length || endOffset > endItem.node.data.length) return null;
+        try {
+            const range = document.createRange();
+            range.setStart(startItem.node, startOffset);
+            range.setEnd(endItem.node, endOffset);
+            return range;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * 构建回答命中片段（关键词前后各截取一段）
+     * @param {string} text - 回答文本
+     * @param {number} index - 匹配起始位置
+     * @param {number} length - 匹配长度
+     */
+    _buildSnippet(text, index, length) {
+        const start = Math.max(0, index - 24);
+        const end = Math.min(text.length, index + length + 48);
+        return (start > 0 ? '…' : '') + text.slice(start, end).replace(/\s+/g, ' ').trim() + (end < text.length ? '…' : '');
+    }
+
+    /**
+     * 跳转到上一个/下一个匹配
+     * @param {number} delta - 1 下一个，-1 上一个
+     */
+    _gotoMatch(delta) {
+        const tm = window.timelineManager;
+        if (!tm || this._matches.length === 0) return;
+
+        const total = this._matches.length;
+        this._matchCursor = this._matchCursor < 0
+            ? (delta > 0 ? 0 : total - 1)
+            : (this._matchCursor + delta + total) % total;
+
+        const match = this._matches[this._matchCursor];
+        if (match.source === 'question' || !match.range) {
+            tm.scrollToIndex(match.index);
+        } else {
+            const target = match.range.startContainer.parentElement;
+            if (target?.isConnected) tm.smoothScrollTo(target);
+        }
+
+        this._updateActiveItem(match.turnId);
+        this._scrollActiveIntoView();
+        this._updateHighlights();
+        this._updateSearchCount();
+    }
+
+    _updateSearchCount() {
+        if (!this._searchCountEl) return;
+        if (!this._query) {
+            this._searchCountEl.textContent = '';
+            return;
+        }
+        const total = this._matches.length;
+        const suffix = total >= QuestionListPopup.MAX_MATCHES ? '+' : '';
+        this._searchCountEl.textContent = total === 0
+            ? '0/0'
+            : `${this._matchCursor < 0 ? 0 : this._matchCursor + 1}/${total}${suffix}`;
+    }
+
+    /**
+     * 更新页面内高亮（CSS Custom Highlight API）
+     */
+    _updateHighlights() {
+        if (typeof CSS === 'undefined' || !CSS.highlights || typeof Highlight !== 'function') return;
+
+        CSS.highlights.delete(QuestionListPopup.HIGHLIGHT_NAME);
+        CSS.highlights.delete(QuestionListPopup.HIGHLIGHT_CURRENT_NAME);
+
+        const ranges = this._matches.filter(m => m.range).map(m => m.range);
+        if (ranges.length === 0) return;
+
+        CSS.highlights.set(QuestionListPopup.HIGHLIGHT_NAME, new Highlight(...ranges));
+        const current = this._matches[this._matchCursor];
+        if (current?.range) {
+            CSS.highlights.set(QuestionListPopup.HIGHLIGHT_CURRENT_NAME, new Highlight(current.range));
+        }
+    }
+
+    /**
+     * 根据搜索结果过滤列表项，并高亮列表中的关键词
+     */
+    _applySearchFilter() {
+        if (!this._listEl) return;
+
+        this._listEl.querySelector('.ait-ql-empty.search-empty')?.remove();
+        const items = this._listEl.querySelectorAll('.ait-ql-item');
+        const tm = window.timelineManager;
+
+        items.forEach(item => {
+            const index = Number(item.dataset.index);
+            const textEl = item.querySelector('.ait-ql-item-text');
+            const summary = tm?.markers?.[index]?.summary || '...';
+            item.querySelector('.ait-ql-item-snippet')?.remove();
+            item.classList.remove('has-snippet');
+
+            if (!this._turnHits) {
+                item.style.display = '';
+                if (textEl) textEl.textContent = summary;
+                return;
+            }
+
+            const hit = this._turnHits.get(index);
+            item.style.display = hit ? '' : 'none';
+            if (!hit || !textEl) return;
+
+            this._setHighlightedText(textEl, summary);
+            if (hit.question === 0 && hit.snippet) {
+                const snippet = document.createElement('span');
+                snippet.className = 'ait-ql-item-snippet';
+                this._setHighlightedText(snippet, hit.snippet);
+                item.classList.add('has-snippet');
+                item.appendChild(snippet);
+            }
+        });
+
+        if (this._turnHits && this._turnHits.size === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'ait-ql-empty search-empty';
+            empty.textContent = chrome.i18n.getMessage('questionSearchNoResult') || '没有找到匹配的内容';
+            this._listEl.appendChild(empty);
+        }
+    }
+
+    /**
+     * 将文本写入元素，并用 <mark> 包裹关键词
+     */
+    _setHighlightedText(el, text) {
+        el.textContent = '';
+        const pattern = this._getSearchPattern();
+        let last = 0;
+        if (pattern) {
+            for (const match of text.matchAll(pattern)) {
+                if (match.index > last) el.appendChild(document.createTextNode(text.slice(last, match.index)));
+                const mark = document.createElement('mark');
+                mark.className = 'ait-ql-mark';
+                mark.textContent = match[0];
+                el.appendChild(mark);
+                last = match.index + match[0].length;
+            }
+        }
+        if (last < text.length) el.appendChild(document.createTextNode(text.slice(last)));
+    }
+
+    _resetSearch() {
+        clearTimeout(this._searchTimer);
+        this._searchTimer = null;
+        this._query = '';
+        this._matches = [];
+        this._matchCursor = -1;
+        this._turnHits = null;
+        this._updateHighlights();
+    }
 }
 
 if (typeof window.questionListPopup === 'undefined') {
@@ -2009,6 +2009,53 @@ class TimelineManager {
         return this.scrollToIndex(0);
     }
     
+    /**
+     * ✅ 对外 API：获取问答对（每个提问节点及其后的 AI 回复元素）
+     * 回复由 adapter.getAssistantMessageSelector() 定位；平台未适配时 replies 为空数组
+     * @returns {Array<{index: number, turnId: string, userElement: Element, summary: string, replies: Array<Element>}>}
+     */
+    getConversationTurns() {
+        const markers = (this.markers || []).filter(m => m.element?.isConnected);
+        if (markers.length === 0) return [];
+        
+        const pairs = this.adapter.pairTurns(markers.map(m => m.element));
+        return pairs.map((pair, i) => ({
+            index: this.markers.indexOf(markers[i]),
+            turnId: markers[i].id,
+            userElement: pair.user,
+            summary: markers[i].summary,
+            replies: pair.replies
+        }));
+    }
+    
+    /**
+     * ✅ 对外 API：导出整个对话为 Markdown 文件
+     * 遍历所有提问节点及其后的 AI 回复，由 ConversationExporter 生成内容并触发下载
+     * @returns {Promise<boolean>} - 是否成功导出
+     */
+    async exportConversationAsMarkdown() {
+        const toastColor = {
+            light: { backgroundColor: '#0d0d0d', textColor: '#ffffff', borderColor: '#262626' },
+            dark: { backgroundColor: '#ffffff', textColor: '#1f2937', borderColor: '#d1d5db' }
+        };
+        
+        if (!this.markers || this.markers.length === 0) {
+            window.globalToastManager?.info(chrome.i18n.getMessage('exportMarkdownEmpty') || '当前对话暂无内容可导出', null, { color: toastColor });
+            return false;
+        }
+        
+        try {
+            const { markdown } = await ConversationExporter.buildMarkdown(this);
+            ConversationExporter.download(markdown, ConversationExporter.buildFileName());
+            window.globalToastManager?.success(chrome.i18n.getMessage('exportMarkdownSuccess') || '已导出为 Markdown', null, { color: toastColor });
+            return true;
+        } catch (e) {
+            console.error('[TimelineManager] Export markdown failed:', e);
+            window.globalToastManager?.error(chrome.i18n.getMessage('exportMarkdownFailed') || '导出失败', null, { color: toastColor });
+            return false;
+        }
+    }
+    
     smoothScrollTo(targetElement, duration = 600) {
         if (!targetElement || !this.scrollContainer) return;
         
@@ -0,0 +1,43 @@
+/**
+ * 云同步服务器授权页
+ *
+ * 内容脚本无法调用 permissions.request，WebDAV / S3 等自定义服务器
+ * 需要在扩展页面中由用户点击授权（optional_host_permissions）。
+ */
+
+const origins = (() => {
+    try {
+        const parsed = JSON.parse(new URLSearchParams(location.search).get('origins') || '[]');
+        return Array.isArray(parsed) ? parsed.filter(o => /^https?:\/\/[^/]+\/\*$/.test(o)) : [];
+    } catch {
+        return [];
+    }
+})();
+
+const grantBtn = document.getElementById('grantBtn');
+const result = document.getElementById('result');
+
+document.getElementById('logo').src = chrome.runtime.getURL('icons/icon128.png');
+document.getElementById('title').textContent = chrome.i18n.getMessage('syncPermissionTitle') || 'Allow access to sync server';
+document.getElementById('hint').textContent = chrome.i18n.getMessage('syncPermissionHint') || 'To sync with your own server, the extension needs permission to connect to:';
+document.getElementById('origins').textContent = origins.map(o => o.replace(/\/\*$/, '')).join('\n');
+grantBtn.textContent = chrome.i18n.getMessage('syncPermissionGrant') || 'Allow';
+grantBtn.disabled = origins.length === 0;
+
+grantBtn.addEventListener('click', async () => {
+    try {
+        const granted = await chrome.permissions.request({ origins });
+        if (granted) {
+            result.className = 'result success';
+            result.textContent = chrome.i18n.getMessage('syncPermissionGranted') || 'Permission granted. You can close this page and retry the sync.';
+            grantBtn.disabled = true;
+            setTimeout(() => window.close(), 1500);
+        } else {
+            result.className = 'result error';
+            result.textContent = chrome.i18n.getMessage('syncPermissionDenied') || 'Permission was not granted.';
+        }
+    } catch (e) {
+        result.className = 'result error';
+        result.textContent = e.message;
+    }
+});
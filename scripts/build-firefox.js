@@ -6,7 +6,7 @@
  * 从 Chrome 版 manifest.json 自动生成 Firefox 兼容版本并打包。
  *
  * 转换规则：
- *   1. background.service_worker → background.scripts[]
+ *   1. background.service_worker → background.scripts[]（前置 background 共用脚本）
  *   2. 添加 browser_specific_settings.gecko.id
  *   3. 移除 oauth2（Firefox 不支持，认证走 launchWebAuthFlow）
  *   4. 移除 sandbox（Firefox 不支持，Runner 内部做降级处理）
@@ -21,12 +21,21 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const { checkRuntimes } = require('./fetch-runtimes.js');
 
 const ROOT = path.resolve(__dirname, '..');
 const MANIFEST_PATH = path.join(ROOT, 'manifest.json');
 const FIREFOX_MANIFEST_PATH = path.join(ROOT, 'manifest.firefox.json');
 const DEFAULT_GECKO_ID = 'ai-timeline@timeline4ai.com';
 
+// Chrome 版 service worker 通过 importScripts 加载，Firefox 需写入 background.scripts
+const BACKGROUND_SHARED_SCRIPTS = [
+    'js/global/constants.js',
+    'js/global/sync-merge/index.js',
+    'js/global/sync-crypto/index.js',
+    'js/global/search-index/index.js'
+];
+
 function parseArgs() {
     const args = {};
     process.argv.slice(2).forEach(arg => {
@@ -42,7 +51,7 @@ function generateFirefoxManifest(geckoId) {
     // 1. background: service_worker → scripts
     if (manifest.background?.service_worker) {
         manifest.background = {
-            scripts: [manifest.background.service_worker]
+            scripts: [...BACKGROUND_SHARED_SCRIPTS, manifest.background.service_worker]
         };
     }
 
@@ -80,6 +89,14 @@ function build() {
     console.log(`[Firefox Build] Version: ${version}`);
     console.log(`[Firefox Build] Gecko ID: ${geckoId}`);
 
+    // Runner 运行时不在仓库中，发布包必须内置完整的运行时（CDN 回退只用于开发时直接加载源码目录）
+    const runtimeProblems = checkRuntimes();
+    if (runtimeProblems.length > 0) {
+        runtimeProblems.forEach(problem => console.error(`[Firefox Build] Runtime: ${problem}`));
+        console.error('[Firefox Build] Runner runtimes are incomplete, run `node scripts/fetch-runtimes.js` first');
+        process.exit(1);
+    }
+
     // 生成 Firefox manifest
     const firefoxManifest = generateFirefoxManifest(geckoId);
     fs.writeFileSync(FIREFOX_MANIFEST_PATH, JSON.stringify(firefoxManifest, null, 2) + '\n');
@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+
+/**
+ * Runner Runtimes Fetch Script
+ *
+ * 下载 Runner 内置运行时（Pyodide、sql.js、Fengari、Opal、TypeScript、Yaegi、JSCPP）到 js/runner/runtimes/，
+ * 并生成索引 runtimes.json（Runner 设置页据此展示安装状态和大小）。
+ * 版本和文件列表统一定义在 js/runner/core/runtime-assets.js。
+ *
+ * Pyodide 额外打包：
+ * - RUNTIMES.pyodide.packages 中的 Pyodide 包，依赖按 pyodide-lock.json 补全
+ * - 纯 Python wheel（RUNTIMES.pyodide.wheels + --wheels），从 PyPI 下载到 pyodide/wheels/，
+ *   也可以直接给出 .whl 的地址或本地路径；已打包的 wheel 在后续执行中保留
+ *
+ * 打包发布前执行一次；已存在且大小与索引一致的文件不会重复下载。
+ * --check 只校验已下载的运行时（版本、文件和大小与定义一致），不完整时以非 0 退出，
+ * 打包脚本（build-firefox.js）通过 checkRuntimes() 做同样的校验，不完整时中止打包。
+ *
+ * 用法：
+ *   node scripts/fetch-runtimes.js
+ *   node scripts/fetch-runtimes.js --only=pyodide,sqljs
+ *   node scripts/fetch-runtimes.js --wheels=tabulate,./vendor/foo-1.0-py3-none-any.whl
+ *   node scripts/fetch-runtimes.js --mirror=https://mirror.example.com/ait-runtimes/
+ *     （镜像目录结构：{mirror}/{runtimeId}/{fileName}，wheel 仍从 PyPI 下载）
+ *   node scripts/fetch-runtimes.js --check
+ */
+
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const http = require('http');
+
+const ROOT = path.resolve(__dirname, '..');
+const RuntimeAssets = require(path.join(ROOT, 'js/runner/core/runtime-assets.js'));
+const RUNTIMES_DIR = path.join(ROOT, RuntimeAssets.BASE_PATH);
+const INDEX_PATH = path.join(RUNTIMES_DIR, RuntimeAssets.INDEX_FILE);
+const MAX_REDIRECTS = 5;
+const PYPI_URL = 'https://pypi.org/pypi/';
+
+function parseArgs() {
+    const args = {};
+    process.argv.slice(2).forEach(arg => {
+        const [key, value] = arg.replace(/^--/, '').split('=');
+        args[key] = value || true;
+    });
+    return args;
+}
+
+/**
+ * GET 请求（跟随重定向），返回状态码为 200 的响应流
+ */
+function request(url, redirects = 0) {
+    return new Promise((resolve, reject) => {
+        const client = url.startsWith('https:') ? https : http;
+        client.get(url, (res) => {
+            if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+                res.resume();
+                if (redirects >= MAX_REDIRECTS) {
+                    reject(new Error(`Too many redirects: ${url}`));
+                    return;
+                }
+                resolve(request(new URL(res.headers.location, url).href, redirects + 1));
+                return;
+            }
+            if (res.statusCode !== 200) {
+                res.resume();
+                reject(new Error(`HTTP ${res.statusCode}: ${url}`));
+                return;
+            }
+            resolve(res);
+        }).on('error', reject);
+    });
+}
+
+async function download(url, dest) {
+    const res = await request(url);
+    return new Promise((resolve, reject) => {
+        const tmp = dest + '.download';
+        const out = fs.createWriteStream(tmp);
+        res.pipe(out);
+        out.on('finish', () => {
+            fs.renameSync(tmp, dest);
+            resolve(fs.statSync(dest).size);
+        });
+        out.on('error', reject);
+        res.on('error', reject);
+    });
+}
+
+async function fetchJson(url) {
+    const res = await request(url);
+    const chunks = [];
+    for await (const chunk of res) chunks.push(chunk);
+    return JSON.parse(Buffer.concat(chunks).toString('utf-8'));
+}
+
+function readIndex() {
+    try {
+        return JSON.parse(fs.readFileSync(INDEX_PATH, 'utf-8'));
+    } catch {
+        return { runtimes: {} };
+    }
+}
+
+async function fetchRuntime(id, def, previous, options) {
+    const dir = path.join(RUNTIMES_DIR, id);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const files = {};
+    const fetchFile = async (file) => {
+        const dest = path.join(dir, file);
+        const knownSize = previous?.version === def.version ? previous.files?.[file] : undefined;
+        if (knownSize !== undefined && fs.existsSync(dest) && fs.statSync(dest).size === knownSize) {
+            files[file] = knownSize;
+            return;
+        }
+
+        const url = options.mirror ? `${options.mirror.replace(/\/?$/, '/')}${id}/${file}` : def.source + file;
+        console.log(`[Runtimes] ${def.name} ${def.version}: ${file}`);
+        files[file] = await download(url, dest);
+    };
+
+    for (const file of def.files) {
+        await fetchFile(file);
+    }
+
+    const entry = { version: def.version, files };
+    if (def.packages) {
+        const lock = JSON.parse(fs.readFileSync(path.join(dir, 'pyodide-lock.json'), 'utf-8'));
+        entry.packages = resolvePyodidePackages(lock, def.packages);
+        for (const name of entry.packages) {
+            await fetchFile(lock.packages[name].file_name);
+        }
+    }
+    if (def.wheels) {
+        entry.wheels = await fetchWheels(dir, [...def.wheels, ...options.wheels], previous?.wheels || {});
+    }
+    return entry;
+}
+
+/**
+ * Pyodide 包及其全部依赖（按 pyodide-lock.json 的 depends 展开）
+ * @returns {string[]}
+ */
+function resolvePyodidePackages(lock, names) {
+    const resolved = new Set();
+    const visit = (name) => {
+        const key = RuntimeAssets.normalizePackageName(name).replace(/_/g, '-');
+        const pkgName = lock.packages[key] ? key : Object.keys(lock.packages).find(n =>
+            RuntimeAssets.normalizePackageName(n) === RuntimeAssets.normalizePackageName(name));
+        if (!pkgName) throw new Error(`Pyodide package not found: ${name}`);
+        if (resolved.has(pkgName)) return;
+        resolved.add(pkgName);
+        (lock.packages[pkgName].depends || []).forEach(visit);
+    };
+    names.forEach(visit);
+    return [...resolved];
+}
+
+/**
+ * 打包纯 Python wheel 到 wheels/
+ * @param {string[]} specs - PyPI 项目名，或 .whl 的地址 / 本地路径
+ * @param {Object} previous - 上次打包的 wheel { [fileName]: size }，文件仍存在的保留
+ * @returns {Promise<Object>} { [fileName]: size }
+ */
+async function fetchWheels(dir, specs, previous) {
+    const wheelsDir = path.join(dir, RuntimeAssets.WHEELS_DIR);
+    fs.mkdirSync(wheelsDir, { recursive: true });
+
+    const wheels = {};
+    for (const [file, size] of Object.entries(previous)) {
+        if (fs.existsSync(path.join(wheelsDir, file))) wheels[file] = size;
+    }
+    const bundled = (project) => Object.keys(wheels)
+        .some(file => RuntimeAssets.getWheelProject(file) === RuntimeAssets.normalizePackageName(project));
+
+    for (const spec of specs) {
+        if (spec.endsWith('.whl')) {
+            const file = path.basename(new URL(spec, 'file:///').pathname);
+            console.log(`[Runtimes] wheel: ${file}`);
+            if (/^https?:/.test(spec)) {
+                wheels[file] = await download(spec, path.join(wheelsDir, file));
+            } else {
+                fs.copyFileSync(path.resolve(spec), path.join(wheelsDir, file));
+                wheels[file] = fs.statSync(path.join(wheelsDir, file)).size;
+            }
+            continue;
+        }
+        if (bundled(spec)) continue;
+
+        const release = await fetchJson(`${PYPI_URL}${encodeURIComponent(spec)}/json`);
+        const wheel = release.urls.find(item => item.packagetype === 'bdist_wheel' && /-none-any\.whl$/.test(item.filename));
+        if (!wheel) throw new Error(`No pure Python wheel on PyPI: ${spec}`);
+        console.log(`[Runtimes] wheel: ${wheel.filename}`);
+        wheels[wheel.filename] = await download(wheel.url, path.join(wheelsDir, wheel.filename));
+    }
+    return wheels;
+}
+
+/**
+ * 校验已下载的运行时：索引中的版本与定义一致，定义的文件、Pyodide 包和 wheel 均存在且大小与索引一致
+ * @returns {string[]} 问题列表，为空表示完整
+ */
+function checkRuntimes() {
+    const index = readIndex();
+    const problems = [];
+    for (const [id, def] of Object.entries(RuntimeAssets.RUNTIMES)) {
+        const entry = index.runtimes?.[id];
+        if (!entry) {
+            problems.push(`${def.name}: not downloaded`);
+            continue;
+        }
+        if (entry.version !== def.version) {
+            problems.push(`${def.name}: version ${entry.version}, expected ${def.version}`);
+            continue;
+        }
+        const dir = path.join(RUNTIMES_DIR, id);
+        const files = { ...entry.files };
+        for (const [file, size] of Object.entries(entry.wheels || {})) {
+            files[RuntimeAssets.WHEELS_DIR + file] = size;
+        }
+        def.files.filter(file => files[file] === undefined).forEach(file => problems.push(`${def.name}: ${file} missing`));
+        (def.packages || []).filter(name => !entry.packages?.includes(name))
+            .forEach(name => problems.push(`${def.name}: package ${name} missing`));
+        for (const [file, size] of Object.entries(files)) {
+            const filePath = path.join(dir, file);
+            if (!fs.existsSync(filePath) || fs.statSync(filePath).size !== size) {
+                problems.push(`${def.name}: ${file} missing or incomplete`);
+            }
+        }
+    }
+    return problems;
+}
+
+async function main() {
+    const args = parseArgs();
+    if (args.check) {
+        const problems = checkRuntimes();
+        if (problems.length > 0) {
+            problems.forEach(problem => console.error(`[Runtimes] ${problem}`));
+            process.exit(1);
+        }
+        console.log('[Runtimes] All runtimes are complete');
+        return;
+    }
+    const only = typeof args.only === 'string' ? args.only.split(',') : null;
+    const options = {
+        mirror: typeof args.mirror === 'string' ? args.mirror : null,
+        wheels: typeof args.wheels === 'string' ? args.wheels.split(',').filter(Boolean) : []
+    };
+
+    const index = readIndex();
+    const runtimes = {};
+    for (const [id, def] of Object.entries(RuntimeAssets.RUNTIMES)) {
+        if (only && !only.includes(id)) {
+            if (index.runtimes?.[id]) runtimes[id] = index.runtimes[id];
+            continue;
+        }
+        runtimes[id] = await fetchRuntime(id, def, index.runtimes?.[id], options);
+    }
+
+    fs.writeFileSync(INDEX_PATH, JSON.stringify({ generatedAt: new Date().toISOString(), runtimes }, null, 2) + '\n');
+
+    const total = Object.values(runtimes).reduce((sum, entry) =>
+        sum + [...Object.values(entry.files), ...Object.values(entry.wheels || {})].reduce((a, b) => a + b, 0), 0);
+    console.log(`[Runtimes] Done: ${Object.keys(runtimes).length} runtimes, ${(total / 1024 / 1024).toFixed(1)}MB`);
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error('[Runtimes] Failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { checkRuntimes };